@@ -1,5 +1,6 @@
 import { rocketchatPlugin } from './src/channel.js';
 import { setRuntime } from './src/runtime.js';
+import { TOOL_NAMES, createAgentTools, toolAccount, toolName } from './src/tools.js';
 
 const plugin = {
   id: 'rocketchat',
@@ -9,6 +10,12 @@ const plugin = {
   register(api) {
     setRuntime(api.runtime);
     api.registerChannel({ plugin: rocketchatPlugin });
+    // Each agent run gets the tools its Rocket.Chat account enables; hosts
+    // without agent tools just get the channel
+    api.registerTool?.((ctx) => {
+      const account = toolAccount(ctx);
+      return account ? createAgentTools(account, { log: api.logger, sessionKey: ctx.sessionKey }) : null;
+    }, { names: TOOL_NAMES.map(toolName) });
   },
 };
 
@@ -1,28 +1,160 @@
 /**
  * Rocket.Chat REST API client.
- * Stateless — all functions take a config object with { url, authToken, userId }.
+ * All functions take a config object with { url, authToken, userId } and
+ * optional { timeoutMs, maxRetries, rateLimit } (see config.js). Calls for the
+ * same server and user share one rate-limit budget (see ratelimit.js).
+ * Failures throw the error types in errors.js.
  * Uses Node 22 built-in fetch (no external HTTP dependencies).
  */
 
-function headers(config) {
-  return {
-    'Content-Type': 'application/json',
-    'X-Auth-Token': config.authToken,
-    'X-User-Id': config.userId,
-  };
+import { RocketChatApiError, RateLimitError, AuthError, errorKind } from './errors.js';
+import { limiterFor } from './ratelimit.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30000;
+
+function headers(config, { json = true } = {}) {
+  const result = json ? { 'Content-Type': 'application/json' } : {};
+  // Absent before login
+  if (config.authToken) result['X-Auth-Token'] = config.authToken;
+  if (config.userId) result['X-User-Id'] = config.userId;
+  return result;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds until the server will accept another call, from Retry-After
+ * (seconds or an HTTP date) or X-RateLimit-Reset (epoch ms), or null.
+ */
+export function retryAfterFrom(res, now = Date.now()) {
+  const header = (name) => res.headers?.get?.(name) ?? null;
+
+  const retryAfter = header('retry-after');
+  if (retryAfter != null) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(0, date - now);
+  }
+
+  const reset = header('x-ratelimit-reset');
+  if (reset != null && Number.isFinite(Number(reset))) {
+    // Rocket.Chat sends epoch ms; tolerate epoch seconds
+    const resetMs = Number(reset) < 1e12 ? Number(reset) * 1000 : Number(reset);
+    return Math.max(0, resetMs - now);
+  }
+  return null;
+}
+
+/** Delay before retry number `attempt` (0-based): the server's wait if given, else exponential backoff with jitter. */
+export function retryDelay(attempt, retryAfterMs = null) {
+  if (retryAfterMs != null) return Math.min(retryAfterMs, RETRY_MAX_MS);
+  const ceiling = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
 }
 
-async function request(config, method, path, body) {
+/** Timeouts, network failures and 5xx responses may succeed on a second try. */
+function isTransient(err) {
+  if (err instanceof RateLimitError) return true;
+  return ['timeout', 'network', 'invalid_response'].includes(err.code) || err.status >= 500;
+}
+
+/** A timeout or network failure while sending a request or reading its response. */
+function transportError(err, { method, path, timeoutMs }) {
+  const timedOut = err?.name === 'TimeoutError' || err?.name === 'AbortError';
+  const reason = timedOut ? `timed out after ${timeoutMs}ms` : `failed: ${err.message}`;
+  return new RocketChatApiError(`Rocket.Chat API ${method} ${path} ${reason}`, {
+    method, path, code: timedOut ? 'timeout' : 'network', cause: err,
+  });
+}
+
+async function send(config, method, path, body, limiter) {
   const url = `${config.url}${path}`;
-  const opts = { method, headers: headers(config) };
-  if (body) opts.body = JSON.stringify(body);
+  const timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  // Multipart bodies set their own Content-Type (with the boundary)
+  const multipart = body instanceof FormData;
+  const opts = { method, headers: headers(config, { json: !multipart }), signal: AbortSignal.timeout(timeoutMs) };
+  if (body) opts.body = multipart ? body : JSON.stringify(body);
+
+  let res;
+  try {
+    res = await fetch(url, opts);
+  } catch (err) {
+    throw transportError(err, { method, path, timeoutMs });
+  }
+
+  // The endpoint's server-side budget is spent: hold further calls to it until the reset
+  if (res.headers?.get?.('x-ratelimit-remaining') === '0') {
+    const wait = retryAfterFrom(res);
+    if (wait) limiter?.pause(path.split('?')[0], Date.now() + wait);
+  }
 
-  const res = await fetch(url, opts);
   if (!res.ok) {
     const text = await res.text().catch(() => res.statusText);
-    throw new Error(`Rocket.Chat API ${method} ${path} failed (${res.status}): ${text}`);
+    const message = `Rocket.Chat API ${method} ${path} failed (${res.status}): ${text}`;
+    const details = { method, path, status: res.status, body: text };
+    if (res.status === 429) throw new RateLimitError(message, { ...details, retryAfterMs: retryAfterFrom(res) });
+    if (res.status === 401) throw new AuthError(message, details);
+    throw new RocketChatApiError(message, details);
   }
-  return res.json();
+
+  let text;
+  try {
+    text = await res.text();
+  } catch (err) {
+    throw transportError(err, { method, path, timeoutMs });
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    // e.g. a proxy's error page served with a 200
+    throw new RocketChatApiError(`Rocket.Chat API ${method} ${path} returned a response that is not JSON: ${text.slice(0, 200)}`, {
+      method, path, status: res.status, code: 'invalid_response', body: text, cause: err,
+    });
+  }
+}
+
+/**
+ * One REST call, with a per-attempt timeout, client-side rate limiting and
+ * retries. 429s are always retried (the server did not act on the request);
+ * timeouts, network errors and 5xx only for GETs, since a write may already
+ * have gone through. A 401 on a logged-in session (see auth.js) logs in again
+ * and repeats the call once with the new token.
+ */
+async function request(config, method, path, body, { retries = config.maxRetries ?? DEFAULT_MAX_RETRIES } = {}) {
+  const limiter = limiterFor(config);
+  let reauthenticated = false;
+  for (let attempt = 0; ; attempt++) {
+    await limiter?.acquire(path.split('?')[0]);
+    try {
+      return await send(config, method, path, body, limiter);
+    } catch (err) {
+      if (err instanceof AuthError && config.reauthenticate && !reauthenticated) {
+        reauthenticated = true;
+        await config.reauthenticate();
+        attempt--;
+        continue;
+      }
+      const retryable = err instanceof RateLimitError || (method === 'GET' && isTransient(err));
+      if (!retryable || attempt >= retries) throw err;
+      await sleep(retryDelay(attempt, err.retryAfterMs));
+    }
+  }
+}
+
+/**
+ * POST /api/v1/login. `body` is { user, password, code? }, { resume } or an
+ * OAuth { serviceName, accessToken, ... }. Sent without auth headers and never
+ * re-authenticates, so a rejected login surfaces as an AuthError.
+ */
+export async function login(config, body) {
+  const { url, timeoutMs, maxRetries, rateLimit } = config;
+  return request({ url, timeoutMs, maxRetries, rateLimit }, 'POST', '/api/v1/login', body);
 }
 
 export async function getMe(config) {
@@ -33,21 +165,189 @@ export async function getChannelInfo(config, channelName) {
   return request(config, 'GET', `/api/v1/channels.info?roomName=${encodeURIComponent(channelName)}`);
 }
 
-export async function getChannelHistory(config, roomId, count = 20) {
-  return request(config, 'GET', `/api/v1/channels.history?roomId=${encodeURIComponent(roomId)}&count=${count}`);
+export async function getGroupInfo(config, groupName) {
+  return request(config, 'GET', `/api/v1/groups.info?roomName=${encodeURIComponent(groupName)}`);
+}
+
+export async function getRoomInfo(config, roomId) {
+  return request(config, 'GET', `/api/v1/rooms.info?roomId=${encodeURIComponent(roomId)}`);
+}
+
+/** A user's profile, including their global `roles`. */
+export async function getUserInfo(config, userId) {
+  return request(config, 'GET', `/api/v1/users.info?userId=${encodeURIComponent(userId)}`);
 }
 
-export async function getThreadMessages(config, threadId, { count = 50, offset = 0 } = {}) {
+/** A user's profile by username. */
+export async function getUserByName(config, username) {
+  return request(config, 'GET', `/api/v1/users.info?username=${encodeURIComponent(username)}`);
+}
+
+/** Members of a public channel who hold room roles (owner, moderator, leader). */
+export async function getChannelRoles(config, roomId) {
+  return request(config, 'GET', `/api/v1/channels.roles?roomId=${encodeURIComponent(roomId)}`);
+}
+
+/** Members of a private group who hold room roles. */
+export async function getGroupRoles(config, roomId) {
+  return request(config, 'GET', `/api/v1/groups.roles?roomId=${encodeURIComponent(roomId)}`);
+}
+
+/** Members of a public channel, a page at a time. */
+export async function getChannelMembers(config, roomId, { count = 50, offset = 0 } = {}) {
+  return request(config, 'GET', `/api/v1/channels.members?roomId=${encodeURIComponent(roomId)}&count=${count}&offset=${offset}`);
+}
+
+/** Members of a private group, a page at a time. */
+export async function getGroupMembers(config, roomId, { count = 50, offset = 0 } = {}) {
+  return request(config, 'GET', `/api/v1/groups.members?roomId=${encodeURIComponent(roomId)}&count=${count}&offset=${offset}`);
+}
+
+/** Add a user to a public channel. */
+export async function inviteToChannel(config, roomId, userId) {
+  return request(config, 'POST', '/api/v1/channels.invite', { roomId, userId });
+}
+
+/** Add a user to a private group. */
+export async function inviteToGroup(config, roomId, userId) {
+  return request(config, 'POST', '/api/v1/groups.invite', { roomId, userId });
+}
+
+/** Public server settings by ID, e.g. ['Message_MaxAllowedSize']. */
+export async function getPublicSettings(config, ids) {
+  return request(config, 'GET', `/api/v1/settings.public?_id=${encodeURIComponent(ids.join(','))}`);
+}
+
+/** Rooms the authenticated user has joined (channels, private groups and DMs). */
+export async function listJoinedRooms(config) {
+  return request(config, 'GET', '/api/v1/rooms.get');
+}
+
+/**
+ * Query string for the *.history endpoints. `oldest` / `latest` are timestamps
+ * (ms or Date) bounding the window; `offset` pages through it newest-first.
+ */
+function historyQuery(roomId, count, { oldest, latest, offset, inclusive } = {}) {
+  let query = `roomId=${encodeURIComponent(roomId)}&count=${count}`;
+  if (oldest != null) query += `&oldest=${encodeURIComponent(new Date(oldest).toISOString())}`;
+  if (latest != null) query += `&latest=${encodeURIComponent(new Date(latest).toISOString())}`;
+  if (inclusive) query += '&inclusive=true';
+  if (offset) query += `&offset=${offset}`;
+  return query;
+}
+
+export async function getChannelHistory(config, roomId, count = 20, opts) {
+  return request(config, 'GET', `/api/v1/channels.history?${historyQuery(roomId, count, opts)}`);
+}
+
+export async function getGroupHistory(config, roomId, count = 20, opts) {
+  return request(config, 'GET', `/api/v1/groups.history?${historyQuery(roomId, count, opts)}`);
+}
+
+export async function getDirectHistory(config, roomId, count = 20, opts) {
+  return request(config, 'GET', `/api/v1/im.history?${historyQuery(roomId, count, opts)}`);
+}
+
+/** Open (or fetch the existing) direct message room with a user. */
+export async function createDirectMessage(config, username) {
+  return request(config, 'POST', '/api/v1/im.create', { username });
+}
+
+function sortQuery(sort) {
+  return sort ? `&sort=${encodeURIComponent(JSON.stringify(sort))}` : '';
+}
+
+export async function getThreadMessages(config, threadId, { count = 50, offset = 0, sort } = {}) {
   return request(config, 'GET',
-    `/api/v1/chat.getThreadMessages?tmid=${encodeURIComponent(threadId)}&count=${count}&offset=${offset}`);
+    `/api/v1/chat.getThreadMessages?tmid=${encodeURIComponent(threadId)}&count=${count}&offset=${offset}${sortQuery(sort)}`);
 }
 
-export async function sendMessage(config, { roomId, text, threadId }) {
+/**
+ * Threads in a room, most recently active first. Each entry is the thread's
+ * parent message; `tlm` is the timestamp of the thread's last message.
+ */
+export async function getThreadsList(config, roomId, { count = 50, offset = 0 } = {}) {
+  return request(config, 'GET',
+    `/api/v1/chat.getThreadsList?rid=${encodeURIComponent(roomId)}&count=${count}&offset=${offset}${sortQuery({ tlm: -1 })}`);
+}
+
+/**
+ * Post a message. `alias`, `avatar` (an image URL) and `emoji` change how the
+ * sender is shown; alias and avatar need the message-impersonate permission.
+ */
+export async function sendMessage(config, { roomId, text, threadId, alias, avatar, emoji }) {
   const body = { roomId, text };
   if (threadId) body.tmid = threadId;
+  if (alias) body.alias = alias;
+  if (avatar) body.avatar = avatar;
+  if (emoji) body.emoji = emoji;
   return request(config, 'POST', '/api/v1/chat.postMessage', body);
 }
 
+export async function getMessage(config, messageId) {
+  return request(config, 'GET', `/api/v1/chat.getMessage?msgId=${encodeURIComponent(messageId)}`);
+}
+
+/**
+ * Messages in a room created or changed (edited, reacted to) after
+ * `lastUpdate` (epoch ms), as { result: { updated, deleted } }.
+ */
+export async function syncMessages(config, roomId, lastUpdate) {
+  const since = new Date(lastUpdate).toISOString();
+  return request(config, 'GET', `/api/v1/chat.syncMessages?roomId=${encodeURIComponent(roomId)}&lastUpdate=${encodeURIComponent(since)}`);
+}
+
+/** Messages in a room matching `searchText` (the server's message search syntax), newest first. */
+export async function searchMessages(config, roomId, searchText, { count = 20 } = {}) {
+  return request(config, 'GET',
+    `/api/v1/chat.search?roomId=${encodeURIComponent(roomId)}&searchText=${encodeURIComponent(searchText)}&count=${count}`);
+}
+
+/** Pin a message in its room. */
+export async function pinMessage(config, messageId) {
+  return request(config, 'POST', '/api/v1/chat.pinMessage', { messageId });
+}
+
+/** Star a message for the bot's own account. */
+export async function starMessage(config, messageId) {
+  return request(config, 'POST', '/api/v1/chat.starMessage', { messageId });
+}
+
+/**
+ * Start a discussion: a sub-room of `parentRoomId`, optionally anchored to a
+ * message in it, with a first message (`reply`) and extra members.
+ */
+export async function createDiscussion(config, { parentRoomId, parentMessageId, name, reply, users }) {
+  const body = { prid: parentRoomId, t_name: name };
+  if (parentMessageId) body.pmid = parentMessageId;
+  if (reply) body.reply = reply;
+  if (users?.length) body.users = users;
+  return request(config, 'POST', '/api/v1/rooms.createDiscussion', body);
+}
+
+/** Replace the text of a message the bot posted. */
+export async function updateMessage(config, { roomId, messageId, text }) {
+  return request(config, 'POST', '/api/v1/chat.update', { roomId, msgId: messageId, text });
+}
+
+export async function deleteMessage(config, { roomId, messageId }) {
+  return request(config, 'POST', '/api/v1/chat.delete', { roomId, msgId: messageId });
+}
+
+/**
+ * Upload a file to a room (multipart rooms.upload), optionally with a caption
+ * (`text`) and into a thread. `data` is a Buffer or Blob.
+ */
+export async function uploadFile(config, { roomId, data, filename, contentType, text, description, threadId }) {
+  const form = new FormData();
+  const blob = data instanceof Blob ? data : new Blob([data], { type: contentType || 'application/octet-stream' });
+  form.append('file', blob, filename);
+  if (text) form.append('msg', text);
+  if (description) form.append('description', description);
+  if (threadId) form.append('tmid', threadId);
+  return request(config, 'POST', `/api/v1/rooms.upload/${encodeURIComponent(roomId)}`, form);
+}
+
 export async function reactToMessage(config, messageId, emoji, shouldReact) {
   return request(config, 'POST', '/api/v1/chat.react', {
     messageId,
@@ -59,25 +359,38 @@ export async function reactToMessage(config, messageId, emoji, shouldReact) {
 export async function downloadFile(config, fileUrl, destPath) {
   const { writeFile } = await import('node:fs/promises');
   const url = `${config.url}${fileUrl}`;
-  const res = await fetch(url, {
+  const fetchFile = () => fetch(url, {
     headers: {
       'X-Auth-Token': config.authToken,
       'X-User-Id': config.userId,
     },
+    signal: AbortSignal.timeout(config.timeoutMs ?? DEFAULT_TIMEOUT_MS),
   });
+  let res = await fetchFile();
+  if (res.status === 401 && config.reauthenticate) {
+    await config.reauthenticate();
+    res = await fetchFile();
+  }
   if (!res.ok) {
     const text = await res.text().catch(() => res.statusText);
-    throw new Error(`File download GET ${fileUrl} failed (${res.status}): ${text}`);
+    const message = `File download GET ${fileUrl} failed (${res.status}): ${text}`;
+    const details = { method: 'GET', path: fileUrl, status: res.status, body: text };
+    throw res.status === 401 ? new AuthError(message, details) : new RocketChatApiError(message, details);
   }
   const buffer = Buffer.from(await res.arrayBuffer());
   await writeFile(destPath, buffer);
 }
 
+/**
+ * Check the credentials with a single /me call (no retries, so a status check
+ * answers quickly). `error` says why it failed: auth, rate_limited, timeout,
+ * unreachable or error.
+ */
 export async function probe(config) {
   try {
-    const data = await getMe(config);
+    const data = await request(config, 'GET', '/api/v1/me', undefined, { retries: 0 });
     return { ok: true, username: data.username, userId: data._id };
-  } catch {
-    return { ok: false, username: null, userId: null };
+  } catch (err) {
+    return { ok: false, username: null, userId: null, error: errorKind(err) };
   }
 }
@@ -0,0 +1,147 @@
+/**
+ * Account authentication.
+ * An account authenticates one of four ways (first match wins):
+ *
+ *   authToken + userId      — static personal access token (no renewal)
+ *   username + password     — /api/v1/login, with a TOTP code from
+ *                             `totpSecret` when the bot has 2FA enabled
+ *   oauth { serviceName, accessToken, ... } — /api/v1/login via an OAuth provider
+ *   resumeToken             — /api/v1/login with a resume token
+ *
+ * Logged-in accounts get one shared session per account: the client config
+ * the monitor, outbound sends and the probe all use. Its `reauthenticate()`
+ * logs in again, and api.js calls it when a request comes back 401, so an
+ * expired token is replaced in place without anyone holding a stale copy.
+ */
+
+import { createHmac } from 'node:crypto';
+import { login } from './api.js';
+import { AuthError } from './errors.js';
+import { clientConfig } from './config.js';
+
+/** How the account logs in: 'token', 'password', 'oauth', 'resume', or null if it can't. */
+export function authMethod(account) {
+  if (account?.authToken && account?.userId) return 'token';
+  if (account?.username && account?.password) return 'password';
+  if (account?.oauth?.serviceName && account?.oauth?.accessToken) return 'oauth';
+  if (account?.resumeToken) return 'resume';
+  return null;
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('totpSecret is not valid base32');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** RFC 6238 time-based one-time password for a base32 secret. */
+export function totp(secret, now = Date.now(), { step = 30, digits = 6 } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / step)));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+/** Body for /api/v1/login for the account's login method. */
+export function loginBody(account, now = Date.now()) {
+  switch (authMethod(account)) {
+    case 'password': {
+      const body = { user: account.username, password: account.password };
+      if (account.totpSecret) body.code = totp(account.totpSecret, now);
+      return body;
+    }
+    case 'oauth': {
+      const { serviceName, accessToken, accessTokenSecret, expiresIn = 3600 } = account.oauth;
+      const body = { serviceName, accessToken, expiresIn };
+      if (accessTokenSecret) body.accessTokenSecret = accessTokenSecret;
+      return body;
+    }
+    case 'resume':
+      return { resume: account.resumeToken };
+    default:
+      return null;
+  }
+}
+
+const sessions = new Map();
+
+function sessionKey(account) {
+  return [account.accountId || 'default', account.url, authMethod(account), account.username || account.oauth?.serviceName || ''].join('|');
+}
+
+function createSession(account, log) {
+  const config = clientConfig(account);
+  let pending = null;
+
+  async function authenticate() {
+    let data;
+    try {
+      data = await login(config, loginBody(account));
+    } catch (err) {
+      if (err instanceof AuthError) {
+        const { method, path, status, body } = err;
+        throw new AuthError(`Rocket.Chat ${authMethod(account)} login failed (${status}): ${body}`, {
+          method, path, status, body, cause: err,
+        });
+      }
+      throw err;
+    }
+    const { authToken, userId } = data?.data || {};
+    if (!authToken || !userId) throw new AuthError('Rocket.Chat login returned no auth token');
+    config.authToken = authToken;
+    config.userId = userId;
+  }
+
+  // Concurrent 401s share one login
+  config.reauthenticate = () => {
+    pending ??= authenticate()
+      .then(() => log?.info?.(`Logged in to Rocket.Chat as ${config.userId}`))
+      .finally(() => { pending = null; });
+    return pending;
+  };
+
+  return { config, ready: config.reauthenticate() };
+}
+
+/**
+ * Client config for an account, logging in first if it doesn't use a static
+ * token. Every caller gets the same config object for a logged-in account,
+ * so a renewed token is seen everywhere.
+ */
+export async function sessionConfig(account, { log } = {}) {
+  const method = authMethod(account);
+  if (method === 'token') return clientConfig(account);
+  if (!method) throw new AuthError('Rocket.Chat account has no credentials (authToken/userId, username/password, oauth or resumeToken)');
+
+  const key = sessionKey(account);
+  let session = sessions.get(key);
+  if (!session) {
+    session = createSession(account, log);
+    sessions.set(key, session);
+    // A failed first login is retried on the next call
+    session.ready.catch(() => sessions.delete(key));
+  }
+  await session.ready;
+  return session.config;
+}
+
+/** Forget all sessions (tests). */
+export function resetSessions() {
+  sessions.clear();
+}
@@ -0,0 +1,129 @@
+/**
+ * Sender authorization. An account's `authorization` config holds two
+ * policies: `chat` (whose messages the bot answers) and `commands` (whose
+ * messages may run privileged agent commands). Each policy has allow/deny
+ * lists of usernames or user IDs and of Rocket.Chat roles. A sender's roles
+ * are their global roles (users.info) plus their roles in the room (owner,
+ * moderator, leader). Roles are only looked up when a policy names them, and
+ * are cached for `roleCacheSeconds`.
+ */
+
+import { getUserInfo, getChannelRoles, getGroupRoles, reactToMessage, sendMessage } from './api.js';
+
+export const UNAUTHORIZED_RESPONSES = ['ignore', 'react', 'reply'];
+export const DEFAULT_UNAUTHORIZED_MESSAGE = "Sorry, you're not allowed to talk to me here.";
+export const DEFAULT_ROLE_CACHE_SECONDS = 300;
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/** Does a users list name the sender, by username ("alice" or "@alice") or user ID? */
+function namesUser(entries, { userId, username }) {
+  return entries.some((entry) => {
+    const name = String(entry).replace(/^@/, '');
+    return name === userId || (!!username && name.toLowerCase() === username.toLowerCase());
+  });
+}
+
+/** True if checking a policy needs the sender's roles. */
+export function policyNeedsRoles(policy) {
+  return list(policy?.allowRoles).length > 0 || list(policy?.denyRoles).length > 0;
+}
+
+/**
+ * Check a sender ({ userId, username, roles }) against a policy
+ * ({ allowUsers, allowRoles, denyUsers, denyRoles }). Deny lists win. With
+ * an allow list the sender must match it; without one everyone not denied is
+ * allowed. A missing policy allows everyone.
+ */
+export function isAllowed(policy, sender) {
+  if (!policy) return true;
+  const roles = sender.roles || [];
+  const hasRole = (entries) => entries.some((role) => roles.includes(role));
+
+  if (namesUser(list(policy.denyUsers), sender) || hasRole(list(policy.denyRoles))) return false;
+  const allowUsers = list(policy.allowUsers);
+  const allowRoles = list(policy.allowRoles);
+  if (!allowUsers.length && !allowRoles.length) return true;
+  return namesUser(allowUsers, sender) || hasRole(allowRoles);
+}
+
+/**
+ * Authorizer for one account. `authorize(msg, room)` resolves to
+ * { chat, commands }. The `commands` policy defaults to the `chat` policy,
+ * and nobody can run commands without being allowed to chat. If a role
+ * lookup fails, the policies that need roles refuse the sender.
+ */
+export function createAuthorizer(config, authorization = {}, { log } = {}) {
+  const chatPolicy = authorization.chat;
+  const commandPolicy = authorization.commands ?? chatPolicy;
+  const needsRoles = policyNeedsRoles(chatPolicy) || policyNeedsRoles(commandPolicy);
+  const ttlMs = (authorization.roleCacheSeconds ?? DEFAULT_ROLE_CACHE_SECONDS) * 1000;
+  const userRoles = new Map();
+  const roomRoles = new Map();
+
+  // Caches the promise so concurrent lookups for one key share a request;
+  // failures are dropped so the next message tries again
+  function cached(cache, key, load) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = load();
+    cache.set(key, { value, expires: Date.now() + ttlMs });
+    value.catch(() => {
+      if (cache.get(key)?.value === value) cache.delete(key);
+    });
+    return value;
+  }
+
+  function globalRoles(userId) {
+    return cached(userRoles, userId, async () => (await getUserInfo(config, userId)).user?.roles || []);
+  }
+
+  // DMs have no room roles
+  async function rolesInRoom(userId, room) {
+    if (room.type !== 'c' && room.type !== 'p') return [];
+    const byUser = await cached(roomRoles, room.id, async () => {
+      const data = await (room.type === 'p' ? getGroupRoles : getChannelRoles)(config, room.id);
+      return new Map((data.roles || []).map((entry) => [entry.u?._id, entry.roles || []]));
+    });
+    return byUser.get(userId) || [];
+  }
+
+  async function authorize(msg, room) {
+    const sender = { userId: msg.u?._id, username: msg.u?.username, roles: [] };
+    let rolesKnown = !needsRoles;
+    if (needsRoles && sender.userId) {
+      try {
+        const [global, inRoom] = await Promise.all([globalRoles(sender.userId), rolesInRoom(sender.userId, room)]);
+        sender.roles = [...new Set([...global, ...inRoom])];
+        rolesKnown = true;
+      } catch (err) {
+        log?.warn?.(`Could not look up roles for ${sender.username || sender.userId}, treating as unauthorized: ${err.message}`);
+      }
+    }
+    const check = (policy) => (rolesKnown || !policyNeedsRoles(policy)) && isAllowed(policy, sender);
+    const chat = check(chatPolicy);
+    return { chat, commands: chat && check(commandPolicy) };
+  }
+
+  return { authorize };
+}
+
+/**
+ * Let an unauthorized sender know, per `response`: `ignore` does nothing,
+ * `react` adds 🚫 to the message, `reply` answers in its thread with
+ * `message`, addressed to the sender. Best-effort: errors are logged.
+ */
+export async function rejectUnauthorized(config, { msg, roomId, threadId, response = 'ignore', message, log }) {
+  try {
+    if (response === 'react') {
+      await reactToMessage(config, msg._id, 'no_entry_sign', true);
+    } else if (response === 'reply') {
+      const mention = msg.u?.username ? `@${msg.u.username} ` : '';
+      await sendMessage(config, { roomId, threadId, text: `${mention}${message || DEFAULT_UNAUTHORIZED_MESSAGE}` });
+    }
+  } catch (err) {
+    log?.warn?.(`Failed to tell ${msg.u?.username || 'sender'} they are not authorized: ${err.message}`);
+  }
+}
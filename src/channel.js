@@ -2,8 +2,26 @@
  * Rocket.Chat ChannelPlugin definition for OpenClaw.
  */
 
-import { sendMessage, getChannelInfo, probe } from './api.js';
+import { probe } from './api.js';
 import { monitorRocketChat } from './monitor.js';
+import { configuredRooms, resolveOutboundRoom, roomOverrides } from './rooms.js';
+import { snapshotMetrics } from './metrics.js';
+import { authMethod, sessionConfig } from './auth.js';
+import { errorKind } from './errors.js';
+import { mediaAccess, mediaMaxBytes, sendMediaReply } from './media.js';
+import { messageLimit, sendLongText } from './chunking.js';
+import { formatReply } from './format.js';
+
+const PROBE_FAILURES = {
+  auth: 'Rocket.Chat rejected the credentials',
+  rate_limited: 'Rate limited by Rocket.Chat',
+  timeout: 'Rocket.Chat did not respond in time',
+};
+
+/** Persona for messages the bot sends to a room: the room's, else the account's. */
+export function personaFor(account, room) {
+  return roomOverrides(account, room).persona ?? account.persona;
+}
 
 export const rocketchatPlugin = {
   id: 'rocketchat',
@@ -15,9 +33,10 @@ export const rocketchatPlugin = {
   },
 
   capabilities: {
-    chatTypes: ['group', 'channel'],
+    chatTypes: ['direct', 'group', 'channel'],
     reactions: true,
     threads: true,
+    media: true,
   },
 
   config: {
@@ -44,32 +63,37 @@ export const rocketchatPlugin = {
     },
 
     isConfigured(account) {
-      return !!(account?.url && account?.authToken && account?.userId);
+      return !!(account?.url && authMethod(account));
     },
 
     describeAccount(account) {
       return {
         accountId: account?.accountId ?? 'default',
-        name: account?.channel ?? 'Rocket.Chat',
+        name: configuredRooms(account).join(', ') || 'Rocket.Chat',
         enabled: account?.enabled !== false,
-        configured: !!(account?.url && account?.authToken && account?.userId),
+        configured: !!(account?.url && authMethod(account)),
       };
     },
   },
 
   gateway: {
-    startAccount(ctx) {
+    async startAccount(ctx) {
       const account = rocketchatPlugin.config.resolveAccount(ctx.cfg, ctx.accountId);
       if (!account) {
         ctx.log?.error?.(`No Rocket.Chat account found for id: ${ctx.accountId}`);
         return;
       }
-      monitorRocketChat({
-        account,
-        cfg: ctx.cfg,
-        abortSignal: ctx.abortSignal,
-        log: ctx.log,
-      });
+      try {
+        await monitorRocketChat({
+          account,
+          cfg: ctx.cfg,
+          abortSignal: ctx.abortSignal,
+          log: ctx.log,
+        });
+      } catch (err) {
+        ctx.log?.error?.(`Rocket.Chat account ${ctx.accountId} stopped: ${err.message}`);
+        throw err;
+      }
     },
   },
 
@@ -78,34 +102,54 @@ export const rocketchatPlugin = {
     textChunkLimit: 4000,
 
     async sendText(ctx) {
-      const config = {
-        url: ctx.account.url,
-        authToken: ctx.account.authToken,
-        userId: ctx.account.userId,
-      };
-      const info = await getChannelInfo(config, ctx.account.channel);
-      await sendMessage(config, {
-        roomId: info.channel._id,
-        text: ctx.text,
+      const config = await sessionConfig(ctx.account, { log: ctx.log });
+      const room = await resolveOutboundRoom(config, ctx.account, ctx.to);
+      // textChunkLimit is a default; the server's own limit may be lower
+      await sendLongText(config, {
+        roomId: room.id,
         threadId: ctx.threadId || null,
+        text: formatReply(ctx.text, ctx.account),
+        limit: await messageLimit(config, ctx.log),
+        codeSnippets: ctx.account.codeSnippets,
+        persona: personaFor(ctx.account, room),
+      });
+    },
+
+    async sendMedia(ctx) {
+      const config = await sessionConfig(ctx.account, { log: ctx.log });
+      const room = await resolveOutboundRoom(config, ctx.account, ctx.to);
+      await sendMediaReply(config, {
+        roomId: room.id,
+        threadId: ctx.threadId || null,
+        mediaUrls: [ctx.mediaUrl],
+        text: formatReply(ctx.text, ctx.account),
+        maxBytes: mediaMaxBytes(ctx.account),
+        access: mediaAccess(ctx.account),
+        persona: personaFor(ctx.account, room),
+        log: ctx.log,
       });
     },
   },
 
   status: {
     async probe(ctx) {
-      const config = {
-        url: ctx.account.url,
-        authToken: ctx.account.authToken,
-        userId: ctx.account.userId,
-      };
-      const result = await probe(config);
-      return {
+      let result;
+      try {
+        result = await probe(await sessionConfig(ctx.account, { log: ctx.log }));
+      } catch (err) {
+        // Login itself failed
+        result = { ok: false, error: errorKind(err) };
+      }
+      const status = {
         ok: result.ok,
         detail: result.ok
           ? `Connected as ${result.username}`
-          : 'Failed to connect to Rocket.Chat',
+          : PROBE_FAILURES[result.error] || 'Failed to connect to Rocket.Chat',
       };
+      if (!result.ok && result.error) status.error = result.error;
+      const metrics = snapshotMetrics(ctx.account.accountId || 'default');
+      if (metrics) status.metrics = metrics;
+      return status;
     },
   },
 };
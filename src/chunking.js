@@ -0,0 +1,174 @@
+/**
+ * Markdown-aware splitting of long replies.
+ * Rocket.Chat rejects messages longer than its Message_MaxAllowedSize
+ * setting, so long text is cut into chunks that fit: at paragraph breaks
+ * where possible, then line breaks, then spaces. A chunk that ends inside a
+ * fenced code block gets the fence closed and the next chunk reopens it (with
+ * the same language), so every message renders on its own. With
+ * `codeSnippets`, code blocks too long for one message are uploaded as text
+ * files instead.
+ */
+
+import { getPublicSettings, sendMessage, uploadFile } from './api.js';
+
+// Used when the server's limit can't be read; below Rocket.Chat's default of 5000
+export const DEFAULT_MESSAGE_MAX_LENGTH = 4000;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+const SNIPPET_EXTENSIONS = {
+  javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', python: 'py', py: 'py',
+  ruby: 'rb', go: 'go', rust: 'rs', java: 'java', c: 'c', cpp: 'cpp', csharp: 'cs',
+  php: 'php', shell: 'sh', bash: 'sh', sh: 'sh', sql: 'sql', json: 'json',
+  yaml: 'yaml', yml: 'yaml', html: 'html', css: 'css', xml: 'xml', markdown: 'md', md: 'md',
+};
+
+/** The fence left open at the end of `text`: { marker, opener }, or null. */
+function openFence(text) {
+  let open = null;
+  for (const line of text.split('\n')) {
+    const match = FENCE.exec(line);
+    if (!match) continue;
+    if (!open) {
+      open = { marker: match[1], opener: line.trim() };
+    } else if (match[1][0] === open.marker[0] && match[1].length >= open.marker.length && !match[2].trim()) {
+      open = null;
+    }
+  }
+  return open;
+}
+
+/** Where to cut so the head fits in `limit`: a blank line, a newline, a space, else hard. */
+function splitIndex(text, limit) {
+  const window = text.slice(0, limit + 1);
+  for (const separator of ['\n\n', '\n', ' ']) {
+    const index = window.lastIndexOf(separator);
+    if (index > limit / 2) return index;
+  }
+  // Don't split a surrogate pair
+  const code = text.charCodeAt(limit - 1);
+  return code >= 0xd800 && code <= 0xdbff ? limit - 1 : limit;
+}
+
+/** Split markdown into chunks of at most `limit` characters, keeping code fences balanced. */
+export function chunkMarkdown(text, limit = DEFAULT_MESSAGE_MAX_LENGTH) {
+  const chunks = [];
+  let rest = (text ?? '').replace(/^\n+/, '').trimEnd();
+  let reopen = '';
+  while (rest) {
+    const body = reopen ? `${reopen}\n${rest}` : rest;
+    if (body.length <= limit) {
+      chunks.push(body);
+      break;
+    }
+
+    let cut = splitIndex(body, limit);
+    let fence = openFence(body.slice(0, cut));
+    if (fence) {
+      // Leave room to close the fence
+      const closer = `\n${fence.marker}`;
+      const shorter = splitIndex(body, limit - closer.length);
+      // Too small a limit to carry the fence over: cut plainly
+      if (shorter <= reopen.length + 1) {
+        fence = null;
+      } else {
+        cut = shorter;
+        fence = openFence(body.slice(0, cut));
+      }
+    }
+
+    const head = body.slice(0, cut).trimEnd();
+    chunks.push(fence ? `${head}\n${fence.marker}` : head);
+    rest = body.slice(cut).replace(/^(\n+| )/, '');
+    reopen = fence ? fence.opener : '';
+  }
+  return chunks;
+}
+
+/**
+ * Pull fenced code blocks longer than `limit` out of `text`, leaving a note in
+ * their place. Returns { text, snippets: [{ filename, content }] }.
+ */
+export function extractLongCode(text, limit = DEFAULT_MESSAGE_MAX_LENGTH) {
+  const lines = text.split('\n');
+  const out = [];
+  const snippets = [];
+  for (let i = 0; i < lines.length; i++) {
+    const match = FENCE.exec(lines[i]);
+    if (!match) {
+      out.push(lines[i]);
+      continue;
+    }
+    const [, marker, info] = match;
+    let end = i + 1;
+    while (end < lines.length) {
+      const close = FENCE.exec(lines[end]);
+      if (close && close[1][0] === marker[0] && close[1].length >= marker.length && !close[2].trim()) break;
+      end++;
+    }
+    const block = lines.slice(i, end + 1);
+    if (block.join('\n').length <= limit) {
+      out.push(...block);
+    } else {
+      const language = info.trim().split(/\s+/)[0].toLowerCase();
+      const filename = `snippet-${snippets.length + 1}.${SNIPPET_EXTENSIONS[language] || 'txt'}`;
+      snippets.push({ filename, content: lines.slice(i + 1, end).join('\n') });
+      out.push(`_(code attached as ${filename})_`);
+    }
+    i = end;
+  }
+  return { text: out.join('\n'), snippets };
+}
+
+const limits = new Map();
+
+/**
+ * The server's Message_MaxAllowedSize, read once per server. Falls back to
+ * DEFAULT_MESSAGE_MAX_LENGTH if the setting can't be read.
+ */
+export function messageLimit(config, log) {
+  let limit = limits.get(config.url);
+  if (!limit) {
+    limit = getPublicSettings(config, ['Message_MaxAllowedSize'])
+      .then((data) => {
+        const value = Number(data?.settings?.find((s) => s._id === 'Message_MaxAllowedSize')?.value);
+        return Number.isInteger(value) && value > 0 ? value : DEFAULT_MESSAGE_MAX_LENGTH;
+      })
+      .catch((err) => {
+        log?.warn?.(`Could not read Rocket.Chat's message size limit, using ${DEFAULT_MESSAGE_MAX_LENGTH}: ${err.message}`);
+        return DEFAULT_MESSAGE_MAX_LENGTH;
+      });
+    limits.set(config.url, limit);
+  }
+  return limit;
+}
+
+/** Forget cached limits (tests). */
+export function resetMessageLimits() {
+  limits.clear();
+}
+
+/**
+ * Send `text` as as many messages as it needs. With `codeSnippets`, code
+ * blocks over the limit are uploaded as text files after the text. `persona`
+ * ({ alias, avatar, emoji }) is applied to each message. Resolves to the IDs
+ * of the messages posted.
+ */
+export async function sendLongText(config, { roomId, threadId, text, limit, codeSnippets = false, persona }) {
+  let body = text;
+  let snippets = [];
+  if (codeSnippets) ({ text: body, snippets } = extractLongCode(text, limit));
+
+  const ids = [];
+  for (const chunk of chunkMarkdown(body, limit)) {
+    const res = await sendMessage(config, { roomId, text: chunk, threadId, ...persona });
+    ids.push(res?.message?._id);
+  }
+  for (const { filename, content } of snippets) {
+    const res = await uploadFile(config, {
+      roomId, threadId, data: Buffer.from(content), filename, contentType: 'text/plain',
+    });
+    ids.push(res?.message?._id);
+  }
+  return ids.filter(Boolean);
+}
@@ -0,0 +1,18 @@
+/**
+ * REST client config for an account: the credentials api.js needs, plus any
+ * client tuning the account sets (timeoutMs, maxRetries, rateLimit).
+ */
+
+const CLIENT_OPTIONS = ['timeoutMs', 'maxRetries', 'rateLimit'];
+
+export function clientConfig(account) {
+  const config = {
+    url: account.url,
+    authToken: account.authToken,
+    userId: account.userId,
+  };
+  for (const key of CLIENT_OPTIONS) {
+    if (account[key] !== undefined) config[key] = account[key];
+  }
+  return config;
+}
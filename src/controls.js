@@ -0,0 +1,195 @@
+/**
+ * Controls on messages the bot has taken on. Adding 🔁 to a failed (or
+ * cancelled) message queues it again; adding 🛑 to one that is queued or
+ * being answered aborts its agent run. Editing a message can run it again,
+ * and deleting one aborts its run.
+ *
+ * Only reactions added after the bot took the message on count, and each one
+ * counts once: to retry a second time, remove 🔁 and add it again. Reactions
+ * and edits reach the monitor as updated copies of the message (realtime
+ * events, or chat.syncMessages while polling), so this module just compares
+ * them with what it saw before.
+ *
+ * A run is aborted with a reason: 'cancelled' (🛑), 'edited', 'deleted' or
+ * 'shutdown'.
+ */
+
+export const RETRY_REACTION = ':repeat:';
+export const CANCEL_REACTION = ':octagonal_sign:';
+const DEFAULT_MAX_TRACKED = 200;
+// A failed message can be retried for this long
+const DEFAULT_RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function reactors(msg, reaction) {
+  return new Set(msg.reactions?.[reaction]?.usernames || []);
+}
+
+/** Whether anyone in `now` wasn't in `before`. */
+function hasNew(now, before) {
+  for (const username of now) {
+    if (!before.has(username)) return true;
+  }
+  return false;
+}
+
+function epochMs(value) {
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Tracks messages from when they are queued until they are answered, failed
+ * or cancelled ones until `retryWindowMs` passes, and answered ones for
+ * `answeredWindowMs` (for edits and deletes). Each entry carries an
+ * AbortController for its current run, the IDs of the bot's reply messages
+ * (`replyIds`) and whatever `track()` was given to run it again. With
+ * `edits`, update() reports edited text.
+ */
+export function createMessageControls({
+  maxTracked = DEFAULT_MAX_TRACKED,
+  retryWindowMs = DEFAULT_RETRY_WINDOW_MS,
+  answeredWindowMs = 0,
+  edits = false,
+} = {}) {
+  const entries = new Map();
+  // Room -> newest `_updatedAt` seen, where the next sync starts
+  const cursors = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.settledAt == null) continue;
+      const window = entry.status === 'done' ? answeredWindowMs : retryWindowMs;
+      if (entry.settledAt < now - window) entries.delete(id);
+    }
+    // Oldest settled entries go first; runs in progress are never dropped
+    for (const [id, entry] of entries) {
+      if (entries.size <= maxTracked) break;
+      if (entry.status !== 'active') entries.delete(id);
+    }
+    for (const roomId of cursors.keys()) {
+      if (![...entries.values()].some((entry) => entry.room.id === roomId)) cursors.delete(roomId);
+    }
+  }
+
+  /** Start tracking a queued message. `extra` is kept on the entry for retries. */
+  function track(msg, room, extra = {}) {
+    const entry = {
+      ...extra,
+      msg,
+      room,
+      status: 'active',
+      controller: new AbortController(),
+      settledAt: null,
+      replyIds: [],
+      retryBy: reactors(msg, RETRY_REACTION),
+      cancelBy: reactors(msg, CANCEL_REACTION),
+    };
+    entries.delete(msg._id);
+    entries.set(msg._id, entry);
+    if (!cursors.has(room.id)) cursors.set(room.id, epochMs(msg.ts) ?? Date.now());
+    prune();
+    return entry;
+  }
+
+  function rearm(entry) {
+    entry.status = 'active';
+    entry.settledAt = null;
+    entry.controller = new AbortController();
+  }
+
+  /**
+   * Record how the run behind `controller` ended: 'failed' and 'cancelled'
+   * messages stay tracked so they can be retried, 'done' ones while
+   * `answeredWindowMs` lasts, anything else is forgotten. Ignored if the
+   * message has been rearmed for another run since.
+   */
+  function settle(messageId, outcome, controller) {
+    const entry = entries.get(messageId);
+    if (!entry || (controller && entry.controller !== controller)) return;
+    if (outcome === 'failed' || outcome === 'cancelled' || (outcome === 'done' && answeredWindowMs > 0)) {
+      entry.status = outcome;
+      entry.settledAt = Date.now();
+    } else {
+      entries.delete(messageId);
+    }
+    prune();
+  }
+
+  /**
+   * Take in an updated copy of a message. With `edits`, if its text was
+   * edited, aborts any run in progress, rearms the entry and returns 'edit'.
+   * Aborts the run and returns 'cancel' if 🛑 was newly added while it is
+   * active; rearms the entry and returns 'retry' if 🔁 was newly added after
+   * it failed or was cancelled; otherwise returns null.
+   */
+  function update(msg) {
+    const entry = entries.get(msg._id);
+    if (!entry) return null;
+    const previous = entry.msg;
+    entry.msg = msg;
+    const retryBy = reactors(msg, RETRY_REACTION);
+    const cancelBy = reactors(msg, CANCEL_REACTION);
+    const retry = hasNew(retryBy, entry.retryBy);
+    const cancel = hasNew(cancelBy, entry.cancelBy);
+    entry.retryBy = retryBy;
+    entry.cancelBy = cancelBy;
+
+    const editedAt = epochMs(msg.editedAt);
+    if (edits && editedAt != null && editedAt !== epochMs(previous.editedAt) && msg.msg !== previous.msg) {
+      entry.controller.abort('edited');
+      rearm(entry);
+      return 'edit';
+    }
+    if (cancel && entry.status === 'active') {
+      entry.controller.abort('cancelled');
+      return 'cancel';
+    }
+    if (retry && (entry.status === 'failed' || entry.status === 'cancelled')) {
+      rearm(entry);
+      return 'retry';
+    }
+    return null;
+  }
+
+  /**
+   * Forget a deleted message, aborting its run if one is in progress.
+   * Returns its entry (with `deleted` set), or undefined if it wasn't tracked.
+   */
+  function remove(messageId) {
+    const entry = entries.get(messageId);
+    if (!entry) return undefined;
+    entries.delete(messageId);
+    entry.deleted = true;
+    if (entry.status === 'active') entry.controller.abort('deleted');
+    prune();
+    return entry;
+  }
+
+  return {
+    track,
+    settle,
+    update,
+    remove,
+    /** Abort every run in progress or waiting. Returns how many there were. */
+    abortAll(reason) {
+      let count = 0;
+      for (const entry of entries.values()) {
+        if (entry.status !== 'active' || entry.controller.signal.aborted) continue;
+        entry.controller.abort(reason);
+        count++;
+      }
+      return count;
+    },
+    get: (messageId) => entries.get(messageId),
+    /** Where to sync a room's updates from, or null if nothing in it is tracked. */
+    cursor: (roomId) => cursors.get(roomId) ?? null,
+    advance(roomId, updatedAt) {
+      const ms = epochMs(updatedAt);
+      if (cursors.has(roomId) && ms != null) cursors.set(roomId, Math.max(cursors.get(roomId), ms));
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
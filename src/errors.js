@@ -0,0 +1,50 @@
+/**
+ * Error types thrown by the REST client (api.js).
+ *
+ *   RocketChatApiError — any failed call: non-2xx, timeout or network failure
+ *   RateLimitError     — 429, still rate limited after retries
+ *   AuthError          — 401, the credentials were rejected
+ *
+ * A 403 (the bot is logged in but lacks a permission) is a plain
+ * RocketChatApiError with status 403: logging in again wouldn't help.
+ *
+ * `status` is the HTTP status, or null when no response arrived (`code` is
+ * then 'timeout' or 'network'; a response cut off while it was read counts
+ * the same). A response that isn't JSON has `code` 'invalid_response'.
+ */
+
+export class RocketChatApiError extends Error {
+  constructor(message, { method, path, status = null, code = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'RocketChatApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.code = code;
+    this.body = body;
+  }
+}
+
+export class RateLimitError extends RocketChatApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class AuthError extends RocketChatApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/** Short failure category for status output: auth, rate_limited, timeout, unreachable or error. */
+export function errorKind(err) {
+  if (err instanceof AuthError) return 'auth';
+  if (err instanceof RateLimitError) return 'rate_limited';
+  if (err?.code === 'timeout') return 'timeout';
+  if (err?.code === 'network') return 'unreachable';
+  return 'error';
+}
@@ -0,0 +1,76 @@
+/**
+ * Failure replies. When a message can't be answered the bot says so in the
+ * thread, with a short correlation ID (ref) that also appears in the log
+ * line, instead of leaving only a ❌. After one failure reply in a thread,
+ * further failures there are only logged until `cooldownSeconds` pass.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { sendMessage } from './api.js';
+import { errorKind } from './errors.js';
+
+export const FAILURE_KINDS = ['timeout', 'rate_limited', 'unauthorized', 'agent_error', 'no_reply'];
+export const DEFAULT_FAILURE_MESSAGES = {
+  timeout: 'Sorry, that took too long to answer. Please try again.',
+  rate_limited: "Sorry, I'm getting too many requests right now. Please try again in a minute.",
+  unauthorized: "Sorry, I couldn't answer because a service I need refused access.",
+  agent_error: 'Sorry, something went wrong while answering.',
+  no_reply: "Sorry, I couldn't come up with an answer to that.",
+};
+export const DEFAULT_FAILURE_COOLDOWN_SECONDS = 300;
+const MAX_TRACKED_THREADS = 500;
+
+/** A short random ID tying a failure reply to its log line. */
+export function failureRef() {
+  return randomBytes(3).toString('hex');
+}
+
+/**
+ * Failure category for an error, or `no_reply` without one. Errors from the
+ * REST client carry their kind; errors from the agent side are recognised by
+ * status or message.
+ */
+export function failureKind(err) {
+  if (!err) return 'no_reply';
+  const kind = errorKind(err);
+  const message = String(err.message || '');
+  if (kind === 'rate_limited' || err.status === 429 || /rate.?limit|too many requests/i.test(message)) return 'rate_limited';
+  if (kind === 'timeout' || err.name === 'TimeoutError' || /timed? ?out/i.test(message)) return 'timeout';
+  if (kind === 'auth' || err.status === 401 || err.status === 403 || /unauthori[sz]ed|forbidden/i.test(message)) return 'unauthorized';
+  return 'agent_error';
+}
+
+/**
+ * Failure replies for one account. `failureReplies` is `true` or
+ * { enabled, cooldownSeconds, messages }, where `messages` overrides the text
+ * per failure kind. `report()` resolves to whether a reply was posted.
+ */
+export function createFailureReplies(failureReplies, { log } = {}) {
+  const options = typeof failureReplies === 'object' && failureReplies ? failureReplies : {};
+  const enabled = failureReplies === true || (!!failureReplies && options.enabled !== false);
+  const cooldownMs = (options.cooldownSeconds ?? DEFAULT_FAILURE_COOLDOWN_SECONDS) * 1000;
+  const messages = { ...DEFAULT_FAILURE_MESSAGES, ...options.messages };
+  // Thread -> when its last failure reply was posted
+  const lastReply = new Map();
+
+  async function report(config, { roomId, threadId, kind, ref, persona }) {
+    if (!enabled) return false;
+    const key = `${roomId}:${threadId ?? ''}`;
+    const last = lastReply.get(key);
+    if (last != null && Date.now() - last < cooldownMs) return false;
+
+    lastReply.delete(key);
+    lastReply.set(key, Date.now());
+    if (lastReply.size > MAX_TRACKED_THREADS) lastReply.delete(lastReply.keys().next().value);
+
+    try {
+      await sendMessage(config, { roomId, threadId, text: `${messages[kind] ?? messages.agent_error} _(ref ${ref})_`, ...persona });
+      return true;
+    } catch (err) {
+      log?.warn?.(`Failed to post failure reply (ref ${ref}): ${err.message}`);
+      return false;
+    }
+  }
+
+  return { enabled, report };
+}
@@ -0,0 +1,250 @@
+/**
+ * Markdown dialect conversion.
+ *
+ * Outbound: agents write CommonMark, but Rocket.Chat renders `*bold*`,
+ * `_italic_` and `~strike~` and has no tables or headings. toRocketChat()
+ * rewrites those constructs (tables become aligned code blocks, headings
+ * become bold lines) and leaves code untouched.
+ *
+ * Inbound: agentText() turns a message into clean CommonMark for the agent,
+ * from the structured `msg.md` AST when the server sends one, else from the
+ * RC markup in `msg.msg`.
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const BOLD_MARK = '\u0001';
+
+/** Apply `fn` to the parts of a line outside `inline code` spans. */
+function outsideCode(line, fn) {
+  return line.split(/(`+[^`]*?`+)/).map((part, i) => (i % 2 ? part : fn(part))).join('');
+}
+
+/** Apply `fn` to each line outside fenced code blocks. Lines inside fences pass through. */
+function mapProseLines(text, fn) {
+  const lines = text.split('\n');
+  const out = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const match = FENCE.exec(lines[i]);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+      out.push(lines[i]);
+    } else if (match) {
+      fence = match[1];
+      out.push(lines[i]);
+    } else {
+      out.push(fn(lines[i]));
+    }
+  }
+  return out.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Outbound: CommonMark -> Rocket.Chat
+
+function inlineToRocketChat(text) {
+  return text
+    .replace(/!\[[^\]]*\]\(([^)\s]+)[^)]*\)/g, '$1') // images: bare URL, RC previews it
+    .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (_, a, b) => `${BOLD_MARK}${a ?? b}${BOLD_MARK}`)
+    .replace(/(^|[^\w*])\*(?![\s*])([^*\n]+?)\*(?![\w*])/g, '$1_$2_')
+    .replace(/~~(?=\S)(.+?)~~/g, '~$1~')
+    .replaceAll(BOLD_MARK, '*');
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/** Table cells are shown in a code block, where markup would appear literally. */
+function plainCell(cell) {
+  return cell
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => a ?? b)
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (_, label, url) => (label && label !== url ? `${label} (${url})` : url));
+}
+
+function renderTable(header, separator, rows) {
+  const align = splitRow(separator).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return 'left';
+  });
+  const table = [header, ...rows].map((row) => splitRow(row).map(plainCell));
+  const columns = Math.max(...table.map((row) => row.length));
+  const widths = Array.from({ length: columns }, (_, c) => Math.max(...table.map((row) => (row[c] ?? '').length)));
+
+  const pad = (value, c) => {
+    const gap = widths[c] - value.length;
+    if (align[c] === 'right') return ' '.repeat(gap) + value;
+    if (align[c] === 'center') return ' '.repeat(Math.floor(gap / 2)) + value + ' '.repeat(Math.ceil(gap / 2));
+    return value + ' '.repeat(gap);
+  };
+  const line = (row) => widths.map((_, c) => pad(row[c] ?? '', c)).join(' | ').trimEnd();
+
+  const [head, ...body] = table;
+  return ['```', line(head), widths.map((w) => '-'.repeat(w)).join('-+-'), ...body.map(line), '```'];
+}
+
+/** Turn GitHub-style tables into aligned code blocks. */
+function convertTables(text) {
+  const lines = text.split('\n');
+  const out = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const match = FENCE.exec(line);
+    if (fence || match) {
+      if (!fence) fence = match[1];
+      else if (match && match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+      out.push(line);
+      continue;
+    }
+    if (line.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] ?? '') && lines[i + 1].includes('-')) {
+      const rows = [];
+      let end = i + 2;
+      while (end < lines.length && lines[end].includes('|') && lines[end].trim()) rows.push(lines[end++]);
+      out.push(...renderTable(line, lines[i + 1], rows));
+      i = end - 1;
+      continue;
+    }
+    out.push(line);
+  }
+  return out.join('\n');
+}
+
+/** Convert agent (CommonMark) markdown to markup Rocket.Chat renders well. */
+export function toRocketChat(markdown) {
+  if (!markdown) return markdown;
+  return mapProseLines(convertTables(markdown), (line) => {
+    const heading = /^ {0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/.exec(line);
+    if (heading) {
+      const title = heading[1].replace(/\*\*|__/g, '');
+      return title ? `*${outsideCode(title, inlineToRocketChat)}*` : '';
+    }
+    // "* item" bullets would read as emphasis
+    const bullet = line.replace(/^(\s*)[*+](\s+)/, '$1-$2');
+    return outsideCode(bullet, inlineToRocketChat);
+  });
+}
+
+/** Reply text as the account sends it: converted unless `convertMarkdown` is false. */
+export function formatReply(text, account) {
+  return account?.convertMarkdown === false ? text : toRocketChat(text);
+}
+
+// ---------------------------------------------------------------------------
+// Inbound: Rocket.Chat -> CommonMark
+
+function inlineFromRocketChat(text) {
+  return text
+    .replace(/<((?:https?|mailto):[^|>\s]+)\|([^>]+)>/g, '[$2]($1)')
+    .replace(/(^|[^\w*])\*(?![\s*])([^*\n]+?)\*(?![\w*])/g, '$1**$2**')
+    .replace(/(^|[^\w~])~(?![\s~])([^~\n]+?)~(?![\w~])/g, '$1~~$2~~');
+}
+
+/** Convert Rocket.Chat markup in message text to CommonMark. */
+export function fromRocketChat(text) {
+  if (!text) return text ?? '';
+  return mapProseLines(text, (line) => outsideCode(line, inlineFromRocketChat));
+}
+
+function renderInline(nodes) {
+  if (!nodes) return '';
+  if (!Array.isArray(nodes)) nodes = [nodes];
+  return nodes.map(renderNode).join('');
+}
+
+function renderNode(node) {
+  if (node == null) return '';
+  if (typeof node === 'string') return node;
+  const { type, value } = node;
+  switch (type) {
+    case 'PLAIN_TEXT':
+      return value;
+    case 'BOLD':
+      return `**${renderInline(value)}**`;
+    case 'ITALIC':
+      return `_${renderInline(value)}_`;
+    case 'STRIKE':
+      return `~~${renderInline(value)}~~`;
+    case 'INLINE_CODE':
+      return `\`${renderInline(value)}\``;
+    case 'LINK': {
+      const url = value?.src?.value ?? '';
+      const label = renderInline(value?.label);
+      return label && label !== url ? `[${label}](${url})` : url;
+    }
+    case 'IMAGE':
+      return value?.src?.value ?? '';
+    case 'MENTION_USER':
+      return `@${value?.value ?? ''}`;
+    case 'MENTION_CHANNEL':
+      return `#${value?.value ?? ''}`;
+    case 'EMOJI':
+      return node.unicode ?? (value ? `:${value.value}:` : node.shortCode ?? '');
+    case 'INLINE_KATEX':
+      return `$${value}$`;
+    case 'TIMESTAMP':
+      return value?.timestamp ? new Date(Number(value.timestamp) * 1000).toISOString() : '';
+    case 'LINE_BREAK':
+      return '\n';
+    default:
+      return typeof value === 'string' ? value : renderInline(value);
+  }
+}
+
+function renderBlock(node) {
+  const { type, value } = node;
+  switch (type) {
+    case 'PARAGRAPH':
+      return renderInline(value);
+    case 'HEADING':
+      return `${'#'.repeat(node.level || 1)} ${renderInline(value)}`;
+    case 'CODE': {
+      const lines = (value || []).map((line) => renderInline(line.value));
+      return ['```' + (node.language && node.language !== 'none' ? node.language : ''), ...lines, '```'].join('\n');
+    }
+    case 'QUOTE':
+      return renderBlocks(value).split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+    case 'UNORDERED_LIST':
+      return (value || []).map((item) => `- ${renderInline(item.value)}`).join('\n');
+    case 'ORDERED_LIST':
+      return (value || []).map((item, i) => `${item.number ?? i + 1}. ${renderInline(item.value)}`).join('\n');
+    case 'TASKS':
+      return (value || []).map((task) => `- [${task.status ? 'x' : ' '}] ${renderInline(task.value)}`).join('\n');
+    case 'BIG_EMOJI':
+      return renderInline(value);
+    case 'KATEX':
+      return `$$\n${value}\n$$`;
+    case 'LINE_BREAK':
+      return '';
+    default:
+      return renderNode(node);
+  }
+}
+
+// Each source line is its own block and blank lines are LINE_BREAK blocks,
+// so joining with single newlines reproduces the original spacing
+function renderBlocks(blocks) {
+  return (blocks || []).map(renderBlock).join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/** Render a message's `md` AST (Rocket.Chat's message-parser output) as CommonMark. */
+export function renderMessageAst(md) {
+  return renderBlocks(md).trim();
+}
+
+/** Clean CommonMark text of a message for the agent. */
+export function agentText(msg) {
+  if (Array.isArray(msg?.md) && msg.md.length) {
+    try {
+      return renderMessageAst(msg.md);
+    } catch {
+      // Unexpected AST shape; the raw text still works
+    }
+  }
+  return fromRocketChat(msg?.msg || '');
+}
@@ -0,0 +1,209 @@
+/**
+ * Outbound media: files the agent produces (payload.mediaUrl / mediaUrls, or
+ * an outbound sendMedia) are loaded from a local path, file:// URL or
+ * http(s) URL, checked against the upload size limit and posted with
+ * rooms.upload.
+ *
+ * The agent picks what to send, so what it may send is limited: local files
+ * only from the account's `mediaRoots` (by default the temp dir and
+ * OpenClaw's workspace and media dirs, never its config), and downloads only
+ * if `mediaRemote` allows them: `true` for any host, or a list of hosts.
+ */
+
+import { readFile, realpath, stat } from 'node:fs/promises';
+import { homedir, tmpdir } from 'node:os';
+import { basename, extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { sendMessage, uploadFile } from './api.js';
+
+// Rocket.Chat's default FileUpload_MaxFileSize
+export const DEFAULT_MEDIA_MAX_MB = 100;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const MAX_REDIRECTS = 5;
+const OCTET_STREAM = 'application/octet-stream';
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+// Leading bytes of common formats, for files without a useful extension
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+function sniff(data) {
+  for (const { type, bytes } of SIGNATURES) {
+    if (bytes.every((byte, i) => data[i] === byte)) return type;
+  }
+  // RIFF....WEBP
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * MIME type for a file: from its extension, else the server's Content-Type
+ * (ignoring the generic octet-stream), else its leading bytes.
+ */
+export function detectMimeType(filename, data, headerType) {
+  const byExtension = MIME_TYPES[extname(filename || '').toLowerCase()];
+  if (byExtension) return byExtension;
+  const declared = headerType?.split(';')[0].trim().toLowerCase();
+  if (declared && declared !== OCTET_STREAM) return declared;
+  return (data && sniff(data)) || OCTET_STREAM;
+}
+
+/** Every media URL on a reply payload, in order, without duplicates. */
+export function mediaUrlsOf(payload) {
+  return [...new Set([...(payload?.mediaUrls || []), payload?.mediaUrl].filter(Boolean))];
+}
+
+/** Upload size limit in bytes for an account (`mediaMaxMb`). */
+export function mediaMaxBytes(account) {
+  return (account?.mediaMaxMb ?? DEFAULT_MEDIA_MAX_MB) * 1024 * 1024;
+}
+
+/** Directories local media may come from, unless the account sets `mediaRoots`. */
+export function defaultMediaRoots() {
+  const base = process.env.OPENCLAW_STATE_DIR || join(homedir(), '.openclaw');
+  return [tmpdir(), join(base, 'workspace'), join(base, 'media')];
+}
+
+/**
+ * Where an account's media may come from: { roots, remote }. `roots` are
+ * absolute directories; `remote` is true, false or a list of hostnames.
+ */
+export function mediaAccess(account) {
+  const roots = Array.isArray(account?.mediaRoots) ? account.mediaRoots : defaultMediaRoots();
+  const remote = account?.mediaRemote ?? false;
+  return {
+    roots: roots.map((root) => resolve(String(root).replace(/^~(?=$|[\\/])/, homedir()))),
+    remote: Array.isArray(remote) ? remote.map((host) => String(host).toLowerCase()) : remote === true,
+  };
+}
+
+async function checkLocal(path, source, roots) {
+  // Symlinks are followed first, so none can lead out of a root
+  const real = await realpath(path);
+  for (const root of roots) {
+    const realRoot = await realpath(root).catch(() => null);
+    if (realRoot && (real === realRoot || real.startsWith(realRoot.endsWith(sep) ? realRoot : realRoot + sep))) return real;
+  }
+  throw new Error(`Media ${source} is outside the directories media may be sent from`);
+}
+
+function checkRemote(url, source, remote) {
+  const host = new URL(url).hostname.toLowerCase();
+  if (remote === true || (Array.isArray(remote) && remote.includes(host))) return;
+  throw new Error(`Media ${source} is on ${host}, which media may not be downloaded from`);
+}
+
+/** Fetch a URL, following redirects only to hosts `remote` allows. */
+async function fetchAllowed(source, remote) {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+  let url = source;
+  for (let hops = 0; ; hops++) {
+    checkRemote(url, source, remote);
+    const res = await fetch(url, { signal, redirect: 'manual' });
+    const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+    if (!location) return res;
+    if (hops >= MAX_REDIRECTS) throw new Error(`Media download ${source} redirected too many times`);
+    url = new URL(location, url).href;
+  }
+}
+
+function tooLarge(source, size, maxBytes) {
+  return new Error(`Media ${source} is ${size} bytes, over the ${maxBytes}-byte upload limit`);
+}
+
+/**
+ * Read a local path, file:// URL or http(s) URL into { data, filename,
+ * contentType }, if `access` (see mediaAccess) allows it.
+ */
+export async function loadMedia(source, { maxBytes = DEFAULT_MEDIA_MAX_MB * 1024 * 1024, access = mediaAccess() } = {}) {
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetchAllowed(source, access.remote);
+    if (!res.ok) throw new Error(`Media download ${source} failed (${res.status})`);
+    const declared = Number(res.headers.get('content-length'));
+    if (declared > maxBytes) throw tooLarge(source, declared, maxBytes);
+    const data = Buffer.from(await res.arrayBuffer());
+    if (data.length > maxBytes) throw tooLarge(source, data.length, maxBytes);
+    const filename = decodeURIComponent(basename(new URL(source).pathname)) || 'file';
+    return { data, filename, contentType: detectMimeType(filename, data, res.headers.get('content-type')) };
+  }
+
+  const path = await checkLocal(source.startsWith('file:') ? fileURLToPath(source) : source, source, access.roots);
+  const { size } = await stat(path);
+  if (size > maxBytes) throw tooLarge(source, size, maxBytes);
+  const data = await readFile(path);
+  const filename = basename(path);
+  return { data, filename, contentType: detectMimeType(filename, data) };
+}
+
+/** Load `mediaUrl` and upload it to the room, with `caption` as its message. */
+export async function sendMedia(config, { roomId, threadId, mediaUrl, caption, maxBytes, access }) {
+  const file = await loadMedia(mediaUrl, { maxBytes, access });
+  return uploadFile(config, { roomId, threadId, text: caption, ...file });
+}
+
+/**
+ * Upload a reply's files, the caption going with the first one that uploads.
+ * Files that can't be sent are logged and replaced by a text message with the
+ * caption (if it wasn't sent yet) and any http(s) links, so the reply isn't
+ * lost. Throws only if nothing at all could be sent. Uploads can't carry a
+ * `persona`; it only applies to the fallback message. Resolves to the IDs of
+ * the messages posted.
+ */
+export async function sendMediaReply(config, { roomId, threadId, mediaUrls, text, maxBytes, access, persona, log }) {
+  let caption = text || undefined;
+  const ids = [];
+  const failed = [];
+  let lastError = null;
+  for (const mediaUrl of mediaUrls) {
+    try {
+      const res = await sendMedia(config, { roomId, threadId, mediaUrl, caption, maxBytes, access });
+      ids.push(res?.message?._id);
+      caption = undefined;
+    } catch (err) {
+      log?.warn?.(`Could not upload ${mediaUrl}: ${err.message}`);
+      failed.push(mediaUrl);
+      lastError = err;
+    }
+  }
+  if (!failed.length) return ids.filter(Boolean);
+
+  const links = failed.filter((url) => /^https?:\/\//i.test(url));
+  const fallback = [caption, ...links].filter(Boolean).join('\n');
+  if (fallback) {
+    const res = await sendMessage(config, { roomId, text: fallback, threadId, ...persona });
+    ids.push(res?.message?._id);
+  } else if (failed.length === mediaUrls.length) {
+    throw lastError;
+  }
+  return ids.filter(Boolean);
+}
@@ -0,0 +1,114 @@
+/**
+ * Response triggers — decides whether the bot should answer a message
+ * (per the account's `respondTo` mode) and strips the @mention or command
+ * prefix from the text the agent sees.
+ */
+
+export const RESPOND_TO_MODES = ['all', 'mentions', 'prefix', 'threads-only-after-mention'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentionPattern(botUsername, flags) {
+  // Usernames may contain . - _ so "word boundary" is "not followed by one of those"
+  return new RegExp(`(^|[^\\w.-])@${escapeRegExp(botUsername)}(?![\\w.-])`, flags);
+}
+
+/** True if the message mentions the bot, via msg.mentions or a literal @username. */
+export function isMentioned(msg, { botUsername, botUserId } = {}) {
+  if (msg.mentions?.some((m) => (botUserId && m._id === botUserId) || (botUsername && m.username === botUsername))) {
+    return true;
+  }
+  return !!botUsername && mentionPattern(botUsername, 'i').test(msg.msg || '');
+}
+
+/**
+ * Remove @botUsername (and punctuation that addressed it, e.g. "@bot: ") from
+ * text. Only the spaces around the mention go with it; line breaks and
+ * indentation elsewhere are kept.
+ */
+export function stripMention(text, botUsername) {
+  if (!botUsername) return text.trim();
+  const re = new RegExp(`${mentionPattern(botUsername, 'gi').source}[:,]?[ \\t]*`, 'gi');
+  return text.replace(re, (match, before, offset) => {
+    // "a @bot\nb" would otherwise leave "a " at the end of its line
+    const next = text[offset + match.length];
+    return /[ \t]/.test(before) && (next === undefined || /[\r\n]/.test(next)) ? '' : before;
+  }).trim();
+}
+
+/**
+ * Strip a leading command prefix. Returns null if the text doesn't start with
+ * it as a word of its own ("!ai do x", not "!aiden").
+ */
+export function stripPrefix(text, prefix) {
+  if (!prefix) return null;
+  const trimmed = text.trimStart();
+  if (!trimmed.toLowerCase().startsWith(prefix.toLowerCase())) return null;
+  const rest = trimmed.slice(prefix.length);
+  if (rest && !/^\s/.test(rest)) return null;
+  return rest.trim();
+}
+
+/**
+ * Does this thread already involve the bot? True if any prior message in the
+ * thread mentions the bot or was posted by it.
+ */
+export function threadMentionsBot(threadHistory, { botUsername, botUserId } = {}) {
+  return (threadHistory || []).some(
+    (m) => (botUserId && m.u?._id === botUserId) || isMentioned(m, { botUsername, botUserId }),
+  );
+}
+
+/**
+ * Evaluate a message against the respondTo mode.
+ * Returns { respond, wasMentioned, body } where body is the text for the agent
+ * (mention / prefix removed).
+ *
+ *   all                         answer everything
+ *   mentions                    answer only when @mentioned
+ *   prefix                      answer only when the text starts with `prefix`
+ *   threads-only-after-mention  top-level messages need a mention; once a thread
+ *                               involves the bot, every reply in it is answered
+ *
+ * Direct messages are always answered — everything in a DM is addressed to the bot.
+ */
+export function evaluateTrigger(msg, {
+  respondTo = 'all',
+  botUsername,
+  botUserId,
+  prefix,
+  isDirect = false,
+  threadEngaged = false,
+} = {}) {
+  const text = msg.msg || '';
+  const mentioned = isMentioned(msg, { botUsername, botUserId });
+  // "@bot !ai do x" counts as prefixed too, so look for the prefix after the mention
+  const unmentioned = mentioned ? stripMention(text, botUsername) : text;
+  const prefixed = stripPrefix(unmentioned, prefix);
+  const body = prefixed ?? unmentioned;
+
+  const addressed = mentioned || prefixed !== null || isDirect;
+
+  let respond;
+  switch (respondTo) {
+    case 'mentions':
+      respond = mentioned || isDirect;
+      break;
+    case 'prefix':
+      respond = prefixed !== null || isDirect;
+      break;
+    case 'threads-only-after-mention':
+      respond = mentioned || isDirect || (!!msg.tmid && threadEngaged);
+      break;
+    default:
+      respond = true;
+  }
+
+  return {
+    respond,
+    wasMentioned: addressed || (respond && respondTo === 'threads-only-after-mention'),
+    body,
+  };
+}
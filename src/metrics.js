@@ -0,0 +1,36 @@
+/**
+ * Per-account monitor metrics, surfaced through the channel's status probe.
+ * The monitor mutates the live object; readers get a snapshot.
+ */
+
+const metricsByAccount = new Map();
+
+function emptyMetrics() {
+  return {
+    backlogsDrained: 0,
+    backlogMessages: 0,
+    lastBacklog: null,
+    queueDepth: 0,
+    inFlight: 0,
+  };
+}
+
+/** Live metrics object for an account (created on first use). */
+export function accountMetrics(accountId = 'default') {
+  let metrics = metricsByAccount.get(accountId);
+  if (!metrics) {
+    metrics = emptyMetrics();
+    metricsByAccount.set(accountId, metrics);
+  }
+  return metrics;
+}
+
+/** Copy of an account's metrics, or null if its monitor never ran. */
+export function snapshotMetrics(accountId = 'default') {
+  const metrics = metricsByAccount.get(accountId);
+  return metrics ? structuredClone(metrics) : null;
+}
+
+export function resetMetrics(accountId = 'default') {
+  metricsByAccount.delete(accountId);
+}
@@ -1,18 +1,60 @@
 /**
- * Inbound polling loop for Rocket.Chat messages.
- * Polls channel history and active threads, dispatches new messages to the agent system.
+ * Inbound loop for Rocket.Chat messages.
+ * Polls channel history and recently active threads (or, with transport: "realtime",
+ * listens on the DDP websocket), dispatches new messages to the agent system.
  */
 
-import { getChannelInfo, getChannelHistory, getThreadMessages, sendMessage, downloadFile, reactToMessage } from './api.js';
+import { getMe, getMessage, getThreadMessages, getThreadsList, syncMessages, deleteMessage, downloadFile, reactToMessage } from './api.js';
 import { mkdtemp, rm } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
-import { markProcessing, markComplete, markFailed } from './reactions.js';
+import { createReactions } from './reactions.js';
+import { createRealtimeClient } from './realtime.js';
+import { RESPOND_TO_MODES, evaluateTrigger, threadMentionsBot } from './mentions.js';
+import { configuredRooms, resolveRooms, fetchRoomHistory, roomOverrides } from './rooms.js';
+import { createStateStore } from './state.js';
+import { accountMetrics } from './metrics.js';
+import { createWorkQueue, DEFAULT_MAX_CONCURRENCY } from './queue.js';
 import { getRuntime } from './runtime.js';
+import { sessionConfig } from './auth.js';
+import { AuthError, RateLimitError } from './errors.js';
+import { createStreamingReply } from './stream.js';
+import { mediaAccess, mediaMaxBytes, mediaUrlsOf, sendMediaReply } from './media.js';
+import { messageLimit, sendLongText } from './chunking.js';
+import { agentText, formatReply } from './format.js';
+import { UNAUTHORIZED_RESPONSES, createAuthorizer, rejectUnauthorized } from './authz.js';
+import { SESSION_SCOPES, routePeer, compileThreadRules, matchThreadRule, bindAgent } from './routing.js';
+import { createFailureReplies, failureKind, failureRef } from './failures.js';
+import { createMessageControls } from './controls.js';
+import { budgetQuotes, resolveQuotes } from './quotes.js';
+import { claimSession } from './requesters.js';
 
 export const MAX_PROCESSED_IDS = 500;
 const DEFAULT_THREAD_TTL_HOURS = 24;
 const DEFAULT_THREAD_CONTEXT_BUDGET = 16000;
+// Without a cursor (first run) only the latest window is read, as before
+const INITIAL_HISTORY_COUNT = 20;
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_MAX_PAGES = 50;
+const THREAD_PAGE_SIZE = 50;
+const THREAD_MAX_PAGES = 10;
+const THREAD_CONTEXT_COUNT = 20;
+export const REPLY_STYLES = ['message', 'stream'];
+export const EDIT_MODES = ['ignore', 'answer', 'replace'];
+export const DELETE_MODES = ['ignore', 'cancel', 'retract'];
+// How long after answering a message its edits and deletes are acted on
+const ANSWERED_WINDOW_MS = 15 * 60 * 1000;
+const EDIT_NOTE = '[The sender edited this message; this is the new version.]';
+// Why a run was aborted, other than 🛑 (see controls.js)
+const STOPPED_BECAUSE = {
+  edited: 'the message was edited',
+  deleted: 'the message was deleted',
+  shutdown: 'the monitor is shutting down',
+};
+// Unfinished messages found at startup younger than this are answered again
+export const DEFAULT_ORPHAN_MAX_AGE_SECONDS = 600;
+// How long shutdown waits for messages in progress before stopping them
+export const DEFAULT_SHUTDOWN_GRACE_SECONDS = 30;
 
 /**
  * Build InboundHistory from thread messages, applying a character budget.
@@ -44,6 +86,12 @@ export function buildInboundHistory(threadHistory, currentMsgId, budget) {
   return entries.reverse(); // back to chronological order
 }
 
+/** Epoch ms for a Rocket.Chat timestamp, or null. */
+function timestampOf(value) {
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
 function sleep(ms, signal) {
   return new Promise((resolve) => {
     const timer = setTimeout(resolve, ms);
@@ -54,74 +102,195 @@ function sleep(ms, signal) {
   });
 }
 
-async function processMessage(config, msg, roomId, replyThreadId, { account, cfg, botUserId, channelName, log, processedIds, threadHistory }) {
-  // Skip filters
-  if (msg.u?._id === botUserId) return false;
-  if (msg.t) return false; // system message
-  if (msg.bot) return false;
-  if (msg.reactions?.[':white_check_mark:']) return false;
-
-  if (processedIds.has(msg._id)) return false;
-  processedIds.add(msg._id);
-
-  // Cap processed IDs set size
-  if (processedIds.size > MAX_PROCESSED_IDS) {
-    const iter = processedIds.values();
-    const excess = processedIds.size - MAX_PROCESSED_IDS;
+/** Whether `promise` settles within `ms`. */
+async function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms, false);
+  });
+  try {
+    return await Promise.race([promise.then(() => true), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** A non-negative number of seconds from the account, or the default (with a warning). */
+function secondsOption(account, key, fallback, log) {
+  const value = account[key] ?? fallback;
+  if (typeof value === 'number' && value >= 0) return value;
+  log?.warn?.(`Invalid ${key} "${value}", using ${fallback}`);
+  return fallback;
+}
+
+/** Add to an insertion-ordered Set, evicting the oldest entries beyond max. */
+function addCapped(set, value, max) {
+  set.add(value);
+  if (set.size > max) {
+    const iter = set.values();
+    const excess = set.size - max;
     for (let i = 0; i < excess; i++) {
-      processedIds.delete(iter.next().value);
+      set.delete(iter.next().value);
     }
   }
+}
+
+/** respondTo gating for a message: { respond, wasMentioned, body }. */
+function triggerFor(msg, room, { account, botUserId, trigger, threadHistory }) {
+  const threadEngaged = !!msg.tmid && (
+    trigger.engagedThreads.has(msg.tmid) || threadMentionsBot(threadHistory, { botUsername: trigger.botUsername, botUserId })
+  );
+  // The agent reads CommonMark; mention and prefix stripping work on that text
+  const normalized = account.convertMarkdown === false ? msg : { ...msg, msg: agentText(msg) };
+  return evaluateTrigger(normalized, {
+    respondTo: trigger.respondTo,
+    botUsername: trigger.botUsername,
+    botUserId,
+    prefix: trigger.prefix,
+    isDirect: room.type === 'd',
+    threadEngaged,
+  });
+}
 
+/**
+ * Decide whether a message should be handled, and claim it if so. Runs in
+ * arrival order, before the message is queued, so a message is never queued
+ * twice and thread engagement is tracked in the order messages were posted.
+ * Returns the trigger result ({ wasMentioned, body }) or null to skip.
+ */
+function screenMessage(msg, room, replyThreadId, options) {
+  const { botUserId, state, trigger, reactions, botName } = options;
+  // Skip filters
+  if (msg.u?._id === botUserId) return null;
+  if (msg.t) return null; // system message
+  if (msg.bot) return null;
+  // Answered before, going by the bot's own done reaction
+  if (reactions.isDone(msg, botName)) return null;
+
+  if (state.hasProcessed(msg._id)) return null;
+  state.markProcessed(msg._id);
+
+  // respondTo gating — unaddressed messages are skipped silently (no reactions)
+  const { respond, wasMentioned, body } = triggerFor(msg, room, options);
+  if (!respond) return null;
+  if (wasMentioned && replyThreadId) addCapped(trigger.engagedThreads, replyThreadId, MAX_PROCESSED_IDS);
+  return { wasMentioned, body };
+}
+
+/**
+ * Run a screened message through the agent and deliver the reply. `signal`
+ * aborts the run, and `progress` shows how far it got (see reactions.js).
+ * The IDs of reply messages are added to `replies`; given the bot's earlier
+ * reply in `replacing`, the new one is edited into its first message and the
+ * rest are deleted. Resolves to how it ended: 'done', 'failed', 'cancelled',
+ * or 'skipped' for a sender who may not use the bot.
+ */
+async function handleMessage(config, msg, room, replyThreadId, {
+  account, cfg, log, replyStyle, authorizer, unauthorized, roomSettings, bindingFor, failures, threadHistory,
+  reactions, botName, progress, signal, replies = [], replacing = [],
+}, { wasMentioned, body, edited }) {
+  const roomId = room.id;
+  const isDirect = room.type === 'd';
   const senderId = msg.u?._id || 'unknown';
   const senderUsername = msg.u?.username || 'unknown';
   const text = msg.msg || '';
 
-  // Clear stale ❌ from a previous failed attempt (only if present —
-  // Rocket.Chat's chat.react toggles, so removing a non-existent reaction adds it)
-  if (msg.reactions?.[':x:']) {
+  const access = await authorizer.authorize(msg, room);
+  if (!access.chat) {
+    log?.info?.(`Not answering ${msg._id}: ${senderUsername} is not authorized`);
+    await rejectUnauthorized(config, {
+      msg,
+      roomId,
+      threadId: replyThreadId,
+      response: unauthorized,
+      message: account.authorization?.unauthorizedMessage,
+      log,
+    });
+    await progress.cancelled();
+    return 'skipped';
+  }
+  if (signal?.aborted) {
+    // Already marked processed, so ❌ is all that tells the sender it went unanswered
+    if (signal.reason === 'shutdown') await progress.failed();
+    else await progress.cancelled();
+    log?.info?.(`Cancelled ${msg._id} before it started`);
+    return 'cancelled';
+  }
+
+  // Clear a stale ❌ from a previous failed attempt, or ✅ when an edited
+  // message is answered again (only if present — Rocket.Chat's chat.react
+  // toggles, so removing a non-existent reaction adds it)
+  for (const emoji of reactions.verdictsOn(msg, botName)) {
     try {
-      await reactToMessage(config, msg._id, 'x', false);
+      await reactToMessage(config, msg._id, emoji, false);
     } catch (err) {
-      log?.warn?.(`Failed to remove stale x from ${msg._id}: ${err.message}`);
+      log?.warn?.(`Failed to remove stale ${emoji} from ${msg._id}: ${err.message}`);
     }
   }
 
-  await markProcessing(config, msg._id, log);
+  async function stopped() {
+    // A deleted message can't take reactions; one cut off by shutdown failed
+    if (signal.reason === 'shutdown') await progress.failed();
+    else if (signal.reason !== 'deleted') await progress.cancelled();
+    if (STOPPED_BECAUSE[signal.reason]) {
+      log?.info?.(`Stopped ${msg._id}: ${STOPPED_BECAUSE[signal.reason]}`);
+    } else {
+      log?.info?.(`Cancelled ${msg._id} at a user's request`);
+    }
+    return 'cancelled';
+  }
 
+  await progress.stage('processing');
+
+  // Ties log lines about this message to the failure reply users see
+  const ref = failureRef();
   let tempDir = null;
+  let stream = null;
+  let releaseSession = null;
+  let persona;
   try {
     const pluginRuntime = getRuntime();
     const accountId = account.accountId || 'default';
 
+    const binding = await bindingFor(msg, room);
+    persona = binding.persona;
+    const peer = routePeer(roomSettings.get(roomId).sessionScope, { room, senderId, threadId: replyThreadId });
     const route = pluginRuntime.channel.routing.resolveAgentRoute({
-      cfg,
+      cfg: binding.agentId ? bindAgent(cfg, { agentId: binding.agentId, accountId, peer }) : cfg,
       channel: 'rocketchat',
       accountId,
-      peer: { kind: 'group', id: senderId },
+      peer,
     });
 
     const sessionKey = route.sessionKey;
+    // One run per session at a time, so agent tools act for this sender (see tools.js)
+    releaseSession = await claimSession(sessionKey, {
+      userId: senderId,
+      username: senderUsername,
+      room,
+      commands: access.commands,
+    }, { signal });
+    if (signal?.aborted) return await stopped();
     const from = `rocketchat:${senderId}`;
-    const to = `channel:${channelName}`;
+    const to = isDirect ? `user:${senderUsername}` : `channel:${room.name}`;
 
     const ctx = {
       Body: text,
-      BodyForAgent: text,
+      BodyForAgent: edited ? `${EDIT_NOTE}\n\n${body}` : body,
       RawBody: text,
-      CommandBody: text,
+      CommandBody: body,
       From: from,
       To: to,
       SessionKey: sessionKey,
       AccountId: accountId,
-      ChatType: 'group',
+      ChatType: isDirect ? 'direct' : 'group',
       SenderName: senderUsername,
       SenderId: senderId,
       SenderUsername: senderUsername,
       Provider: 'rocketchat',
       Surface: 'rocketchat',
-      WasMentioned: true,
-      CommandAuthorized: true,
+      WasMentioned: wasMentioned,
+      CommandAuthorized: access.commands,
       CommandSource: 'text',
       MessageSid: msg._id,
       Timestamp: new Date(msg.ts).getTime(),
@@ -129,15 +298,27 @@ async function processMessage(config, msg, roomId, replyThreadId, { account, cfg
       OriginatingTo: to,
     };
 
+    // Quoted messages come first out of the context budget, then the thread
+    const quotes = await resolveQuotes(config, msg, room, {
+      serverUrl: account.url,
+      convertMarkdown: account.convertMarkdown !== false,
+      log,
+    });
+    const { entries: quoted, remaining: budget } = budgetQuotes(quotes, account.threadContextBudget ?? DEFAULT_THREAD_CONTEXT_BUDGET);
+    if (quoted.length) ctx.QuotedMessages = quoted;
+
     if (threadHistory?.length) {
-      const budget = account.threadContextBudget ?? DEFAULT_THREAD_CONTEXT_BUDGET;
       ctx.InboundHistory = buildInboundHistory(threadHistory, msg._id, budget);
-      ctx.ThreadStarterBody = threadHistory[0]?.msg || '';
+      // The latest replies only reach back to the start of a short thread
+      const starter = threadHistory.find((m) => m._id === replyThreadId)
+        ?? (threadHistory.length < THREAD_CONTEXT_COUNT ? threadHistory[0] : null);
+      if (starter) ctx.ThreadStarterBody = starter.msg || '';
       ctx.MessageThreadId = replyThreadId;
     }
 
     // Download file attachments to temp dir for media context
     if (msg.file && msg.attachments?.length) {
+      await progress.stage('downloading');
       try {
         tempDir = await mkdtemp(join(tmpdir(), 'rc-attach-'));
         const paths = [];
@@ -166,159 +347,815 @@ async function processMessage(config, msg, roomId, replyThreadId, { account, cfg
       }
     }
 
+    const maxLength = await messageLimit(config, log);
+    const streamOptions = {
+      config,
+      roomId,
+      threadId: replyThreadId,
+      placeholder: account.streamPlaceholder,
+      throttleMs: account.streamThrottleMs,
+      maxLength,
+      persona,
+    };
+    if (replacing.length) {
+      for (const messageId of replacing.slice(1)) {
+        try {
+          await deleteMessage(config, { roomId, messageId });
+        } catch (err) {
+          log?.warn?.(`Failed to delete old reply ${messageId} to ${msg._id}: ${err.message}`);
+        }
+      }
+      // Edited in place like a streamed reply, placeholder and all if streaming
+      stream = createStreamingReply({ ...streamOptions, messageId: replacing[0] });
+      if (replyStyle === 'stream') {
+        try {
+          await stream.start();
+        } catch (err) {
+          log?.warn?.(`Could not reset old reply for ${msg._id}: ${err.message}`);
+        }
+      }
+    } else if (replyStyle === 'stream') {
+      stream = createStreamingReply(streamOptions);
+      try {
+        await stream.start();
+      } catch (err) {
+        log?.warn?.(`Could not post placeholder for ${msg._id}, replying without streaming: ${err.message}`);
+        stream = null;
+      }
+    }
+
     let delivered = false;
     let deliveryError = null;
 
+    await progress.stage('running');
     await pluginRuntime.channel.reply.dispatchReplyWithBufferedBlockDispatcher({
       ctx,
       cfg,
-      replyOptions: {},
+      replyOptions: { abortSignal: signal },
       dispatcherOptions: {
         deliver: async (payload) => {
-          await sendMessage(config, {
-            roomId,
-            text: payload.text,
-            threadId: replyThreadId,
-          });
+          // Blocks the agent produced before it saw the abort
+          if (signal?.aborted) return;
+          await progress.stage('delivering');
+          const mediaUrls = mediaUrlsOf(payload);
+          const replyText = formatReply(payload.text, account);
+          if (mediaUrls.length) {
+            replies.push(...await sendMediaReply(config, {
+              roomId,
+              threadId: replyThreadId,
+              mediaUrls,
+              text: replyText,
+              maxBytes: mediaMaxBytes(account),
+              access: mediaAccess(account),
+              persona,
+              log,
+            }));
+          } else if (stream) {
+            await stream.append(replyText);
+          } else {
+            replies.push(...await sendLongText(config, {
+              roomId,
+              threadId: replyThreadId,
+              text: replyText,
+              limit: maxLength,
+              codeSnippets: account.codeSnippets,
+              persona,
+            }));
+          }
           delivered = true;
         },
         onError: (err) => {
           deliveryError = err;
-          log?.error?.(`Reply delivery failed for ${msg._id}: ${err.message}`);
+          log?.error?.(`Reply delivery failed for ${msg._id} (ref ${ref}): ${err.message}`);
         },
       },
     });
 
-    if (delivered && !deliveryError) {
-      await markComplete(config, msg._id, log);
-    } else {
-      await markFailed(config, msg._id, log);
-      if (!deliveryError) {
-        log?.warn?.(`No reply delivered for message ${msg._id}`);
+    if (stream) {
+      const streamed = stream;
+      stream = null;
+      // Sends the last throttled edit, or removes the placeholder if nothing came
+      try {
+        await streamed.finish();
+      } finally {
+        replies.push(...streamed.messageIds);
       }
     }
+
+    if (signal?.aborted) return await stopped();
+    if (delivered && !deliveryError) {
+      await progress.done();
+      return 'done';
+    }
+    await progress.failed();
+    if (!deliveryError) {
+      log?.warn?.(`No reply delivered for message ${msg._id} (ref ${ref})`);
+    }
+    await failures.report(config, { roomId, threadId: replyThreadId, kind: failureKind(deliveryError), ref, persona });
+    return 'failed';
   } catch (err) {
-    await markFailed(config, msg._id, log);
-    log?.error?.(`Dispatch error for message ${msg._id}: ${err.message}`);
+    // Keep whatever was streamed before the failure
+    if (stream) {
+      await stream.finish().catch(() => {});
+      replies.push(...stream.messageIds);
+    }
+    if (signal?.aborted) return await stopped();
+    if (err instanceof AuthError) {
+      // Reactions would be rejected with the same credentials; don't try
+      log?.error?.(`Rocket.Chat rejected the bot's credentials while handling ${msg._id}: ${err.message}`);
+    } else {
+      await progress.failed();
+      log?.error?.(`Dispatch error for message ${msg._id} (ref ${ref}): ${err.message}`);
+      await failures.report(config, { roomId, threadId: replyThreadId, kind: failureKind(err), ref, persona });
+    }
+    return 'failed';
   } finally {
+    releaseSession?.();
     if (tempDir) {
       rm(tempDir, { recursive: true, force: true }).catch(() => {});
     }
   }
+}
 
-  return true;
+/**
+ * Ordering keys for the work queue: the thread the reply goes to, and the
+ * peer the message is routed by (see routePeer). A run waits for earlier
+ * runs sharing either, so a thread is answered in order and one peer's
+ * session never has two runs at once, even when it spans threads or rooms.
+ * Peers OpenClaw puts in one session also take turns (see claimSession).
+ */
+export function queueKeysFor(msg, room, replyThreadId, sessionScope = 'user') {
+  const peer = routePeer(sessionScope, { room, senderId: msg.u?._id || 'unknown', threadId: replyThreadId });
+  const keys = [`session:${peer.kind}:${peer.id}`];
+  if (replyThreadId) keys.push(`thread:${replyThreadId}`);
+  return keys;
 }
 
-export async function monitorRocketChat({ account, cfg, abortSignal, log }) {
-  const config = {
-    url: account.url,
-    authToken: account.authToken,
-    userId: account.userId,
-  };
-  const channelName = account.channel;
-  const botUserId = account.userId;
+/**
+ * Run the inbound loop for one account until abortSignal fires.
+ * `stateStore` overrides the account's persistent state backend (see state.js).
+ */
+export async function monitorRocketChat({ account, cfg, abortSignal, log, stateStore }) {
+  let config;
+  try {
+    config = await sessionConfig(account, { log });
+  } catch (err) {
+    log?.error?.(`Rocket.Chat login failed: ${err.message}`);
+    throw err;
+  }
+  const botUserId = config.userId;
   const pollInterval = (account.pollInterval || 2) * 1000;
   const threadTtlMs = ((account.threadTtlHours ?? DEFAULT_THREAD_TTL_HOURS) * 60 * 60 * 1000);
+  const transport = account.transport || 'poll';
+  const backfillMaxAgeMs = account.backfillMaxAge != null ? account.backfillMaxAge * 1000 : null;
+  const metrics = accountMetrics(account.accountId || 'default');
+  const orphanMaxAgeMs = secondsOption(account, 'orphanMaxAge', DEFAULT_ORPHAN_MAX_AGE_SECONDS, log) * 1000;
+  const shutdownGraceMs = secondsOption(account, 'shutdownGraceSeconds', DEFAULT_SHUTDOWN_GRACE_SECONDS, log) * 1000;
+
+  let maxConcurrency = account.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY;
+  if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+    log?.warn?.(`Invalid maxConcurrency "${maxConcurrency}", using ${DEFAULT_MAX_CONCURRENCY}`);
+    maxConcurrency = DEFAULT_MAX_CONCURRENCY;
+  }
+
+  let respondTo = account.respondTo || 'all';
+  if (!RESPOND_TO_MODES.includes(respondTo)) {
+    log?.warn?.(`Unknown respondTo "${respondTo}", answering all messages`);
+    respondTo = 'all';
+  }
+  if (respondTo === 'prefix' && !account.prefix) {
+    log?.warn?.('respondTo is "prefix" but no prefix is configured; only mentions will be answered');
+    respondTo = 'mentions';
+  }
+
+  let replyStyle = account.replyStyle || 'message';
+  if (!REPLY_STYLES.includes(replyStyle)) {
+    log?.warn?.(`Unknown replyStyle "${replyStyle}", sending replies as separate messages`);
+    replyStyle = 'message';
+  }
+
+  let unauthorized = account.authorization?.unauthorized || 'ignore';
+  if (!UNAUTHORIZED_RESPONSES.includes(unauthorized)) {
+    log?.warn?.(`Unknown authorization.unauthorized "${unauthorized}", ignoring unauthorized senders`);
+    unauthorized = 'ignore';
+  }
+  let editedMessages = account.editedMessages || 'ignore';
+  if (!EDIT_MODES.includes(editedMessages)) {
+    log?.warn?.(`Unknown editedMessages "${editedMessages}", ignoring edits`);
+    editedMessages = 'ignore';
+  }
+  let deletedMessages = account.deletedMessages || 'ignore';
+  if (!DELETE_MODES.includes(deletedMessages)) {
+    log?.warn?.(`Unknown deletedMessages "${deletedMessages}", ignoring deletes`);
+    deletedMessages = 'ignore';
+  }
+
+  const authorizer = createAuthorizer(config, account.authorization, { log });
+  const failures = createFailureReplies(account.failureReplies, { log });
+  const reactions = createReactions(account.reactions, { log });
+
+  // Mention detection by text needs the bot's username; msg.mentions works with the ID alone
+  let botUsername = account.botUsername;
+  if (!botUsername && respondTo !== 'all') {
+    try {
+      botUsername = (await getMe(config)).username;
+    } catch (err) {
+      log?.warn?.(`Could not look up bot username, relying on structured mentions only: ${err.message}`);
+    }
+  }
+
+  // Resolve configured rooms -> roomIds once at startup. Rooms that fail to
+  // resolve are logged and skipped; this only throws if none resolve.
+  const rooms = await resolveRooms(config, configuredRooms(account), log);
+  for (const room of rooms) {
+    log?.info?.(`Monitoring Rocket.Chat channel #${room.name} (${room.id})`);
+  }
+  const roomsById = new Map(rooms.map((room) => [room.id, room]));
+
+  let defaultScope = account.sessionScope || 'user';
+  if (!SESSION_SCOPES.includes(defaultScope)) {
+    log?.warn?.(`Unknown sessionScope "${defaultScope}", using "user"`);
+    defaultScope = 'user';
+  }
+  // Account settings with each room's overrides (the `rooms` map) applied
+  const roomSettings = new Map();
+  for (const room of rooms) {
+    const overrides = roomOverrides(account, room);
+    let sessionScope = overrides.sessionScope ?? defaultScope;
+    if (!SESSION_SCOPES.includes(sessionScope)) {
+      log?.warn?.(`Unknown sessionScope "${sessionScope}" for #${room.name}, using "${defaultScope}"`);
+      sessionScope = defaultScope;
+    }
+    roomSettings.set(room.id, {
+      ...overrides,
+      sessionScope,
+      persona: overrides.persona ?? account.persona,
+      threads: compileThreadRules(overrides.threads, { roomName: room.name, log }),
+    });
+  }
+
+  // First message of each thread, for rooms with `threads` rules
+  const threadStarters = new Map();
+
+  async function threadStarterText(msg) {
+    if (!msg.tmid) return msg.msg || '';
+    if (threadStarters.has(msg.tmid)) return threadStarters.get(msg.tmid);
+    try {
+      const text = (await getMessage(config, msg.tmid)).message?.msg || '';
+      threadStarters.set(msg.tmid, text);
+      if (threadStarters.size > MAX_PROCESSED_IDS) threadStarters.delete(threadStarters.keys().next().value);
+      return text;
+    } catch (err) {
+      log?.warn?.(`Could not read the first message of thread ${msg.tmid}, using the room's agent: ${err.message}`);
+      return null;
+    }
+  }
+
+  /** Agent and persona for a message: the first matching thread rule's, else the room's. */
+  async function bindingFor(msg, room) {
+    const settings = roomSettings.get(room.id);
+    const rule = settings.threads.length ? matchThreadRule(settings.threads, await threadStarterText(msg)) : null;
+    return { agentId: rule?.agentId ?? settings.agentId, persona: rule?.persona ?? settings.persona };
+  }
 
-  // Resolve channel -> roomId once at startup
-  let roomId;
+  // Processed IDs, room cursors and thread cursors survive restarts. Shared
+  // across rooms so a message is never dispatched twice.
+  const state = stateStore ?? createStateStore(account, {
+    maxProcessedIds: account.maxProcessedIds ?? MAX_PROCESSED_IDS,
+    threadTtlMs,
+    log,
+  });
   try {
-    const info = await getChannelInfo(config, channelName);
-    roomId = info.channel._id;
-    log?.info?.(`Monitoring Rocket.Chat channel #${channelName} (${roomId})`);
+    await state.load();
   } catch (err) {
-    log?.error?.(`Failed to resolve channel #${channelName}: ${err.message}`);
-    throw err;
+    log?.warn?.(`Failed to load Rocket.Chat monitor state, starting fresh: ${err.message}`);
+  }
+
+  // Threads the bot has been pulled into (for threads-only-after-mention)
+  const trigger = { respondTo, botUsername, prefix: account.prefix, engagedThreads: new Set() };
+  const shared = {
+    account, cfg, botUserId, log, replyStyle, authorizer, unauthorized, roomSettings, bindingFor, failures, state, trigger,
+    reactions, botName: botUsername,
+  };
+
+  // The bot's own reactions are told apart by its username. Unless known
+  // already, it is looked up once, when first needed; null if that fails.
+  let botNameLookup = null;
+  function lookUpBotName() {
+    if (shared.botName) return Promise.resolve(shared.botName);
+    botNameLookup ??= getMe(config).then((me) => (shared.botName = me.username), (err) => {
+      log?.warn?.(`Could not look up bot username, so reactions from anyone count as the bot's: ${err.message}`);
+      return null;
+    });
+    return botNameLookup;
   }
 
-  const processedIds = new Set();
-  // threadId -> { lastSeen: timestamp, offset: number of messages already seen }
-  const activeThreads = new Map();
+  // Agent runs happen off the poll loop so one slow reply doesn't hold up the rest
+  const queue = createWorkQueue({
+    maxConcurrency,
+    onError: (err, keys) => log?.error?.(`Message handling error (${keys.join(', ')}): ${err.message}`),
+    onChange: ({ pending, active }) => {
+      metrics.queueDepth = pending;
+      metrics.inFlight = active;
+    },
+  });
 
-  while (!abortSignal?.aborted) {
+  // Messages queued, running, or failed recently, for 🔁 and 🛑 reactions,
+  // and answered recently when edits or deletes are acted on
+  const controls = createMessageControls({
+    edits: editedMessages !== 'ignore',
+    answeredWindowMs: editedMessages !== 'ignore' || deletedMessages === 'retract' ? ANSWERED_WINDOW_MS : 0,
+  });
+
+  /** Delete the bot's replies to a message that was deleted. */
+  async function retractReplies(entry) {
+    for (const messageId of entry.replyIds.splice(0)) {
+      try {
+        await deleteMessage(config, { roomId: entry.room.id, messageId });
+      } catch (err) {
+        log?.warn?.(`Failed to delete reply ${messageId} to deleted message ${entry.msg._id}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Queue a tracked message's run; its outcome decides whether it stays
+   * tracked. `replacing` is an earlier reply to edit the new one into. The
+   * message stays in the state's pending list until the run ends, so one
+   * still waiting when the gateway dies is answered after a restart (see
+   * replayPending).
+   */
+  function queueRun(entry, msg, replacing = []) {
+    const { room, replyThreadId, threadHistory, screened, controller } = entry;
+    const progress = reactions.progress(config, msg._id);
+    const queued = progress.stage('queued');
+    state.markPending(msg._id, room.id);
+    queue.push(queueKeysFor(msg, room, replyThreadId, roomSettings.get(room.id).sessionScope), async () => {
+      let outcome;
+      try {
+        await queued;
+        outcome = await handleMessage(config, msg, room, replyThreadId, {
+          ...shared, threadHistory, progress, signal: controller.signal, replies: entry.replyIds, replacing,
+        }, screened);
+      } finally {
+        // An edit or 🔁 may have queued another run for the message since
+        const current = controls.get(msg._id);
+        if (!current || current.controller === controller) state.clearPending(msg._id);
+        controls.settle(msg._id, outcome, controller);
+        if (entry.deleted && deletedMessages === 'retract') await retractReplies(entry);
+      }
+    });
+  }
+
+  /** Screen a message now and queue it for the agent if it should be answered. */
+  async function enqueueMessage(msg, room, replyThreadId, threadHistory) {
+    if (reactions.isDone(msg)) await lookUpBotName();
+    const screened = screenMessage(msg, room, replyThreadId, { ...shared, threadHistory });
+    if (!screened) return;
+    queueRun(controls.track(msg, room, { replyThreadId, threadHistory, screened }), msg);
+  }
+
+  /** Act on a changed copy of a tracked message: answer edits, retry on 🔁, cancel on 🛑. */
+  function handleUpdate(msg, room) {
+    const action = controls.update(msg);
+    if (action === 'edit') {
+      const entry = controls.get(msg._id);
+      const { respond, wasMentioned, body } = triggerFor(msg, room, { ...shared, threadHistory: entry.threadHistory });
+      if (!respond) {
+        log?.info?.(`Not answering edited ${msg._id} in #${room.name}: it no longer addresses the bot`);
+        controls.settle(msg._id, 'skipped', entry.controller);
+        return;
+      }
+      log?.info?.(`Answering ${msg._id} in #${room.name} again: the message was edited`);
+      entry.screened = { wasMentioned, body, edited: true };
+      queueRun(entry, msg, editedMessages === 'replace' ? entry.replyIds.splice(0) : []);
+    } else if (action === 'cancel') {
+      log?.info?.(`Cancelling ${msg._id} in #${room.name}: a user reacted with 🛑`);
+    } else if (action === 'retry') {
+      log?.info?.(`Retrying ${msg._id} in #${room.name}: a user reacted with 🔁`);
+      queueRun(controls.get(msg._id), msg);
+    }
+  }
+
+  /** Stop a deleted message's run and, with 'retract', remove the bot's replies. */
+  function handleDelete(messageId, room) {
+    const entry = controls.remove(messageId);
+    if (!entry) return;
+    log?.info?.(`Message ${messageId} was deleted in #${room.name}`);
+    // A run in progress retracts its replies when it stops
+    if (entry.status !== 'active' && deletedMessages === 'retract') retractReplies(entry);
+  }
+
+  /** Poll a room's changed and deleted messages for tracked ones. */
+  async function syncChanges(room) {
+    const since = controls.cursor(room.id);
+    if (since == null) return;
+    const { result } = await syncMessages(config, room.id, since);
+    for (const msg of result?.updated || []) {
+      controls.advance(room.id, msg._updatedAt);
+      if (controls.get(msg._id)) handleUpdate(msg, room);
+    }
+    if (deletedMessages === 'ignore') return;
+    for (const msg of result?.deleted || []) {
+      controls.advance(room.id, msg._deletedAt);
+      handleDelete(msg._id, room);
+    }
+  }
+
+  /** The latest THREAD_CONTEXT_COUNT replies in a thread, oldest-first. */
+  async function fetchThreadContext(threadId) {
     try {
-      const history = await getChannelHistory(config, roomId, 20);
-      const messages = (history.messages || []).slice().reverse(); // oldest-first
+      // Newest-first, or a long thread would give its first replies instead
+      const threadData = await getThreadMessages(config, threadId, { count: THREAD_CONTEXT_COUNT, sort: { ts: -1 } });
+      return (threadData.messages || []).slice().reverse();
+    } catch (err) {
+      log?.error?.(`Thread context fetch error for ${threadId}: ${err.message}`);
+      return undefined;
+    }
+  }
+
+  // Replies go in a thread off the message, except top-level DM messages,
+  // which get a plain reply like a normal conversation.
+  function replyThreadFor(msg, room) {
+    if (msg.tmid) return msg.tmid;
+    return room.type === 'd' ? null : msg._id;
+  }
 
-      for (const msg of messages) {
-        if (abortSignal?.aborted) break;
+  /**
+   * A message the bot left its ⏳ (or another progress reaction) on without
+   * finishing (the gateway died mid-run) is already marked processed, so
+   * polling won't pick it up again. Answer it again if it is recent enough,
+   * otherwise mark it ❌.
+   */
+  async function reconcileMessage(msg, room, botName) {
+    state.markProcessed(msg._id);
+    state.clearPending(msg._id);
+    // Cleared before anything else, as chat.react may toggle
+    const leftover = reactions.progress(config, msg._id, { shown: reactions.stagesOn(msg, botName) });
+    const replyThreadId = replyThreadFor(msg, room);
+    const threadHistory = msg.tmid ? await fetchThreadContext(msg.tmid) : undefined;
+    const { respond, wasMentioned, body } = triggerFor(msg, room, { ...shared, threadHistory });
+    if (!respond) {
+      // Settings changed since; it isn't ours to answer any more
+      await leftover.cancelled();
+      return;
+    }
+    const entry = controls.track(msg, room, { replyThreadId, threadHistory, screened: { wasMentioned, body } });
+    if (Date.now() - timestampOf(msg.ts) > orphanMaxAgeMs) {
+      log?.info?.(`Marking unfinished ${msg._id} in #${room.name} as failed: it is too old to answer again`);
+      await leftover.failed();
+      // Still retryable with 🔁
+      controls.settle(msg._id, 'failed');
+      return;
+    }
+    log?.info?.(`Answering unfinished ${msg._id} in #${room.name} again`);
+    await leftover.cancelled();
+    queueRun(entry, msg);
+  }
 
-        // Track thread parents before processedIds skip — must discover threads
-        // even for already-processed parent messages
-        if (!msg.tmid && msg.tcount > 0) {
-          if (!activeThreads.has(msg._id)) {
-            activeThreads.set(msg._id, { lastSeen: Date.now(), offset: 0 });
-          } else {
-            activeThreads.get(msg._id).lastSeen = Date.now();
-          }
+  /**
+   * Startup pass over each room's messages changed within threadTtlHours,
+   * thread replies included (a reaction counts as a change), for ones the
+   * bot left unfinished.
+   */
+  async function reconcile() {
+    if (!reactions.enabled) return;
+    const since = Date.now() - threadTtlMs;
+    for (const room of rooms) {
+      if (abortSignal?.aborted) return;
+      try {
+        const { result } = await syncMessages(config, room.id, since);
+        const candidates = (result?.updated || []).filter((msg) => reactions.stagesOn(msg).length && msg.u?._id !== botUserId);
+        if (!candidates.length) continue;
+        // Without the bot's username, someone else's ⏳ could pass for its own
+        const botName = await lookUpBotName();
+        if (!botName) return;
+        const unfinished = candidates
+          .filter((msg) => reactions.isUnfinished(msg, botName))
+          .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+        for (const msg of unfinished) await reconcileMessage(msg, room, botName);
+      } catch (err) {
+        log?.warn?.(`Could not check #${room.name} for unfinished messages: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Messages still queued when the gateway last stopped, which polling won't
+   * pick up again: they are marked processed and the room cursor has moved
+   * past them. Ones that got as far as a progress reaction were handled by
+   * reconcile(); the rest are answered again if they are recent enough.
+   */
+  async function replayPending() {
+    for (const [messageId, { roomId }] of state.pendingMessages()) {
+      if (abortSignal?.aborted) return;
+      // Queued again by reconcile()
+      if (controls.get(messageId)) continue;
+      state.clearPending(messageId);
+      const room = roomsById.get(roomId);
+      if (!room) continue;
+      try {
+        const { message: msg } = await getMessage(config, messageId);
+        // Answered after all: the run ended before the state was saved
+        if (reactions.isDone(msg) && reactions.isDone(msg, await lookUpBotName())) continue;
+        if (Date.now() - timestampOf(msg.ts) > orphanMaxAgeMs) {
+          log?.info?.(`Not answering queued ${messageId} in #${room.name}: it is too old to answer again`);
+          continue;
         }
+        const replyThreadId = replyThreadFor(msg, room);
+        const threadHistory = msg.tmid ? await fetchThreadContext(msg.tmid) : undefined;
+        const { respond, wasMentioned, body } = triggerFor(msg, room, { ...shared, threadHistory });
+        if (!respond) continue;
+        log?.info?.(`Answering ${messageId} in #${room.name}: it was still queued when the monitor stopped`);
+        queueRun(controls.track(msg, room, { replyThreadId, threadHistory, screened: { wasMentioned, body } }), msg);
+      } catch (err) {
+        log?.warn?.(`Could not answer queued message ${messageId} again: ${err.message}`);
+      }
+    }
+  }
 
-        const replyThreadId = msg.tmid || msg._id;
+  function recordSeen(room, msg) {
+    state.setRoomCursor(room.id, new Date(msg.ts).getTime());
+  }
 
-        // Fetch thread context for messages that are thread replies
-        let threadHistory;
-        if (msg.tmid) {
-          try {
-            const threadData = await getThreadMessages(config, msg.tmid, { count: 20 });
-            threadHistory = threadData.messages || [];
-          } catch (err) {
-            log?.error?.(`Thread context fetch error for ${msg.tmid}: ${err.message}`);
-          }
-        }
+  /** Timestamp a room's history is read from: its cursor, clamped by backfillMaxAge. */
+  function historyFloor(room) {
+    const cursor = state.getRoomCursor(room.id);
+    if (backfillMaxAgeMs == null) return cursor;
+    const floor = Date.now() - backfillMaxAgeMs;
+    return cursor == null ? floor : Math.max(cursor, floor);
+  }
 
-        await processMessage(config, msg, roomId, replyThreadId, {
-          account, cfg, botUserId, channelName, log, processedIds, threadHistory,
-        });
+  /**
+   * Everything posted in a room since its cursor, oldest-first. Pages through
+   * history with `oldest` + offset so a burst larger than one page (or
+   * downtime) can't push messages out of view. backfillMaxAge caps how far back
+   * to go. Without a cursor or cap, only the latest window is read.
+   */
+  async function fetchNewMessages(room) {
+    const oldest = historyFloor(room);
+
+    if (oldest == null) {
+      const history = await fetchRoomHistory(config, room, INITIAL_HISTORY_COUNT);
+      return (history.messages || []).slice().reverse();
+    }
+
+    const byId = new Map();
+    let pages = 0;
+    let offset = 0;
+    let truncated = false;
+    while (!abortSignal?.aborted) {
+      if (pages === HISTORY_MAX_PAGES) {
+        truncated = true;
+        break;
       }
+      // inclusive: a message sharing the cursor's millisecond must not be skipped
+      const history = await fetchRoomHistory(config, room, HISTORY_PAGE_SIZE, { oldest, offset, inclusive: true });
+      const page = history.messages || [];
+      pages++;
+      for (const msg of page) byId.set(msg._id, msg);
+      if (page.length !== HISTORY_PAGE_SIZE) break;
+      offset += page.length;
+    }
+    if (truncated) {
+      log?.warn?.(`History backlog in #${room.name} exceeds ${HISTORY_MAX_PAGES * HISTORY_PAGE_SIZE} messages; only the newest were read`);
+    }
 
-      // Prune stale threads
-      const now = Date.now();
-      for (const [threadId, state] of activeThreads) {
-        if (now - state.lastSeen > threadTtlMs) {
-          activeThreads.delete(threadId);
-        }
+    const messages = [...byId.values()].sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    if (pages > 1) {
+      metrics.backlogsDrained++;
+      metrics.backlogMessages += messages.length;
+      metrics.lastBacklog = { room: room.name, messages: messages.length, pages, at: Date.now() };
+      log?.info?.(`Drained backlog of ${messages.length} message(s) in #${room.name} across ${pages} pages`);
+    }
+    return messages;
+  }
+
+  // Highest thread `tlm` handled per room. A thread active past it has replies
+  // we haven't seen, whether or not it has a cursor yet.
+  const threadFloors = new Map();
+
+  /**
+   * Threads in a room whose last message is newer than `floor`, oldest
+   * activity first. The list is sorted by `tlm`, so paging stops at the first
+   * thread that is already up to date.
+   */
+  async function fetchActiveThreads(room, floor) {
+    const active = [];
+    let offset = 0;
+    for (let page = 0; page < THREAD_MAX_PAGES; page++) {
+      const data = await getThreadsList(config, room.id, { count: THREAD_PAGE_SIZE, offset });
+      const threads = data.threads || [];
+      for (const thread of threads) {
+        if (!(timestampOf(thread.tlm) > floor)) return active.reverse();
+        active.push(thread);
       }
+      if (threads.length < THREAD_PAGE_SIZE) break;
+      offset += threads.length;
+    }
+    return active.reverse();
+  }
 
-      // Poll active threads for new replies (offset skips already-seen messages)
-      for (const [threadId, state] of activeThreads) {
-        if (abortSignal?.aborted) break;
-        try {
-          const threadData = await getThreadMessages(config, threadId, {
-            count: 50,
-            offset: state.offset,
-          });
-          const newReplies = threadData.messages || [];
-
-          if (newReplies.length > 0) {
-            // Fetch last N messages for context (one extra API call per active thread with new activity)
-            const total = threadData.total ?? (state.offset + newReplies.length);
-            const contextCount = 20;
-            const contextOffset = Math.max(0, total - contextCount);
-            const contextData = await getThreadMessages(config, threadId, {
-              count: contextCount, offset: contextOffset,
-            });
-            const threadHistory = contextData.messages || [];
-
-            for (const reply of newReplies) {
-              if (abortSignal?.aborted) break;
-              await processMessage(config, reply, roomId, threadId, {
-                account, cfg, botUserId, channelName, log, processedIds, threadHistory,
-              });
-            }
-
-            state.offset += newReplies.length;
-            state.lastSeen = Date.now();
+  /**
+   * Replies in a thread newer than `since` (oldest-first), plus the latest
+   * replies as agent context. Reading newest-first means deleted messages
+   * can't shift what counts as new, and the first page doubles as context.
+   */
+  async function fetchThreadReplies(threadId, since) {
+    const replies = [];
+    let context = null;
+    let offset = 0;
+    for (let page = 0; page < THREAD_MAX_PAGES; page++) {
+      const data = await getThreadMessages(config, threadId, {
+        count: THREAD_PAGE_SIZE, offset, sort: { ts: -1 },
+      });
+      const messages = data.messages || [];
+      context ??= messages.slice(0, THREAD_CONTEXT_COUNT).reverse();
+      const newer = messages.filter((m) => timestampOf(m.ts) > since);
+      replies.push(...newer);
+      if (newer.length < messages.length || messages.length < THREAD_PAGE_SIZE) break;
+      offset += messages.length;
+    }
+    return { replies: replies.reverse(), context };
+  }
+
+  async function pollThreads(room, floor) {
+    if (floor == null) {
+      // Nothing seen in this room yet: start following from the current state
+      const data = await getThreadsList(config, room.id, { count: 1 });
+      threadFloors.set(room.id, timestampOf(data.threads?.[0]?.tlm) ?? -Infinity);
+      return;
+    }
+
+    let nextFloor = floor;
+    let failedSince = Infinity;
+    for (const thread of await fetchActiveThreads(room, floor)) {
+      if (abortSignal?.aborted) return;
+      const threadId = thread._id;
+      const tlm = timestampOf(thread.tlm);
+      const since = state.getThreadCursor(threadId)?.tlm ?? floor;
+      try {
+        if (tlm > since) {
+          const { replies, context } = await fetchThreadReplies(threadId, since);
+          for (const reply of replies) {
+            if (abortSignal?.aborted) return;
+            await enqueueMessage(reply, room, threadId, context);
           }
-        } catch (err) {
-          log?.error?.(`Thread poll error for ${threadId}: ${err.message}`);
+          state.setThreadCursor(threadId, { roomId: room.id, tlm, lastSeen: Date.now() });
         }
+        nextFloor = Math.max(nextFloor, tlm);
+      } catch (err) {
+        failedSince = Math.min(failedSince, since);
+        log?.error?.(`Thread poll error for ${threadId}: ${err.message}`);
       }
+    }
+    // Keep a failed thread above the floor so it is retried next poll
+    threadFloors.set(room.id, Math.min(nextFloor, failedSince));
+  }
+
+  async function pollRoom(room) {
+    const startFloor = threadFloors.has(room.id) ? null : historyFloor(room);
+    const messages = await fetchNewMessages(room);
+
+    for (const msg of messages) {
+      if (abortSignal?.aborted) break;
+
+      const replyThreadId = replyThreadFor(msg, room);
+
+      // Fetch thread context for messages that are thread replies
+      const threadHistory = msg.tmid ? await fetchThreadContext(msg.tmid) : undefined;
+
+      await enqueueMessage(msg, room, replyThreadId, threadHistory);
+      recordSeen(room, msg);
+    }
+
+    // Prune stale threads
+    state.compact();
+
+    try {
+      await syncChanges(room);
+    } catch (err) {
+      if (err instanceof RateLimitError || err instanceof AuthError) throw err;
+      log?.error?.(`Message sync error in #${room.name}: ${err.message}`);
+    }
+
+    // On the first scan, thread replies older than what channel history
+    // covered are left alone, like the channel messages before it
+    const firstSeen = messages.length ? timestampOf(messages[0].ts) - 1 : null;
+    const floor = threadFloors.get(room.id) ?? startFloor ?? firstSeen;
+    if (abortSignal?.aborted) return;
+    try {
+      await pollThreads(room, floor);
     } catch (err) {
-      log?.error?.(`Poll error: ${err.message}`);
+      log?.error?.(`Thread poll error in #${room.name}: ${err.message}`);
+    }
+  }
+
+  // Polling pauses here after the server keeps rate limiting us despite retries
+  let rateLimitedUntil = 0;
+
+  async function pollOnce(roomsToPoll = rooms) {
+    for (const room of roomsToPoll) {
+      if (abortSignal?.aborted) break;
+      // Per-room isolation: one failing room must not stall the others
+      try {
+        await pollRoom(room);
+      } catch (err) {
+        if (err instanceof RateLimitError) {
+          const waitMs = err.retryAfterMs ?? pollInterval;
+          rateLimitedUntil = Date.now() + waitMs;
+          log?.warn?.(`Rate limited while polling #${room.name}; pausing polls for ${Math.ceil(waitMs / 1000)}s`);
+          break;
+        }
+        if (err instanceof AuthError) {
+          log?.error?.(`Rocket.Chat rejected the bot's credentials while polling #${room.name}: ${err.message}`);
+          break;
+        }
+        log?.error?.(`Poll error in #${room.name}: ${err.message}`);
+      }
+    }
+  }
+
+  await reconcile();
+  await replayPending();
+
+  // Realtime messages arrive out of band; chain them so they are screened and queued in order
+  let realtimeQueue = Promise.resolve();
+  let realtime = null;
+  if (transport === 'realtime') {
+    realtime = createRealtimeClient({
+      url: account.url,
+      // Read on every (re)connect so a renewed token is picked up
+      authToken: () => config.authToken,
+      onLoginFailed: () => config.reauthenticate?.().catch((err) => {
+        log?.error?.(`Rocket.Chat re-login failed: ${err.message}`);
+      }),
+      roomIds: rooms.map((room) => room.id),
+      log,
+      onStatus: (status) => {
+        if (status === 'connected') {
+          log?.info?.(`Rocket.Chat realtime connected (${rooms.length} room(s))`);
+        } else {
+          log?.warn?.('Rocket.Chat realtime disconnected, falling back to polling');
+        }
+      },
+      onMessage: (msg) => {
+        const room = roomsById.get(msg.rid);
+        if (!room) return;
+        realtimeQueue = realtimeQueue.then(async () => {
+          if (abortSignal?.aborted) return;
+          // Reactions and edits arrive as the whole message again
+          if (controls.get(msg._id)) {
+            handleUpdate(msg, room);
+            return;
+          }
+          const threadHistory = msg.tmid ? await fetchThreadContext(msg.tmid) : undefined;
+          await enqueueMessage(msg, room, replyThreadFor(msg, room), threadHistory);
+          recordSeen(room, msg);
+        }).catch((err) => {
+          log?.error?.(`Realtime message error for ${msg._id}: ${err.message}`);
+        });
+      },
+      onDelete: deletedMessages === 'ignore' ? undefined : (messageId, roomId) => {
+        const room = roomsById.get(roomId);
+        if (!room) return;
+        realtimeQueue = realtimeQueue.then(() => handleDelete(messageId, room));
+      },
+    });
+    realtime.start();
+  } else if (transport !== 'poll') {
+    log?.warn?.(`Unknown transport "${transport}", using polling`);
+  }
+
+  // With a live socket, polling only runs once per (re)connect to catch up on
+  // anything missed while disconnected, and for rooms the server wouldn't
+  // stream; otherwise it is the fallback transport.
+  let syncedGeneration = -1;
+  while (!abortSignal?.aborted) {
+    if (!realtime?.connected) {
+      await pollOnce();
+    } else if (realtime.generation !== syncedGeneration) {
+      const generation = realtime.generation;
+      await pollOnce();
+      syncedGeneration = generation;
+    } else if (realtime.failedRoomIds.length) {
+      const failed = new Set(realtime.failedRoomIds);
+      await pollOnce(rooms.filter((room) => failed.has(room.id)));
     }
 
-    await sleep(pollInterval, abortSignal);
+    await sleep(Math.max(pollInterval, rateLimitedUntil - Date.now()), abortSignal);
+  }
+
+  realtime?.close();
+  await realtimeQueue;
+  // Let accepted messages finish: they are already marked processed. Ones
+  // still unfinished after the grace period are stopped and marked ❌.
+  if (!await settlesWithin(queue.idle(), shutdownGraceMs)) {
+    const count = controls.abortAll('shutdown');
+    log?.warn?.(`Stopping ${count} unfinished message(s) after waiting ${shutdownGraceMs / 1000}s to shut down`);
+    await queue.idle();
   }
+  await state.close();
 
   log?.info?.('Rocket.Chat monitor stopped');
 }
@@ -0,0 +1,52 @@
+/**
+ * Rocket.Chat message permalinks: `<server>/channel/<name>?msg=<id>`, with
+ * `group/` for private groups and `direct/<roomId>` for DMs. Rocket.Chat
+ * builds them from the site URL, so only links to the account's own server
+ * (including any path it is served under) are recognised.
+ */
+
+const ROOM_PATHS = { c: 'channel', p: 'group', d: 'direct' };
+const ROOM_TYPES = Object.fromEntries(Object.entries(ROOM_PATHS).map(([type, path]) => [path, type]));
+// Rocket.Chat IDs are Meteor's 17 alphanumerics; imported ones may differ
+const MESSAGE_ID = /^[\w-]+$/;
+
+function basePath(serverUrl) {
+  return new URL(serverUrl).pathname.replace(/\/+$/, '');
+}
+
+/**
+ * The message a permalink points to, as { messageId, roomType, room }, or
+ * null if `link` isn't a permalink on `serverUrl`. `room` is the name (the
+ * room ID for DMs) and `roomType` is c, p or d.
+ */
+export function parsePermalink(link, serverUrl) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+  const server = new URL(serverUrl);
+  if (url.origin !== server.origin) return null;
+  const base = basePath(serverUrl);
+  if (!url.pathname.startsWith(`${base}/`)) return null;
+
+  const messageId = url.searchParams.get('msg');
+  const [kind, room] = url.pathname.slice(base.length + 1).split('/');
+  if (!messageId || !MESSAGE_ID.test(messageId) || !ROOM_TYPES[kind] || !room) return null;
+  return { messageId, roomType: ROOM_TYPES[kind], room: decodeURIComponent(room) };
+}
+
+/** The permalink to a message in a resolved room ({ id, name, type }). */
+export function permalinkFor(serverUrl, room, messageId) {
+  const kind = ROOM_PATHS[room.type] || 'channel';
+  const target = room.type === 'd' ? room.id : room.name || room.id;
+  return `${serverUrl.replace(/\/+$/, '')}/${kind}/${encodeURIComponent(target)}?msg=${encodeURIComponent(messageId)}`;
+}
+
+/** A message ID from either a permalink on `serverUrl` or a bare ID, else null. */
+export function messageIdFrom(ref, serverUrl) {
+  const value = String(ref ?? '').trim();
+  if (MESSAGE_ID.test(value)) return value;
+  return parsePermalink(value, serverUrl)?.messageId ?? null;
+}
@@ -0,0 +1,85 @@
+/**
+ * Bounded work queue for inbound messages.
+ * Up to `maxConcurrency` tasks run at once, but tasks sharing a key (one
+ * thread, or one agent session) run one at a time in the order they were
+ * pushed, so a conversation is never answered out of order. A task may have
+ * several keys; it waits for earlier tasks sharing any of them.
+ */
+
+export const DEFAULT_MAX_CONCURRENCY = 4;
+
+export function createWorkQueue({ maxConcurrency = DEFAULT_MAX_CONCURRENCY, onError, onChange } = {}) {
+  const pending = []; // { key, keys, task } in push order
+  const busyKeys = new Set();
+  let active = 0;
+  let idleWaiters = [];
+
+  const stats = () => ({ pending: pending.length, active });
+
+  function settleIdle() {
+    if (active > 0 || pending.length > 0) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  function pump() {
+    // The earliest job per free key goes first; later jobs for a busy key
+    // wait their turn, and so do jobs behind a waiting one sharing a key
+    const blocked = new Set(busyKeys);
+    for (let i = 0; i < pending.length && active < maxConcurrency;) {
+      const { keys } = pending[i];
+      if (keys.some((key) => blocked.has(key))) {
+        for (const key of keys) blocked.add(key);
+        i++;
+        continue;
+      }
+      const [job] = pending.splice(i, 1);
+      for (const key of keys) blocked.add(key);
+      run(job);
+    }
+    onChange?.(stats());
+    settleIdle();
+  }
+
+  async function run({ key, keys, task }) {
+    active++;
+    for (const k of keys) busyKeys.add(k);
+    try {
+      await task();
+    } catch (err) {
+      onError?.(err, key);
+    } finally {
+      active--;
+      for (const k of keys) busyKeys.delete(k);
+      pump();
+    }
+  }
+
+  return {
+    /**
+     * Queue `task` (an async function) behind any earlier work for `key`, or
+     * for any of the keys if it is an array.
+     */
+    push(key, task) {
+      pending.push({ key, keys: Array.isArray(key) ? key : [key], task });
+      pump();
+    },
+
+    /** Tasks waiting to start. */
+    get depth() {
+      return pending.length;
+    },
+
+    /** Tasks currently running. */
+    get active() {
+      return active;
+    },
+
+    /** Resolves once every queued and running task has finished. */
+    idle() {
+      if (active === 0 && pending.length === 0) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+  };
+}
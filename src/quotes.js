@@ -0,0 +1,102 @@
+/**
+ * Messages an inbound message quotes or links to. Quoting in Rocket.Chat
+ * puts the quoted message's permalink in the text and adds an attachment
+ * with a `message_link`; pasting a permalink may do the same. Both are
+ * resolved with chat.getMessage and handed to the agent as QuotedMessages.
+ *
+ * The bot may be able to read rooms the sender can't, so a quoted message is
+ * only included from the same room, a public channel, or a DM or private
+ * group the sender is in. Otherwise, or if the bot can't read it either, a
+ * quote falls back to the text its attachment carries, which the sender
+ * already sent.
+ */
+
+import { getMessage } from './api.js';
+import { agentText } from './format.js';
+import { parsePermalink, permalinkFor } from './permalinks.js';
+import { roomReadableBy } from './rooms.js';
+
+// Quotes resolved per message; further ones are left as links
+export const MAX_QUOTES = 5;
+const URL_PATTERN = /https?:\/\/[^\s<>()[\]]+/g;
+
+/**
+ * Message IDs an inbound message quotes, in order and without repeats:
+ * quote attachments first, then permalinks in the text. Each comes with its
+ * attachment, if it has one.
+ */
+export function quotedRefs(msg, serverUrl) {
+  const refs = new Map();
+  for (const attachment of msg.attachments || []) {
+    const link = attachment?.message_link && parsePermalink(attachment.message_link, serverUrl);
+    if (link && !refs.has(link.messageId)) refs.set(link.messageId, attachment);
+  }
+  for (const url of (msg.msg || '').match(URL_PATTERN) || []) {
+    const link = parsePermalink(url, serverUrl);
+    if (link && !refs.has(link.messageId)) refs.set(link.messageId, null);
+  }
+  refs.delete(msg._id);
+  return [...refs].map(([messageId, attachment]) => ({ messageId, attachment }));
+}
+
+function fromAttachment(messageId, attachment) {
+  const timestamp = new Date(attachment.ts).getTime();
+  return {
+    messageId,
+    sender: attachment.author_name || 'unknown',
+    body: attachment.text || '',
+    timestamp: Number.isFinite(timestamp) ? timestamp : undefined,
+  };
+}
+
+/**
+ * The messages `msg` (sent in `room`) quotes, as { messageId, sender, body,
+ * timestamp, room?, permalink? }, in the order they are referenced. Ones
+ * that can't be shown to the sender are left out.
+ */
+export async function resolveQuotes(config, msg, room, { serverUrl, convertMarkdown = true, max = MAX_QUOTES, log } = {}) {
+  const sender = msg.u?.username;
+  const quotes = [];
+  for (const { messageId, attachment } of quotedRefs(msg, serverUrl).slice(0, max)) {
+    try {
+      const { message: quoted } = await getMessage(config, messageId);
+      const quotedRoom = await roomReadableBy(config, quoted.rid, sender, room);
+      if (quotedRoom) {
+        quotes.push({
+          messageId,
+          sender: quoted.u?.username || 'unknown',
+          body: convertMarkdown ? agentText(quoted) : quoted.msg || '',
+          timestamp: new Date(quoted.ts).getTime(),
+          room: quotedRoom.name,
+          permalink: permalinkFor(serverUrl, quotedRoom, messageId),
+        });
+        continue;
+      }
+      log?.info?.(`Not quoting ${messageId} in ${msg._id}: ${sender} cannot read its room`);
+    } catch (err) {
+      log?.warn?.(`Could not read message ${messageId} quoted in ${msg._id}: ${err.message}`);
+    }
+    if (attachment) quotes.push(fromAttachment(messageId, attachment));
+  }
+  return quotes;
+}
+
+/**
+ * Quotes trimmed to a character budget, first ones first, and what is left
+ * of the budget for thread history (see buildInboundHistory).
+ */
+export function budgetQuotes(quotes, budget) {
+  const entries = [];
+  let remaining = budget;
+  for (const quote of quotes) {
+    if (remaining <= 0) break;
+    if (quote.body.length <= remaining) {
+      entries.push(quote);
+      remaining -= quote.body.length;
+    } else {
+      entries.push({ ...quote, body: quote.body.slice(0, remaining) + '\u2026' });
+      remaining = 0;
+    }
+  }
+  return { entries, remaining };
+}
@@ -0,0 +1,85 @@
+/**
+ * Client-side rate limiting for the REST client.
+ * One token bucket per server + user, so every account on the same login
+ * shares a budget, plus per-endpoint pauses when Rocket.Chat reports that an
+ * endpoint's limit is used up (X-RateLimit-Remaining: 0).
+ */
+
+export const DEFAULT_REQUESTS_PER_SECOND = 10;
+export const DEFAULT_BURST = 20;
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createTokenBucket({
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+  burst = DEFAULT_BURST,
+  now = Date.now,
+  sleep = defaultSleep,
+} = {}) {
+  let tokens = burst;
+  let last = now();
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * requestsPerSecond);
+    last = t;
+  }
+
+  return {
+    /** Wait until a request may be sent, then spend a token. */
+    async take() {
+      for (;;) {
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+      }
+    },
+
+    get tokens() {
+      refill();
+      return tokens;
+    },
+  };
+}
+
+const limiters = new Map();
+
+/**
+ * Limiter shared by all requests for `config`'s server and user.
+ * `config.rateLimit` is { requestsPerSecond, burst }, or false to disable.
+ */
+export function limiterFor(config) {
+  if (config.rateLimit === false) return null;
+  const key = `${config.url}|${config.userId}`;
+  let limiter = limiters.get(key);
+  if (!limiter) {
+    const bucket = createTokenBucket(config.rateLimit || {});
+    const pauses = new Map(); // endpoint -> epoch ms it may be called again
+    limiter = {
+      async acquire(endpoint) {
+        const until = pauses.get(endpoint);
+        if (until) {
+          const wait = until - Date.now();
+          if (wait > 0) await defaultSleep(wait);
+          pauses.delete(endpoint);
+        }
+        await bucket.take();
+      },
+      pause(endpoint, until) {
+        if (until > (pauses.get(endpoint) ?? 0)) pauses.set(endpoint, until);
+      },
+    };
+    limiters.set(key, limiter);
+  }
+  return limiter;
+}
+
+/** Forget all limiters (tests). */
+export function resetRateLimiters() {
+  limiters.clear();
+}
@@ -1,41 +1,144 @@
 /**
  * Reaction lifecycle management.
- * Wraps api.reactToMessage() with the hourglass/check/x pattern.
+ * Wraps api.reactToMessage() with the hourglass/check/x pattern: a progress
+ * reaction while a message is being handled, then a verdict.
+ *
+ * The emoji come from the account's `reactions` setting: `false` turns them
+ * off, and an object overrides any of them by name. Besides `processing`
+ * (the hourglass), optional stages show where a run is: `queued`,
+ * `downloading` (attachments), `running` (the agent) and `delivering`. A
+ * message carries one progress reaction at a time; a stage without an emoji
+ * keeps the previous one.
  * All operations are best-effort — errors are caught and logged, never thrown.
  */
 
 import { reactToMessage } from './api.js';
 
-export async function markProcessing(config, messageId, log) {
-  try {
-    await reactToMessage(config, messageId, 'hourglass', true);
-  } catch (err) {
-    log?.warn?.(`Failed to add hourglass reaction to ${messageId}: ${err.message}`);
-  }
+export const STAGES = ['queued', 'processing', 'downloading', 'running', 'delivering'];
+export const VERDICTS = ['done', 'failed'];
+export const DEFAULT_REACTIONS = { processing: 'hourglass', done: 'white_check_mark', failed: 'x' };
+
+/** `:hourglass:` and `hourglass` are the same emoji; false or empty means none. */
+function emojiName(value) {
+  if (typeof value !== 'string') return null;
+  return value.replace(/^:|:$/g, '') || null;
 }
 
-export async function markComplete(config, messageId, log) {
-  try {
-    await reactToMessage(config, messageId, 'hourglass', false);
-  } catch (err) {
-    log?.warn?.(`Failed to remove hourglass from ${messageId}: ${err.message}`);
+/**
+ * Emoji name per stage and verdict, or null where none is shown, from the
+ * `reactions` setting. Unknown keys and values are warned about and ignored.
+ */
+export function reactionNames(setting, log) {
+  const names = Object.fromEntries([...STAGES, ...VERDICTS].map((key) => [key, null]));
+  if (setting === false) return names;
+  Object.assign(names, DEFAULT_REACTIONS);
+  if (setting == null) return names;
+  if (typeof setting !== 'object') {
+    log?.warn?.(`Invalid reactions "${setting}", using the defaults`);
+    return names;
   }
-  try {
-    await reactToMessage(config, messageId, 'white_check_mark', true);
-  } catch (err) {
-    log?.warn?.(`Failed to add checkmark to ${messageId}: ${err.message}`);
+  for (const [key, value] of Object.entries(setting)) {
+    if (!(key in names)) {
+      log?.warn?.(`Unknown reaction "${key}", ignoring it`);
+    } else if (value === false || value === null) {
+      names[key] = null;
+    } else if (emojiName(value)) {
+      names[key] = emojiName(value);
+    } else {
+      log?.warn?.(`Invalid emoji for reaction "${key}", keeping ${names[key] ?? 'none'}`);
+    }
   }
+  return names;
 }
 
-export async function markFailed(config, messageId, log) {
-  try {
-    await reactToMessage(config, messageId, 'hourglass', false);
-  } catch (err) {
-    log?.warn?.(`Failed to remove hourglass from ${messageId}: ${err.message}`);
+function reactedBy(msg, emoji, username) {
+  const usernames = msg.reactions?.[`:${emoji}:`]?.usernames;
+  if (!emoji || !usernames) return false;
+  return username == null ? usernames.length > 0 : usernames.includes(username);
+}
+
+/**
+ * Reactions for one account. `progress()` follows one run of a message from
+ * stage to verdict; the checks below read what the bot left on a message.
+ */
+export function createReactions(setting, { log } = {}) {
+  const names = reactionNames(setting, log);
+  const stageEmoji = [...new Set(STAGES.map((stage) => names[stage]).filter(Boolean))];
+
+  async function react(config, messageId, emoji, add) {
+    try {
+      await reactToMessage(config, messageId, emoji, add);
+    } catch (err) {
+      if (add) log?.warn?.(`Failed to add ${emoji} reaction to ${messageId}: ${err.message}`);
+      else log?.warn?.(`Failed to remove ${emoji} from ${messageId}: ${err.message}`);
+    }
   }
-  try {
-    await reactToMessage(config, messageId, 'x', true);
-  } catch (err) {
-    log?.warn?.(`Failed to add x reaction to ${messageId}: ${err.message}`);
+
+  /**
+   * Progress reactions for one run of a message. `shown` lists progress
+   * emoji it already carries, e.g. left over from before a restart.
+   */
+  function progress(config, messageId, { shown = [] } = {}) {
+    let current = [...shown];
+
+    // Only what is there gets removed: on some servers chat.react toggles
+    async function show(emoji) {
+      for (const old of current) {
+        if (old !== emoji) await react(config, messageId, old, false);
+      }
+      if (emoji && !current.includes(emoji)) await react(config, messageId, emoji, true);
+      current = emoji ? [emoji] : [];
+    }
+
+    async function verdict(emoji) {
+      await show(null);
+      if (emoji) await react(config, messageId, emoji, true);
+    }
+
+    return {
+      /** Move to a stage; one without an emoji keeps the current reaction. */
+      async stage(name) {
+        if (names[name]) await show(names[name]);
+      },
+      done: () => verdict(names.done),
+      failed: () => verdict(names.failed),
+      /** Stopped or dropped: the progress reaction goes, with no verdict added. */
+      cancelled: () => show(null),
+    };
   }
+
+  return {
+    names,
+    enabled: Object.values(names).some(Boolean),
+    progress,
+    /** Whether `username` (anyone, if not given) marked the message answered. */
+    isDone: (msg, username) => reactedBy(msg, names.done, username),
+    /** Verdicts `username` left on a message, to clear before answering it again. */
+    verdictsOn: (msg, username) => VERDICTS.map((key) => names[key]).filter((emoji) => reactedBy(msg, emoji, username)),
+    /** Progress emoji `username` (anyone, if not given) left on a message. */
+    stagesOn: (msg, username) => stageEmoji.filter((emoji) => reactedBy(msg, emoji, username)),
+    /**
+     * Whether the bot left a progress reaction on a message without a
+     * verdict, as when the gateway died while answering it.
+     */
+    isUnfinished(msg, botUsername) {
+      return stageEmoji.some((emoji) => reactedBy(msg, emoji, botUsername))
+        && !VERDICTS.some((key) => reactedBy(msg, names[key], botUsername));
+    },
+  };
+}
+
+// The hourglass/check/x helpers from before reactions were configurable,
+// kept for code that imports them directly. They always use the defaults.
+
+export async function markProcessing(config, messageId, log) {
+  await createReactions(undefined, { log }).progress(config, messageId).stage('processing');
+}
+
+export async function markComplete(config, messageId, log) {
+  await createReactions(undefined, { log }).progress(config, messageId, { shown: ['hourglass'] }).done();
+}
+
+export async function markFailed(config, messageId, log) {
+  await createReactions(undefined, { log }).progress(config, messageId, { shown: ['hourglass'] }).failed();
 }
@@ -0,0 +1,277 @@
+/**
+ * Realtime transport over Rocket.Chat's DDP websocket (`/websocket`).
+ * Logs in with the account's resume token, subscribes to stream-room-messages
+ * (and, if asked, deletions on stream-notify-room) for each monitored room,
+ * and reconnects (resubscribing) when the socket drops.
+ * The client counts as connected once the server has answered every
+ * subscription; rooms whose subscriptions it rejected are listed in
+ * `failedRoomIds` so the caller can keep polling them.
+ * Uses Node 22 built-in WebSocket (no external dependencies).
+ */
+
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const DEFAULT_MAX_RECONNECT_DELAY_MS = 30000;
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+/** Map an http(s) server URL to its DDP websocket endpoint. */
+export function websocketUrl(httpUrl) {
+  const base = httpUrl.replace(/\/+$/, '').replace(/^http/, 'ws');
+  return `${base}/websocket`;
+}
+
+/**
+ * DDP encodes dates as { $date: <ms> } (EJSON). Convert the date fields the
+ * monitor reads to ISO strings so realtime messages look like REST ones.
+ */
+export function normalizeDdpMessage(msg) {
+  const out = { ...msg };
+  for (const key of ['ts', '_updatedAt', 'editedAt', 'tlm']) {
+    if (out[key] && typeof out[key] === 'object' && '$date' in out[key]) {
+      out[key] = new Date(out[key].$date).toISOString();
+    }
+  }
+  return out;
+}
+
+/**
+ * Create a DDP client. Nothing happens until start() is called.
+ *
+ * onMessage(msg) receives normalized messages from every subscribed room.
+ * onDelete(messageId, roomId), if given, is told about deleted messages.
+ * onStatus(status) receives 'connected' | 'disconnected'; connected means
+ * logged in with every subscription ready or rejected.
+ * `authToken` may be a function, read at every login so a renewed token is used.
+ * onLoginFailed() is called when the server rejects the token.
+ * `generation` increments on every successful connect so callers can tell
+ * a reconnect apart from a steady connection (e.g. to run a catch-up poll).
+ */
+export function createRealtimeClient({
+  url,
+  authToken,
+  roomIds,
+  onMessage,
+  onDelete,
+  onStatus,
+  onLoginFailed,
+  log,
+  reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS,
+  maxReconnectDelayMs = DEFAULT_MAX_RECONNECT_DELAY_MS,
+  heartbeatMs = DEFAULT_HEARTBEAT_MS,
+  WebSocketImpl = globalThis.WebSocket,
+}) {
+  let ws = null;
+  let closed = false;
+  let connected = false;
+  let generation = 0;
+  let nextId = 1;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastActivity = 0;
+  let loginId = null;
+  let loggedIn = false;
+  // Subscription ID → room, for the subscriptions of the current login
+  let subscriptions = new Map();
+  let pendingSubs = new Set();
+  let failedRooms = new Set();
+
+  function send(data) {
+    if (ws?.readyState === 1) ws.send(JSON.stringify(data));
+  }
+
+  function setConnected(value) {
+    if (connected === value) return;
+    connected = value;
+    onStatus?.(value ? 'connected' : 'disconnected');
+  }
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    const delay = Math.min(reconnectDelayMs * 2 ** attempt, maxReconnectDelayMs);
+    attempt++;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    lastActivity = Date.now();
+    heartbeatTimer = setInterval(() => {
+      // Two missed heartbeats means the connection is dead even if TCP hasn't noticed
+      if (Date.now() - lastActivity > heartbeatMs * 2) {
+        log?.warn?.('Rocket.Chat realtime connection timed out, reconnecting');
+        ws?.close();
+        return;
+      }
+      send({ msg: 'ping' });
+    }, heartbeatMs);
+  }
+
+  function stopHeartbeat() {
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  function sub(roomId, name, params) {
+    const id = `sub-${nextId++}`;
+    subscriptions.set(id, roomId);
+    pendingSubs.add(id);
+    send({ msg: 'sub', id, name, params });
+  }
+
+  function subscribe() {
+    subscriptions = new Map();
+    pendingSubs = new Set();
+    failedRooms = new Set();
+    for (const roomId of roomIds) {
+      sub(roomId, 'stream-room-messages', [roomId, false]);
+      if (onDelete) sub(roomId, 'stream-notify-room', [`${roomId}/deleteMessage`, false]);
+    }
+  }
+
+  // Connected once the server has answered every subscription
+  function checkReady() {
+    if (!loggedIn || pendingSubs.size || connected) return;
+    generation++;
+    setConnected(true);
+  }
+
+  function handleFrame(data) {
+    lastActivity = Date.now();
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    switch (frame.msg) {
+      case 'connected':
+        loginId = `login-${nextId++}`;
+        send({
+          msg: 'method',
+          method: 'login',
+          id: loginId,
+          params: [{ resume: typeof authToken === 'function' ? authToken() : authToken }],
+        });
+        break;
+      case 'result':
+        if (frame.id !== loginId) break;
+        if (frame.error) {
+          log?.error?.(`Rocket.Chat realtime login failed: ${frame.error.reason || frame.error.message || frame.error.error}`);
+          onLoginFailed?.();
+          ws?.close();
+          break;
+        }
+        attempt = 0;
+        loggedIn = true;
+        subscribe();
+        checkReady();
+        break;
+      case 'ready':
+        for (const id of frame.subs || []) pendingSubs.delete(id);
+        checkReady();
+        break;
+      case 'ping':
+        send(frame.id ? { msg: 'pong', id: frame.id } : { msg: 'pong' });
+        break;
+      case 'changed':
+        if (frame.collection === 'stream-notify-room') {
+          const [roomId, event] = String(frame.fields?.eventName).split('/');
+          if (event !== 'deleteMessage' || !onDelete) break;
+          for (const arg of frame.fields?.args || []) {
+            if (arg?._id) onDelete(arg._id, roomId);
+          }
+          break;
+        }
+        if (frame.collection !== 'stream-room-messages') break;
+        for (const arg of frame.fields?.args || []) {
+          if (arg && typeof arg === 'object' && arg._id) {
+            onMessage(normalizeDdpMessage(arg));
+          }
+        }
+        break;
+      case 'nosub': {
+        // Rejected outright, or ended by the server later on
+        const roomId = subscriptions.get(frame.id);
+        if (!roomId) break;
+        subscriptions.delete(frame.id);
+        pendingSubs.delete(frame.id);
+        failedRooms.add(roomId);
+        const reason = frame.error?.reason || frame.error?.message || 'no reason given';
+        log?.warn?.(`Rocket.Chat realtime subscription for room ${roomId} rejected, polling it instead: ${reason}`);
+        checkReady();
+        break;
+      }
+      case 'failed':
+        log?.error?.(`Rocket.Chat realtime protocol version rejected (server wants ${frame.version})`);
+        ws?.close();
+        break;
+    }
+  }
+
+  function connect() {
+    if (closed) return;
+    if (!WebSocketImpl) {
+      log?.error?.('WebSocket is not available in this runtime — realtime transport disabled');
+      return;
+    }
+
+    try {
+      ws = new WebSocketImpl(websocketUrl(url));
+    } catch (err) {
+      log?.warn?.(`Rocket.Chat realtime connect failed: ${err.message}`);
+      scheduleReconnect();
+      return;
+    }
+
+    const socket = ws;
+    socket.addEventListener('open', () => {
+      send({ msg: 'connect', version: '1', support: ['1'] });
+      startHeartbeat();
+    });
+    socket.addEventListener('message', (event) => {
+      if (socket === ws) handleFrame(typeof event.data === 'string' ? event.data : String(event.data));
+    });
+    socket.addEventListener('error', (event) => {
+      log?.warn?.(`Rocket.Chat realtime socket error: ${event.message || event.error?.message || 'unknown error'}`);
+    });
+    socket.addEventListener('close', () => {
+      if (socket !== ws) return;
+      ws = null;
+      loggedIn = false;
+      stopHeartbeat();
+      setConnected(false);
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    get connected() {
+      return connected;
+    },
+    get generation() {
+      return generation;
+    },
+    /** Rooms not streamed on the current connection, because a subscription was rejected. */
+    get failedRoomIds() {
+      return [...failedRooms];
+    },
+    start() {
+      connect();
+    },
+    close() {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      stopHeartbeat();
+      const socket = ws;
+      ws = null;
+      loggedIn = false;
+      socket?.close();
+      setConnected(false);
+    },
+  };
+}
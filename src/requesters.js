@@ -0,0 +1,56 @@
+/**
+ * Who an agent run is answering, by OpenClaw session key. The monitor
+ * records the sender of a message while its run is in progress so agent
+ * tools (see tools.js) act with that sender's access rather than the bot's.
+ *
+ * Tools only know the session they run in, and different senders can share
+ * one (a room-wide scope, OpenClaw putting DMs in the main session, identity
+ * links), so runs in one session take turns: a session has at most one
+ * requester at a time, whatever the work queue lets run in parallel.
+ */
+
+const requesters = new Map();
+// sessionKey -> promise that settles when the latest claim on it is released
+const turns = new Map();
+
+function settledOrAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.resolve();
+  return new Promise((resolve) => {
+    const onAbort = () => resolve();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Wait for earlier runs in a session to release it, then record `requester`
+ * ({ userId, username, room, commands }) for it. Stops waiting if `signal`
+ * aborts, without recording anything. Resolves to a function that releases
+ * the session again; call it either way.
+ */
+export async function claimSession(sessionKey, requester, { signal } = {}) {
+  const previous = turns.get(sessionKey) ?? Promise.resolve();
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  const turn = previous.then(() => released);
+  turns.set(sessionKey, turn);
+  turn.then(() => {
+    if (turns.get(sessionKey) === turn) turns.delete(sessionKey);
+  });
+
+  await settledOrAborted(previous, signal);
+  if (!signal?.aborted) requesters.set(sessionKey, requester);
+  return () => {
+    if (requesters.get(sessionKey) === requester) requesters.delete(sessionKey);
+    release();
+  };
+}
+
+/** The requester of the run in progress for a session, or null. */
+export function requesterFor(sessionKey) {
+  return (sessionKey != null && requesters.get(sessionKey)) || null;
+}
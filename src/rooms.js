@@ -0,0 +1,201 @@
+/**
+ * Room resolution for accounts that monitor several rooms.
+ * Config entries may be channel names, private group names, room IDs,
+ * "@username" for a direct message, or glob patterns ("support-*").
+ * Resolved rooms carry their Rocket.Chat type: c (channel), p (private group), d (DM).
+ */
+
+import {
+  getChannelInfo,
+  getGroupInfo,
+  getRoomInfo,
+  getGroupMembers,
+  listJoinedRooms,
+  createDirectMessage,
+  getChannelHistory,
+  getGroupHistory,
+  getDirectHistory,
+} from './api.js';
+
+/** Room entries configured on an account (`channels`, or the legacy single `channel`). */
+export function configuredRooms(account) {
+  if (Array.isArray(account?.channels) && account.channels.length) return account.channels;
+  return account?.channel ? [account.channel] : [];
+}
+
+export function isGlob(entry) {
+  return /[*?]/.test(entry);
+}
+
+export function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function stripHash(entry) {
+  return entry.startsWith('#') ? entry.slice(1) : entry;
+}
+
+/** Open the DM room with a user and describe it as a resolved room. */
+export async function resolveDirectRoom(config, username) {
+  const data = await createDirectMessage(config, username);
+  const id = data.room?._id || data.room?.rid;
+  if (!id) throw new Error(`im.create returned no room for @${username}`);
+  return { id, name: username, type: 'd' };
+}
+
+/**
+ * Resolve a single entry to { id, name, type }.
+ * "@user" opens a DM. Otherwise the entry is tried as a channel name, then a
+ * private group name, then a room ID (whose type comes from rooms.info).
+ */
+export async function resolveRoom(config, entry) {
+  if (entry.startsWith('@')) return resolveDirectRoom(config, entry.slice(1));
+
+  const target = stripHash(entry);
+  let nameError;
+  try {
+    const info = await getChannelInfo(config, target);
+    return { id: info.channel._id, name: info.channel.name || target, type: 'c' };
+  } catch (err) {
+    nameError = err;
+  }
+  try {
+    const info = await getGroupInfo(config, target);
+    if (info?.group?._id) {
+      return { id: info.group._id, name: info.group.name || target, type: 'p' };
+    }
+  } catch {
+    // not a private group either
+  }
+  try {
+    const info = await getRoomInfo(config, target);
+    if (info?.room?._id) {
+      return { id: info.room._id, name: info.room.name || info.room.fname || target, type: info.room.t || 'c' };
+    }
+  } catch {
+    // fall through to the original name lookup error
+  }
+  throw nameError;
+}
+
+/**
+ * Resolve every configured entry to a deduplicated list of { id, name, type } rooms.
+ * A failing entry is logged and skipped so one bad room doesn't take down the rest;
+ * the call only throws if nothing resolves at all.
+ */
+export async function resolveRooms(config, entries, log) {
+  const rooms = new Map();
+  let lastError = null;
+  let joined = null;
+
+  for (const entry of entries) {
+    try {
+      if (isGlob(entry)) {
+        joined ??= (await listJoinedRooms(config)).update || [];
+        const re = globToRegExp(stripHash(entry));
+        const matches = joined.filter((r) => r.name && re.test(r.name));
+        if (!matches.length) log?.warn?.(`No joined rooms match pattern ${entry}`);
+        for (const r of matches) rooms.set(r._id, { id: r._id, name: r.name, type: r.t || 'c' });
+      } else {
+        const room = await resolveRoom(config, entry);
+        rooms.set(room.id, room);
+      }
+    } catch (err) {
+      lastError = err;
+      log?.error?.(`Failed to resolve channel #${stripHash(entry)}: ${err.message}`);
+    }
+  }
+
+  if (rooms.size === 0) {
+    throw lastError || new Error('No Rocket.Chat rooms configured');
+  }
+  return [...rooms.values()];
+}
+
+/**
+ * Per-room settings from the account's `rooms` map for a resolved room. Keys
+ * are room names ("general" or "#general"), room IDs, "@username" for a DM,
+ * or glob patterns. Matching patterns apply in config order, then exact keys.
+ */
+export function roomOverrides(account, room) {
+  const label = room.type === 'd' ? `@${room.name}` : room.name;
+  const patterns = [];
+  const exact = [];
+  for (const [key, settings] of Object.entries(account?.rooms || {})) {
+    if (!settings || typeof settings !== 'object') continue;
+    if (key === room.id || stripHash(key) === label) {
+      exact.push(settings);
+    } else if (isGlob(key) && label && globToRegExp(stripHash(key)).test(label)) {
+      patterns.push(settings);
+    }
+  }
+  return Object.assign({}, ...patterns, ...exact);
+}
+
+/**
+ * Fetch history using the endpoint family that matches the room type.
+ * `opts` ({ oldest, latest, offset, inclusive }) is passed through when given.
+ */
+export async function fetchRoomHistory(config, room, count, opts) {
+  const args = opts ? [config, room.id, count, opts] : [config, room.id, count];
+  switch (room.type) {
+    case 'p':
+      return getGroupHistory(...args);
+    case 'd':
+      return getDirectHistory(...args);
+    default:
+      return getChannelHistory(...args);
+  }
+}
+
+/**
+ * Pick the room an outbound message should go to.
+ * `to` is the OpenClaw target: "channel:<name>", "#name", a room ID, or
+ * "user:<username>" / "@username" for a DM. Without one, the account's
+ * first non-glob room is used.
+ */
+export async function resolveOutboundRoom(config, account, to) {
+  if (to) {
+    const target = String(to);
+    if (target.startsWith('user:')) return resolveDirectRoom(config, target.slice('user:'.length));
+    return resolveRoom(config, target.replace(/^channel:/, ''));
+  }
+  const fallback = configuredRooms(account).find((entry) => !isGlob(entry));
+  if (!fallback) throw new Error('No default Rocket.Chat room configured for outbound messages');
+  return resolveRoom(config, fallback);
+}
+
+const MEMBERS_PAGE_SIZE = 100;
+const MEMBERS_MAX_PAGES = 10;
+
+async function isGroupMember(config, roomId, username) {
+  for (let page = 0; page < MEMBERS_MAX_PAGES; page++) {
+    const { members = [], total = 0 } = await getGroupMembers(config, roomId, {
+      count: MEMBERS_PAGE_SIZE,
+      offset: page * MEMBERS_PAGE_SIZE,
+    });
+    if (members.some((member) => member.username === username)) return true;
+    if (members.length < MEMBERS_PAGE_SIZE || (page + 1) * MEMBERS_PAGE_SIZE >= total) return false;
+  }
+  return false;
+}
+
+/**
+ * The room `roomId` as { id, name, type } if `username` can read it, else
+ * null: `currentRoom` (where they are talking to the bot), any public
+ * channel, or a DM or private group they are in. The bot itself may see
+ * rooms the user can't. Without a username, only public channels count.
+ */
+export async function roomReadableBy(config, roomId, username, currentRoom) {
+  if (currentRoom && roomId === currentRoom.id) return currentRoom;
+  const { room } = await getRoomInfo(config, roomId);
+  const resolved = { id: room._id, name: room.name || room.fname, type: room.t };
+  if (room.t === 'c') return resolved;
+  if (!username) return null;
+  if (room.t === 'd') return room.usernames?.includes(username) ? resolved : null;
+  return await isGroupMember(config, roomId, username) ? resolved : null;
+}
@@ -0,0 +1,72 @@
+/**
+ * Session routing. `sessionScope` decides which conversation a message
+ * belongs to by choosing the peer passed to OpenClaw's resolveAgentRoute:
+ *
+ *   user         one session per sender (default)
+ *   room         one session per room, shared by everyone in it
+ *   thread       one session per thread, shared by everyone in it
+ *   user+thread  one session per sender in each thread
+ *
+ * Direct messages always get one session per user.
+ *
+ * A room can also be bound to one agent (`agentId`), and threads in it to
+ * other agents by what their first message says (`threads` rules).
+ */
+
+export const SESSION_SCOPES = ['user', 'room', 'thread', 'user+thread'];
+
+/**
+ * Peer for resolveAgentRoute. `threadId` is the thread the reply goes to;
+ * a top-level message starts its own thread.
+ */
+export function routePeer(sessionScope, { room, senderId, threadId }) {
+  if (room.type === 'd') return { kind: 'direct', id: senderId };
+  const thread = threadId ? `${room.id}:${threadId}` : room.id;
+  switch (sessionScope) {
+    case 'room':
+      return { kind: 'group', id: room.id };
+    case 'thread':
+      return { kind: 'group', id: thread };
+    case 'user+thread':
+      return { kind: 'group', id: `${thread}:${senderId}` };
+    default:
+      return { kind: 'group', id: senderId };
+  }
+}
+
+/**
+ * Compile a room's `threads` rules ([{ match, agentId, persona }]). `match`
+ * is a case-insensitive regular expression tested against the message that
+ * started the thread. Rules without a valid pattern are dropped.
+ */
+export function compileThreadRules(rules, { roomName, log } = {}) {
+  const compiled = [];
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    if (typeof rule?.match !== 'string') {
+      log?.warn?.(`Ignoring a thread rule without a "match" pattern for #${roomName}`);
+      continue;
+    }
+    try {
+      compiled.push({ ...rule, pattern: new RegExp(rule.match, 'i') });
+    } catch (err) {
+      log?.warn?.(`Ignoring thread rule "${rule?.match}" for #${roomName}: ${err.message}`);
+    }
+  }
+  return compiled;
+}
+
+/** The first rule whose pattern matches a thread's starting text, or null. */
+export function matchThreadRule(rules, text) {
+  if (text == null) return null;
+  return rules.find((rule) => rule.pattern.test(text)) ?? null;
+}
+
+/**
+ * `cfg` with one more binding, ahead of the configured ones, sending `peer`
+ * on this account to `agentId`. resolveAgentRoute then picks that agent and
+ * builds the session key for it as it would for a configured binding.
+ */
+export function bindAgent(cfg, { agentId, accountId, peer }) {
+  const binding = { agentId, match: { channel: 'rocketchat', accountId, peer } };
+  return { ...cfg, bindings: [binding, ...(cfg?.bindings || [])] };
+}
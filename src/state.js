@@ -0,0 +1,252 @@
+/**
+ * Persistent monitor state: processed message IDs, per-room last-seen
+ * timestamps, per-thread cursors and messages waiting for the agent, so a
+ * restart neither re-dispatches handled messages, forgets where each thread
+ * was, nor loses messages that were queued but not yet answered.
+ *
+ * Both backends share one interface:
+ *   createMemoryStore()     — in-process only (tests, or `stateFile: false`)
+ *   createFileStore(path)   — JSON file, written atomically (temp + rename),
+ *                             debounced, and compacted before each write
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+export const DEFAULT_MAX_PROCESSED_IDS = 500;
+const DEFAULT_THREAD_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FLUSH_DELAY_MS = 1000;
+const STATE_VERSION = 1;
+
+/** Default state file for an account: $OPENCLAW_STATE_DIR (or ~/.openclaw)/rocketchat/<accountId>.state.json */
+export function defaultStatePath(accountId = 'default') {
+  const base = process.env.OPENCLAW_STATE_DIR || join(homedir(), '.openclaw');
+  return join(base, 'rocketchat', `${accountId}.state.json`);
+}
+
+/**
+ * Core store over plain in-memory structures. `onChange` is called after every
+ * mutation (the file backend uses it to schedule a write).
+ */
+function createStore({ maxProcessedIds, threadTtlMs, onChange }) {
+  // id -> time marked; Map keeps insertion order so the oldest are evicted first
+  let processed = new Map();
+  let rooms = new Map();
+  let threads = new Map();
+  // id -> { roomId, at }, for messages queued but not finished
+  let pending = new Map();
+
+  const changed = () => onChange?.();
+
+  const store = {
+    hasProcessed(id) {
+      return processed.has(id);
+    },
+
+    markProcessed(id) {
+      processed.delete(id);
+      processed.set(id, Date.now());
+      if (processed.size > maxProcessedIds) {
+        const iter = processed.keys();
+        const excess = processed.size - maxProcessedIds;
+        for (let i = 0; i < excess; i++) processed.delete(iter.next().value);
+      }
+      changed();
+    },
+
+    get processedCount() {
+      return processed.size;
+    },
+
+    /** Last-seen message timestamp (ms) for a room, or null. */
+    getRoomCursor(roomId) {
+      return rooms.get(roomId)?.lastSeen ?? null;
+    },
+
+    /** Advance a room's last-seen timestamp. Never moves backwards. */
+    setRoomCursor(roomId, timestamp) {
+      if (!Number.isFinite(timestamp)) return;
+      const current = rooms.get(roomId)?.lastSeen ?? -Infinity;
+      if (timestamp <= current) return;
+      rooms.set(roomId, { lastSeen: timestamp });
+      changed();
+    },
+
+    getThreadCursor(threadId) {
+      return threads.get(threadId) ?? null;
+    },
+
+    setThreadCursor(threadId, cursor) {
+      threads.set(threadId, { ...cursor });
+      changed();
+    },
+
+    deleteThreadCursor(threadId) {
+      if (threads.delete(threadId)) changed();
+    },
+
+    /** [threadId, cursor] pairs, optionally limited to one room. */
+    threadCursors(roomId) {
+      const entries = [...threads.entries()];
+      return roomId ? entries.filter(([, c]) => c.roomId === roomId) : entries;
+    },
+
+    /** Record a message as queued for the agent until clearPending(id). */
+    markPending(id, roomId) {
+      if (pending.has(id)) return;
+      pending.set(id, { roomId, at: Date.now() });
+      changed();
+    },
+
+    clearPending(id) {
+      if (pending.delete(id)) changed();
+    },
+
+    /** [messageId, { roomId, at }] pairs for messages still queued, oldest first. */
+    pendingMessages() {
+      return [...pending.entries()];
+    },
+
+    /**
+     * Drop thread cursors not seen within the TTL, and pending messages
+     * queued longer ago than that. Returns the number of thread cursors removed.
+     */
+    compact(now = Date.now()) {
+      let removed = 0;
+      for (const [threadId, cursor] of threads) {
+        if (now - (cursor.lastSeen ?? 0) > threadTtlMs) {
+          threads.delete(threadId);
+          removed++;
+        }
+      }
+      for (const [id, entry] of pending) {
+        if (now - (entry.at ?? 0) > threadTtlMs) pending.delete(id);
+      }
+      return removed;
+    },
+
+    toJSON() {
+      return {
+        version: STATE_VERSION,
+        processed: Object.fromEntries(processed),
+        rooms: Object.fromEntries(rooms),
+        threads: Object.fromEntries(threads),
+        pending: Object.fromEntries(pending),
+      };
+    },
+
+    /** Replace contents from a toJSON() snapshot. */
+    restore(data) {
+      processed = new Map(
+        Object.entries(data?.processed || {}).sort(([, a], [, b]) => a - b).slice(-maxProcessedIds),
+      );
+      rooms = new Map(Object.entries(data?.rooms || {}));
+      threads = new Map(Object.entries(data?.threads || {}));
+      pending = new Map(Object.entries(data?.pending || {}).sort(([, a], [, b]) => a.at - b.at));
+    },
+
+    async load() {},
+    async flush() {},
+    async close() {},
+  };
+
+  return store;
+}
+
+export function createMemoryStore({
+  maxProcessedIds = DEFAULT_MAX_PROCESSED_IDS,
+  threadTtlMs = DEFAULT_THREAD_TTL_MS,
+} = {}) {
+  return createStore({ maxProcessedIds, threadTtlMs });
+}
+
+export function createFileStore(path, {
+  maxProcessedIds = DEFAULT_MAX_PROCESSED_IDS,
+  threadTtlMs = DEFAULT_THREAD_TTL_MS,
+  flushDelayMs = DEFAULT_FLUSH_DELAY_MS,
+  log,
+} = {}) {
+  let timer = null;
+  let dirty = false;
+  let writing = Promise.resolve();
+
+  const store = createStore({
+    maxProcessedIds,
+    threadTtlMs,
+    onChange: () => {
+      dirty = true;
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          store.flush().catch(() => {});
+        }, flushDelayMs);
+        timer.unref?.();
+      }
+    },
+  });
+
+  async function write() {
+    store.compact();
+    const tmp = `${path}.${process.pid}.tmp`;
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(tmp, JSON.stringify(store.toJSON()));
+    await rename(tmp, path);
+  }
+
+  store.path = path;
+
+  store.load = async () => {
+    let raw;
+    try {
+      raw = await readFile(path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    try {
+      const data = JSON.parse(raw);
+      if (data?.version !== STATE_VERSION) {
+        log?.warn?.(`Ignoring Rocket.Chat state file ${path} with unknown version ${data?.version}`);
+        return;
+      }
+      store.restore(data);
+      store.compact();
+    } catch (err) {
+      log?.warn?.(`Ignoring unreadable Rocket.Chat state file ${path}: ${err.message}`);
+    }
+  };
+
+  store.flush = async () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    // Serialize writes so an older snapshot can never land after a newer one
+    writing = writing.then(async () => {
+      if (!dirty) return;
+      dirty = false;
+      try {
+        await write();
+      } catch (err) {
+        dirty = true;
+        log?.error?.(`Failed to write Rocket.Chat state file ${path}: ${err.message}`);
+      }
+    });
+    return writing;
+  };
+
+  store.close = () => store.flush();
+
+  return store;
+}
+
+/**
+ * Pick the backend for an account: `stateFile: false` keeps state in memory,
+ * a string is used as the file path, otherwise the default path is used.
+ */
+export function createStateStore(account, options = {}) {
+  if (account?.stateFile === false) return createMemoryStore(options);
+  const path = account?.stateFile || defaultStatePath(account?.accountId || 'default');
+  return createFileStore(path, options);
+}
@@ -0,0 +1,130 @@
+/**
+ * Streaming replies (replyStyle: 'stream').
+ * Posts a placeholder as soon as work starts, then edits it in place with
+ * chat.update as reply blocks arrive. Edits are throttled so a chatty agent
+ * doesn't burn the chat.update rate limit, and once a message would exceed
+ * `maxLength` it is settled and the rest continues in a new message (split
+ * as in chunking.js, so code fences stay balanced).
+ *
+ * Given an existing `messageId` (a reply the bot posted earlier), the reply
+ * is edited into that message instead of a new one.
+ */
+
+import { sendMessage, updateMessage, deleteMessage } from './api.js';
+import { chunkMarkdown, DEFAULT_MESSAGE_MAX_LENGTH } from './chunking.js';
+
+export const DEFAULT_STREAM_PLACEHOLDER = 'thinking…';
+export const DEFAULT_STREAM_THROTTLE_MS = 1000;
+
+export function createStreamingReply({
+  config,
+  roomId,
+  threadId,
+  placeholder = DEFAULT_STREAM_PLACEHOLDER,
+  throttleMs = DEFAULT_STREAM_THROTTLE_MS,
+  maxLength = DEFAULT_MESSAGE_MAX_LENGTH,
+  persona,
+  messageId = null, // message currently being edited; null until posted
+}) {
+  const posted = messageId ? [messageId] : [];
+  let text = '';        // what it should say
+  let shown = null;     // what it says now
+  let lastUpdate = 0;
+  let timer = null;
+  let failure = null;
+  let appended = false;
+  let chain = Promise.resolve();
+
+  // Every API call goes through one chain so edits land in order
+  function enqueue(fn) {
+    const run = chain.then(fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function post(body) {
+    const res = await sendMessage(config, { roomId, text: body, threadId, ...persona });
+    const id = res?.message?._id ?? null;
+    if (id) posted.push(id);
+    return id;
+  }
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!text || text === shown) return;
+    if (messageId) {
+      await updateMessage(config, { roomId, messageId, text });
+    } else {
+      messageId = await post(text);
+    }
+    shown = text;
+    lastUpdate = Date.now();
+  }
+
+  function schedule() {
+    if (timer) return;
+    const wait = Math.max(0, lastUpdate + throttleMs - Date.now());
+    timer = setTimeout(() => {
+      timer = null;
+      enqueue(flush).catch((err) => { failure ??= err; });
+    }, wait);
+  }
+
+  return {
+    /** Post the placeholder, or put it in the message being replaced. */
+    start() {
+      return enqueue(async () => {
+        if (messageId) {
+          await updateMessage(config, { roomId, messageId, text: placeholder });
+        } else {
+          messageId = await post(placeholder);
+        }
+        shown = placeholder;
+      });
+    },
+
+    /** Add a reply block. The first one replaces the placeholder. */
+    append(block) {
+      if (!block) return chain;
+      return enqueue(async () => {
+        appended = true;
+        const chunks = chunkMarkdown(text ? `${text}\n\n${block}` : block, maxLength);
+        // Settle every full message; the last chunk stays open for more
+        for (const chunk of chunks.slice(0, -1)) {
+          text = chunk;
+          await flush();
+          messageId = null;
+          shown = null;
+        }
+        text = chunks.at(-1) ?? text;
+        schedule();
+      });
+    },
+
+    /**
+     * Send the last pending edit. If nothing was appended the placeholder is
+     * deleted. Resolves to whether any reply text was delivered.
+     */
+    async finish() {
+      clearTimeout(timer);
+      timer = null;
+      await enqueue(async () => {
+        if (failure) throw failure;
+        if (appended) {
+          await flush();
+        } else if (messageId) {
+          await deleteMessage(config, { roomId, messageId });
+          posted.splice(posted.indexOf(messageId), 1);
+          messageId = null;
+        }
+      });
+      return appended;
+    },
+
+    /** IDs of the messages the reply is in. */
+    get messageIds() {
+      return [...posted];
+    },
+  };
+}
@@ -0,0 +1,576 @@
+/**
+ * In-memory stand-in for Rocket.Chat's REST API, for end-to-end tests that
+ * shouldn't need a live server. Covers what the plugin uses: login, rooms,
+ * history with oldest/latest/offset paging, threads, posting/editing/deleting,
+ * reactions, syncing changed and deleted messages, uploads and file
+ * downloads, public settings, user and room roles, plus hooks to inject rate
+ * limits and failures.
+ *
+ *   import { startMockRocketChat } from '@cortex-mesh/openclaw-rocketchat/testing';
+ *
+ *   const server = await startMockRocketChat();
+ *   const account = { url: server.url, ...server.credentials('claw'), channel: 'general' };
+ *   server.postMessage({ room: 'general', username: 'alice', text: 'hi @claw' });
+ *   // ...run the monitor, then inspect server.messages('general')
+ *   await server.close();
+ *
+ * Default users: `claw` (the bot, password "bot-pass") and `alice`. Default
+ * room: the public channel `general` (id "GENERAL").
+ */
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+
+const DEFAULT_USERS = [
+  { _id: 'bot-user', username: 'claw', password: 'bot-pass', authToken: 'bot-token', roles: ['bot'] },
+  { _id: 'alice-id', username: 'alice', password: 'alice-pass', authToken: 'alice-token', roles: ['user'] },
+];
+const DEFAULT_ROOMS = [{ _id: 'GENERAL', name: 'general', t: 'c' }];
+const DEFAULT_SETTINGS = { Message_MaxAllowedSize: 5000 };
+const HISTORY_PATHS = new Set(['/api/v1/channels.history', '/api/v1/groups.history', '/api/v1/im.history']);
+
+function newId() {
+  return randomBytes(9).toString('base64url');
+}
+
+class HttpError extends Error {
+  constructor(status, body, headers = {}) {
+    super(body?.error || `HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+function fail(status, error, extra = {}) {
+  return new HttpError(status, { success: false, error, ...extra });
+}
+
+const unauthorized = () => new HttpError(401, { status: 'error', message: 'You must be logged in to do this.' });
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function parseJson(buffer) {
+  if (!buffer.length) return {};
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    throw fail(400, 'Invalid JSON body');
+  }
+}
+
+function parseSort(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw fail(400, 'Invalid sort parameter');
+  }
+}
+
+function page(items, query, defaultCount = 20) {
+  const count = Number(query.get('count') ?? defaultCount);
+  const offset = Number(query.get('offset') ?? 0);
+  return { items: items.slice(offset, offset + count), count, offset, total: items.length };
+}
+
+/**
+ * Start the server on a random local port.
+ *
+ * Options:
+ *   users         [{ _id, username, password, authToken, roles }], the first is the bot
+ *   rooms         [{ _id, name, t, roles }] (t: 'c', 'p' or 'd'; roles maps a
+ *                 username to its room roles, e.g. { alice: ['moderator'] })
+ *   settings      public settings, e.g. { Message_MaxAllowedSize: 5000 }
+ *   reactionMode  'toggle' (default: chat.react flips the reaction, as on
+ *                 servers that ignore shouldReact) or 'explicit'
+ */
+export async function startMockRocketChat({
+  users = DEFAULT_USERS,
+  rooms = DEFAULT_ROOMS,
+  settings = {},
+  reactionMode = 'toggle',
+} = {}) {
+  const state = {
+    users: users.map((user) => ({ ...user, tokens: new Set(user.authToken ? [user.authToken] : []) })),
+    rooms: rooms.map((room) => ({ ...room })),
+    messages: [],
+    // Deleted messages, for chat.syncMessages: [{ _id, rid, _deletedAt }]
+    deleted: [],
+    files: new Map(),
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+    faults: [],
+    requests: [],
+  };
+  let clock = Date.now();
+
+  // Strictly increasing timestamps so history ordering and cursors are exact
+  function now() {
+    clock = Math.max(clock + 1, Date.now());
+    return new Date(clock);
+  }
+
+  const userByName = (username) => state.users.find((u) => u.username === username);
+  const userById = (id) => state.users.find((u) => u._id === id);
+
+  function findRoom(ref) {
+    const name = String(ref).replace(/^#/, '');
+    return state.rooms.find((r) => r._id === ref || r.name === name);
+  }
+
+  function requireRoom(ref) {
+    const room = findRoom(ref);
+    if (!room) throw fail(400, `The required "roomId" or "roomName" param provided does not match any room [error-room-not-found]`, { errorType: 'error-room-not-found' });
+    return room;
+  }
+
+  function openDirect(a, b) {
+    let room = state.rooms.find((r) => r.t === 'd' && r.usernames?.includes(a.username) && r.usernames?.includes(b.username));
+    if (!room) {
+      room = { _id: `${a._id}${b._id}`, t: 'd', usernames: [a.username, b.username] };
+      state.rooms.push(room);
+    }
+    return room;
+  }
+
+  function serialize(msg) {
+    const out = { ...msg, ts: msg.ts.toISOString(), _updatedAt: msg._updatedAt.toISOString() };
+    if (msg.tlm) out.tlm = msg.tlm.toISOString();
+    if (msg.editedAt) out.editedAt = msg.editedAt.toISOString();
+    return out;
+  }
+
+  function roomSummary(room) {
+    const out = { _id: room._id, t: room.t };
+    if (room.name) out.name = room.name;
+    if (room.usernames) out.usernames = room.usernames;
+    return out;
+  }
+
+  function checkSize(text) {
+    const max = Number(state.settings.Message_MaxAllowedSize);
+    if (max && text && text.length > max) {
+      throw fail(400, 'error-message-size-exceeded', { errorType: 'error-message-size-exceeded' });
+    }
+  }
+
+  function addMessage({ room, user, text = '', tmid, ts, extra = {} }) {
+    const when = ts ? new Date(ts) : now();
+    const msg = {
+      _id: extra._id || newId(),
+      rid: room._id,
+      msg: text,
+      ts: when,
+      u: { _id: user._id, username: user.username },
+      _updatedAt: when,
+      ...extra,
+    };
+    if (tmid) {
+      const parent = state.messages.find((m) => m._id === tmid);
+      if (!parent) throw fail(400, 'Invalid thread message [error-invalid-message]');
+      msg.tmid = tmid;
+      parent.tcount = (parent.tcount || 0) + 1;
+      parent.tlm = when;
+      parent.replies = [...new Set([...(parent.replies || []), user._id])];
+      parent._updatedAt = when;
+    }
+    state.messages.push(msg);
+    return msg;
+  }
+
+  /** Add or remove `username`'s reaction; `add` undefined toggles it. */
+  function applyReaction(msg, username, emoji, add) {
+    const key = `:${String(emoji).replace(/^:|:$/g, '')}:`;
+    const reactions = msg.reactions || {};
+    const usernames = reactions[key]?.usernames || [];
+    const next = (add ?? !usernames.includes(username))
+      ? [...new Set([...usernames, username])]
+      : usernames.filter((u) => u !== username);
+    if (next.length) reactions[key] = { usernames: next };
+    else delete reactions[key];
+    msg.reactions = reactions;
+    if (!Object.keys(reactions).length) delete msg.reactions;
+    msg._updatedAt = now();
+  }
+
+  function editMessage(msg, user, text) {
+    msg.msg = text;
+    msg.editedAt = now();
+    msg.editedBy = { _id: user._id, username: user.username };
+    msg._updatedAt = msg.editedAt;
+  }
+
+  function removeMessage(index) {
+    const [msg] = state.messages.splice(index, 1);
+    state.deleted.push({ _id: msg._id, rid: msg.rid, _deletedAt: now() });
+    return msg;
+  }
+
+  function authenticate(req) {
+    const token = req.headers['x-auth-token'];
+    const userId = req.headers['x-user-id'];
+    const user = userById(userId);
+    if (!user || !token || !user.tokens.has(token)) throw unauthorized();
+    return user;
+  }
+
+  function takeFault(method, path) {
+    const index = state.faults.findIndex((f) => (!f.method || f.method === method) && f.path === path);
+    if (index === -1) return null;
+    const fault = state.faults[index];
+    if (--fault.times <= 0) state.faults.splice(index, 1);
+    return fault;
+  }
+
+  function login(body) {
+    let user;
+    if (body.resume) {
+      user = state.users.find((u) => u.tokens.has(body.resume));
+    } else if (body.user && body.password) {
+      user = userByName(typeof body.user === 'string' ? body.user : body.user.username);
+      if (user && user.password !== body.password) user = null;
+    }
+    if (!user) throw new HttpError(401, { status: 'error', error: 'Unauthorized', message: 'Unauthorized' });
+    const authToken = newId();
+    user.tokens.add(authToken);
+    return { status: 'success', data: { authToken, userId: user._id, me: { _id: user._id, username: user.username } } };
+  }
+
+  function history(room, query) {
+    const oldest = query.get('oldest') ? Date.parse(query.get('oldest')) : -Infinity;
+    const latest = query.get('latest') ? Date.parse(query.get('latest')) : Infinity;
+    const inclusive = query.get('inclusive') === 'true';
+    const messages = state.messages
+      .filter((m) => m.rid === room._id)
+      .filter((m) => {
+        const t = m.ts.getTime();
+        return inclusive ? t >= oldest && t <= latest : t > oldest && t < latest;
+      })
+      .sort((a, b) => b.ts - a.ts);
+    const { items, count, offset, total } = page(messages, query);
+    return { messages: items.map(serialize), count, offset, total, success: true };
+  }
+
+  async function route(req, method, path, query, raw) {
+    if (method === 'POST' && path === '/api/v1/login') return login(parseJson(raw));
+    if (method === 'GET' && path === '/api/info') return { version: '6.0.0', success: true };
+    if (method === 'GET' && path === '/api/v1/settings.public') {
+      const ids = query.get('_id') ? query.get('_id').split(',').map((id) => id.trim()) : Object.keys(state.settings);
+      const list = ids.filter((id) => id in state.settings).map((id) => ({ _id: id, value: state.settings[id] }));
+      return { settings: list, count: list.length, offset: 0, total: list.length, success: true };
+    }
+
+    const user = authenticate(req);
+
+    if (method === 'GET' && path.startsWith('/file-upload/')) {
+      const [, , fileId] = path.split('/');
+      const file = state.files.get(fileId);
+      if (!file) throw fail(404, 'File not found');
+      return { raw: file.data, contentType: file.type };
+    }
+
+    if (method === 'GET' && HISTORY_PATHS.has(path)) {
+      const room = requireRoom(query.get('roomId'));
+      return history(room, query);
+    }
+
+    if (method === 'POST' && path.startsWith('/api/v1/rooms.upload/')) {
+      const room = requireRoom(decodeURIComponent(path.slice('/api/v1/rooms.upload/'.length)));
+      const form = await new Response(raw, { headers: { 'content-type': req.headers['content-type'] || '' } }).formData();
+      const file = form.get('file');
+      if (!file || typeof file === 'string') throw fail(400, 'No file uploaded');
+      const fileId = newId();
+      const data = Buffer.from(await file.arrayBuffer());
+      state.files.set(fileId, { name: file.name, type: file.type, data });
+      const text = form.get('msg') || '';
+      checkSize(text);
+      const link = `/file-upload/${fileId}/${encodeURIComponent(file.name)}`;
+      const attachment = { type: 'file', title: file.name, title_link: link, description: form.get('description') || undefined };
+      if (file.type.startsWith('image/')) attachment.image_type = file.type;
+      const msg = addMessage({
+        room, user, text, tmid: form.get('tmid') || undefined,
+        extra: { file: { _id: fileId, name: file.name, type: file.type, size: data.length }, attachments: [attachment] },
+      });
+      return { message: serialize(msg), success: true };
+    }
+
+    const body = method === 'POST' ? parseJson(raw) : {};
+    switch (`${method} ${path}`) {
+      case 'GET /api/v1/me':
+        return { _id: user._id, username: user.username, success: true };
+
+      case 'GET /api/v1/channels.info':
+      case 'GET /api/v1/groups.info': {
+        const type = path.includes('channels') ? 'c' : 'p';
+        const room = state.rooms.find((r) => r.t === type && (r.name === query.get('roomName') || r._id === query.get('roomId')));
+        if (!room) throw fail(400, 'The required "roomId" or "roomName" param provided does not match any channel [error-room-not-found]', { errorType: 'error-room-not-found' });
+        return { [type === 'c' ? 'channel' : 'group']: roomSummary(room), success: true };
+      }
+
+      case 'GET /api/v1/users.info': {
+        const found = userById(query.get('userId')) || userByName(query.get('username'));
+        if (!found) throw fail(400, 'User not found. [error-invalid-user]');
+        return { user: { _id: found._id, username: found.username, roles: found.roles || ['user'] }, success: true };
+      }
+
+      case 'GET /api/v1/channels.roles':
+      case 'GET /api/v1/groups.roles': {
+        const room = requireRoom(query.get('roomId'));
+        const roles = Object.entries(room.roles || {}).map(([username, list]) => ({
+          rid: room._id,
+          u: { _id: userByName(username)?._id, username },
+          roles: list,
+        }));
+        return { roles, success: true };
+      }
+
+      case 'GET /api/v1/rooms.info':
+        return { room: roomSummary(requireRoom(query.get('roomId'))), success: true };
+
+      case 'GET /api/v1/rooms.get':
+        return { update: state.rooms.map(roomSummary), remove: [], success: true };
+
+      case 'POST /api/v1/im.create': {
+        const other = userByName(body.username);
+        if (!other) throw fail(400, 'Failed to create direct message [error-invalid-user]');
+        const room = openDirect(user, other);
+        return { room: { ...roomSummary(room), rid: room._id }, success: true };
+      }
+
+      case 'POST /api/v1/chat.postMessage': {
+        let room;
+        if (body.roomId) {
+          room = requireRoom(body.roomId);
+        } else if (body.channel?.startsWith('@')) {
+          const other = userByName(body.channel.slice(1));
+          if (!other) throw fail(400, 'error-invalid-user');
+          room = openDirect(user, other);
+        } else if (body.channel) {
+          room = requireRoom(body.channel);
+        } else {
+          throw fail(400, 'The parameter "roomId" or "channel" is required [error-roomId-param-not-provided]');
+        }
+        checkSize(body.text);
+        const extra = {};
+        if (body.alias) extra.alias = body.alias;
+        if (body.avatar) extra.avatar = body.avatar;
+        if (body.emoji) extra.emoji = body.emoji;
+        const msg = addMessage({ room, user, text: body.text || '', tmid: body.tmid, extra });
+        return { ts: msg.ts.getTime(), channel: room.name || room._id, message: serialize(msg), success: true };
+      }
+
+      case 'GET /api/v1/chat.getMessage': {
+        const msg = state.messages.find((m) => m._id === query.get('msgId'));
+        if (!msg) throw fail(400, 'error-invalid-message');
+        return { message: serialize(msg), success: true };
+      }
+
+      case 'POST /api/v1/chat.update': {
+        const msg = state.messages.find((m) => m._id === body.msgId && m.rid === body.roomId);
+        if (!msg) throw fail(400, 'No message found with the id of "' + body.msgId + '".');
+        if (msg.u._id !== user._id) throw fail(403, 'Not allowed [error-action-not-allowed]');
+        checkSize(body.text);
+        editMessage(msg, user, body.text);
+        return { message: serialize(msg), success: true };
+      }
+
+      case 'POST /api/v1/chat.delete': {
+        const index = state.messages.findIndex((m) => m._id === body.msgId && (!body.roomId || m.rid === body.roomId));
+        if (index === -1) throw fail(400, 'No message found with the id of "' + body.msgId + '".');
+        if (state.messages[index].u._id !== user._id) throw fail(403, 'Not allowed [error-action-not-allowed]');
+        const msg = removeMessage(index);
+        return { _id: msg._id, ts: Date.now(), message: { _id: msg._id, rid: msg.rid, u: msg.u }, success: true };
+      }
+
+      case 'POST /api/v1/chat.react': {
+        const msg = state.messages.find((m) => m._id === body.messageId);
+        if (!msg) throw fail(400, 'The required "messageId" param is missing.');
+        applyReaction(msg, user.username, body.emoji, reactionMode === 'toggle' ? undefined : body.shouldReact);
+        return { success: true };
+      }
+
+      case 'GET /api/v1/chat.syncMessages': {
+        const room = requireRoom(query.get('roomId'));
+        const lastUpdate = Date.parse(query.get('lastUpdate'));
+        if (!Number.isFinite(lastUpdate)) throw fail(400, 'The "lastUpdate" query parameter must be a valid date.');
+        const updated = state.messages
+          .filter((m) => m.rid === room._id && m._updatedAt.getTime() > lastUpdate)
+          .sort((a, b) => b.ts - a.ts);
+        const deleted = state.deleted
+          .filter((d) => d.rid === room._id && d._deletedAt.getTime() > lastUpdate)
+          .map((d) => ({ _id: d._id, _deletedAt: d._deletedAt.toISOString() }));
+        return { result: { updated: updated.map(serialize), deleted }, success: true };
+      }
+
+      case 'GET /api/v1/chat.getThreadsList': {
+        const room = requireRoom(query.get('rid'));
+        const threads = state.messages
+          .filter((m) => m.rid === room._id && m.tcount)
+          .sort((a, b) => b.tlm - a.tlm);
+        const { items, count, offset, total } = page(threads, query, 50);
+        return { threads: items.map(serialize), count, offset, total, success: true };
+      }
+
+      case 'GET /api/v1/chat.getThreadMessages': {
+        const tmid = query.get('tmid');
+        if (!state.messages.some((m) => m._id === tmid)) throw fail(400, 'error-invalid-message');
+        const sort = parseSort(query.get('sort'), { ts: 1 });
+        const direction = sort.ts === -1 ? -1 : 1;
+        const replies = state.messages.filter((m) => m.tmid === tmid).sort((a, b) => direction * (a.ts - b.ts));
+        const { items, count, offset, total } = page(replies, query, 50);
+        return { messages: items.map(serialize), count, offset, total, success: true };
+      }
+
+      default:
+        throw new HttpError(404, { success: false, error: `Unknown endpoint ${method} ${path}` });
+    }
+  }
+
+  const server = createServer(async (req, res) => {
+    const parsed = new URL(req.url, 'http://localhost');
+    const { pathname: path, searchParams: query } = parsed;
+    const method = req.method;
+    state.requests.push({ method, path, query: Object.fromEntries(query) });
+
+    let status = 200;
+    let headers = { 'Content-Type': 'application/json' };
+    let payload;
+    try {
+      const raw = await readBody(req);
+      const fault = takeFault(method, path);
+      if (fault) throw new HttpError(fault.status, fault.body, fault.headers);
+      const result = await route(req, method, path, query, raw);
+      if (result?.raw) {
+        headers = { 'Content-Type': result.contentType || 'application/octet-stream' };
+        payload = result.raw;
+      } else {
+        payload = JSON.stringify(result);
+      }
+    } catch (err) {
+      if (!(err instanceof HttpError)) {
+        status = 500;
+        payload = JSON.stringify({ success: false, error: err.message });
+      } else {
+        status = err.status;
+        headers = { ...headers, ...err.headers };
+        payload = JSON.stringify(err.body);
+      }
+    }
+    res.writeHead(status, headers);
+    res.end(payload);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+
+    /** { authToken, userId } for a user (default: the bot). */
+    credentials(username = state.users[0].username) {
+      const user = userByName(username);
+      return { authToken: [...user.tokens][0], userId: user._id };
+    },
+
+    /** Add a room: { _id?, name, t = 'c', roles? }. Returns it. */
+    addRoom({ _id = newId(), name, t = 'c', roles }) {
+      const room = { _id, name, t, roles };
+      state.rooms.push(room);
+      return room;
+    },
+
+    /**
+     * Post a message as any user, bypassing auth, e.g. a human writing to the
+     * bot. `room` is a room ID or name; `ts` backdates it. Returns the message.
+     */
+    postMessage({ room, username = 'alice', text = '', tmid, ts, ...extra }) {
+      const user = userByName(username);
+      if (!user) throw new Error(`Unknown user ${username}`);
+      const target = findRoom(room);
+      if (!target) throw new Error(`Unknown room ${room}`);
+      return serialize(addMessage({ room: target, user, text, tmid, ts, extra }));
+    },
+
+    /** Toggle a user's reaction on a message, bypassing auth, e.g. alice adding 🔁. */
+    react({ messageId, emoji, username = 'alice' }) {
+      const msg = state.messages.find((m) => m._id === messageId);
+      if (!msg) throw new Error(`Unknown message ${messageId}`);
+      applyReaction(msg, username, emoji);
+      return serialize(msg);
+    },
+
+    /** Change a message's text as its sender would, bypassing auth. */
+    editMessage({ messageId, text }) {
+      const msg = state.messages.find((m) => m._id === messageId);
+      if (!msg) throw new Error(`Unknown message ${messageId}`);
+      editMessage(msg, userById(msg.u._id), text);
+      return serialize(msg);
+    },
+
+    /** Delete a message as its sender would, bypassing auth. */
+    deleteMessage(messageId) {
+      const index = state.messages.findIndex((m) => m._id === messageId);
+      if (index === -1) throw new Error(`Unknown message ${messageId}`);
+      removeMessage(index);
+    },
+
+    /** Messages in a room (ID or name), oldest first, including thread replies. */
+    messages(room) {
+      const target = findRoom(room);
+      return state.messages.filter((m) => m.rid === target?._id).sort((a, b) => a.ts - b.ts).map(serialize);
+    },
+
+    /** One message by ID, or undefined. */
+    getMessage(id) {
+      const msg = state.messages.find((m) => m._id === id);
+      return msg && serialize(msg);
+    },
+
+    /** Uploaded file { name, type, data } by file ID. */
+    getFile(id) {
+      return state.files.get(id);
+    },
+
+    /**
+     * Fail the next `times` calls to `path` (optionally only for `method`)
+     * with `status` and `body`, e.g. failNext('/api/v1/me', { status: 500 }).
+     */
+    failNext(path, { method, status = 500, body = { success: false, error: 'Internal server error' }, headers = {}, times = 1 } = {}) {
+      state.faults.push({ path, method, status, body, headers, times });
+    },
+
+    /** Answer the next `times` calls to `path` with 429 and a reset `retryAfterMs` from now. */
+    rateLimit(path, { retryAfterMs = 1000, times = 1, method } = {}) {
+      const reset = Date.now() + retryAfterMs;
+      state.faults.push({
+        path,
+        method,
+        status: 429,
+        times,
+        body: { success: false, error: 'Error, too many requests. Please slow down.', errorType: 'error-too-many-requests' },
+        headers: { 'X-RateLimit-Limit': '10', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) },
+      });
+    },
+
+    /** Invalidate every auth token, as if sessions expired. Logins still work. */
+    expireTokens() {
+      for (const user of state.users) user.tokens.clear();
+    },
+
+    /** Every request received: [{ method, path, query }]. */
+    get requests() {
+      return state.requests;
+    },
+
+    settings: state.settings,
+
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
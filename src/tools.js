@@ -0,0 +1,324 @@
+/**
+ * Agent tools backed by the Rocket.Chat REST API: search, read messages and
+ * rooms, pin and star, start discussions, invite users and post elsewhere.
+ * None are on by default; an account's `tools` setting lists the ones its
+ * agents get.
+ *
+ * Tools call the API as the bot, but act for the user the run is answering
+ * (see requesters.js): they only reach rooms that user can read (see
+ * roomReadableBy), and the ones that change something (`write`) need a user
+ * the `authorization.commands` policy allows. A run that isn't answering a
+ * Rocket.Chat user only reaches public channels and can't write.
+ *
+ * Rooms are given the way outbound targets are (see rooms.js): "#name", a
+ * room ID or "@username", defaulting to the account's first room. Messages
+ * are given by ID or permalink (see permalinks.js).
+ */
+
+import {
+  getMessage,
+  getRoomInfo,
+  getUserByName,
+  getChannelMembers,
+  getGroupMembers,
+  inviteToChannel,
+  inviteToGroup,
+  searchMessages,
+  pinMessage,
+  starMessage,
+  createDiscussion,
+} from './api.js';
+import { sessionConfig } from './auth.js';
+import { requesterFor } from './requesters.js';
+import { personaFor, rocketchatPlugin } from './channel.js';
+import { messageLimit, sendLongText } from './chunking.js';
+import { agentText, formatReply } from './format.js';
+import { messageIdFrom, permalinkFor } from './permalinks.js';
+import { resolveOutboundRoom, roomReadableBy } from './rooms.js';
+
+const MAX_RESULTS = 100;
+
+const roomParam = {
+  type: 'string',
+  description: 'Room: "#channel", a room ID or "@username". Defaults to the bot\'s first configured room.',
+};
+const messageParam = { type: 'string', description: 'Message ID or permalink' };
+const limitParam = (fallback) => ({ type: 'integer', minimum: 1, maximum: MAX_RESULTS, description: `How many to return (default ${fallback})` });
+
+function limitOf(value, fallback) {
+  return Number.isInteger(value) ? Math.min(Math.max(value, 1), MAX_RESULTS) : fallback;
+}
+
+function messageIdOf(ref, account) {
+  const id = messageIdFrom(ref, account.url);
+  if (!id) throw new Error(`Not a message ID or a permalink on ${account.url}: ${ref}`);
+  return id;
+}
+
+/** What the agent sees of a message. `room` is a resolved room, if known. */
+function describeMessage(msg, { account, room }) {
+  const result = {
+    id: msg._id,
+    author: msg.u?.username,
+    text: account.convertMarkdown === false ? msg.msg || '' : agentText(msg),
+    ts: msg.ts,
+  };
+  if (msg.tmid) result.threadId = msg.tmid;
+  if (room) result.permalink = permalinkFor(account.url, room, msg._id);
+  return result;
+}
+
+/** The room `roomId`, as { id, name, type }, if the requester can read it; throws otherwise. */
+async function readableRoom(config, roomId, requester) {
+  const room = await roomReadableBy(config, roomId, requester?.username, requester?.room);
+  if (!room) throw new Error(`${requester?.username ?? 'This conversation'} cannot read that room`);
+  return room;
+}
+
+/** A room given as an outbound target, if the requester can read it. */
+async function targetRoom(config, account, target, requester) {
+  const room = await resolveOutboundRoom(config, account, target);
+  await readableRoom(config, room.id, requester);
+  return room;
+}
+
+/** The ID of a message given by ID or permalink, if the requester can read its room. */
+async function readableMessageId(config, account, ref, requester) {
+  const messageId = messageIdOf(ref, account);
+  const { message } = await getMessage(config, messageId);
+  await readableRoom(config, message.rid, requester);
+  return messageId;
+}
+
+/** The ID of a message given by ID or permalink, if it is in `room` (already checked as readable). */
+async function messageIdIn(config, account, ref, room) {
+  const messageId = messageIdOf(ref, account);
+  const { message } = await getMessage(config, messageId);
+  if (message.rid !== room.id) throw new Error(`Message ${messageId} is not in ${room.name ?? room.id}`);
+  return messageId;
+}
+
+/**
+ * Tool definitions by the name used in the `tools` setting. `run` gets the
+ * REST config, the account, the tool's parameters and the requester (or
+ * null), and returns plain data. `write` tools need a requester allowed to
+ * run commands.
+ */
+export const TOOLS = {
+  search_messages: {
+    label: 'Search Rocket.Chat messages',
+    description: 'Search the messages in a Rocket.Chat room, newest first.',
+    parameters: {
+      type: 'object',
+      properties: { room: roomParam, query: { type: 'string', description: 'Words to look for' }, limit: limitParam(20) },
+      required: ['query'],
+    },
+    async run(config, account, { room: target, query, limit }, requester) {
+      const room = await targetRoom(config, account, target, requester);
+      const { messages = [] } = await searchMessages(config, room.id, query, { count: limitOf(limit, 20) });
+      return { room: room.name, messages: messages.map((msg) => describeMessage(msg, { account, room })) };
+    },
+  },
+
+  get_message: {
+    label: 'Read a Rocket.Chat message',
+    description: 'Read one Rocket.Chat message, e.g. from a permalink someone shared.',
+    parameters: { type: 'object', properties: { message: messageParam }, required: ['message'] },
+    async run(config, account, { message }, requester) {
+      const { message: msg } = await getMessage(config, messageIdOf(message, account));
+      const room = await readableRoom(config, msg.rid, requester);
+      return { room: room.name ?? msg.rid, message: describeMessage(msg, { account, room }) };
+    },
+  },
+
+  room_info: {
+    label: 'Rocket.Chat room info',
+    description: 'Describe a Rocket.Chat room: its name, topic, description, announcement and size.',
+    parameters: { type: 'object', properties: { room: roomParam } },
+    async run(config, account, { room: target }, requester) {
+      const { id } = await targetRoom(config, account, target, requester);
+      const { room } = await getRoomInfo(config, id);
+      return {
+        id: room._id,
+        name: room.name || room.fname,
+        type: room.t,
+        topic: room.topic,
+        description: room.description,
+        announcement: room.announcement,
+        members: room.usersCount,
+        readOnly: !!room.ro,
+      };
+    },
+  },
+
+  room_members: {
+    label: 'Rocket.Chat room members',
+    description: 'List the members of a Rocket.Chat room.',
+    parameters: { type: 'object', properties: { room: roomParam, limit: limitParam(50) } },
+    async run(config, account, { room: target, limit }, requester) {
+      const room = await targetRoom(config, account, target, requester);
+      if (room.type === 'd') {
+        const usernames = (await getRoomInfo(config, room.id)).room?.usernames || [];
+        return { room: room.name, total: usernames.length, members: usernames.map((username) => ({ username })) };
+      }
+      const list = room.type === 'p' ? getGroupMembers : getChannelMembers;
+      const { members = [], total } = await list(config, room.id, { count: limitOf(limit, 50) });
+      return {
+        room: room.name,
+        total: total ?? members.length,
+        members: members.map((user) => ({ username: user.username, name: user.name, status: user.status })),
+      };
+    },
+  },
+
+  pin_message: {
+    label: 'Pin a Rocket.Chat message',
+    description: 'Pin a message in its Rocket.Chat room.',
+    write: true,
+    parameters: { type: 'object', properties: { message: messageParam }, required: ['message'] },
+    async run(config, account, { message }, requester) {
+      const messageId = await readableMessageId(config, account, message, requester);
+      await pinMessage(config, messageId);
+      return { pinned: messageId };
+    },
+  },
+
+  star_message: {
+    label: 'Star a Rocket.Chat message',
+    description: "Star a Rocket.Chat message in the bot's own starred list.",
+    parameters: { type: 'object', properties: { message: messageParam }, required: ['message'] },
+    async run(config, account, { message }, requester) {
+      const messageId = await readableMessageId(config, account, message, requester);
+      await starMessage(config, messageId);
+      return { starred: messageId };
+    },
+  },
+
+  create_discussion: {
+    label: 'Start a Rocket.Chat discussion',
+    description: 'Start a discussion (a sub-room) in a Rocket.Chat room, optionally about one of its messages.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        room: roomParam,
+        name: { type: 'string', description: 'Discussion name' },
+        message: { ...messageParam, description: 'Message the discussion is about (ID or permalink)' },
+        text: { type: 'string', description: 'First message in the discussion' },
+        users: { type: 'array', items: { type: 'string' }, description: 'Usernames to add' },
+      },
+      required: ['name'],
+    },
+    async run(config, account, { room: target, name, message, text, users }, requester) {
+      const room = await targetRoom(config, account, target, requester);
+      const { discussion } = await createDiscussion(config, {
+        parentRoomId: room.id,
+        parentMessageId: message ? await messageIdIn(config, account, message, room) : undefined,
+        name,
+        reply: text ? formatReply(text, account) : undefined,
+        users: users?.map((username) => String(username).replace(/^@/, '')),
+      });
+      return { id: discussion?._id ?? discussion?.rid, name: discussion?.fname ?? name, parent: room.name };
+    },
+  },
+
+  invite_user: {
+    label: 'Invite to a Rocket.Chat room',
+    description: 'Add a user to a Rocket.Chat channel or private group.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: { room: roomParam, username: { type: 'string', description: 'Username to add' } },
+      required: ['username'],
+    },
+    async run(config, account, { room: target, username }, requester) {
+      const room = await targetRoom(config, account, target, requester);
+      if (room.type === 'd') throw new Error('Users cannot be invited to a direct message');
+      const name = String(username).replace(/^@/, '');
+      const { user } = await getUserByName(config, name);
+      await (room.type === 'p' ? inviteToGroup : inviteToChannel)(config, room.id, user._id);
+      return { invited: name, room: room.name };
+    },
+  },
+
+  post_message: {
+    label: 'Post to Rocket.Chat',
+    description: 'Post a message to a Rocket.Chat room or thread other than the current conversation.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        room: roomParam,
+        text: { type: 'string', description: 'Message text (Markdown)' },
+        threadId: { type: 'string', description: 'Thread to reply in: the ID of its first message' },
+      },
+      required: ['text'],
+    },
+    async run(config, account, { room: target, text, threadId }, requester) {
+      const room = await targetRoom(config, account, target, requester);
+      const messageIds = await sendLongText(config, {
+        roomId: room.id,
+        threadId: threadId ? await messageIdIn(config, account, threadId, room) : null,
+        text: formatReply(text, account),
+        limit: await messageLimit(config),
+        codeSnippets: account.codeSnippets,
+        persona: personaFor(account, room),
+      });
+      return { room: room.name, messageIds, permalink: permalinkFor(account.url, room, messageIds[0]) };
+    },
+  },
+};
+
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+/** Registered tool name for a `tools` entry, prefixed so it can't clash with other plugins. */
+export function toolName(name) {
+  return `rocketchat_${name}`;
+}
+
+/** Tools listed in the account's `tools` setting; unknown names are warned about. */
+export function enabledTools(account, log) {
+  const names = Array.isArray(account?.tools) ? account.tools : [];
+  return names.filter((name) => {
+    if (TOOLS[name]) return true;
+    log?.warn?.(`Unknown Rocket.Chat tool "${name}", ignoring it`);
+    return false;
+  });
+}
+
+/**
+ * The account an agent run gets tools for: the one the conversation came in
+ * through, else the only one configured. `ctx` is OpenClaw's tool context.
+ */
+export function toolAccount(ctx = {}) {
+  const { listAccountIds, resolveAccount } = rocketchatPlugin.config;
+  const ids = listAccountIds(ctx.config);
+  let id = ids.length === 1 ? ids[0] : null;
+  if (ctx.messageChannel === 'rocketchat') id = ctx.agentAccountId || 'default';
+  return id && ids.includes(id) ? resolveAccount(ctx.config, id) : null;
+}
+
+/**
+ * Agent tools for an account, as registered with OpenClaw, for the run in
+ * session `sessionKey`.
+ */
+export function createAgentTools(account, { log, sessionKey } = {}) {
+  return enabledTools(account, log).map((name) => {
+    const { label, description, parameters, write, run } = TOOLS[name];
+    return {
+      name: toolName(name),
+      label,
+      description,
+      parameters,
+      async execute(_toolCallId, params = {}) {
+        const requester = requesterFor(sessionKey);
+        if (write && !requester?.commands) {
+          throw new Error(`${toolName(name)} is only available when answering a Rocket.Chat user allowed to run commands`);
+        }
+        const config = await sessionConfig(account, { log });
+        const details = await run(config, account, params, requester);
+        return { content: [{ type: 'text', text: JSON.stringify(details, null, 2) }], details };
+      },
+    };
+  });
+}
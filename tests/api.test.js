@@ -1,13 +1,43 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   getMe,
   getChannelInfo,
+  getGroupInfo,
+  getRoomInfo,
+  listJoinedRooms,
+  getPublicSettings,
+  getUserInfo,
+  getChannelRoles,
+  getGroupRoles,
+  createDirectMessage,
   getChannelHistory,
+  getGroupHistory,
+  getDirectHistory,
   getThreadMessages,
+  getThreadsList,
   sendMessage,
+  getMessage,
+  syncMessages,
+  updateMessage,
+  deleteMessage,
+  uploadFile,
   reactToMessage,
+  getUserByName,
+  getChannelMembers,
+  getGroupMembers,
+  inviteToChannel,
+  inviteToGroup,
+  searchMessages,
+  pinMessage,
+  starMessage,
+  createDiscussion,
   probe,
+  retryAfterFrom,
+  retryDelay,
+  login,
 } from '../src/api.js';
+import { RocketChatApiError, RateLimitError, AuthError } from '../src/errors.js';
+import { resetRateLimiters } from '../src/ratelimit.js';
 
 const config = {
   url: 'https://chat.example.com',
@@ -15,6 +45,18 @@ const config = {
   userId: 'user-456',
 };
 
+function mockResponse(data, status = 200, responseHeaders = {}) {
+  const lower = Object.fromEntries(Object.entries(responseHeaders).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: 'OK',
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+    json: () => Promise.resolve(data),
+    text: () => Promise.resolve(JSON.stringify(data)),
+  };
+}
+
 function mockFetch(data, status = 200) {
   return vi.fn().mockResolvedValue({
     ok: status >= 200 && status < 300,
@@ -27,6 +69,7 @@ function mockFetch(data, status = 200) {
 
 beforeEach(() => {
   vi.restoreAllMocks();
+  resetRateLimiters();
 });
 
 describe('api', () => {
@@ -60,6 +103,110 @@ describe('api', () => {
     });
   });
 
+  describe('getGroupInfo', () => {
+    it('looks a private group up by name', async () => {
+      globalThis.fetch = mockFetch({ group: { _id: 'grp-1', name: 'secret' } });
+
+      await getGroupInfo(config, 'secret');
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/groups.info?roomName=secret',
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('getGroupHistory / getDirectHistory', () => {
+    it('use the groups and im endpoints', async () => {
+      globalThis.fetch = mockFetch({ messages: [] });
+
+      await getGroupHistory(config, 'grp-1', 10);
+      await getDirectHistory(config, 'dm-1', 5);
+
+      expect(fetch).toHaveBeenNthCalledWith(1,
+        'https://chat.example.com/api/v1/groups.history?roomId=grp-1&count=10',
+        expect.any(Object),
+      );
+      expect(fetch).toHaveBeenNthCalledWith(2,
+        'https://chat.example.com/api/v1/im.history?roomId=dm-1&count=5',
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('createDirectMessage', () => {
+    it('posts the username to im.create', async () => {
+      globalThis.fetch = mockFetch({ room: { _id: 'dm-1', t: 'd' } });
+
+      const result = await createDirectMessage(config, 'alice');
+
+      expect(result.room._id).toBe('dm-1');
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/im.create',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ username: 'alice' }) }),
+      );
+    });
+  });
+
+  describe('getRoomInfo', () => {
+    it('looks a room up by ID', async () => {
+      const data = { room: { _id: 'room-1', name: 'general', t: 'c' } };
+      globalThis.fetch = mockFetch(data);
+
+      const result = await getRoomInfo(config, 'room-1');
+
+      expect(result).toEqual(data);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/rooms.info?roomId=room-1',
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('listJoinedRooms', () => {
+    it('fetches rooms.get', async () => {
+      const data = { update: [{ _id: 'room-1', name: 'general' }], remove: [] };
+      globalThis.fetch = mockFetch(data);
+
+      const result = await listJoinedRooms(config);
+
+      expect(result).toEqual(data);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/rooms.get',
+        expect.objectContaining({ method: 'GET' }),
+      );
+    });
+  });
+
+  describe('getPublicSettings', () => {
+    it('asks for the settings by ID', async () => {
+      globalThis.fetch = mockFetch({ settings: [{ _id: 'Message_MaxAllowedSize', value: 5000 }] });
+
+      await getPublicSettings(config, ['Message_MaxAllowedSize', 'FileUpload_MaxFileSize']);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/settings.public?_id=Message_MaxAllowedSize%2CFileUpload_MaxFileSize',
+        expect.objectContaining({ method: 'GET' }),
+      );
+    });
+  });
+
+  describe('getUserInfo / getChannelRoles / getGroupRoles', () => {
+    it('look up roles by user and room ID', async () => {
+      globalThis.fetch = mockFetch({ user: { _id: 'u 1', roles: ['admin'] }, roles: [] });
+
+      await getUserInfo(config, 'u 1');
+      await getChannelRoles(config, 'room-1');
+      await getGroupRoles(config, 'group-1');
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://chat.example.com/api/v1/users.info?userId=u%201',
+        'https://chat.example.com/api/v1/channels.roles?roomId=room-1',
+        'https://chat.example.com/api/v1/groups.roles?roomId=group-1',
+      ]);
+    });
+  });
+
   describe('getChannelHistory', () => {
     it('returns messages', async () => {
       const data = { messages: [{ _id: 'msg-1', msg: 'hello' }] };
@@ -73,6 +220,23 @@ describe('api', () => {
         expect.any(Object),
       );
     });
+
+    it('adds oldest/latest/inclusive/offset when given', async () => {
+      globalThis.fetch = mockFetch({ messages: [] });
+
+      await getChannelHistory(config, 'room-1', 100, {
+        oldest: Date.UTC(2026, 1, 17),
+        latest: '2026-02-18T00:00:00.000Z',
+        inclusive: true,
+        offset: 100,
+      });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/channels.history?roomId=room-1&count=100'
+          + '&oldest=2026-02-17T00%3A00%3A00.000Z&latest=2026-02-18T00%3A00%3A00.000Z&inclusive=true&offset=100',
+        expect.any(Object),
+      );
+    });
   });
 
   describe('getThreadMessages', () => {
@@ -99,6 +263,32 @@ describe('api', () => {
         expect.any(Object),
       );
     });
+
+    it('passes a sort order when given', async () => {
+      globalThis.fetch = mockFetch({ messages: [] });
+
+      await getThreadMessages(config, 'parent-1', { count: 50, offset: 0, sort: { ts: -1 } });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/chat.getThreadMessages?tmid=parent-1&count=50&offset=0&sort=%7B%22ts%22%3A-1%7D',
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('getThreadsList', () => {
+    it('lists threads most recently active first', async () => {
+      const data = { threads: [{ _id: 'parent-1', tlm: '2026-02-17T00:05:00Z' }] };
+      globalThis.fetch = mockFetch(data);
+
+      const result = await getThreadsList(config, 'room-1', { count: 25, offset: 50 });
+
+      expect(result).toEqual(data);
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/chat.getThreadsList?rid=room-1&count=25&offset=50&sort=%7B%22tlm%22%3A-1%7D',
+        expect.any(Object),
+      );
+    });
   });
 
   describe('sendMessage', () => {
@@ -125,6 +315,104 @@ describe('api', () => {
       const body = JSON.parse(fetch.mock.calls[0][1].body);
       expect(body).not.toHaveProperty('tmid');
     });
+
+    it('sends persona fields when given', async () => {
+      globalThis.fetch = mockFetch({ message: {} });
+
+      await sendMessage(config, { roomId: 'room-1', text: 'hi', alias: 'Helpdesk', avatar: 'https://x.example/a.png', emoji: ':robot:' });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+        roomId: 'room-1', text: 'hi', alias: 'Helpdesk', avatar: 'https://x.example/a.png', emoji: ':robot:',
+      });
+    });
+  });
+
+  describe('getMessage', () => {
+    it('fetches a message by ID', async () => {
+      globalThis.fetch = mockFetch({ message: { _id: 'msg 1' } });
+
+      expect(await getMessage(config, 'msg 1')).toEqual({ message: { _id: 'msg 1' } });
+      expect(fetch.mock.calls[0][0]).toBe('https://chat.example.com/api/v1/chat.getMessage?msgId=msg%201');
+    });
+  });
+
+  describe('syncMessages', () => {
+    it('asks for updates since a time', async () => {
+      globalThis.fetch = mockFetch({ result: { updated: [], deleted: [] } });
+
+      await syncMessages(config, 'room-1', Date.UTC(2026, 0, 2, 3, 4, 5));
+      expect(fetch.mock.calls[0][0]).toBe(
+        'https://chat.example.com/api/v1/chat.syncMessages?roomId=room-1&lastUpdate=2026-01-02T03%3A04%3A05.000Z');
+    });
+  });
+
+  describe('updateMessage / deleteMessage', () => {
+    it('edits a message with chat.update', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await updateMessage(config, { roomId: 'room-1', messageId: 'msg-1', text: 'edited' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/chat.update',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ roomId: 'room-1', msgId: 'msg-1', text: 'edited' }),
+        }),
+      );
+    });
+
+    it('deletes a message with chat.delete', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await deleteMessage(config, { roomId: 'room-1', messageId: 'msg-1' });
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://chat.example.com/api/v1/chat.delete',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ roomId: 'room-1', msgId: 'msg-1' }),
+        }),
+      );
+    });
+  });
+
+  describe('uploadFile', () => {
+    it('posts a multipart upload with caption and thread', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await uploadFile(config, {
+        roomId: 'room-1',
+        data: Buffer.from('png-bytes'),
+        filename: 'chart.png',
+        contentType: 'image/png',
+        text: 'Here is the chart',
+        threadId: 'thread-1',
+      });
+
+      const [url, opts] = fetch.mock.calls[0];
+      expect(url).toBe('https://chat.example.com/api/v1/rooms.upload/room-1');
+      expect(opts.method).toBe('POST');
+      // fetch sets the multipart Content-Type with its boundary
+      expect(opts.headers).not.toHaveProperty('Content-Type');
+      expect(opts.headers['X-Auth-Token']).toBe('test-token-123');
+      const file = opts.body.get('file');
+      expect(file.name).toBe('chart.png');
+      expect(file.type).toBe('image/png');
+      expect(await file.text()).toBe('png-bytes');
+      expect(opts.body.get('msg')).toBe('Here is the chart');
+      expect(opts.body.get('tmid')).toBe('thread-1');
+    });
+
+    it('omits caption and thread when not given', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await uploadFile(config, { roomId: 'room-1', data: Buffer.from('x'), filename: 'x.bin' });
+
+      const { body } = fetch.mock.calls[0][1];
+      expect(body.get('file').type).toBe('application/octet-stream');
+      expect(body.has('msg')).toBe(false);
+      expect(body.has('tmid')).toBe(false);
+    });
   });
 
   describe('reactToMessage', () => {
@@ -147,6 +435,70 @@ describe('api', () => {
     });
   });
 
+  describe('tool endpoints', () => {
+    it('looks up users by name and lists room members', async () => {
+      globalThis.fetch = mockFetch({ members: [] });
+
+      await getUserByName(config, 'bob smith');
+      await getChannelMembers(config, 'room-1');
+      await getGroupMembers(config, 'grp-1', { count: 10, offset: 20 });
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://chat.example.com/api/v1/users.info?username=bob%20smith',
+        'https://chat.example.com/api/v1/channels.members?roomId=room-1&count=50&offset=0',
+        'https://chat.example.com/api/v1/groups.members?roomId=grp-1&count=10&offset=20',
+      ]);
+    });
+
+    it('invites users to channels and groups', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await inviteToChannel(config, 'room-1', 'u-1');
+      await inviteToGroup(config, 'grp-1', 'u-1');
+
+      expect(fetch.mock.calls.map(([url, opts]) => [url, opts.body])).toEqual([
+        ['https://chat.example.com/api/v1/channels.invite', JSON.stringify({ roomId: 'room-1', userId: 'u-1' })],
+        ['https://chat.example.com/api/v1/groups.invite', JSON.stringify({ roomId: 'grp-1', userId: 'u-1' })],
+      ]);
+    });
+
+    it('searches a room', async () => {
+      globalThis.fetch = mockFetch({ messages: [] });
+
+      await searchMessages(config, 'room-1', 'deploy #42', { count: 5 });
+
+      expect(fetch.mock.calls[0][0]).toBe(
+        'https://chat.example.com/api/v1/chat.search?roomId=room-1&searchText=deploy%20%2342&count=5');
+    });
+
+    it('pins and stars messages', async () => {
+      globalThis.fetch = mockFetch({ success: true });
+
+      await pinMessage(config, 'msg-1');
+      await starMessage(config, 'msg-1');
+
+      expect(fetch.mock.calls.map(([url, opts]) => [url, opts.body])).toEqual([
+        ['https://chat.example.com/api/v1/chat.pinMessage', JSON.stringify({ messageId: 'msg-1' })],
+        ['https://chat.example.com/api/v1/chat.starMessage', JSON.stringify({ messageId: 'msg-1' })],
+      ]);
+    });
+
+    it('creates discussions, sending only the fields given', async () => {
+      globalThis.fetch = mockFetch({ discussion: { _id: 'disc-1' } });
+
+      await createDiscussion(config, { parentRoomId: 'room-1', name: 'Deploy' });
+      await createDiscussion(config, {
+        parentRoomId: 'room-1', parentMessageId: 'msg-1', name: 'Deploy', reply: 'Let us talk', users: ['bob'],
+      });
+
+      expect(fetch.mock.calls[0][0]).toBe('https://chat.example.com/api/v1/rooms.createDiscussion');
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ prid: 'room-1', t_name: 'Deploy' });
+      expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+        prid: 'room-1', t_name: 'Deploy', pmid: 'msg-1', reply: 'Let us talk', users: ['bob'],
+      });
+    });
+  });
+
   describe('error handling', () => {
     it('throws on API error', async () => {
       globalThis.fetch = mockFetch({ error: 'Unauthorized' }, 401);
@@ -181,7 +533,270 @@ describe('api', () => {
 
       const result = await probe(config);
 
-      expect(result).toEqual({ ok: false, username: null, userId: null });
+      expect(result).toEqual({ ok: false, username: null, userId: null, error: 'error' });
+    });
+
+    it('does not retry and reports why it failed', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue(mockResponse({}, 429, { 'Retry-After': '0' }));
+      expect((await probe(config)).error).toBe('rate_limited');
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      globalThis.fetch = mockFetch({ error: 'Unauthorized' }, 401);
+      expect((await probe(config)).error).toBe('auth');
+
+      globalThis.fetch = vi.fn().mockRejectedValue(new TypeError('fetch failed'));
+      expect((await probe(config)).error).toBe('unreachable');
+    });
+  });
+
+  describe('error types', () => {
+    it('throws AuthError on 401', async () => {
+      globalThis.fetch = mockFetch({ error: 'Unauthorized' }, 401);
+
+      const err = await getMe(config).catch((e) => e);
+
+      expect(err).toBeInstanceOf(AuthError);
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err).toEqual(expect.objectContaining({ status: 401, method: 'GET', path: '/api/v1/me' }));
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not treat a 403 as an auth failure', async () => {
+      globalThis.fetch = mockFetch({ error: 'Not allowed [error-action-not-allowed]' }, 403);
+
+      const err = await pinMessage(config, 'msg-1').catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err).not.toBeInstanceOf(AuthError);
+      expect(err.status).toBe(403);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws RocketChatApiError with the status on other failures', async () => {
+      globalThis.fetch = mockFetch({ error: 'not found' }, 404);
+
+      const err = await getChannelInfo(config, 'missing').catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err).not.toBeInstanceOf(AuthError);
+      expect(err.status).toBe(404);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('wraps network failures', async () => {
+      globalThis.fetch = vi.fn().mockRejectedValue(new TypeError('fetch failed'));
+
+      const err = await getMe({ ...config, maxRetries: 0 }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err.code).toBe('network');
+      expect(err.message).toContain('fetch failed');
+    });
+  });
+
+  describe('login', () => {
+    it('posts credentials without auth headers', async () => {
+      globalThis.fetch = mockFetch({ status: 'success', data: { authToken: 't', userId: 'u' } });
+
+      await login({ url: 'https://chat.example.com' }, { user: 'claw', password: 'secret' });
+
+      const [url, opts] = fetch.mock.calls[0];
+      expect(url).toBe('https://chat.example.com/api/v1/login');
+      expect(opts.headers).toEqual({ 'Content-Type': 'application/json' });
+      expect(opts.body).toBe(JSON.stringify({ user: 'claw', password: 'secret' }));
+    });
+
+    it('re-authenticates once on 401 and repeats the call', async () => {
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce(mockResponse({ error: 'expired' }, 401))
+        .mockResolvedValueOnce(mockResponse({ username: 'bot' }));
+      const session = {
+        ...config,
+        authToken: 'expired',
+        reauthenticate: vi.fn(async () => { session.authToken = 'renewed'; }),
+      };
+
+      const result = await getMe(session);
+
+      expect(result).toEqual({ username: 'bot' });
+      expect(session.reauthenticate).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[1][1].headers['X-Auth-Token']).toBe('renewed');
+    });
+
+    it('gives up if the renewed token is rejected too', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue(mockResponse({ error: 'nope' }, 401));
+      const session = { ...config, reauthenticate: vi.fn(async () => {}) };
+
+      await expect(getMe(session)).rejects.toBeInstanceOf(AuthError);
+      expect(session.reauthenticate).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('timeouts', () => {
+    it('aborts a request that takes longer than timeoutMs', async () => {
+      globalThis.fetch = vi.fn((url, opts) => new Promise((resolve, reject) => {
+        opts.signal.addEventListener('abort', () => reject(opts.signal.reason));
+      }));
+
+      const err = await getMe({ ...config, timeoutMs: 20, maxRetries: 0 }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err.code).toBe('timeout');
+      expect(err.message).toBe('Rocket.Chat API GET /api/v1/me timed out after 20ms');
+    });
+
+    it('reports a timeout while reading the body as a timeout', async () => {
+      const abort = Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+      globalThis.fetch = vi.fn().mockResolvedValue({ ...mockResponse({}), text: () => Promise.reject(abort) });
+
+      const err = await getMe({ ...config, timeoutMs: 20, maxRetries: 0 }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err.code).toBe('timeout');
+      expect(err.cause).toBe(abort);
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('retries a 429 after the Retry-After delay', async () => {
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce(mockResponse({ error: 'Too many requests' }, 429, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(mockResponse({ username: 'bot' }));
+
+      const result = getMe(config);
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+
+      expect(await result).toEqual({ username: 'bot' });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('honors X-RateLimit-Reset', async () => {
+      const reset = Date.now() + 3000;
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce(mockResponse({}, 429, { 'X-RateLimit-Reset': String(reset), 'X-RateLimit-Remaining': '0' }))
+        .mockResolvedValueOnce(mockResponse({ ok: true }));
+
+      const result = getMe(config);
+      await vi.advanceTimersByTimeAsync(2900);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(100);
+
+      await result;
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('throws RateLimitError once retries are exhausted', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue(mockResponse({}, 429, { 'Retry-After': '1' }));
+
+      const result = getMe({ ...config, maxRetries: 2 }).catch((e) => e);
+      await vi.advanceTimersByTimeAsync(5000);
+      const err = await result;
+
+      expect(err).toBeInstanceOf(RateLimitError);
+      expect(err.retryAfterMs).toBe(1000);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('retries 5xx for reads with backoff', async () => {
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce(mockResponse({}, 502))
+        .mockResolvedValueOnce(mockResponse({}, 503))
+        .mockResolvedValueOnce(mockResponse({ messages: [] }));
+
+      const result = getChannelHistory(config, 'room-1');
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect(await result).toEqual({ messages: [] });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('retries a read that got a response other than JSON', async () => {
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce({ ...mockResponse({}), text: () => Promise.resolve('<html>Bad gateway</html>') })
+        .mockResolvedValueOnce(mockResponse({ messages: [] }));
+
+      const result = getChannelHistory(config, 'room-1');
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect(await result).toEqual({ messages: [] });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports a response other than JSON as an API error', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue({ ...mockResponse({}), text: () => Promise.resolve('<html>Bad gateway</html>') });
+
+      const err = await sendMessage(config, { roomId: 'room-1', text: 'hi' }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(RocketChatApiError);
+      expect(err).toMatchObject({ status: 200, code: 'invalid_response', body: '<html>Bad gateway</html>' });
+      expect(err.message).toBe('Rocket.Chat API POST /api/v1/chat.postMessage returned a response that is not JSON: <html>Bad gateway</html>');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry 5xx for writes', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue(mockResponse({}, 500));
+
+      const err = await sendMessage(config, { roomId: 'room-1', text: 'hi' }).catch((e) => e);
+
+      expect(err.status).toBe(500);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries 429 for writes', async () => {
+      globalThis.fetch = vi.fn()
+        .mockResolvedValueOnce(mockResponse({}, 429, { 'Retry-After': '0' }))
+        .mockResolvedValueOnce(mockResponse({ message: { _id: 'm1' } }));
+
+      const result = sendMessage(config, { roomId: 'room-1', text: 'hi' });
+      await vi.advanceTimersByTimeAsync(10);
+
+      expect(await result).toEqual({ message: { _id: 'm1' } });
+    });
+  });
+
+  describe('retryAfterFrom', () => {
+    const res = (h) => mockResponse({}, 429, h);
+
+    it('reads Retry-After seconds and dates', () => {
+      const now = Date.UTC(2026, 1, 17);
+      expect(retryAfterFrom(res({ 'Retry-After': '5' }), now)).toBe(5000);
+      expect(retryAfterFrom(res({ 'Retry-After': new Date(now + 7000).toUTCString() }), now)).toBe(7000);
+    });
+
+    it('reads X-RateLimit-Reset in ms or seconds', () => {
+      const now = Date.UTC(2026, 1, 17);
+      expect(retryAfterFrom(res({ 'X-RateLimit-Reset': String(now + 4000) }), now)).toBe(4000);
+      expect(retryAfterFrom(res({ 'X-RateLimit-Reset': String(now / 1000 + 4) }), now)).toBe(4000);
+    });
+
+    it('returns null without headers', () => {
+      expect(retryAfterFrom({ headers: undefined })).toBeNull();
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('uses the server delay when given', () => {
+      expect(retryDelay(3, 1200)).toBe(1200);
+    });
+
+    it('backs off exponentially with jitter', () => {
+      for (const attempt of [0, 1, 2]) {
+        const ceiling = 500 * 2 ** attempt;
+        const delay = retryDelay(attempt);
+        expect(delay).toBeGreaterThanOrEqual(ceiling / 2);
+        expect(delay).toBeLessThanOrEqual(ceiling);
+      }
     });
   });
 });
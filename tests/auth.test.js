@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/api.js', () => ({
+  login: vi.fn(),
+}));
+
+import { login } from '../src/api.js';
+import { authMethod, loginBody, totp, sessionConfig, resetSessions } from '../src/auth.js';
+import { AuthError } from '../src/errors.js';
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function loginResponse(authToken, userId = 'bot-id') {
+  return { status: 'success', data: { authToken, userId, me: { username: 'claw' } } };
+}
+
+const passwordAccount = {
+  accountId: 'default',
+  url: 'https://chat.example.com',
+  username: 'claw',
+  password: 'secret',
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  login.mockReset();
+  resetSessions();
+});
+
+describe('auth', () => {
+  describe('authMethod', () => {
+    it('prefers a static token, then password, oauth and resume token', () => {
+      expect(authMethod({ authToken: 't', userId: 'u', username: 'a', password: 'b' })).toBe('token');
+      expect(authMethod({ username: 'a', password: 'b' })).toBe('password');
+      expect(authMethod({ oauth: { serviceName: 'keycloak', accessToken: 'at' } })).toBe('oauth');
+      expect(authMethod({ resumeToken: 'r' })).toBe('resume');
+      expect(authMethod({ username: 'a' })).toBeNull();
+    });
+  });
+
+  describe('totp', () => {
+    it('matches the RFC 6238 SHA-1 test vectors', () => {
+      expect(totp(RFC_SECRET, 59_000, { digits: 8 })).toBe('94287082');
+      expect(totp(RFC_SECRET, 1_111_111_109_000, { digits: 8 })).toBe('07081804');
+    });
+
+    it('defaults to six digits and tolerates lowercase and padding', () => {
+      expect(totp(RFC_SECRET.toLowerCase() + '====', 59_000)).toBe('287082');
+    });
+
+    it('rejects secrets that are not base32', () => {
+      expect(() => totp('not-base32!', 0)).toThrow('totpSecret');
+    });
+  });
+
+  describe('loginBody', () => {
+    it('sends username and password, with a TOTP code when configured', () => {
+      expect(loginBody(passwordAccount)).toEqual({ user: 'claw', password: 'secret' });
+      expect(loginBody({ ...passwordAccount, totpSecret: RFC_SECRET }, 59_000)).toEqual({
+        user: 'claw', password: 'secret', code: '287082',
+      });
+    });
+
+    it('sends OAuth credentials', () => {
+      expect(loginBody({ oauth: { serviceName: 'keycloak', accessToken: 'at' } })).toEqual({
+        serviceName: 'keycloak', accessToken: 'at', expiresIn: 3600,
+      });
+    });
+
+    it('sends a resume token', () => {
+      expect(loginBody({ resumeToken: 'r1' })).toEqual({ resume: 'r1' });
+    });
+  });
+
+  describe('sessionConfig', () => {
+    it('returns the static credentials without logging in', async () => {
+      const config = await sessionConfig({ url: 'https://chat.example.com', authToken: 't', userId: 'u' });
+
+      expect(config).toEqual({ url: 'https://chat.example.com', authToken: 't', userId: 'u' });
+      expect(login).not.toHaveBeenCalled();
+    });
+
+    it('logs in and fills in the token and user ID', async () => {
+      login.mockResolvedValueOnce(loginResponse('fresh-token'));
+
+      const config = await sessionConfig(passwordAccount);
+
+      expect(login).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://chat.example.com' }),
+        { user: 'claw', password: 'secret' },
+      );
+      expect(config).toEqual(expect.objectContaining({ authToken: 'fresh-token', userId: 'bot-id' }));
+    });
+
+    it('shares one session between callers', async () => {
+      login.mockResolvedValueOnce(loginResponse('fresh-token'));
+
+      const [a, b] = await Promise.all([sessionConfig(passwordAccount), sessionConfig(passwordAccount)]);
+
+      expect(a).toBe(b);
+      expect(login).toHaveBeenCalledTimes(1);
+    });
+
+    it('renews the token in place when reauthenticating', async () => {
+      login
+        .mockResolvedValueOnce(loginResponse('first'))
+        .mockResolvedValueOnce(loginResponse('second'));
+      const config = await sessionConfig(passwordAccount);
+
+      await Promise.all([config.reauthenticate(), config.reauthenticate()]);
+
+      expect(config.authToken).toBe('second');
+      expect(login).toHaveBeenCalledTimes(2);
+    });
+
+    it('wraps a rejected login in an AuthError and retries on the next call', async () => {
+      login
+        .mockRejectedValueOnce(new AuthError('failed (401)', { status: 401, body: '{"error":"Unauthorized"}' }))
+        .mockResolvedValueOnce(loginResponse('fresh-token'));
+
+      await expect(sessionConfig(passwordAccount)).rejects.toThrow('Rocket.Chat password login failed (401)');
+      await expect(sessionConfig(passwordAccount)).resolves.toEqual(
+        expect.objectContaining({ authToken: 'fresh-token' }),
+      );
+    });
+
+    it('rejects accounts without credentials', async () => {
+      await expect(sessionConfig({ url: 'https://chat.example.com' })).rejects.toBeInstanceOf(AuthError);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { isAllowed, policyNeedsRoles, createAuthorizer, rejectUnauthorized } from '../src/authz.js';
+
+vi.mock('../src/api.js', () => ({
+  getUserInfo: vi.fn(),
+  getChannelRoles: vi.fn(),
+  getGroupRoles: vi.fn(),
+  reactToMessage: vi.fn().mockResolvedValue({}),
+  sendMessage: vi.fn().mockResolvedValue({}),
+}));
+
+import { getUserInfo, getChannelRoles, getGroupRoles, reactToMessage, sendMessage } from '../src/api.js';
+
+const config = { url: 'https://chat.example.com' };
+const channel = { id: 'room-1', name: 'general', type: 'c' };
+const alice = { userId: 'alice-id', username: 'alice', roles: ['user'] };
+
+function msgFrom(userId = 'alice-id', username = 'alice') {
+  return { _id: 'msg-1', msg: 'hi', u: { _id: userId, username } };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getUserInfo.mockResolvedValue({ user: { roles: ['user'] } });
+  getChannelRoles.mockResolvedValue({ roles: [] });
+  getGroupRoles.mockResolvedValue({ roles: [] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('authz', () => {
+  describe('isAllowed', () => {
+    it('allows everyone without a policy or lists', () => {
+      expect(isAllowed(undefined, alice)).toBe(true);
+      expect(isAllowed({}, alice)).toBe(true);
+    });
+
+    it('matches users by username (with or without @) or ID', () => {
+      expect(isAllowed({ allowUsers: ['@Alice'] }, alice)).toBe(true);
+      expect(isAllowed({ allowUsers: ['alice-id'] }, alice)).toBe(true);
+      expect(isAllowed({ allowUsers: ['bob'] }, alice)).toBe(false);
+    });
+
+    it('matches roles', () => {
+      expect(isAllowed({ allowRoles: ['admin', 'user'] }, alice)).toBe(true);
+      expect(isAllowed({ allowRoles: ['admin'] }, alice)).toBe(false);
+      expect(isAllowed({ allowUsers: ['bob'], allowRoles: ['user'] }, alice)).toBe(true);
+    });
+
+    it('lets deny lists win', () => {
+      expect(isAllowed({ allowRoles: ['user'], denyUsers: ['alice'] }, alice)).toBe(false);
+      expect(isAllowed({ denyRoles: ['user'] }, alice)).toBe(false);
+      expect(isAllowed({ denyUsers: ['bob'] }, alice)).toBe(true);
+    });
+  });
+
+  it('policyNeedsRoles only for role lists', () => {
+    expect(policyNeedsRoles({ allowUsers: ['a'], denyUsers: ['b'] })).toBe(false);
+    expect(policyNeedsRoles({ denyRoles: ['guest'] })).toBe(true);
+    expect(policyNeedsRoles(undefined)).toBe(false);
+  });
+
+  describe('createAuthorizer', () => {
+    it('authorizes everyone without config, without lookups', async () => {
+      const { authorize } = createAuthorizer(config, undefined);
+
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: true });
+      expect(getUserInfo).not.toHaveBeenCalled();
+    });
+
+    it('applies the chat policy to commands by default', async () => {
+      const { authorize } = createAuthorizer(config, { chat: { denyUsers: ['mallory'] } });
+
+      expect(await authorize(msgFrom('m-id', 'mallory'), channel)).toEqual({ chat: false, commands: false });
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: true });
+    });
+
+    it('checks commands separately from chat', async () => {
+      getUserInfo.mockImplementation(async (_, userId) => ({ user: { roles: userId === 'admin-id' ? ['admin'] : ['user'] } }));
+      const { authorize } = createAuthorizer(config, { commands: { allowRoles: ['admin'] } });
+
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: false });
+      expect(await authorize(msgFrom('admin-id', 'root'), channel)).toEqual({ chat: true, commands: true });
+    });
+
+    it('combines global and room roles', async () => {
+      getGroupRoles.mockResolvedValue({ roles: [{ u: { _id: 'alice-id', username: 'alice' }, roles: ['moderator'] }] });
+      const { authorize } = createAuthorizer(config, { commands: { allowRoles: ['moderator'] } });
+
+      expect(await authorize(msgFrom(), { id: 'group-1', type: 'p' })).toEqual({ chat: true, commands: true });
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: false });
+      expect(getGroupRoles).toHaveBeenCalledWith(config, 'group-1');
+      expect(getChannelRoles).toHaveBeenCalledWith(config, 'room-1');
+    });
+
+    it('does not look up room roles in DMs', async () => {
+      const { authorize } = createAuthorizer(config, { chat: { allowRoles: ['user'] } });
+
+      expect(await authorize(msgFrom(), { id: 'dm-1', type: 'd' })).toEqual({ chat: true, commands: true });
+      expect(getChannelRoles).not.toHaveBeenCalled();
+      expect(getGroupRoles).not.toHaveBeenCalled();
+    });
+
+    it('caches roles until roleCacheSeconds pass', async () => {
+      vi.useFakeTimers();
+      const { authorize } = createAuthorizer(config, { chat: { allowRoles: ['user'] }, roleCacheSeconds: 60 });
+
+      await Promise.all([authorize(msgFrom(), channel), authorize(msgFrom(), channel)]);
+      await authorize(msgFrom(), channel);
+      expect(getUserInfo).toHaveBeenCalledTimes(1);
+      expect(getChannelRoles).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(61_000);
+      await authorize(msgFrom(), channel);
+      expect(getUserInfo).toHaveBeenCalledTimes(2);
+    });
+
+    it('refuses role-based policies when the lookup fails, and retries next time', async () => {
+      const log = { warn: vi.fn() };
+      getUserInfo.mockRejectedValueOnce(new Error('forbidden'));
+      const { authorize } = createAuthorizer(config, {
+        chat: { denyUsers: ['mallory'] },
+        commands: { allowRoles: ['user'] },
+      }, { log });
+
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: false });
+      expect(log.warn).toHaveBeenCalledWith('Could not look up roles for alice, treating as unauthorized: forbidden');
+
+      expect(await authorize(msgFrom(), channel)).toEqual({ chat: true, commands: true });
+      expect(getUserInfo).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('rejectUnauthorized', () => {
+    const target = { msg: msgFrom(), roomId: 'room-1', threadId: 'msg-1' };
+
+    it('does nothing when ignoring', async () => {
+      await rejectUnauthorized(config, { ...target, response: 'ignore' });
+
+      expect(reactToMessage).not.toHaveBeenCalled();
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('reacts with 🚫', async () => {
+      await rejectUnauthorized(config, { ...target, response: 'react' });
+
+      expect(reactToMessage).toHaveBeenCalledWith(config, 'msg-1', 'no_entry_sign', true);
+    });
+
+    it('replies to the sender in the thread', async () => {
+      await rejectUnauthorized(config, { ...target, response: 'reply' });
+      await rejectUnauthorized(config, { ...target, response: 'reply', message: 'Ask #it for access.' });
+
+      expect(sendMessage).toHaveBeenNthCalledWith(1, config, {
+        roomId: 'room-1', threadId: 'msg-1', text: "@alice Sorry, you're not allowed to talk to me here.",
+      });
+      expect(sendMessage).toHaveBeenNthCalledWith(2, config, {
+        roomId: 'room-1', threadId: 'msg-1', text: '@alice Ask #it for access.',
+      });
+    });
+
+    it('logs failures instead of throwing', async () => {
+      const log = { warn: vi.fn() };
+      reactToMessage.mockRejectedValueOnce(new Error('boom'));
+
+      await rejectUnauthorized(config, { ...target, response: 'react', log });
+
+      expect(log.warn).toHaveBeenCalledWith('Failed to tell alice they are not authorized: boom');
+    });
+  });
+});
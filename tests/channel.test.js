@@ -1,22 +1,35 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { rocketchatPlugin } from '../src/channel.js';
 
 // Mock dependencies
 vi.mock('../src/api.js', () => ({
   sendMessage: vi.fn().mockResolvedValue({}),
   getChannelInfo: vi.fn().mockResolvedValue({ channel: { _id: 'room-1' } }),
+  getGroupInfo: vi.fn(),
+  getRoomInfo: vi.fn(),
+  createDirectMessage: vi.fn().mockResolvedValue({ room: { _id: 'dm-1', t: 'd' } }),
   probe: vi.fn().mockResolvedValue({ ok: true, username: 'bot', userId: 'u1' }),
+  login: vi.fn(),
+  getPublicSettings: vi.fn().mockResolvedValue({ settings: [] }),
+  uploadFile: vi.fn().mockResolvedValue({}),
 }));
 
 vi.mock('../src/monitor.js', () => ({
   monitorRocketChat: vi.fn(),
 }));
 
-import { sendMessage, getChannelInfo, probe } from '../src/api.js';
+import { sendMessage, getChannelInfo, createDirectMessage, probe, login, uploadFile, getPublicSettings } from '../src/api.js';
+import { resetSessions } from '../src/auth.js';
+import { resetMessageLimits } from '../src/chunking.js';
 import { monitorRocketChat } from '../src/monitor.js';
 
 beforeEach(() => {
   vi.clearAllMocks();
+  resetSessions();
+  resetMessageLimits();
 });
 
 describe('channel plugin', () => {
@@ -32,8 +45,10 @@ describe('channel plugin', () => {
   it('has capabilities', () => {
     expect(rocketchatPlugin.capabilities.chatTypes).toContain('group');
     expect(rocketchatPlugin.capabilities.chatTypes).toContain('channel');
+    expect(rocketchatPlugin.capabilities.chatTypes).toContain('direct');
     expect(rocketchatPlugin.capabilities.reactions).toBe(true);
     expect(rocketchatPlugin.capabilities.threads).toBe(true);
+    expect(rocketchatPlugin.capabilities.media).toBe(true);
   });
 
   describe('config', () => {
@@ -78,6 +93,9 @@ describe('channel plugin', () => {
 
     it('isConfigured checks required fields', () => {
       expect(rocketchatPlugin.config.isConfigured({ url: 'x', authToken: 'y', userId: 'z' })).toBe(true);
+      expect(rocketchatPlugin.config.isConfigured({ url: 'x', username: 'bot', password: 'pw' })).toBe(true);
+      expect(rocketchatPlugin.config.isConfigured({ url: 'x', resumeToken: 'r' })).toBe(true);
+      expect(rocketchatPlugin.config.isConfigured({ url: 'x', username: 'bot' })).toBe(false);
       expect(rocketchatPlugin.config.isConfigured({ url: 'x' })).toBe(false);
       expect(rocketchatPlugin.config.isConfigured(null)).toBe(false);
     });
@@ -95,6 +113,17 @@ describe('channel plugin', () => {
       expect(desc.configured).toBe(true);
     });
 
+    it('describeAccount lists every configured room', () => {
+      const desc = rocketchatPlugin.config.describeAccount({
+        accountId: 'work',
+        url: 'x',
+        authToken: 'y',
+        userId: 'z',
+        channels: ['general', 'support-*'],
+      });
+      expect(desc.name).toBe('general, support-*');
+    });
+
     it('resolves account by id', () => {
       const cfg = {
         channels: {
@@ -143,6 +172,113 @@ describe('channel plugin', () => {
       );
     });
 
+    it('sendText posts to the OpenClaw target room when given', async () => {
+      getChannelInfo.mockResolvedValueOnce({ channel: { _id: 'room-2', name: 'support' } });
+
+      await rocketchatPlugin.outbound.sendText({
+        account: {
+          url: 'https://chat.example.com',
+          authToken: 'token',
+          userId: 'user-1',
+          channels: ['general', 'support'],
+        },
+        to: 'channel:support',
+        text: 'hi support',
+      });
+
+      expect(getChannelInfo).toHaveBeenCalledWith(expect.any(Object), 'support');
+      expect(sendMessage).toHaveBeenCalledWith(
+        expect.any(Object),
+        { roomId: 'room-2', text: 'hi support', threadId: null },
+      );
+    });
+
+    it('sendText opens a DM for user: targets', async () => {
+      await rocketchatPlugin.outbound.sendText({
+        account: { url: 'https://chat.example.com', authToken: 'token', userId: 'user-1', channel: 'general' },
+        to: 'user:alice',
+        text: 'psst',
+      });
+
+      expect(createDirectMessage).toHaveBeenCalledWith(expect.any(Object), 'alice');
+      expect(getChannelInfo).not.toHaveBeenCalled();
+      expect(sendMessage).toHaveBeenCalledWith(
+        expect.any(Object),
+        { roomId: 'dm-1', text: 'psst', threadId: null },
+      );
+    });
+
+    it('sendText logs in for password accounts and uses the session token', async () => {
+      login.mockResolvedValueOnce({ status: 'success', data: { authToken: 'session-token', userId: 'bot-id' } });
+
+      await rocketchatPlugin.outbound.sendText({
+        account: { url: 'https://chat.example.com', username: 'claw', password: 'pw', channel: 'general' },
+        text: 'hello',
+      });
+
+      expect(login).toHaveBeenCalledWith(expect.any(Object), { user: 'claw', password: 'pw' });
+      expect(sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ authToken: 'session-token', userId: 'bot-id' }),
+        expect.objectContaining({ text: 'hello' }),
+      );
+    });
+
+    it('sendText splits text over the server\'s message size limit', async () => {
+      getPublicSettings.mockResolvedValueOnce({ settings: [{ _id: 'Message_MaxAllowedSize', value: 12 }] });
+
+      await rocketchatPlugin.outbound.sendText({
+        account: { url: 'https://chat.example.com', authToken: 'token', userId: 'user-1', channel: 'general' },
+        text: 'first part\n\nsecond part',
+      });
+
+      expect(sendMessage.mock.calls.map(([, body]) => body.text)).toEqual(['first part', 'second part']);
+    });
+
+    it('sendText posts under the room\'s persona, else the account\'s', async () => {
+      const account = {
+        url: 'https://chat.example.com',
+        authToken: 'token',
+        userId: 'user-1',
+        channels: ['general', 'support'],
+        persona: { alias: 'Claw' },
+        rooms: { support: { persona: { alias: 'Helpdesk', emoji: ':sos:' } } },
+      };
+      getChannelInfo.mockResolvedValueOnce({ channel: { _id: 'room-2', name: 'support' } });
+
+      await rocketchatPlugin.outbound.sendText({ account, to: 'channel:support', text: 'a' });
+      await rocketchatPlugin.outbound.sendText({ account, text: 'b' });
+
+      expect(sendMessage.mock.calls.map(([, body]) => body)).toEqual([
+        { roomId: 'room-2', text: 'a', threadId: null, alias: 'Helpdesk', emoji: ':sos:' },
+        { roomId: 'room-1', text: 'b', threadId: null, alias: 'Claw' },
+      ]);
+    });
+
+    it('sendMedia uploads the file with its caption', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'rc-media-'));
+      try {
+        const path = join(dir, 'report.pdf');
+        await writeFile(path, '%PDF-1.4');
+
+        await rocketchatPlugin.outbound.sendMedia({
+          account: { url: 'https://chat.example.com', authToken: 'token', userId: 'user-1', channel: 'general' },
+          mediaUrl: path,
+          text: 'Weekly report',
+          threadId: 'thread-1',
+        });
+
+        expect(uploadFile).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+          roomId: 'room-1',
+          threadId: 'thread-1',
+          text: 'Weekly report',
+          filename: 'report.pdf',
+          contentType: 'application/pdf',
+        }));
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
     it('has delivery mode and chunk limit', () => {
       expect(rocketchatPlugin.outbound.deliveryMode).toBe('direct');
       expect(rocketchatPlugin.outbound.textChunkLimit).toBe(4000);
@@ -150,7 +286,7 @@ describe('channel plugin', () => {
   });
 
   describe('gateway', () => {
-    it('startAccount calls monitor with config', () => {
+    it('startAccount calls monitor with config', async () => {
       const ctx = {
         cfg: {
           channels: {
@@ -167,7 +303,7 @@ describe('channel plugin', () => {
         log: { info: vi.fn(), error: vi.fn() },
       };
 
-      rocketchatPlugin.gateway.startAccount(ctx);
+      await rocketchatPlugin.gateway.startAccount(ctx);
 
       expect(monitorRocketChat).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -178,11 +314,26 @@ describe('channel plugin', () => {
       );
     });
 
-    it('logs error when account not found', () => {
+    it('logs and rethrows when the monitor fails', async () => {
+      monitorRocketChat.mockRejectedValueOnce(new Error('Rocket.Chat room not found: general'));
+      const log = { error: vi.fn(), info: vi.fn() };
+      const ctx = {
+        cfg: { channels: { rocketchat: { url: 'https://chat.example.com', authToken: 't', userId: 'u', channel: 'general' } } },
+        accountId: 'default',
+        log,
+      };
+
+      await expect(rocketchatPlugin.gateway.startAccount(ctx)).rejects.toThrow('room not found');
+      expect(log.error).toHaveBeenCalledWith(
+        'Rocket.Chat account default stopped: Rocket.Chat room not found: general',
+      );
+    });
+
+    it('logs error when account not found', async () => {
       const log = { error: vi.fn(), info: vi.fn() };
       const ctx = { cfg: {}, accountId: 'nonexistent', log };
 
-      rocketchatPlugin.gateway.startAccount(ctx);
+      await rocketchatPlugin.gateway.startAccount(ctx);
 
       expect(monitorRocketChat).not.toHaveBeenCalled();
       expect(log.error).toHaveBeenCalledWith(expect.stringContaining('nonexistent'));
@@ -211,6 +362,41 @@ describe('channel plugin', () => {
       expect(result.ok).toBe(false);
       expect(result.detail).toContain('Failed');
     });
+
+    it('probe explains why it failed', async () => {
+      probe.mockResolvedValueOnce({ ok: false, username: null, userId: null, error: 'auth' });
+
+      const result = await rocketchatPlugin.status.probe({
+        account: { url: 'https://chat.example.com', authToken: 'token', userId: 'u1' },
+      });
+
+      expect(result.error).toBe('auth');
+      expect(result.detail).toBe('Rocket.Chat rejected the credentials');
+    });
+
+    it('probe reports a failed login as an auth error', async () => {
+      const { AuthError } = await import('../src/errors.js');
+      login.mockRejectedValueOnce(new AuthError('failed (401)', { status: 401, body: 'Unauthorized' }));
+
+      const result = await rocketchatPlugin.status.probe({
+        account: { url: 'https://chat.example.com', username: 'claw', password: 'wrong' },
+      });
+
+      expect(result).toEqual(expect.objectContaining({ ok: false, error: 'auth' }));
+      expect(probe).not.toHaveBeenCalled();
+    });
+
+    it('probe includes monitor metrics once the monitor has recorded any', async () => {
+      const { accountMetrics, resetMetrics } = await import('../src/metrics.js');
+      accountMetrics('probe-test').backlogsDrained = 2;
+
+      const result = await rocketchatPlugin.status.probe({
+        account: { accountId: 'probe-test', url: 'https://chat.example.com', authToken: 'token', userId: 'u1' },
+      });
+      resetMetrics('probe-test');
+
+      expect(result.metrics).toEqual(expect.objectContaining({ backlogsDrained: 2 }));
+    });
   });
 });
 
@@ -234,6 +420,20 @@ describe('plugin entry point', () => {
     );
   });
 
+  it('registers agent tools for the conversation\'s account', async () => {
+    vi.resetModules();
+    const { default: plugin } = await import('../index.js');
+    const api = { runtime: {}, registerChannel: vi.fn(), registerTool: vi.fn(), logger: {} };
+
+    plugin.register(api);
+
+    const [factory, opts] = api.registerTool.mock.calls[0];
+    expect(opts.names).toContain('rocketchat_search_messages');
+    const config = { channels: { rocketchat: { url: 'https://chat.example.com', authToken: 'token', userId: 'bot', tools: ['pin_message'] } } };
+    expect(factory({ config, messageChannel: 'rocketchat' }).map((tool) => tool.name)).toEqual(['rocketchat_pin_message']);
+    expect(factory({ config: {}, messageChannel: 'rocketchat' })).toBeNull();
+  });
+
   it('has required id field', async () => {
     vi.resetModules();
     const { default: plugin } = await import('../index.js');
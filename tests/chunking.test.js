@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  chunkMarkdown,
+  extractLongCode,
+  messageLimit,
+  resetMessageLimits,
+  sendLongText,
+  DEFAULT_MESSAGE_MAX_LENGTH,
+} from '../src/chunking.js';
+
+vi.mock('../src/api.js', () => ({
+  getPublicSettings: vi.fn(),
+  sendMessage: vi.fn().mockResolvedValue({}),
+  uploadFile: vi.fn().mockResolvedValue({}),
+}));
+
+import { getPublicSettings, sendMessage, uploadFile } from '../src/api.js';
+
+const config = { url: 'https://chat.example.com' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  resetMessageLimits();
+});
+
+describe('chunking', () => {
+  describe('chunkMarkdown', () => {
+    it('returns short text as one chunk', () => {
+      expect(chunkMarkdown('hello', 100)).toEqual(['hello']);
+      expect(chunkMarkdown('', 100)).toEqual([]);
+    });
+
+    it('prefers paragraph breaks, then lines, then spaces', () => {
+      expect(chunkMarkdown('one two\nthree\n\nfour five', 16)).toEqual(['one two\nthree', 'four five']);
+      expect(chunkMarkdown('one two\nthree four', 16)).toEqual(['one two\nthree', 'four']);
+      expect(chunkMarkdown('one two three four', 10)).toEqual(['one two', 'three four']);
+    });
+
+    it('cuts hard when there is nowhere better', () => {
+      expect(chunkMarkdown('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+
+    it('does not split surrogate pairs', () => {
+      const chunks = chunkMarkdown(`${'x'.repeat(9)}😀${'x'.repeat(5)}`, 10);
+      expect(chunks).toEqual(['x'.repeat(9), `😀${'x'.repeat(5)}`]);
+    });
+
+    it('closes and reopens code fences across chunks', () => {
+      const lines = Array.from({ length: 6 }, (_, i) => `print(${i})`);
+      const text = `Here:\n\n\`\`\`python\n${lines.join('\n')}\n\`\`\`\n\nDone.`;
+
+      const chunks = chunkMarkdown(text, 50);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      for (const chunk of chunks) {
+        expect(chunk.length).toBeLessThanOrEqual(50);
+        expect((chunk.match(/^```/gm) || []).length % 2).toBe(0);
+      }
+      expect(chunks[1].startsWith('```python\n')).toBe(true);
+      expect(chunks.join('\n')).toContain('print(5)');
+    });
+
+    it('keeps tilde fences and longer backtick fences intact', () => {
+      const text = `~~~~\n${'a '.repeat(20)}\n~~~~`;
+      const chunks = chunkMarkdown(text, 30);
+
+      for (const chunk of chunks) {
+        expect(chunk.startsWith('~~~~')).toBe(true);
+        expect(chunk.endsWith('~~~~')).toBe(true);
+      }
+    });
+  });
+
+  describe('extractLongCode', () => {
+    it('replaces code blocks over the limit with a note', () => {
+      const code = 'x = 1\n'.repeat(20).trimEnd();
+      const text = `Intro\n\`\`\`py\n${code}\n\`\`\`\nShort:\n\`\`\`\nok\n\`\`\``;
+
+      const result = extractLongCode(text, 50);
+
+      expect(result.snippets).toEqual([{ filename: 'snippet-1.py', content: code }]);
+      expect(result.text).toBe('Intro\n_(code attached as snippet-1.py)_\nShort:\n```\nok\n```');
+    });
+
+    it('uses .txt for unknown languages', () => {
+      const { snippets } = extractLongCode(`\`\`\`brainfuck\n${'+'.repeat(60)}\n\`\`\``, 50);
+      expect(snippets[0].filename).toBe('snippet-1.txt');
+    });
+  });
+
+  describe('messageLimit', () => {
+    it('reads Message_MaxAllowedSize once per server', async () => {
+      getPublicSettings.mockResolvedValue({ settings: [{ _id: 'Message_MaxAllowedSize', value: 2500 }] });
+
+      expect(await messageLimit(config)).toBe(2500);
+      expect(await messageLimit(config)).toBe(2500);
+      expect(getPublicSettings).toHaveBeenCalledTimes(1);
+      expect(getPublicSettings).toHaveBeenCalledWith(config, ['Message_MaxAllowedSize']);
+    });
+
+    it('falls back to the default when the setting cannot be read', async () => {
+      const log = { warn: vi.fn() };
+      getPublicSettings.mockRejectedValue(new Error('RC API 500'));
+
+      expect(await messageLimit(config, log)).toBe(DEFAULT_MESSAGE_MAX_LENGTH);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('Could not read Rocket.Chat\'s message size limit'));
+    });
+  });
+
+  describe('sendLongText', () => {
+    it('sends each chunk in order', async () => {
+      await sendLongText(config, { roomId: 'room-1', threadId: 't-1', text: 'one two three four', limit: 10 });
+
+      expect(sendMessage.mock.calls.map(([, body]) => body)).toEqual([
+        { roomId: 'room-1', text: 'one two', threadId: 't-1' },
+        { roomId: 'room-1', text: 'three four', threadId: 't-1' },
+      ]);
+    });
+
+    it('resolves to the IDs of the messages posted', async () => {
+      sendMessage.mockResolvedValueOnce({ message: { _id: 'reply-1' } }).mockResolvedValueOnce({ message: { _id: 'reply-2' } });
+
+      expect(await sendLongText(config, { roomId: 'room-1', text: 'one two three four', limit: 10 })).toEqual(['reply-1', 'reply-2']);
+    });
+
+    it('sends every chunk with the persona', async () => {
+      await sendLongText(config, { roomId: 'room-1', text: 'one two three four', limit: 10, persona: { alias: 'Helpdesk', emoji: ':robot:' } });
+
+      expect(sendMessage.mock.calls.map(([, body]) => body.alias + body.emoji)).toEqual(['Helpdesk:robot:', 'Helpdesk:robot:']);
+    });
+
+    it('uploads long code blocks as snippets when asked', async () => {
+      const code = 'SELECT 1;\n'.repeat(10).trimEnd();
+
+      await sendLongText(config, {
+        roomId: 'room-1', threadId: 't-1', text: `Query:\n\`\`\`sql\n${code}\n\`\`\``, limit: 50, codeSnippets: true,
+      });
+
+      expect(sendMessage).toHaveBeenCalledWith(config, {
+        roomId: 'room-1', text: 'Query:\n_(code attached as snippet-1.sql)_', threadId: 't-1',
+      });
+      expect(uploadFile).toHaveBeenCalledWith(config, expect.objectContaining({
+        roomId: 'room-1', threadId: 't-1', filename: 'snippet-1.sql', contentType: 'text/plain',
+      }));
+      expect(uploadFile.mock.calls[0][1].data.toString()).toBe(code);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMessageControls, RETRY_REACTION, CANCEL_REACTION } from '../src/controls.js';
+
+const room = { id: 'room-1', name: 'general' };
+
+function makeMsg(id, reactions) {
+  return { _id: id, rid: 'room-1', msg: 'hello', ts: '2026-02-17T00:00:00Z', reactions };
+}
+
+const by = (...usernames) => ({ usernames });
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('controls', () => {
+  it('keeps what track() is given for a retry', () => {
+    const controls = createMessageControls();
+    const entry = controls.track(makeMsg('msg-1'), room, { replyThreadId: 'msg-1' });
+
+    expect(entry).toMatchObject({ status: 'active', replyThreadId: 'msg-1', room });
+    expect(entry.controller.signal.aborted).toBe(false);
+    expect(controls.get('msg-1')).toBe(entry);
+  });
+
+  it('cancels an active message on a new 🛑', () => {
+    const controls = createMessageControls();
+    const { controller } = controls.track(makeMsg('msg-1'), room);
+
+    expect(controls.update(makeMsg('msg-1', { [CANCEL_REACTION]: by('alice') }))).toBe('cancel');
+    expect(controller.signal.aborted).toBe(true);
+  });
+
+  it('retries a failed or cancelled message on a new 🔁, once per reaction', () => {
+    const controls = createMessageControls();
+    const entry = controls.track(makeMsg('msg-1'), room);
+    const first = entry.controller;
+    controls.settle('msg-1', 'failed');
+
+    expect(controls.update(makeMsg('msg-1', { [RETRY_REACTION]: by('alice') }))).toBe('retry');
+    expect(entry.status).toBe('active');
+    expect(entry.controller).not.toBe(first);
+
+    controls.settle('msg-1', 'cancelled');
+    expect(controls.update(makeMsg('msg-1', { [RETRY_REACTION]: by('alice') }))).toBeNull();
+    // Removing and adding it again counts
+    controls.update(makeMsg('msg-1'));
+    expect(controls.update(makeMsg('msg-1', { [RETRY_REACTION]: by('alice') }))).toBe('retry');
+  });
+
+  it('ignores reactions that were there before it was tracked, and ones that do not apply', () => {
+    const controls = createMessageControls();
+    controls.track(makeMsg('msg-1', { [CANCEL_REACTION]: by('bob') }), room);
+
+    expect(controls.update(makeMsg('msg-1', { [CANCEL_REACTION]: by('bob') }))).toBeNull();
+    expect(controls.update(makeMsg('msg-1', { [RETRY_REACTION]: by('alice') }))).toBeNull();
+    expect(controls.update(makeMsg('unknown', { [CANCEL_REACTION]: by('alice') }))).toBeNull();
+
+    controls.settle('msg-1', 'failed');
+    expect(controls.update(makeMsg('msg-1', { [CANCEL_REACTION]: by('bob', 'alice') }))).toBeNull();
+  });
+
+  it('reports edited text and starts a new run, with edits on', () => {
+    const controls = createMessageControls({ edits: true });
+    const entry = controls.track(makeMsg('msg-1'), room);
+    const first = entry.controller;
+    const edited = { ...makeMsg('msg-1'), msg: 'hello again', editedAt: '2026-02-17T00:02:00Z' };
+
+    expect(controls.update(edited)).toBe('edit');
+    expect(first.signal.reason).toBe('edited');
+    expect(entry.controller).not.toBe(first);
+    // The same copy again, or an edit that kept the text, is not a new edit
+    expect(controls.update(edited)).toBeNull();
+    expect(controls.update({ ...edited, editedAt: '2026-02-17T00:03:00Z' })).toBeNull();
+
+    expect(createMessageControls().update(edited)).toBeNull();
+  });
+
+  it('ignores the outcome of a run that was replaced', () => {
+    const controls = createMessageControls({ edits: true });
+    const entry = controls.track(makeMsg('msg-1'), room);
+    const first = entry.controller;
+    controls.update({ ...makeMsg('msg-1'), msg: 'hello again', editedAt: '2026-02-17T00:02:00Z' });
+
+    controls.settle('msg-1', 'cancelled', first);
+    expect(entry.status).toBe('active');
+    controls.settle('msg-1', 'done', entry.controller);
+    expect(controls.get('msg-1')).toBeUndefined();
+  });
+
+  it('keeps answered messages for answeredWindowMs', () => {
+    vi.useFakeTimers();
+    const controls = createMessageControls({ answeredWindowMs: 1000 });
+    controls.track(makeMsg('msg-1'), room);
+    controls.settle('msg-1', 'done');
+
+    expect(controls.get('msg-1').status).toBe('done');
+    vi.advanceTimersByTime(1001);
+    controls.track(makeMsg('msg-2'), room);
+    expect(controls.get('msg-1')).toBeUndefined();
+  });
+
+  it('removes a deleted message, aborting its run', () => {
+    const controls = createMessageControls();
+    const { controller } = controls.track(makeMsg('msg-1'), room);
+
+    const entry = controls.remove('msg-1');
+    expect(entry.deleted).toBe(true);
+    expect(controller.signal.reason).toBe('deleted');
+    expect(controls.get('msg-1')).toBeUndefined();
+    expect(controls.remove('msg-1')).toBeUndefined();
+  });
+
+  it('aborts every active run with abortAll()', () => {
+    const controls = createMessageControls();
+    const first = controls.track(makeMsg('msg-1'), room);
+    const second = controls.track(makeMsg('msg-2'), room);
+    controls.track(makeMsg('msg-3'), room);
+    controls.settle('msg-3', 'failed');
+
+    expect(controls.abortAll('shutdown')).toBe(2);
+    expect(first.controller.signal.reason).toBe('shutdown');
+    expect(second.controller.signal.reason).toBe('shutdown');
+    expect(controls.abortAll('shutdown')).toBe(0);
+  });
+
+  it('forgets answered messages', () => {
+    const controls = createMessageControls();
+    controls.track(makeMsg('msg-1'), room);
+    controls.settle('msg-1', 'done');
+
+    expect(controls.get('msg-1')).toBeUndefined();
+    expect(controls.cursor('room-1')).toBeNull();
+  });
+
+  it('drops failed messages after the retry window', () => {
+    vi.useFakeTimers();
+    const controls = createMessageControls({ retryWindowMs: 1000 });
+    controls.track(makeMsg('msg-1'), room);
+    controls.settle('msg-1', 'failed');
+
+    vi.advanceTimersByTime(1001);
+    controls.track(makeMsg('msg-2'), room);
+
+    expect(controls.get('msg-1')).toBeUndefined();
+    expect(controls.size).toBe(1);
+  });
+
+  it('drops the oldest settled messages beyond the cap, never active ones', () => {
+    const controls = createMessageControls({ maxTracked: 2 });
+    controls.track(makeMsg('msg-1'), room);
+    controls.track(makeMsg('msg-2'), room);
+    controls.settle('msg-2', 'failed');
+    controls.track(makeMsg('msg-3'), room);
+
+    expect(controls.get('msg-1')).toBeDefined();
+    expect(controls.get('msg-2')).toBeUndefined();
+    expect(controls.get('msg-3')).toBeDefined();
+  });
+
+  it('syncs a room from its first tracked message and moves forward', () => {
+    const controls = createMessageControls();
+    expect(controls.cursor('room-1')).toBeNull();
+
+    controls.track(makeMsg('msg-1'), room);
+    expect(controls.cursor('room-1')).toBe(Date.parse('2026-02-17T00:00:00Z'));
+
+    controls.advance('room-1', '2026-02-17T00:05:00Z');
+    controls.advance('room-1', '2026-02-17T00:01:00Z');
+    controls.advance('room-2', '2026-02-17T00:01:00Z');
+    expect(controls.cursor('room-1')).toBe(Date.parse('2026-02-17T00:05:00Z'));
+    expect(controls.cursor('room-2')).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { failureKind, failureRef, createFailureReplies } from '../src/failures.js';
+import { AuthError, RateLimitError, RocketChatApiError } from '../src/errors.js';
+
+vi.mock('../src/api.js', () => ({
+  sendMessage: vi.fn().mockResolvedValue({}),
+}));
+
+import { sendMessage } from '../src/api.js';
+
+const config = { url: 'https://chat.example.com' };
+const target = { roomId: 'room-1', threadId: 'thread-1', kind: 'agent_error', ref: 'abc123' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('failures', () => {
+  it('failureRef is six hex characters', () => {
+    expect(failureRef()).toMatch(/^[0-9a-f]{6}$/);
+    expect(failureRef()).not.toBe(failureRef());
+  });
+
+  describe('failureKind', () => {
+    it('classifies REST client errors', () => {
+      expect(failureKind(new RateLimitError('429'))).toBe('rate_limited');
+      expect(failureKind(new RocketChatApiError('slow', { code: 'timeout' }))).toBe('timeout');
+      expect(failureKind(new AuthError('401'))).toBe('unauthorized');
+    });
+
+    it('classifies agent errors by status or message', () => {
+      expect(failureKind(Object.assign(new Error('provider error'), { status: 429 }))).toBe('rate_limited');
+      expect(failureKind(new Error('Model request timed out after 60s'))).toBe('timeout');
+      expect(failureKind(new Error('403 Forbidden'))).toBe('unauthorized');
+      expect(failureKind(new Error('Agent crashed'))).toBe('agent_error');
+    });
+
+    it('reports no_reply without an error', () => {
+      expect(failureKind(null)).toBe('no_reply');
+    });
+  });
+
+  describe('createFailureReplies', () => {
+    it('is off unless configured', async () => {
+      const failures = createFailureReplies(undefined);
+
+      expect(failures.enabled).toBe(false);
+      expect(await failures.report(config, target)).toBe(false);
+      expect(sendMessage).not.toHaveBeenCalled();
+      expect(createFailureReplies({ enabled: false }).enabled).toBe(false);
+    });
+
+    it('replies in the thread with the ref and persona', async () => {
+      const failures = createFailureReplies(true);
+
+      expect(await failures.report(config, { ...target, kind: 'timeout', persona: { alias: 'Helpdesk' } })).toBe(true);
+
+      expect(sendMessage).toHaveBeenCalledWith(config, {
+        roomId: 'room-1',
+        threadId: 'thread-1',
+        text: 'Sorry, that took too long to answer. Please try again. _(ref abc123)_',
+        alias: 'Helpdesk',
+      });
+    });
+
+    it('uses configured messages', async () => {
+      const failures = createFailureReplies({ messages: { no_reply: 'Nothing to say.' } });
+
+      await failures.report(config, { ...target, kind: 'no_reply' });
+      await failures.report(config, { ...target, threadId: 'thread-2' });
+
+      expect(sendMessage.mock.calls.map(([, body]) => body.text)).toEqual([
+        'Nothing to say. _(ref abc123)_',
+        'Sorry, something went wrong while answering. _(ref abc123)_',
+      ]);
+    });
+
+    it('replies once per thread until the cooldown passes', async () => {
+      vi.useFakeTimers();
+      const failures = createFailureReplies({ cooldownSeconds: 60 });
+
+      expect(await failures.report(config, target)).toBe(true);
+      expect(await failures.report(config, target)).toBe(false);
+      expect(await failures.report(config, { ...target, threadId: 'thread-2' })).toBe(true);
+
+      vi.advanceTimersByTime(60_000);
+      expect(await failures.report(config, target)).toBe(true);
+      expect(sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('logs a reply that could not be posted', async () => {
+      const log = { warn: vi.fn() };
+      sendMessage.mockRejectedValueOnce(new Error('boom'));
+
+      expect(await createFailureReplies(true, { log }).report(config, target)).toBe(false);
+      expect(log.warn).toHaveBeenCalledWith('Failed to post failure reply (ref abc123): boom');
+    });
+  });
+});
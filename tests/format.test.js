@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { toRocketChat, fromRocketChat, renderMessageAst, agentText, formatReply } from '../src/format.js';
+
+const plain = (value) => ({ type: 'PLAIN_TEXT', value });
+const paragraph = (...value) => ({ type: 'PARAGRAPH', value });
+
+describe('format', () => {
+  describe('toRocketChat', () => {
+    it('converts emphasis', () => {
+      expect(toRocketChat('**bold** and *italic* and __also bold__ and ~~gone~~'))
+        .toBe('*bold* and _italic_ and *also bold* and ~gone~');
+    });
+
+    it('turns headings into bold lines', () => {
+      expect(toRocketChat('# Title\n## **Sub** heading ##\ntext')).toBe('*Title*\n*Sub heading*\ntext');
+    });
+
+    it('rewrites * bullets so they are not read as emphasis', () => {
+      expect(toRocketChat('* one\n  + two\n- three')).toBe('- one\n  - two\n- three');
+    });
+
+    it('replaces images with their URL', () => {
+      expect(toRocketChat('See ![chart](https://x.example/c.png "Chart")')).toBe('See https://x.example/c.png');
+    });
+
+    it('leaves links alone', () => {
+      expect(toRocketChat('[docs](https://docs.example.com)')).toBe('[docs](https://docs.example.com)');
+    });
+
+    it('does not touch code', () => {
+      const text = 'Use `**kwargs` here:\n```python\ndef f(**kwargs):\n    # comment\n    return *args\n```';
+      expect(toRocketChat(text)).toBe(text);
+    });
+
+    it('renders tables as aligned code blocks', () => {
+      const table = [
+        'Results:',
+        '| Name | Qty | Note |',
+        '|:-----|----:|:----:|',
+        '| **apple** | 3 | [ok](https://a.example) |',
+        '| kiwi | 12 | `x` |',
+        '',
+        'Done.',
+      ].join('\n');
+
+      expect(toRocketChat(table)).toBe([
+        'Results:',
+        '```',
+        'Name  | Qty |          Note',
+        '------+-----+-----------------------',
+        'apple |   3 | ok (https://a.example)',
+        'kiwi  |  12 |           x',
+        '```',
+        '',
+        'Done.',
+      ].join('\n'));
+    });
+
+    it('leaves pipes that are not tables', () => {
+      expect(toRocketChat('a | b\nnext line')).toBe('a | b\nnext line');
+    });
+  });
+
+  describe('fromRocketChat', () => {
+    it('converts RC emphasis and links to CommonMark', () => {
+      expect(fromRocketChat('*bold* _it_ ~strike~ <https://x.example|site>'))
+        .toBe('**bold** _it_ ~~strike~~ [site](https://x.example)');
+    });
+
+    it('does not touch code', () => {
+      expect(fromRocketChat('`*a*`\n```\n*b*\n```')).toBe('`*a*`\n```\n*b*\n```');
+    });
+
+    it('ignores lone asterisks', () => {
+      expect(fromRocketChat('2 * 3 * 4')).toBe('2 * 3 * 4');
+    });
+  });
+
+  describe('renderMessageAst', () => {
+    it('renders inline nodes as CommonMark', () => {
+      const md = [paragraph(
+        { type: 'MENTION_USER', value: plain('claw') },
+        plain(' please '),
+        { type: 'BOLD', value: [plain('check')] },
+        plain(' '),
+        { type: 'LINK', value: { src: plain('https://x.example'), label: [plain('this')] } },
+        plain(' in '),
+        { type: 'MENTION_CHANNEL', value: plain('ops') },
+        plain(' '),
+        { type: 'EMOJI', value: plain('tada'), shortCode: 'tada' },
+        plain(' '),
+        { type: 'INLINE_CODE', value: plain('npm test') },
+      )];
+
+      expect(renderMessageAst(md)).toBe('@claw please **check** [this](https://x.example) in #ops :tada: `npm test`');
+    });
+
+    it('renders blocks', () => {
+      const md = [
+        { type: 'HEADING', level: 2, value: [plain('Plan')] },
+        { type: 'UNORDERED_LIST', value: [{ type: 'LIST_ITEM', value: [plain('a')] }, { type: 'LIST_ITEM', value: [plain('b')] }] },
+        { type: 'LINE_BREAK' },
+        { type: 'QUOTE', value: [paragraph(plain('quoted'))] },
+        { type: 'CODE', language: 'js', value: [{ type: 'CODE_LINE', value: plain('let x = 1;') }] },
+        { type: 'TASKS', value: [{ type: 'TASK', status: true, value: [plain('done')] }] },
+      ];
+
+      expect(renderMessageAst(md)).toBe('## Plan\n- a\n- b\n\n> quoted\n```js\nlet x = 1;\n```\n- [x] done');
+    });
+
+    it('keeps unknown node types readable', () => {
+      expect(renderMessageAst([paragraph({ type: 'COLOR', value: 'red' }, { type: 'SOMETHING_NEW', value: [plain('x')] })])).toBe('redx');
+    });
+  });
+
+  describe('agentText', () => {
+    it('prefers the md AST', () => {
+      expect(agentText({ msg: '*hi*', md: [paragraph({ type: 'BOLD', value: [plain('hi')] })] })).toBe('**hi**');
+    });
+
+    it('falls back to the text', () => {
+      expect(agentText({ msg: '*hi*' })).toBe('**hi**');
+      expect(agentText({ msg: '*hi*', md: [] })).toBe('**hi**');
+      expect(agentText({})).toBe('');
+    });
+  });
+
+  it('formatReply can be turned off per account', () => {
+    expect(formatReply('**x**', {})).toBe('*x*');
+    expect(formatReply('**x**', { convertMarkdown: false })).toBe('**x**');
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Minimal stand-in for Rocket.Chat's DDP websocket, for realtime transport tests.
+ * Speaks just enough RFC 6455 (unfragmented text frames, ping, close) over
+ * node:http upgrade to avoid a websocket dependency.
+ *
+ *   const server = await startDdpServer({ authToken: 'token', rejectRooms: ['room-2'] });
+ *   server.url               // http://127.0.0.1:<port>, pass as account.url
+ *   server.emitMessage(rid, msg)
+ *   server.emitDelete(rid, messageId)
+ *   server.readySubscriptions() // with holdSubscriptions, answer them now
+ *   server.dropConnections() // simulate a network blip
+ *   await server.close();
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function encodeFrame(opcode, payload) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/** Parse complete client frames off the front of buf. Returns [frames, rest]. */
+function decodeFrames(buf) {
+  const frames = [];
+  while (buf.length >= 2) {
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let pos = 2;
+    if (len === 126) {
+      if (buf.length < 4) break;
+      len = buf.readUInt16BE(2);
+      pos = 4;
+    } else if (len === 127) {
+      if (buf.length < 10) break;
+      len = Number(buf.readBigUInt64BE(2));
+      pos = 10;
+    }
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+    const mask = masked ? buf.subarray(pos, pos + 4) : null;
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    buf = buf.subarray(pos + maskLen + len);
+  }
+  return [frames, buf];
+}
+
+export async function startDdpServer({ authToken = 'token', rejectRooms = [], holdSubscriptions = false } = {}) {
+  const clients = new Set();
+  const state = {
+    logins: 0,
+    failedLogins: 0,
+    subscriptions: [],
+    received: [],
+  };
+
+  const server = createServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+
+  server.on('upgrade', (req, socket) => {
+    if (req.url !== '/websocket') {
+      socket.destroy();
+      return;
+    }
+    const accept = createHash('sha1')
+      .update(req.headers['sec-websocket-key'] + WS_GUID)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n'
+      + 'Upgrade: websocket\r\n'
+      + 'Connection: Upgrade\r\n'
+      + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+    );
+
+    const client = { socket, rooms: new Set(), events: new Set(), held: [] };
+    clients.add(client);
+    const send = (data) => socket.write(encodeFrame(0x1, JSON.stringify(data)));
+    client.send = send;
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const [frames, rest] = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const { opcode, payload } of frames) {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, ''));
+          return;
+        }
+        if (opcode === 0x9) {
+          socket.write(encodeFrame(0xa, payload));
+          continue;
+        }
+        if (opcode !== 0x1) continue;
+
+        const frame = JSON.parse(payload.toString('utf8'));
+        state.received.push(frame);
+        if (frame.msg === 'connect') {
+          send({ msg: 'connected', session: `session-${state.logins}` });
+        } else if (frame.msg === 'method' && frame.method === 'login') {
+          if (frame.params?.[0]?.resume === authToken) {
+            state.logins++;
+            send({ msg: 'result', id: frame.id, result: { id: 'bot-user', token: authToken } });
+          } else {
+            state.failedLogins++;
+            send({ msg: 'result', id: frame.id, error: { error: 403, reason: "You've been logged out by the server. Please log in again." } });
+          }
+        } else if (frame.msg === 'sub') {
+          state.subscriptions.push({ name: frame.name, params: frame.params });
+          if (rejectRooms.includes(String(frame.params?.[0]).split('/')[0])) {
+            send({ msg: 'nosub', id: frame.id, error: { error: 'error-not-allowed', reason: 'Not allowed' } });
+            continue;
+          }
+          if (frame.name === 'stream-room-messages') client.rooms.add(frame.params[0]);
+          if (frame.name === 'stream-notify-room') client.events.add(frame.params[0]);
+          if (holdSubscriptions) client.held.push(frame.id);
+          else send({ msg: 'ready', subs: [frame.id] });
+        } else if (frame.msg === 'ping') {
+          send(frame.id ? { msg: 'pong', id: frame.id } : { msg: 'pong' });
+        }
+      }
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    state,
+
+    get connectionCount() {
+      return clients.size;
+    },
+
+    /** Push a message to every client subscribed to the room. */
+    emitMessage(roomId, message) {
+      for (const client of clients) {
+        if (!client.rooms.has(roomId)) continue;
+        client.send({
+          msg: 'changed',
+          collection: 'stream-room-messages',
+          id: 'id',
+          fields: { eventName: roomId, args: [message] },
+        });
+      }
+    },
+
+    /** Tell clients subscribed to the room's deletions that a message was deleted. */
+    emitDelete(roomId, messageId) {
+      const eventName = `${roomId}/deleteMessage`;
+      for (const client of clients) {
+        if (!client.events.has(eventName)) continue;
+        client.send({
+          msg: 'changed',
+          collection: 'stream-notify-room',
+          id: 'id',
+          fields: { eventName, args: [{ _id: messageId }] },
+        });
+      }
+    },
+
+    /** Answer the subscriptions held back by holdSubscriptions. */
+    readySubscriptions() {
+      for (const client of clients) {
+        if (client.held.length) client.send({ msg: 'ready', subs: client.held.splice(0) });
+      }
+    },
+
+    /** Send a raw DDP frame to every client. */
+    broadcast(frame) {
+      for (const client of clients) client.send(frame);
+    },
+
+    dropConnections() {
+      for (const client of clients) client.socket.destroy();
+      clients.clear();
+    },
+
+    async close() {
+      this.dropConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** Poll until predicate() is truthy (or fail after timeoutMs). */
+export async function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
@@ -12,9 +12,9 @@ import {
   getChannelHistory,
   reactToMessage,
 } from '../../src/api.js';
-import { skipUnlessConfigured, config, channelName, uniqueTag } from './setup.js';
+import { integrationSuite, channelId, config, channelName, uniqueTag } from './setup.js';
 
-const { describe } = skipUnlessConfigured();
+const { describe } = integrationSuite();
 
 /** Message IDs to clean up after all tests. */
 const cleanup = [];
@@ -63,7 +63,7 @@ describe('api integration', () => {
     const tag = uniqueTag();
     const text = `integration-test: send-retrieve ${tag}`;
 
-    const sent = await sendMessage(config, { channel: channelName, text });
+    const sent = await sendMessage(config, { roomId: await channelId(), text });
     expect(sent.message._id).toBeTruthy();
     cleanup.push(sent.message._id);
 
@@ -79,7 +79,7 @@ describe('api integration', () => {
   it('react and unreact', async () => {
     const tag = uniqueTag();
     const sent = await sendMessage(config, {
-      channel: channelName,
+      roomId: await channelId(),
       text: `integration-test: reactions ${tag}`,
     });
     cleanup.push(sent.message._id);
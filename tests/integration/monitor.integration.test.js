@@ -11,9 +11,10 @@ import {
   getChannelHistory,
 } from '../../src/api.js';
 import { monitorRocketChat } from '../../src/monitor.js';
-import { skipUnlessConfigured, config, channelName, uniqueTag } from './setup.js';
+import { setRuntime } from '../../src/runtime.js';
+import { integrationSuite, channelId, config, channelName, uniqueTag, mockServer } from './setup.js';
 
-const { describe } = skipUnlessConfigured();
+const { describe, describeMock } = integrationSuite();
 
 const cleanup = [];
 
@@ -39,12 +40,13 @@ afterAll(async () => {
 /**
  * Build a mock OpenClaw runtime that captures dispatched messages.
  *
- * NOTE: Full dispatch+reaction tests (monitor picks up message → adds hourglass)
- * require a second Rocket.Chat user. The monitor filters its own messages
+ * NOTE: Against a live server, full dispatch+reaction tests (monitor picks up
+ * message → adds hourglass) require a second Rocket.Chat user, so they only run
+ * against the mock server (see 'monitor end to end' below). The monitor filters its own messages
  * (msg.u._id === botUserId), and the same userId is used for both API auth and
  * the filter — so we can't trick it with a single account. The reaction lifecycle
- * is verified in reactions.integration.test.js; the monitor's call to
- * markProcessing is verified in the unit tests.
+ * is verified in reactions.integration.test.js; the monitor's progress
+ * reactions are verified in the unit tests.
  */
 function makeRuntime() {
   const dispatched = [];
@@ -88,6 +90,7 @@ describe('monitor integration', () => {
         userId: config.userId,
         channel: channelName,
         pollInterval: 0.5,
+        stateFile: false,
       },
       cfg: {},
       runtime,
@@ -116,7 +119,7 @@ describe('monitor integration', () => {
     const text = `integration-test: skip-own ${tag}`;
 
     // Send as the bot user
-    const sent = await sendMessage(config, { channel: channelName, text });
+    const sent = await sendMessage(config, { roomId: await channelId(), text });
     cleanup.push(sent.message._id);
 
     await new Promise((r) => setTimeout(r, 300));
@@ -132,6 +135,7 @@ describe('monitor integration', () => {
         userId: config.userId,
         channel: channelName,
         pollInterval: 0.5,
+        stateFile: false,
       },
       cfg: {},
       runtime,
@@ -162,6 +166,7 @@ describe('monitor integration', () => {
         userId: config.userId,
         channel: channelName,
         pollInterval: 0.5,
+        stateFile: false,
       },
       cfg: {},
       runtime,
@@ -191,6 +196,7 @@ describe('monitor integration', () => {
           userId: config.userId,
           channel: 'nonexistent-channel-abc-xyz-999',
           pollInterval: 0.5,
+          stateFile: false,
         },
         cfg: {},
         runtime,
@@ -210,13 +216,13 @@ describe('monitor integration', () => {
     const tag = uniqueTag();
     const parentText = `integration-test: thread-parent ${tag}`;
 
-    const parent = await sendMessage(config, { channel: channelName, text: parentText });
+    const parent = await sendMessage(config, { roomId: await channelId(), text: parentText });
     cleanup.push(parent.message._id);
 
     // Send a reply in thread (what the monitor's deliver callback does)
     const replyText = `integration-test: thread-reply ${tag}`;
     const reply = await sendMessage(config, {
-      channel: channelName,
+      roomId: await channelId(),
       text: replyText,
       threadId: parent.message._id,
     });
@@ -234,3 +240,37 @@ describe('monitor integration', () => {
     expect(replyMsg.tmid).toBe(parent.message._id);
   });
 });
+
+describeMock('monitor end to end', () => {
+  it('dispatches a message from another user and replies in its thread', async () => {
+    const tag = uniqueTag();
+    const controller = new AbortController();
+    const log = { info: vi.fn(), error: vi.fn(), warn: vi.fn() };
+    setRuntime({
+      channel: {
+        routing: { resolveAgentRoute: () => ({ sessionKey: 'integration-session' }) },
+        reply: {
+          dispatchReplyWithBufferedBlockDispatcher: async ({ ctx, dispatcherOptions }) => {
+            if (ctx.Body.includes(tag)) {
+              await dispatcherOptions.deliver({ text: `echo ${tag}` });
+              controller.abort();
+            }
+          },
+        },
+      },
+    });
+    const question = mockServer.postMessage({ room: channelName, username: 'alice', text: `question ${tag}` });
+
+    await monitorRocketChat({
+      account: { ...config, channel: channelName, pollInterval: 0.1, stateFile: false },
+      cfg: {},
+      abortSignal: controller.signal,
+      log,
+    });
+
+    const reply = mockServer.messages(channelName).find((m) => m.tmid === question._id);
+    expect(reply?.msg).toBe(`echo ${tag}`);
+    expect(Object.keys(mockServer.getMessage(question._id).reactions)).toEqual([':white_check_mark:']);
+    expect(log.error).not.toHaveBeenCalled();
+  });
+});
@@ -5,12 +5,13 @@
 
 import { it, expect, afterAll } from 'vitest';
 import { sendMessage, getChannelInfo, getChannelHistory } from '../../src/api.js';
-import { markProcessing, markComplete, markFailed } from '../../src/reactions.js';
-import { skipUnlessConfigured, config, channelName, uniqueTag } from './setup.js';
+import { createReactions } from '../../src/reactions.js';
+import { integrationSuite, channelId, config, channelName, uniqueTag } from './setup.js';
 
-const { describe } = skipUnlessConfigured();
+const { describe } = integrationSuite();
 
 const cleanup = [];
+const lifecycle = createReactions();
 
 afterAll(async () => {
   for (const msgId of cleanup) {
@@ -40,52 +41,54 @@ async function getReactions(messageId) {
 }
 
 describe('reactions integration', () => {
-  it('markProcessing adds hourglass', async () => {
+  it('the processing stage adds hourglass', async () => {
     const tag = uniqueTag();
     const sent = await sendMessage(config, {
-      channel: channelName,
+      roomId: await channelId(),
       text: `integration-test: markProcessing ${tag}`,
     });
     cleanup.push(sent.message._id);
 
-    await markProcessing(config, sent.message._id);
+    await lifecycle.progress(config, sent.message._id).stage('processing');
 
     const reactions = await getReactions(sent.message._id);
     expect(Object.keys(reactions)).toContain(':hourglass:');
   });
 
-  it('markComplete swaps hourglass for checkmark', async () => {
+  it('done swaps hourglass for checkmark', async () => {
     const tag = uniqueTag();
     const sent = await sendMessage(config, {
-      channel: channelName,
+      roomId: await channelId(),
       text: `integration-test: markComplete ${tag}`,
     });
     cleanup.push(sent.message._id);
 
     // Start with hourglass
-    await markProcessing(config, sent.message._id);
+    const progress = lifecycle.progress(config, sent.message._id);
+    await progress.stage('processing');
 
     // Complete — should remove hourglass, add checkmark
-    await markComplete(config, sent.message._id);
+    await progress.done();
 
     const reactions = await getReactions(sent.message._id);
     expect(Object.keys(reactions)).toContain(':white_check_mark:');
     expect(Object.keys(reactions)).not.toContain(':hourglass:');
   });
 
-  it('markFailed swaps hourglass for x', async () => {
+  it('failed swaps hourglass for x', async () => {
     const tag = uniqueTag();
     const sent = await sendMessage(config, {
-      channel: channelName,
+      roomId: await channelId(),
       text: `integration-test: markFailed ${tag}`,
     });
     cleanup.push(sent.message._id);
 
     // Start with hourglass
-    await markProcessing(config, sent.message._id);
+    const progress = lifecycle.progress(config, sent.message._id);
+    await progress.stage('processing');
 
     // Fail — should remove hourglass, add x
-    await markFailed(config, sent.message._id);
+    await progress.failed();
 
     const reactions = await getReactions(sent.message._id);
     expect(Object.keys(reactions)).toContain(':x:');
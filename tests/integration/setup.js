@@ -1,10 +1,14 @@
 /**
- * Shared config loader and skip logic for integration tests.
- * Tests require these env vars (skip if any missing):
+ * Shared config for integration tests.
+ * With these env vars set the tests run against a live server:
  *   ROCKETCHAT_URL, ROCKETCHAT_AUTH_TOKEN, ROCKETCHAT_USER_ID, ROCKETCHAT_CHANNEL
+ * Without them they run against the offline mock server (src/testing), with
+ * the bot user `claw` in #general.
  */
 
-import { describe as vitestDescribe } from 'vitest';
+import { describe as vitestDescribe, afterAll } from 'vitest';
+import { startMockRocketChat } from '../../src/testing/mock-server.js';
+import { getChannelInfo } from '../../src/api.js';
 
 const REQUIRED_VARS = [
   'ROCKETCHAT_URL',
@@ -15,32 +19,45 @@ const REQUIRED_VARS = [
 
 const missing = REQUIRED_VARS.filter((v) => !process.env[v]);
 
-export const isConfigured = missing.length === 0;
+export const isLive = missing.length === 0;
 
-export const config = isConfigured
+/** The mock server, or null against a live server. */
+export const mockServer = isLive ? null : await startMockRocketChat();
+
+if (mockServer) {
+  afterAll(() => mockServer.close());
+}
+
+export const config = isLive
   ? {
       url: process.env.ROCKETCHAT_URL,
       authToken: process.env.ROCKETCHAT_AUTH_TOKEN,
       userId: process.env.ROCKETCHAT_USER_ID,
     }
-  : {};
+  : { url: mockServer.url, ...mockServer.credentials() };
 
-export const channelName = process.env.ROCKETCHAT_CHANNEL || '';
+export const channelName = isLive ? process.env.ROCKETCHAT_CHANNEL : 'general';
 
 /**
- * Call at the top of each describe block:
- *   const { describe: d } = skipUnlessConfigured();
- *   d('suite name', () => { ... });
+ * Call at the top of each file:
+ *   const { describe, describeMock } = integrationSuite();
  *
- * Returns describe (runs tests) or describe.skip (skips cleanly).
+ * `describe` runs everywhere; `describeMock` only against the mock server,
+ * for tests that need a second user or injected failures.
  */
-export function skipUnlessConfigured() {
-  if (!isConfigured) {
-    console.log(
-      `Skipping integration tests — missing env vars: ${missing.join(', ')}`,
-    );
+export function integrationSuite() {
+  if (!isLive) {
+    console.log(`Running integration tests against the mock server — missing env vars: ${missing.join(', ')}`);
   }
-  return { describe: isConfigured ? vitestDescribe : vitestDescribe.skip };
+  return {
+    describe: vitestDescribe,
+    describeMock: isLive ? vitestDescribe.skip : vitestDescribe,
+  };
+}
+
+/** Room ID of the test channel. */
+export async function channelId() {
+  return (await getChannelInfo(config, channelName)).channel._id;
 }
 
 /** Generate a unique tag for test messages to avoid collisions. */
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import { homedir, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { detectMimeType, mediaUrlsOf, mediaMaxBytes, mediaAccess, loadMedia, sendMediaReply } from '../src/media.js';
+
+vi.mock('../src/api.js', () => ({
+  sendMessage: vi.fn().mockResolvedValue({}),
+  uploadFile: vi.fn().mockResolvedValue({}),
+}));
+
+import { sendMessage, uploadFile } from '../src/api.js';
+
+const config = { url: 'https://chat.example.com' };
+const anyHost = { roots: [], remote: true };
+let dir;
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  dir = await mkdtemp(join(tmpdir(), 'rc-media-'));
+});
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('media', () => {
+  describe('detectMimeType', () => {
+    it('uses the extension first', () => {
+      expect(detectMimeType('photo.JPG')).toBe('image/jpeg');
+      expect(detectMimeType('notes.md', null, 'application/octet-stream')).toBe('text/markdown');
+    });
+
+    it('falls back to the declared Content-Type', () => {
+      expect(detectMimeType('download', null, 'image/png; charset=binary')).toBe('image/png');
+    });
+
+    it('sniffs the leading bytes when nothing else says', () => {
+      expect(detectMimeType('blob', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d]))).toBe('image/png');
+      expect(detectMimeType('blob', Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'application/octet-stream')).toBe('image/webp');
+      expect(detectMimeType('blob', Buffer.from('hello'))).toBe('application/octet-stream');
+    });
+  });
+
+  it('collects mediaUrl and mediaUrls without duplicates', () => {
+    expect(mediaUrlsOf({ mediaUrls: ['/a.png', '/b.png'], mediaUrl: '/a.png' })).toEqual(['/a.png', '/b.png']);
+    expect(mediaUrlsOf({ text: 'hi' })).toEqual([]);
+  });
+
+  it('reads the size limit from mediaMaxMb', () => {
+    expect(mediaMaxBytes({})).toBe(100 * 1024 * 1024);
+    expect(mediaMaxBytes({ mediaMaxMb: 5 })).toBe(5 * 1024 * 1024);
+  });
+
+  describe('loadMedia', () => {
+    it('reads local paths and file:// URLs', async () => {
+      const path = join(dir, 'report.pdf');
+      await writeFile(path, '%PDF-1.4');
+
+      for (const source of [path, pathToFileURL(path).href]) {
+        const file = await loadMedia(source);
+        expect(file.filename).toBe('report.pdf');
+        expect(file.contentType).toBe('application/pdf');
+        expect(file.data.toString()).toBe('%PDF-1.4');
+      }
+    });
+
+    it('rejects local files over the limit without reading them', async () => {
+      const path = join(dir, 'big.bin');
+      await writeFile(path, Buffer.alloc(64));
+
+      await expect(loadMedia(path, { maxBytes: 10 })).rejects.toThrow('is 64 bytes, over the 10-byte upload limit');
+    });
+
+    it('downloads http(s) URLs', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('gif', {
+        headers: { 'content-type': 'image/gif', 'content-length': '3' },
+      })));
+
+      const file = await loadMedia('https://cdn.example.com/images/cat%20pic', { access: anyHost });
+
+      expect(file.filename).toBe('cat pic');
+      expect(file.contentType).toBe('image/gif');
+      expect(file.data.toString()).toBe('gif');
+    });
+
+    it('rejects downloads whose Content-Length is over the limit', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('x', {
+        headers: { 'content-length': '5000' },
+      })));
+
+      await expect(loadMedia('https://cdn.example.com/a.png', { maxBytes: 100, access: anyHost })).rejects.toThrow('over the 100-byte upload limit');
+    });
+
+    it('reports failed downloads', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('gone', { status: 404 })));
+
+      await expect(loadMedia('https://cdn.example.com/a.png', { access: anyHost }))
+        .rejects.toThrow('Media download https://cdn.example.com/a.png failed (404)');
+    });
+  });
+
+  describe('media access', () => {
+    it('defaults to the temp and OpenClaw dirs, without downloads', () => {
+      const access = mediaAccess({});
+
+      expect(access.roots).toContain(tmpdir());
+      expect(access.roots.some((root) => root.endsWith(join('.openclaw', 'workspace')))).toBe(true);
+      expect(access.remote).toBe(false);
+    });
+
+    it('reads mediaRoots and mediaRemote', () => {
+      expect(mediaAccess({ mediaRoots: ['~/media', '/srv/charts'], mediaRemote: ['CDN.example.com'] })).toEqual({
+        roots: [join(homedir(), 'media'), '/srv/charts'],
+        remote: ['cdn.example.com'],
+      });
+      expect(mediaAccess({ mediaRemote: true }).remote).toBe(true);
+    });
+
+    it('refuses local files outside the roots, even through a symlink', async () => {
+      const allowed = join(dir, 'allowed');
+      await mkdir(allowed);
+      const secret = join(dir, 'secret.json');
+      await writeFile(secret, '{"token":"x"}');
+      await symlink(secret, join(allowed, 'link.json'));
+      const access = { roots: [allowed], remote: false };
+
+      await expect(loadMedia(secret, { access })).rejects.toThrow(`Media ${secret} is outside the directories media may be sent from`);
+      await expect(loadMedia(join(allowed, 'link.json'), { access })).rejects.toThrow('is outside the directories');
+      await expect(loadMedia(join(allowed, '..', 'secret.json'), { access })).rejects.toThrow('is outside the directories');
+    });
+
+    it('refuses downloads unless the host is allowed', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('gif')));
+
+      await expect(loadMedia('https://cdn.example.com/a.gif'))
+        .rejects.toThrow('Media https://cdn.example.com/a.gif is on cdn.example.com, which media may not be downloaded from');
+      await expect(loadMedia('http://169.254.169.254/latest', { access: { roots: [], remote: ['cdn.example.com'] } }))
+        .rejects.toThrow('is on 169.254.169.254');
+      expect(fetch).not.toHaveBeenCalled();
+
+      await loadMedia('https://cdn.example.com/a.gif', { access: { roots: [], remote: ['cdn.example.com'] } });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('follows redirects only to allowed hosts', async () => {
+      vi.stubGlobal('fetch', vi.fn()
+        .mockResolvedValueOnce(new Response(null, { status: 302, headers: { location: '/b.gif' } }))
+        .mockResolvedValueOnce(new Response('gif'))
+        .mockResolvedValueOnce(new Response(null, { status: 302, headers: { location: 'http://localhost:8080/admin' } })));
+      const access = { roots: [], remote: ['cdn.example.com'] };
+
+      const file = await loadMedia('https://cdn.example.com/a.gif', { access });
+      expect(file.data.toString()).toBe('gif');
+      expect(fetch.mock.calls[1][0]).toBe('https://cdn.example.com/b.gif');
+
+      await expect(loadMedia('https://cdn.example.com/a.gif', { access })).rejects.toThrow('is on localhost');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('sendMediaReply', () => {
+    it('sends the caption with the first file only', async () => {
+      const a = join(dir, 'a.png');
+      const b = join(dir, 'b.png');
+      await writeFile(a, 'a');
+      await writeFile(b, 'b');
+
+      await sendMediaReply(config, { roomId: 'room-1', threadId: 't-1', mediaUrls: [a, b], text: 'Two charts' });
+
+      expect(uploadFile.mock.calls.map(([, opts]) => [opts.filename, opts.text])).toEqual([
+        ['a.png', 'Two charts'],
+        ['b.png', undefined],
+      ]);
+    });
+
+    it('resolves to the IDs of the uploads', async () => {
+      const a = join(dir, 'a.png');
+      await writeFile(a, 'a');
+      uploadFile.mockResolvedValueOnce({ message: { _id: 'upload-1' } });
+
+      expect(await sendMediaReply(config, { roomId: 'room-1', mediaUrls: [a], text: 'Chart' })).toEqual(['upload-1']);
+    });
+
+    it('posts the caption and links of files that failed', async () => {
+      const log = { warn: vi.fn() };
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('', { status: 500 })));
+
+      await sendMediaReply(config, {
+        roomId: 'room-1', mediaUrls: ['https://cdn.example.com/a.png'], text: 'Chart', log,
+      });
+
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('Could not upload https://cdn.example.com/a.png'));
+      expect(sendMessage).toHaveBeenCalledWith(config, {
+        roomId: 'room-1', text: 'Chart\nhttps://cdn.example.com/a.png', threadId: undefined,
+      });
+    });
+
+    it('throws when nothing could be sent', async () => {
+      await expect(sendMediaReply(config, { roomId: 'room-1', mediaUrls: [join(dir, 'missing.png')] }))
+        .rejects.toThrow('ENOENT');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isMentioned,
+  stripMention,
+  stripPrefix,
+  threadMentionsBot,
+  evaluateTrigger,
+} from '../src/mentions.js';
+
+const bot = { botUsername: 'claw', botUserId: 'bot-user' };
+
+function makeMsg(text, extra = {}) {
+  return { _id: 'msg-1', msg: text, u: { _id: 'sender-1', username: 'alice' }, ...extra };
+}
+
+describe('mentions', () => {
+  describe('isMentioned', () => {
+    it('detects structured mentions by user ID or username', () => {
+      expect(isMentioned(makeMsg('hi', { mentions: [{ _id: 'bot-user' }] }), bot)).toBe(true);
+      expect(isMentioned(makeMsg('hi', { mentions: [{ username: 'claw' }] }), bot)).toBe(true);
+      expect(isMentioned(makeMsg('hi', { mentions: [{ _id: 'other', username: 'bob' }] }), bot)).toBe(false);
+    });
+
+    it('falls back to a literal @username in the text', () => {
+      expect(isMentioned(makeMsg('hey @claw what time is it'), bot)).toBe(true);
+      expect(isMentioned(makeMsg('@CLAW help'), bot)).toBe(true);
+    });
+
+    it('does not match longer usernames or email addresses', () => {
+      expect(isMentioned(makeMsg('ping @clawdia'), bot)).toBe(false);
+      expect(isMentioned(makeMsg('ping @claw.bot'), bot)).toBe(false);
+      expect(isMentioned(makeMsg('mail me at me@claw'), bot)).toBe(false);
+    });
+
+    it('needs a username for text detection', () => {
+      expect(isMentioned(makeMsg('hey @claw'), { botUserId: 'bot-user' })).toBe(false);
+    });
+  });
+
+  describe('stripMention', () => {
+    it('removes the mention and addressing punctuation', () => {
+      expect(stripMention('@claw: deploy it', 'claw')).toBe('deploy it');
+      expect(stripMention('@claw, deploy it', 'claw')).toBe('deploy it');
+      expect(stripMention('please @claw deploy it', 'claw')).toBe('please deploy it');
+    });
+
+    it('leaves other mentions alone', () => {
+      expect(stripMention('@claw ask @bob', 'claw')).toBe('ask @bob');
+    });
+
+    it('keeps line breaks and indentation in the rest of the text', () => {
+      const code = '```python\ndef f():\n    return 1\n```';
+      expect(stripMention(`@claw fix this:\n\n${code}`, 'claw')).toBe(`fix this:\n\n${code}`);
+      expect(stripMention(`what does this do @claw\n${code}`, 'claw')).toBe(`what does this do\n${code}`);
+      expect(stripMention('a  b @claw c', 'claw')).toBe('a  b c');
+    });
+  });
+
+  describe('stripPrefix', () => {
+    it('strips a leading prefix case-insensitively', () => {
+      expect(stripPrefix('!ai summarize this', '!ai')).toBe('summarize this');
+      expect(stripPrefix('  !AI summarize', '!ai')).toBe('summarize');
+    });
+
+    it('returns null without the prefix', () => {
+      expect(stripPrefix('summarize !ai', '!ai')).toBeNull();
+      expect(stripPrefix('anything', undefined)).toBeNull();
+    });
+
+    it('needs a space or the end of the text after the prefix', () => {
+      expect(stripPrefix('!aiden what', '!ai')).toBeNull();
+      expect(stripPrefix('!ai', '!ai')).toBe('');
+      expect(stripPrefix('!ai\nsummarize', '!ai')).toBe('summarize');
+    });
+  });
+
+  describe('threadMentionsBot', () => {
+    it('is true when the bot posted or was mentioned in the thread', () => {
+      expect(threadMentionsBot([makeMsg('hello'), { ...makeMsg('answer'), u: { _id: 'bot-user' } }], bot)).toBe(true);
+      expect(threadMentionsBot([makeMsg('@claw look at this')], bot)).toBe(true);
+      expect(threadMentionsBot([makeMsg('just chatting')], bot)).toBe(false);
+      expect(threadMentionsBot(undefined, bot)).toBe(false);
+    });
+  });
+
+  describe('evaluateTrigger', () => {
+    it('all: answers everything and reports mentions accurately', () => {
+      expect(evaluateTrigger(makeMsg('hello'), { ...bot, respondTo: 'all' }))
+        .toEqual({ respond: true, wasMentioned: false, body: 'hello' });
+      expect(evaluateTrigger(makeMsg('@claw hello'), { ...bot, respondTo: 'all' }))
+        .toEqual({ respond: true, wasMentioned: true, body: 'hello' });
+    });
+
+    it('mentions: only answers when mentioned', () => {
+      expect(evaluateTrigger(makeMsg('hello'), { ...bot, respondTo: 'mentions' }).respond).toBe(false);
+      expect(evaluateTrigger(makeMsg('@claw hello'), { ...bot, respondTo: 'mentions' }))
+        .toEqual({ respond: true, wasMentioned: true, body: 'hello' });
+    });
+
+    it('prefix: only answers prefixed messages and strips the prefix', () => {
+      expect(evaluateTrigger(makeMsg('hello'), { ...bot, respondTo: 'prefix', prefix: '!ai' }).respond).toBe(false);
+      expect(evaluateTrigger(makeMsg('!ai hello'), { ...bot, respondTo: 'prefix', prefix: '!ai' }))
+        .toEqual({ respond: true, wasMentioned: true, body: 'hello' });
+    });
+
+    it('prefix: does not answer a word that only starts with the prefix', () => {
+      const result = evaluateTrigger(makeMsg('!aiden what'), { ...bot, respondTo: 'prefix', prefix: '!ai' });
+      expect(result).toEqual({ respond: false, wasMentioned: false, body: '!aiden what' });
+    });
+
+    it('prefix: strips both a mention and a prefix', () => {
+      const result = evaluateTrigger(makeMsg('@claw !ai hello'), { ...bot, respondTo: 'prefix', prefix: '!ai' });
+      expect(result.body).toBe('hello');
+    });
+
+    it('threads-only-after-mention: top level needs a mention', () => {
+      const opts = { ...bot, respondTo: 'threads-only-after-mention' };
+      expect(evaluateTrigger(makeMsg('hello'), opts).respond).toBe(false);
+      expect(evaluateTrigger(makeMsg('@claw hello'), opts).respond).toBe(true);
+    });
+
+    it('threads-only-after-mention: answers every reply in an engaged thread', () => {
+      const opts = { ...bot, respondTo: 'threads-only-after-mention' };
+      const reply = makeMsg('follow up', { tmid: 'parent-1' });
+
+      expect(evaluateTrigger(reply, opts).respond).toBe(false);
+      expect(evaluateTrigger(reply, { ...opts, threadEngaged: true }))
+        .toEqual({ respond: true, wasMentioned: true, body: 'follow up' });
+    });
+
+    it('always answers direct messages', () => {
+      for (const respondTo of ['mentions', 'prefix', 'threads-only-after-mention']) {
+        const result = evaluateTrigger(makeMsg('hello'), { ...bot, respondTo, prefix: '!ai', isDirect: true });
+        expect(result).toEqual({ respond: true, wasMentioned: true, body: 'hello' });
+      }
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { accountMetrics, snapshotMetrics, resetMetrics } from '../src/metrics.js';
+
+afterEach(() => {
+  resetMetrics('acct');
+});
+
+describe('metrics', () => {
+  it('returns the same live object per account', () => {
+    const metrics = accountMetrics('acct');
+    metrics.backlogsDrained++;
+
+    expect(accountMetrics('acct').backlogsDrained).toBe(1);
+  });
+
+  it('snapshots are copies', () => {
+    accountMetrics('acct').lastBacklog = { room: 'general', messages: 3 };
+    const snapshot = snapshotMetrics('acct');
+    snapshot.lastBacklog.messages = 99;
+
+    expect(accountMetrics('acct').lastBacklog.messages).toBe(3);
+  });
+
+  it('returns null for an account that never recorded metrics', () => {
+    expect(snapshotMetrics('acct')).toBeNull();
+  });
+});
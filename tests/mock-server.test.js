@@ -0,0 +1,320 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockRocketChat } from '../src/testing/mock-server.js';
+import {
+  getChannelHistory,
+  getThreadsList,
+  getThreadMessages,
+  sendMessage,
+  reactToMessage,
+  uploadFile,
+  downloadFile,
+  getMe,
+  getUserInfo,
+  getChannelRoles,
+  getMessage,
+  syncMessages,
+  probe,
+} from '../src/api.js';
+import { AuthError, RateLimitError, RocketChatApiError } from '../src/errors.js';
+import { resetRateLimiters } from '../src/ratelimit.js';
+import { resetSessions, sessionConfig } from '../src/auth.js';
+import { resetMessageLimits } from '../src/chunking.js';
+import { monitorRocketChat } from '../src/monitor.js';
+import { setRuntime } from '../src/runtime.js';
+import { waitFor } from './helpers/ddp-server.js';
+
+let server;
+let config;
+
+beforeEach(async () => {
+  resetRateLimiters();
+  resetSessions();
+  resetMessageLimits();
+  server = await startMockRocketChat();
+  config = { url: server.url, ...server.credentials(), rateLimit: false };
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+describe('mock server', () => {
+  it('authenticates requests', async () => {
+    expect(await getMe(config)).toMatchObject({ _id: 'bot-user', username: 'claw' });
+    await expect(getMe({ ...config, authToken: 'wrong' })).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('pages history newest-first with oldest/latest bounds', async () => {
+    const base = Date.parse('2026-03-01T00:00:00Z');
+    for (let i = 0; i < 5; i++) {
+      server.postMessage({ room: 'general', text: `m${i}`, ts: base + i * 1000 });
+    }
+
+    const firstPage = await getChannelHistory(config, 'GENERAL', 2);
+    expect(firstPage.messages.map((m) => m.msg)).toEqual(['m4', 'm3']);
+    expect(firstPage.total).toBe(5);
+
+    const since = await getChannelHistory(config, 'GENERAL', 10, { oldest: base + 1000 });
+    expect(since.messages.map((m) => m.msg)).toEqual(['m4', 'm3', 'm2']);
+
+    const inclusive = await getChannelHistory(config, 'GENERAL', 2, { oldest: base + 1000, inclusive: true, offset: 2 });
+    expect(inclusive.messages.map((m) => m.msg)).toEqual(['m2', 'm1']);
+  });
+
+  it('tracks threads', async () => {
+    const parent = server.postMessage({ room: 'general', text: 'question' });
+    server.postMessage({ room: 'general', text: 'reply 1', tmid: parent._id });
+    await sendMessage(config, { roomId: 'GENERAL', text: 'reply 2', threadId: parent._id });
+
+    const { threads } = await getThreadsList(config, 'GENERAL');
+    expect(threads).toHaveLength(1);
+    expect(threads[0]).toMatchObject({ _id: parent._id, tcount: 2 });
+
+    const newestFirst = await getThreadMessages(config, parent._id, { sort: { ts: -1 } });
+    expect(newestFirst.messages.map((m) => m.msg)).toEqual(['reply 2', 'reply 1']);
+  });
+
+  it('keeps persona fields on posted messages', async () => {
+    const { message } = await sendMessage(config, { roomId: 'GENERAL', text: 'hi', alias: 'Helpdesk', emoji: ':sos:' });
+
+    expect((await getMessage(config, message._id)).message).toMatchObject({ msg: 'hi', alias: 'Helpdesk', emoji: ':sos:' });
+  });
+
+  it('toggles reactions by default, like servers that ignore shouldReact', async () => {
+    const msg = server.postMessage({ room: 'general', text: 'hi' });
+
+    await reactToMessage(config, msg._id, 'x', false);
+    expect(server.getMessage(msg._id).reactions).toEqual({ ':x:': { usernames: ['claw'] } });
+
+    await reactToMessage(config, msg._id, 'x', false);
+    expect(server.getMessage(msg._id).reactions).toBeUndefined();
+  });
+
+  it('honours shouldReact in explicit mode', async () => {
+    await server.close();
+    server = await startMockRocketChat({ reactionMode: 'explicit' });
+    config = { url: server.url, ...server.credentials(), rateLimit: false };
+    const msg = server.postMessage({ room: 'general', text: 'hi' });
+
+    await reactToMessage(config, msg._id, 'x', false);
+    expect(server.getMessage(msg._id).reactions).toBeUndefined();
+  });
+
+  it('syncs messages changed since a time', async () => {
+    const old = server.postMessage({ room: 'general', text: 'old' });
+    const since = Date.parse(server.postMessage({ room: 'general', text: 'marker' }).ts);
+    server.react({ messageId: old._id, emoji: 'repeat' });
+
+    const { result } = await syncMessages(config, 'GENERAL', since);
+    expect(result.updated.map((m) => [m.msg, m.reactions])).toEqual([['old', { ':repeat:': { usernames: ['alice'] } }]]);
+  });
+
+  it('syncs edits and deletions made by users', async () => {
+    const since = Date.parse(server.postMessage({ room: 'general', text: 'marker' }).ts);
+    const typo = server.postMessage({ room: 'general', text: 'helo' });
+    const gone = server.postMessage({ room: 'general', text: 'oops' });
+    server.editMessage({ messageId: typo._id, text: 'hello' });
+    server.deleteMessage(gone._id);
+
+    const { result } = await syncMessages(config, 'GENERAL', since);
+    expect(result.updated.map((m) => [m.msg, !!m.editedAt])).toEqual([['hello', true]]);
+    expect(result.deleted.map((m) => m._id)).toEqual([gone._id]);
+  });
+
+  it('serves user and room roles', async () => {
+    server.addRoom({ _id: 'OPS', name: 'ops', roles: { alice: ['owner', 'moderator'] } });
+
+    expect((await getUserInfo(config, 'alice-id')).user.roles).toEqual(['user']);
+    expect((await getChannelRoles(config, 'OPS')).roles).toEqual([
+      { rid: 'OPS', u: { _id: 'alice-id', username: 'alice' }, roles: ['owner', 'moderator'] },
+    ]);
+  });
+
+  it('stores uploads and serves them back', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'rc-mock-'));
+    try {
+      const { message } = await uploadFile(config, {
+        roomId: 'GENERAL', data: Buffer.from('hello file'), filename: 'notes.txt', contentType: 'text/plain', text: 'Notes',
+      });
+      expect(message).toMatchObject({ msg: 'Notes', file: { name: 'notes.txt', type: 'text/plain' } });
+
+      const dest = join(dir, 'notes.txt');
+      await downloadFile(config, message.attachments[0].title_link, dest);
+      expect(await readFile(dest, 'utf8')).toBe('hello file');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects messages over Message_MaxAllowedSize', async () => {
+    server.settings.Message_MaxAllowedSize = 10;
+
+    await expect(sendMessage(config, { roomId: 'GENERAL', text: 'x'.repeat(11) }))
+      .rejects.toThrow('error-message-size-exceeded');
+  });
+
+  it('injects rate limits, which the client waits out', async () => {
+    server.rateLimit('/api/v1/me', { retryAfterMs: 50 });
+
+    const started = Date.now();
+    expect(await getMe(config)).toMatchObject({ username: 'claw' });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+    expect(server.requests.filter((r) => r.path === '/api/v1/me')).toHaveLength(2);
+
+    server.rateLimit('/api/v1/me', { retryAfterMs: 50 });
+    await expect(getMe({ ...config, maxRetries: 0 })).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  it('injects failures', async () => {
+    server.failNext('/api/v1/me', { status: 503 });
+    expect(await probe(config)).toMatchObject({ ok: false, error: 'error' });
+
+    server.failNext('/api/v1/chat.postMessage', { status: 500, times: 2 });
+    await expect(sendMessage(config, { roomId: 'GENERAL', text: 'a' })).rejects.toBeInstanceOf(RocketChatApiError);
+    await expect(sendMessage(config, { roomId: 'GENERAL', text: 'a' })).rejects.toBeInstanceOf(RocketChatApiError);
+    await expect(sendMessage(config, { roomId: 'GENERAL', text: 'a' })).resolves.toMatchObject({ success: true });
+  });
+
+  it('logs in with a password and again after tokens expire', async () => {
+    const session = await sessionConfig({ url: server.url, username: 'claw', password: 'bot-pass', rateLimit: false });
+    expect(await getMe(session)).toMatchObject({ username: 'claw' });
+
+    server.expireTokens();
+    expect(await getMe(session)).toMatchObject({ username: 'claw' });
+    expect(server.requests.filter((r) => r.path === '/api/v1/login')).toHaveLength(2);
+  });
+
+  describe('with the monitor', () => {
+    it('answers a message end to end', async () => {
+      const controller = new AbortController();
+      const dispatched = [];
+      setRuntime({
+        channel: {
+          routing: { resolveAgentRoute: () => ({ sessionKey: 'session-1' }) },
+          reply: {
+            dispatchReplyWithBufferedBlockDispatcher: async ({ ctx, dispatcherOptions }) => {
+              dispatched.push(ctx);
+              await dispatcherOptions.deliver({ text: `**Hi** ${ctx.SenderUsername}` });
+              controller.abort();
+            },
+          },
+        },
+      });
+      const question = server.postMessage({ room: 'general', username: 'alice', text: 'hello @claw' });
+
+      await monitorRocketChat({
+        account: { url: server.url, ...server.credentials(), channel: 'general', stateFile: false, pollInterval: 0.01 },
+        cfg: {},
+        abortSignal: controller.signal,
+        log: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      });
+
+      expect(dispatched.map((ctx) => ctx.BodyForAgent)).toEqual(['hello @claw']);
+      const reply = server.messages('general').find((m) => m.tmid === question._id);
+      expect(reply).toMatchObject({ msg: '*Hi* alice', u: { username: 'claw' } });
+      expect(Object.keys(server.getMessage(question._id).reactions)).toEqual([':white_check_mark:']);
+    });
+
+    it('edits its reply when alice edits her question', async () => {
+      const controller = new AbortController();
+      const bodies = [];
+      setRuntime({
+        channel: {
+          routing: { resolveAgentRoute: () => ({ sessionKey: 'session-1' }) },
+          reply: {
+            dispatchReplyWithBufferedBlockDispatcher: async ({ ctx, dispatcherOptions }) => {
+              bodies.push(ctx.Body);
+              await dispatcherOptions.deliver({ text: `You said: ${ctx.Body}` });
+              if (bodies.length === 2) controller.abort();
+            },
+          },
+        },
+      });
+      const question = server.postMessage({ room: 'general', username: 'alice', text: 'helo' });
+
+      const monitor = monitorRocketChat({
+        account: {
+          url: server.url, ...server.credentials(), channel: 'general', stateFile: false, pollInterval: 0.01,
+          editedMessages: 'replace', streamThrottleMs: 0,
+        },
+        cfg: {},
+        abortSignal: controller.signal,
+        log: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      });
+      await waitFor(() => server.getMessage(question._id).reactions?.[':white_check_mark:']);
+      server.editMessage({ messageId: question._id, text: 'hello' });
+      await monitor;
+
+      expect(bodies).toEqual(['helo', 'hello']);
+      const replies = server.messages('general').filter((m) => m.tmid === question._id);
+      expect(replies.map((m) => m.msg)).toEqual(['You said: hello']);
+      expect(Object.keys(server.getMessage(question._id).reactions)).toEqual([':white_check_mark:']);
+    });
+
+    it('retries a failed message when alice adds 🔁', async () => {
+      const controller = new AbortController();
+      let attempts = 0;
+      setRuntime({
+        channel: {
+          routing: { resolveAgentRoute: () => ({ sessionKey: 'session-1' }) },
+          reply: {
+            dispatchReplyWithBufferedBlockDispatcher: async ({ dispatcherOptions }) => {
+              if (++attempts === 1) throw new Error('agent crashed');
+              await dispatcherOptions.deliver({ text: 'Better now' });
+              controller.abort();
+            },
+          },
+        },
+      });
+      const question = server.postMessage({ room: 'general', username: 'alice', text: 'hello @claw' });
+
+      const monitor = monitorRocketChat({
+        account: { url: server.url, ...server.credentials(), channel: 'general', stateFile: false, pollInterval: 0.01 },
+        cfg: {},
+        abortSignal: controller.signal,
+        log: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      });
+      await waitFor(() => server.getMessage(question._id).reactions?.[':x:']);
+      server.react({ messageId: question._id, emoji: 'repeat' });
+      await monitor;
+
+      expect(attempts).toBe(2);
+      expect(server.getMessage(question._id).reactions).toEqual({
+        ':repeat:': { usernames: ['alice'] },
+        ':white_check_mark:': { usernames: ['claw'] },
+      });
+    });
+
+    it('answers a message left with ⏳ when the bot went down', async () => {
+      const controller = new AbortController();
+      let attempts = 0;
+      setRuntime({
+        channel: {
+          routing: { resolveAgentRoute: () => ({ sessionKey: 'session-1' }) },
+          reply: {
+            dispatchReplyWithBufferedBlockDispatcher: async ({ dispatcherOptions }) => {
+              attempts++;
+              await dispatcherOptions.deliver({ text: 'Sorry for the wait' });
+              controller.abort();
+            },
+          },
+        },
+      });
+      const question = server.postMessage({ room: 'general', username: 'alice', text: 'hello @claw' });
+      server.react({ messageId: question._id, emoji: 'hourglass', username: 'claw' });
+
+      await monitorRocketChat({
+        account: { url: server.url, ...server.credentials(), channel: 'general', stateFile: false, pollInterval: 0.01 },
+        cfg: {},
+        abortSignal: controller.signal,
+        log: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      });
+
+      expect(attempts).toBe(1);
+      expect(server.getMessage(question._id).reactions).toEqual({ ':white_check_mark:': { usernames: ['claw'] } });
+    });
+  });
+});
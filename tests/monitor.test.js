@@ -1,12 +1,39 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { monitorRocketChat, MAX_PROCESSED_IDS, buildInboundHistory } from '../src/monitor.js';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { monitorRocketChat, MAX_PROCESSED_IDS, buildInboundHistory, queueKeysFor } from '../src/monitor.js';
+import { createMemoryStore } from '../src/state.js';
+import { snapshotMetrics, resetMetrics } from '../src/metrics.js';
+import { AuthError, RateLimitError } from '../src/errors.js';
+import { resetSessions } from '../src/auth.js';
+import { requesterFor } from '../src/requesters.js';
+import { startDdpServer, waitFor } from './helpers/ddp-server.js';
 
 // Mock api module
 vi.mock('../src/api.js', () => ({
+  getMe: vi.fn().mockResolvedValue({ _id: 'bot-user', username: 'claw' }),
   getChannelInfo: vi.fn(),
+  getGroupInfo: vi.fn(),
+  getRoomInfo: vi.fn(),
+  listJoinedRooms: vi.fn().mockResolvedValue({ update: [] }),
+  createDirectMessage: vi.fn(),
   getChannelHistory: vi.fn(),
+  getGroupHistory: vi.fn().mockResolvedValue({ messages: [] }),
+  getDirectHistory: vi.fn().mockResolvedValue({ messages: [] }),
   getThreadMessages: vi.fn().mockResolvedValue({ messages: [] }),
+  getMessage: vi.fn(),
+  syncMessages: vi.fn().mockResolvedValue({ result: { updated: [], deleted: [] } }),
+  getThreadsList: vi.fn().mockResolvedValue({ threads: [] }),
+  login: vi.fn(),
+  getPublicSettings: vi.fn().mockResolvedValue({ settings: [] }),
+  getUserInfo: vi.fn().mockResolvedValue({ user: { roles: ['user'] } }),
+  getChannelRoles: vi.fn().mockResolvedValue({ roles: [] }),
+  getGroupRoles: vi.fn().mockResolvedValue({ roles: [] }),
   sendMessage: vi.fn().mockResolvedValue({}),
+  updateMessage: vi.fn().mockResolvedValue({}),
+  deleteMessage: vi.fn().mockResolvedValue({}),
+  uploadFile: vi.fn().mockResolvedValue({}),
   reactToMessage: vi.fn().mockResolvedValue({}),
 }));
 
@@ -28,7 +55,26 @@ vi.mock('../src/runtime.js', () => ({
   setRuntime: vi.fn(),
 }));
 
-import { getChannelInfo, getChannelHistory, getThreadMessages, sendMessage, reactToMessage } from '../src/api.js';
+import {
+  getMe,
+  getChannelInfo,
+  getChannelHistory,
+  getGroupHistory,
+  getDirectHistory,
+  createDirectMessage,
+  getThreadMessages,
+  getThreadsList,
+  sendMessage,
+  updateMessage,
+  deleteMessage,
+  uploadFile,
+  reactToMessage,
+  listJoinedRooms,
+  login,
+  getUserInfo,
+  getMessage,
+  syncMessages,
+} from '../src/api.js';
 
 function makeMsg(id, userId = 'sender-1', username = 'alice', text = 'hello', extra = {}) {
   return { _id: id, msg: text, u: { _id: userId, username }, ts: '2026-02-17T00:00:00Z', ...extra };
@@ -40,6 +86,7 @@ function makeAccount(overrides = {}) {
     authToken: 'token',
     userId: 'bot-user',
     channel: 'general',
+    stateFile: false,
     pollInterval: 0.01, // 10ms for fast tests
     ...overrides,
   };
@@ -55,6 +102,11 @@ beforeEach(() => {
 
   getChannelInfo.mockResolvedValue({ channel: { _id: 'room-1' } });
   getChannelHistory.mockResolvedValue({ messages: [] });
+  resetSessions();
+  // Unconsumed once-values must not leak into the next test
+  getThreadMessages.mockReset().mockResolvedValue({ messages: [] });
+  getThreadsList.mockReset().mockResolvedValue({ threads: [] });
+  getUserInfo.mockReset().mockResolvedValue({ user: { roles: ['user'] } });
 });
 
 afterEach(() => {
@@ -80,6 +132,7 @@ async function runMonitor(account, opts = {}) {
     cfg: {},
     abortSignal: controller.signal,
     log,
+    stateStore: opts.stateStore,
   });
 }
 
@@ -111,16 +164,50 @@ describe('monitor', () => {
   it('skips messages already marked with checkmark', async () => {
     const completedMsg = {
       ...makeMsg('msg-1'),
-      reactions: { ':white_check_mark:': { usernames: ['forgeclaw'] } },
+      reactions: { ':white_check_mark:': { usernames: ['claw'] } },
     };
 
     await runMonitor({}, {
       historyResponse: { messages: [completedMsg] },
     });
 
+    expect(getMe).toHaveBeenCalledTimes(1);
     expect(mockDispatch).not.toHaveBeenCalled();
   });
 
+  it('processes messages someone other than the bot marked with checkmark', async () => {
+    const msg = {
+      ...makeMsg('msg-1'),
+      reactions: { ':white_check_mark:': { usernames: ['alice'] } },
+    };
+
+    await runMonitor({ botUsername: 'claw' }, {
+      historyResponse: { messages: [msg] },
+    });
+
+    expect(getMe).not.toHaveBeenCalled();
+    expect(mockDispatch).toHaveBeenCalledTimes(1);
+    // Only the bot's own reactions are cleared
+    expect(reactToMessage).not.toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'white_check_mark', false);
+  });
+
+  it('trusts anyone\'s checkmark if the bot username cannot be looked up', async () => {
+    getMe.mockRejectedValueOnce(new Error('RC API 500'));
+    const msg = {
+      ...makeMsg('msg-1'),
+      reactions: { ':white_check_mark:': { usernames: ['alice'] } },
+    };
+
+    await runMonitor({}, {
+      historyResponse: { messages: [msg] },
+    });
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+    expect(log.warn).toHaveBeenCalledWith(
+      "Could not look up bot username, so reactions from anyone count as the bot's: RC API 500",
+    );
+  });
+
   it('processes messages with x reaction (failed, needs retry)', async () => {
     const failedMsg = {
       ...makeMsg('msg-1'),
@@ -183,6 +270,20 @@ describe('monitor', () => {
     );
   });
 
+  it('records the sender as the session\'s requester while its run is in progress', async () => {
+    let during;
+    mockDispatch.mockImplementationOnce(async () => {
+      during = requesterFor('session-1');
+    });
+
+    await runMonitor({}, {
+      historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', 'hello')] },
+    });
+
+    expect(during).toMatchObject({ userId: 'sender-1', username: 'alice', room: { id: 'room-1' }, commands: true });
+    expect(requesterFor('session-1')).toBeNull();
+  });
+
   it('thread messages include threadId in deliver callback', async () => {
     const threadMsg = makeMsg('msg-1', 'sender-1', 'alice', 'reply', { tmid: 'parent-1' });
 
@@ -264,7 +365,7 @@ describe('monitor', () => {
       historyResponse: { messages: [makeMsg('msg-1')] },
     });
 
-    // markFailed should be called
+    // Marked failed
     expect(reactToMessage).toHaveBeenCalledWith(
       expect.any(Object),
       'msg-1',
@@ -275,32 +376,44 @@ describe('monitor', () => {
   });
 
   describe('thread polling', () => {
-    it('discovers threads from tcount > 0 in history and polls them', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start thread', { tcount: 2 });
-      const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'thread reply');
+    const REPLY_TS = '2026-02-17T00:05:00Z';
+
+    function makeThread(id, tlm = REPLY_TS) {
+      return { ...makeMsg(id, 'sender-1', 'alice', 'start thread'), tcount: 1, tlm };
+    }
 
-      getThreadMessages.mockResolvedValueOnce({ messages: [threadReply] });
+    function makeReply(id, userId = 'sender-2', username = 'bob', text = 'thread reply', extra = {}) {
+      return makeMsg(id, userId, username, text, { tmid: 'parent-1', ts: REPLY_TS, ...extra });
+    }
+
+    it('polls threads with new activity from chat.getThreadsList', async () => {
+      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start thread', { tcount: 1 });
+
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({ messages: [makeReply('reply-1')] });
 
       await runMonitor({}, {
         historyResponse: { messages: [parentMsg] },
       });
 
-      // Thread was polled with offset 0 (first poll)
+      expect(getThreadsList).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://chat.example.com' }),
+        'room-1',
+        { count: 50, offset: 0 },
+      );
       expect(getThreadMessages).toHaveBeenCalledWith(
         expect.objectContaining({ url: 'https://chat.example.com' }),
         'parent-1',
-        { count: 50, offset: 0 },
+        { count: 50, offset: 0, sort: { ts: -1 } },
       );
 
       // Both parent and thread reply dispatched
       expect(mockDispatch).toHaveBeenCalledTimes(2);
     });
 
-    it('dispatches thread-only replies with correct threadId', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 });
-      const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'in-thread');
-
-      getThreadMessages.mockResolvedValueOnce({ messages: [threadReply] });
+    it('picks up replies to threads whose parent is no longer in history', async () => {
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({ messages: [makeReply('reply-1', 'sender-2', 'bob', 'in-thread')] });
 
       mockDispatch.mockImplementation(async ({ ctx, dispatcherOptions }) => {
         if (ctx.MessageSid === 'reply-1') {
@@ -309,7 +422,7 @@ describe('monitor', () => {
       });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-3', 'carol', 'unrelated')] },
       });
 
       // Reply should be sent to the parent thread
@@ -319,32 +432,92 @@ describe('monitor', () => {
       );
     });
 
+    it('does not fetch replies for threads without new activity', async () => {
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1', '2026-02-16T00:00:00Z')] });
+
+      await runMonitor({}, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', 'no thread')] },
+      });
+
+      expect(getThreadMessages).not.toHaveBeenCalled();
+    });
+
+    it('starts from the current thread state when the room has no history yet', async () => {
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+
+      await runMonitor({});
+
+      expect(getThreadsList).toHaveBeenCalledWith(expect.any(Object), 'room-1', { count: 1 });
+      expect(getThreadMessages).not.toHaveBeenCalled();
+      expect(mockDispatch).not.toHaveBeenCalled();
+    });
+
+    it('only dispatches replies newer than the previous scan', async () => {
+      getThreadsList
+        .mockResolvedValueOnce({ threads: [makeThread('parent-1')] })
+        .mockResolvedValueOnce({ threads: [makeThread('parent-1', '2026-02-17T00:06:00Z')] });
+      getThreadMessages
+        .mockResolvedValueOnce({ messages: [makeReply('reply-1')] })
+        .mockResolvedValueOnce({
+          messages: [
+            makeReply('reply-2', 'sender-2', 'bob', 'second', { ts: '2026-02-17T00:06:00Z' }),
+            makeReply('reply-1'),
+          ],
+        });
+
+      await runMonitor({}, {
+        pollCount: 2,
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      const ids = mockDispatch.mock.calls.map(([arg]) => arg.ctx.MessageSid);
+      expect(ids).toEqual(['msg-1', 'reply-1', 'reply-2']);
+    });
+
+    it('pages through replies until it reaches ones already seen', async () => {
+      const newer = Array.from({ length: 50 }, (_, i) => makeReply(`reply-${50 + i}`));
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages
+        .mockResolvedValueOnce({ messages: newer })
+        .mockResolvedValueOnce({
+          messages: [makeReply('reply-0'), makeMsg('old', 'sender-2', 'bob', 'old', { ts: '2026-02-16T23:00:00Z' })],
+        });
+
+      await runMonitor({}, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(getThreadMessages).toHaveBeenNthCalledWith(2, expect.any(Object), 'parent-1',
+        { count: 50, offset: 50, sort: { ts: -1 } });
+      // msg-1 + 51 new replies; the one before the floor is not new
+      expect(mockDispatch).toHaveBeenCalledTimes(52);
+    });
+
     it('skips already-processed thread replies', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 });
-      // The parent also appears in thread messages (RC includes it)
-      const threadParent = makeMsg('parent-1', 'sender-1', 'alice', 'start');
+      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1, ts: REPLY_TS });
 
-      getThreadMessages.mockResolvedValueOnce({ messages: [threadParent] });
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      // The parent also appears in thread messages (RC includes it)
+      getThreadMessages.mockResolvedValueOnce({ messages: [parentMsg] });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [parentMsg, makeMsg('msg-0')] },
       });
 
-      // Only dispatched once (parent from history), not again from thread poll
-      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      // parent and msg-0 from history, parent not again from thread poll
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
     });
 
     it('skips thread replies with checkmark', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 });
-      const completedReply = {
-        ...makeMsg('reply-1', 'sender-2', 'bob', 'done'),
-        reactions: { ':white_check_mark:': { usernames: ['bot'] } },
-      };
+      const completedReply = makeReply('reply-1', 'sender-2', 'bob', 'done', {
+        reactions: { ':white_check_mark:': { usernames: ['claw'] } },
+      });
 
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
       getThreadMessages.mockResolvedValueOnce({ messages: [completedReply] });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 })] },
       });
 
       // Only parent dispatched, completed reply skipped
@@ -352,12 +525,11 @@ describe('monitor', () => {
     });
 
     it('handles thread poll errors gracefully', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 });
-
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
       getThreadMessages.mockRejectedValueOnce(new Error('RC API 500'));
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 })] },
       });
 
       // Parent still dispatched
@@ -368,34 +540,45 @@ describe('monitor', () => {
       expect(log.info).toHaveBeenCalledWith(expect.stringContaining('stopped'));
     });
 
-    it('does not poll threads without tcount > 0', async () => {
-      const regularMsg = makeMsg('msg-1', 'sender-1', 'alice', 'no thread');
+    it('retries a thread whose poll failed on the next scan', async () => {
+      getThreadsList.mockResolvedValue({ threads: [makeThread('parent-1')] });
+      getThreadMessages
+        .mockRejectedValueOnce(new Error('RC API 500'))
+        .mockResolvedValueOnce({ messages: [makeReply('reply-1')] });
 
       await runMonitor({}, {
-        historyResponse: { messages: [regularMsg] },
+        pollCount: 2,
+        historyResponse: { messages: [makeMsg('msg-1')] },
       });
 
-      expect(getThreadMessages).not.toHaveBeenCalled();
+      const ids = mockDispatch.mock.calls.map(([arg]) => arg.ctx.MessageSid);
+      expect(ids).toEqual(['msg-1', 'reply-1']);
     });
 
-    it('thread reply includes InboundHistory in dispatched context', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start thread', { tcount: 2 });
-      const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'thread reply');
+    it('handles thread list errors gracefully', async () => {
+      getThreadsList.mockRejectedValueOnce(new Error('RC API 500'));
 
-      const threadHistory = [
-        makeMsg('parent-1', 'sender-1', 'alice', 'start thread'),
+      await runMonitor({}, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Thread poll error in #general'));
+    });
+
+    it('thread reply includes InboundHistory in dispatched context', async () => {
+      // Newest-first, as requested from chat.getThreadMessages
+      const threadMessages = [
+        makeReply('reply-1'),
         makeMsg('bot-msg-1', 'bot-user', 'bot', 'bot response'),
-        makeMsg('reply-1', 'sender-2', 'bob', 'thread reply'),
+        makeMsg('parent-1', 'sender-1', 'alice', 'start thread'),
       ];
 
-      // First call: offset-based poll returns the new reply
-      // Second call: context fetch returns full thread history
-      getThreadMessages
-        .mockResolvedValueOnce({ messages: [threadReply], total: 3 })
-        .mockResolvedValueOnce({ messages: threadHistory });
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({ messages: threadMessages });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('msg-1')] },
       });
 
       // Thread reply should have InboundHistory (excluding current msg, excluding bot)
@@ -408,23 +591,21 @@ describe('monitor', () => {
       expect(ctx.InboundHistory.length).toBeGreaterThan(0);
       // InboundHistory should not include the current message
       expect(ctx.InboundHistory.every(e => e.body !== 'thread reply')).toBe(true);
+      // One request serves both the new replies and the context
+      expect(getThreadMessages).toHaveBeenCalledTimes(1);
     });
 
     it('ThreadStarterBody is set to the first message in the thread', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'thread starter body', { tcount: 1 });
-      const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'follow up');
-
-      const threadHistory = [
-        makeMsg('parent-1', 'sender-1', 'alice', 'thread starter body'),
-        makeMsg('reply-1', 'sender-2', 'bob', 'follow up'),
-      ];
-
-      getThreadMessages
-        .mockResolvedValueOnce({ messages: [threadReply], total: 2 })
-        .mockResolvedValueOnce({ messages: threadHistory });
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [
+          makeReply('reply-1', 'sender-2', 'bob', 'follow up'),
+          makeMsg('parent-1', 'sender-1', 'alice', 'thread starter body'),
+        ],
+      });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('msg-1')] },
       });
 
       const dispatchCall = mockDispatch.mock.calls.find(
@@ -433,21 +614,47 @@ describe('monitor', () => {
       expect(dispatchCall[0].ctx.ThreadStarterBody).toBe('thread starter body');
     });
 
-    it('MessageThreadId is set to the thread ID', async () => {
-      const parentMsg = makeMsg('parent-1', 'sender-1', 'alice', 'start', { tcount: 1 });
-      const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'reply');
+    it('gives quoted messages to the agent, sharing the context budget with the thread', async () => {
+      const link = 'https://chat.example.com/channel/general?msg=quoted-1';
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [
+          makeReply('reply-1', 'sender-2', 'bob', `[ ](${link}) see this`, {
+            attachments: [{ message_link: link, text: 'the quote', author_name: 'carol' }],
+          }),
+          makeMsg('parent-1', 'sender-1', 'alice', 'start thread'),
+        ],
+      });
+      getMessage.mockResolvedValueOnce({
+        message: makeMsg('quoted-1', 'sender-3', 'carol', 'the quoted text', { rid: 'room-1' }),
+      });
 
-      const threadHistory = [
-        makeMsg('parent-1', 'sender-1', 'alice', 'start'),
-        makeMsg('reply-1', 'sender-2', 'bob', 'reply'),
-      ];
+      await runMonitor({ threadContextBudget: 20 }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
 
-      getThreadMessages
-        .mockResolvedValueOnce({ messages: [threadReply], total: 2 })
-        .mockResolvedValueOnce({ messages: threadHistory });
+      const { ctx } = mockDispatch.mock.calls.find(([arg]) => arg.ctx.MessageSid === 'reply-1')[0];
+      expect(getMessage).toHaveBeenCalledWith(expect.anything(), 'quoted-1');
+      expect(ctx.QuotedMessages).toEqual([{
+        messageId: 'quoted-1',
+        sender: 'carol',
+        body: 'the quoted text',
+        timestamp: Date.parse('2026-02-17T00:00:00Z'),
+        room: 'general',
+        permalink: link,
+      }]);
+      // 15 of the 20 characters went to the quote
+      expect(ctx.InboundHistory).toEqual([{ sender: 'alice', body: 'start\u2026', timestamp: Date.parse('2026-02-17T00:00:00Z') }]);
+    });
+
+    it('MessageThreadId is set to the thread ID', async () => {
+      getThreadsList.mockResolvedValueOnce({ threads: [makeThread('parent-1')] });
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [makeReply('reply-1', 'sender-2', 'bob', 'reply'), makeMsg('parent-1', 'sender-1', 'alice', 'start')],
+      });
 
       await runMonitor({}, {
-        historyResponse: { messages: [parentMsg] },
+        historyResponse: { messages: [makeMsg('msg-1')] },
       });
 
       const dispatchCall = mockDispatch.mock.calls.find(
@@ -459,9 +666,10 @@ describe('monitor', () => {
     it('channel history message with tmid fetches thread context', async () => {
       const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'channel thread reply', { tmid: 'parent-1' });
 
+      // Newest-first, as requested
       const threadHistory = [
-        makeMsg('parent-1', 'sender-1', 'alice', 'original message'),
         makeMsg('reply-1', 'sender-2', 'bob', 'channel thread reply'),
+        makeMsg('parent-1', 'sender-1', 'alice', 'original message'),
       ];
 
       getThreadMessages.mockResolvedValueOnce({ messages: threadHistory });
@@ -474,7 +682,7 @@ describe('monitor', () => {
       expect(getThreadMessages).toHaveBeenCalledWith(
         expect.any(Object),
         'parent-1',
-        { count: 20 },
+        { count: 20, sort: { ts: -1 } },
       );
 
       const dispatchCall = mockDispatch.mock.calls.find(
@@ -485,6 +693,22 @@ describe('monitor', () => {
       expect(dispatchCall[0].ctx.MessageThreadId).toBe('parent-1');
     });
 
+    it('gives the latest replies of a long thread as context', async () => {
+      const replies = Array.from({ length: 30 }, (_, i) => makeMsg(`reply-${i + 1}`, 'sender-2', 'bob', `reply ${i + 1}`, { tmid: 'parent-1' }));
+      getThreadMessages.mockImplementation(async (_config, _threadId, { count, sort }) => ({
+        messages: sort?.ts === -1 ? replies.slice().reverse().slice(0, count) : replies.slice(0, count),
+      }));
+
+      await runMonitor({}, { historyResponse: { messages: [replies[29]] } });
+
+      const { ctx } = mockDispatch.mock.calls[0][0];
+      expect(ctx.InboundHistory.map((entry) => entry.body)).toEqual(
+        Array.from({ length: 19 }, (_, i) => `reply ${i + 11}`),
+      );
+      // Its start is out of reach
+      expect(ctx).not.toHaveProperty('ThreadStarterBody');
+    });
+
     it('context fetch failure does not break message processing', async () => {
       const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'reply', { tmid: 'parent-1' });
 
@@ -502,6 +726,1870 @@ describe('monitor', () => {
     });
   });
 
+  describe('multiple rooms', () => {
+    const roomsByName = {
+      general: { _id: 'room-1', name: 'general' },
+      support: { _id: 'room-2', name: 'support' },
+    };
+
+    beforeEach(() => {
+      getChannelInfo.mockImplementation(async (_config, name) => {
+        if (roomsByName[name]) return { channel: roomsByName[name] };
+        throw new Error(`channels.info failed for ${name}`);
+      });
+    });
+
+    // Poll each room once, then abort on the next cycle
+    async function runRooms(account, historyByRoom) {
+      const polled = new Map();
+      getChannelHistory.mockImplementation(async (_config, roomId) => {
+        const count = (polled.get(roomId) || 0) + 1;
+        polled.set(roomId, count);
+        if (count > 1) {
+          controller.abort();
+          return { messages: [] };
+        }
+        const result = historyByRoom[roomId];
+        if (result instanceof Error) throw result;
+        return result || { messages: [] };
+      });
+
+      await monitorRocketChat({
+        account: makeAccount(account),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+      });
+      return polled;
+    }
+
+    it('polls every configured room and replies in the right one', async () => {
+      mockDispatch.mockImplementation(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'ok' });
+      });
+
+      await runRooms({ channel: undefined, channels: ['general', 'support'] }, {
+        'room-1': { messages: [makeMsg('msg-a')] },
+        'room-2': { messages: [makeMsg('msg-b')] },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ roomId: 'room-1', threadId: 'msg-a' }));
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ roomId: 'room-2', threadId: 'msg-b' }));
+
+      const tos = mockDispatch.mock.calls.map(([arg]) => arg.ctx.To);
+      expect(tos).toEqual(['channel:general', 'channel:support']);
+    });
+
+    it('resolves glob patterns against joined rooms', async () => {
+      listJoinedRooms.mockResolvedValueOnce({
+        update: [{ _id: 'room-2', name: 'support' }, { _id: 'room-3', name: 'support-eu' }],
+      });
+
+      const polled = await runRooms({ channel: undefined, channels: ['general', 'support*'] }, {});
+
+      expect([...polled.keys()].sort()).toEqual(['room-1', 'room-2', 'room-3']);
+      expect(log.info).toHaveBeenCalledWith(expect.stringContaining('#support-eu (room-3)'));
+    });
+
+    it('shares processed IDs across rooms', async () => {
+      const msg = makeMsg('msg-shared');
+
+      await runRooms({ channel: undefined, channels: ['general', 'support'] }, {
+        'room-1': { messages: [msg] },
+        'room-2': { messages: [msg] },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('isolates poll errors to the failing room', async () => {
+      await runRooms({ channel: undefined, channels: ['general', 'support'] }, {
+        'room-1': new Error('RC API 500'),
+        'room-2': { messages: [makeMsg('msg-b')] },
+      });
+
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Poll error in #general'));
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips rooms that fail to resolve', async () => {
+      await runRooms({ channel: undefined, channels: ['missing', 'support'] }, {
+        'room-2': { messages: [makeMsg('msg-b')] },
+      });
+
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Failed to resolve channel #missing'));
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws when no room resolves', async () => {
+      await expect(monitorRocketChat({
+        account: makeAccount({ channel: 'missing' }),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+      })).rejects.toThrow('channels.info failed for missing');
+    });
+
+    it('subscribes to every room over realtime', async () => {
+      const server = await startDdpServer({ authToken: 'token' });
+      try {
+        const monitor = monitorRocketChat({
+          account: makeAccount({ url: server.url, transport: 'realtime', channel: undefined, channels: ['general', 'support'] }),
+          cfg: {},
+          abortSignal: controller.signal,
+          log,
+        });
+        await waitFor(() => server.state.subscriptions.length === 2);
+
+        server.emitMessage('room-2', { ...makeMsg('rt-b'), rid: 'room-2' });
+        await waitFor(() => mockDispatch.mock.calls.length === 1);
+        controller.abort();
+        await monitor;
+
+        expect(server.state.subscriptions.map((sub) => sub.params[0])).toEqual(['room-1', 'room-2']);
+        expect(mockDispatch.mock.calls[0][0].ctx.To).toBe('channel:support');
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('applies per-room session scopes', async () => {
+      await runRooms({
+        channel: undefined,
+        channels: ['general', 'support'],
+        sessionScope: 'user',
+        rooms: { 'support*': { sessionScope: 'thread' } },
+      }, {
+        'room-1': { messages: [makeMsg('msg-a')] },
+        'room-2': { messages: [makeMsg('msg-b')] },
+      });
+
+      const peers = mockResolveAgentRoute.mock.calls.map(([{ peer }]) => peer.id);
+      expect(peers).toEqual(['sender-1', 'room-2:msg-b']);
+    });
+  });
+
+  describe('session scope', () => {
+    const thread = [
+      makeMsg('msg-1', 'alice-id', 'alice', 'first', { tmid: 'parent-1' }),
+      makeMsg('msg-2', 'bob-id', 'bob', 'second', { tmid: 'parent-1' }),
+    ];
+
+    async function peersFor(account) {
+      await runMonitor(account, { historyResponse: { messages: thread } });
+      return mockResolveAgentRoute.mock.calls.map(([{ peer }]) => peer);
+    }
+
+    it('shares a session per room', async () => {
+      expect(await peersFor({ sessionScope: 'room' })).toEqual([
+        { kind: 'group', id: 'room-1' },
+        { kind: 'group', id: 'room-1' },
+      ]);
+    });
+
+    it('shares a session per thread', async () => {
+      expect(await peersFor({ sessionScope: 'thread' })).toEqual([
+        { kind: 'group', id: 'room-1:parent-1' },
+        { kind: 'group', id: 'room-1:parent-1' },
+      ]);
+    });
+
+    it('keeps one session per user in each thread', async () => {
+      const ids = (await peersFor({ sessionScope: 'user+thread' })).map((peer) => peer.id).sort();
+      expect(ids).toEqual(['room-1:parent-1:alice-id', 'room-1:parent-1:bob-id']);
+    });
+
+    it('warns about an unknown scope and falls back to user', async () => {
+      const ids = (await peersFor({ sessionScope: 'team' })).map((peer) => peer.id).sort();
+
+      expect(log.warn).toHaveBeenCalledWith('Unknown sessionScope "team", using "user"');
+      expect(ids).toEqual(['alice-id', 'bob-id']);
+    });
+
+    it('warns about an unknown per-room scope', async () => {
+      await peersFor({ sessionScope: 'thread', rooms: { '#general': { sessionScope: 'nope' } } });
+
+      expect(log.warn).toHaveBeenCalledWith('Unknown sessionScope "nope" for #general, using "thread"');
+      expect(mockResolveAgentRoute.mock.calls[0][0].peer.id).toBe('room-1:parent-1');
+    });
+
+    it('queues runs by their thread and their session', () => {
+      const room = { id: 'room-1', type: 'c' };
+      const reply = makeMsg('m2', 'sender-1', 'x', 'hi', { tmid: 'm1' });
+      // A top-level message and the replies in its thread share the thread key
+      expect(queueKeysFor(makeMsg('m1'), room, 'm1')).toEqual(['session:group:sender-1', 'thread:m1']);
+      expect(queueKeysFor(reply, room, 'm1')).toEqual(['session:group:sender-1', 'thread:m1']);
+      expect(queueKeysFor(reply, room, 'm1', 'room')).toEqual(['session:group:room-1', 'thread:m1']);
+      expect(queueKeysFor(reply, room, 'm1', 'thread')).toEqual(['session:group:room-1:m1', 'thread:m1']);
+      expect(queueKeysFor(reply, room, 'm1', 'user+thread')).toEqual(['session:group:room-1:m1:sender-1', 'thread:m1']);
+      expect(queueKeysFor(makeMsg('m4'), { id: 'dm-1', type: 'd' }, null, 'room')).toEqual(['session:direct:sender-1']);
+    });
+  });
+
+  describe('agent binding and personas', () => {
+    const replyWith = (text) => mockDispatch.mockImplementation(async ({ dispatcherOptions }) => {
+      await dispatcherOptions.deliver({ text });
+    });
+
+    afterEach(() => {
+      mockDispatch.mockReset().mockResolvedValue({});
+      getMessage.mockReset();
+    });
+
+    it('routes a room to its agent with an extra binding', async () => {
+      await runMonitor({ rooms: { general: { agentId: 'helpdesk' } } }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      const { cfg, peer } = mockResolveAgentRoute.mock.calls[0][0];
+      expect(cfg.bindings).toEqual([
+        { agentId: 'helpdesk', match: { channel: 'rocketchat', accountId: 'default', peer } },
+      ]);
+    });
+
+    it('leaves cfg alone for rooms without an agent', async () => {
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(mockResolveAgentRoute.mock.calls[0][0].cfg).toEqual({});
+    });
+
+    it('picks a thread rule by the thread\'s first message', async () => {
+      getMessage.mockResolvedValue({ message: { _id: 'parent-1', msg: 'Billing: double charge' } });
+      replyWith('on it');
+
+      await runMonitor({
+        persona: { alias: 'Claw' },
+        rooms: {
+          general: {
+            agentId: 'helpdesk',
+            threads: [{ match: '^billing:', agentId: 'billing', persona: { alias: 'Billing', avatar: 'https://x.example/b.png' } }],
+          },
+        },
+      }, {
+        historyResponse: { messages: [makeMsg('msg-2', 'sender-1', 'alice', 'any update?', { tmid: 'parent-1' }), makeMsg('msg-3', 'sender-1', 'alice', 'hello')] },
+      });
+
+      const agents = mockResolveAgentRoute.mock.calls.map(([{ cfg }]) => cfg.bindings[0].agentId);
+      expect(agents.sort()).toEqual(['billing', 'helpdesk']);
+      expect(getMessage).toHaveBeenCalledTimes(1);
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'on it', threadId: 'parent-1', alias: 'Billing', avatar: 'https://x.example/b.png',
+      });
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'on it', threadId: 'msg-3', alias: 'Claw',
+      });
+    });
+
+    it('falls back to the room\'s agent when the thread start can\'t be read', async () => {
+      getMessage.mockRejectedValueOnce(new Error('not found'));
+
+      await runMonitor({ rooms: { general: { agentId: 'helpdesk', threads: [{ match: 'x', agentId: 'other' }] } } }, {
+        historyResponse: { messages: [makeMsg('msg-2', 'sender-1', 'alice', 'x', { tmid: 'parent-1' })] },
+      });
+
+      expect(log.warn).toHaveBeenCalledWith("Could not read the first message of thread parent-1, using the room's agent: not found");
+      expect(mockResolveAgentRoute.mock.calls[0][0].cfg.bindings[0].agentId).toBe('helpdesk');
+    });
+
+    it('streams under the persona', async () => {
+      sendMessage.mockResolvedValueOnce({ message: { _id: 'placeholder-1' } });
+      replyWith('done');
+
+      await runMonitor({ replyStyle: 'stream', persona: { alias: 'Claw', emoji: ':robot:' } }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'thinking…', threadId: 'msg-1', alias: 'Claw', emoji: ':robot:',
+      });
+    });
+  });
+
+  describe('persistent state', () => {
+    async function runOnce(stateStore, historyResponse) {
+      controller = new AbortController();
+      let polls = 0;
+      getChannelHistory.mockImplementation(async () => {
+        polls++;
+        if (polls > 1) {
+          controller.abort();
+          return { messages: [] };
+        }
+        return historyResponse;
+      });
+      await monitorRocketChat({
+        account: makeAccount(),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+        stateStore,
+      });
+    }
+
+    it('does not re-dispatch messages processed before a restart', async () => {
+      const store = createMemoryStore();
+      // A failed message: no checkmark, so only the store prevents a retry
+      const msg = makeMsg('msg-1');
+      mockDispatch.mockRejectedValueOnce(new Error('agent error'));
+
+      await runOnce(store, { messages: [msg] });
+      await runOnce(store, { messages: [msg] });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('records the last-seen timestamp per room', async () => {
+      const store = createMemoryStore();
+
+      await runOnce(store, {
+        messages: [
+          makeMsg('msg-2', 'sender-1', 'alice', 'newer', { ts: '2026-02-17T00:02:00Z' }),
+          makeMsg('msg-1', 'sender-1', 'alice', 'older', { ts: '2026-02-17T00:01:00Z' }),
+        ],
+      });
+
+      expect(store.getRoomCursor('room-1')).toBe(Date.parse('2026-02-17T00:02:00Z'));
+    });
+
+    it('resumes thread tracking from stored cursors after a restart', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', Date.parse('2026-02-17T00:00:00Z'));
+      store.setThreadCursor('parent-1', { roomId: 'room-1', tlm: Date.parse('2026-02-17T00:05:00Z'), lastSeen: Date.now() });
+      getThreadsList.mockResolvedValueOnce({ threads: [{ _id: 'parent-1', tlm: '2026-02-17T00:06:00Z' }] });
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [
+          makeMsg('reply-2', 'sender-2', 'bob', 'new', { tmid: 'parent-1', ts: '2026-02-17T00:06:00Z' }),
+          makeMsg('reply-1', 'sender-2', 'bob', 'seen', { tmid: 'parent-1', ts: '2026-02-17T00:05:00Z' }),
+        ],
+      });
+
+      await runOnce(store, { messages: [] });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.MessageSid).toBe('reply-2');
+    });
+
+    it('persists thread cursors as replies are processed', async () => {
+      const store = createMemoryStore();
+      getThreadsList.mockResolvedValueOnce({ threads: [{ _id: 'parent-1', tlm: '2026-02-17T00:05:00Z' }] });
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [makeMsg('reply-1', 'sender-2', 'bob', 'hi', { tmid: 'parent-1', ts: '2026-02-17T00:05:00Z' })],
+      });
+
+      await runOnce(store, { messages: [makeMsg('msg-1')] });
+
+      expect(store.getThreadCursor('parent-1')).toEqual(expect.objectContaining({
+        roomId: 'room-1',
+        tlm: Date.parse('2026-02-17T00:05:00Z'),
+      }));
+    });
+
+    it('writes state to the configured file', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'rc-monitor-state-'));
+      try {
+        const stateFile = join(dir, 'state.json');
+        await runMonitor({ stateFile }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+        const data = JSON.parse(await readFile(stateFile, 'utf8'));
+        expect(Object.keys(data.processed)).toEqual(['msg-1']);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('concurrent processing', () => {
+    // A session per peer, unless a test shares one
+    beforeEach(() => {
+      mockResolveAgentRoute.mockImplementation(({ peer }) => ({ sessionKey: `session:${peer.id}` }));
+    });
+
+    afterEach(() => {
+      mockResolveAgentRoute.mockReset().mockReturnValue({ sessionKey: 'session-1' });
+    });
+
+    function gate() {
+      let open;
+      const opened = new Promise((r) => { open = r; });
+      return { opened, open };
+    }
+
+    // Dispatch blocks on the gate for the given message IDs
+    function blockDispatchFor(ids, { opened }) {
+      mockDispatch.mockImplementation(async ({ ctx }) => {
+        if (ids.includes(ctx.MessageSid)) await opened;
+      });
+    }
+
+    function startMonitor(accountOverrides = {}) {
+      return monitorRocketChat({
+        account: makeAccount(accountOverrides),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+      });
+    }
+
+    const dispatchedIds = () => mockDispatch.mock.calls.map(([arg]) => arg.ctx.MessageSid);
+
+    it('handles other users while one agent run is slow', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-2', 'bob'), makeMsg('msg-1', 'sender-1', 'alice')],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 2 });
+      await waitFor(() => dispatchedIds().includes('msg-2'));
+
+      slow.open();
+      controller.abort();
+      await monitor;
+      expect(dispatchedIds()).toEqual(['msg-1', 'msg-2']);
+    });
+
+    it('keeps replies in one thread in order', async () => {
+      const slow = gate();
+      blockDispatchFor(['reply-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [
+          makeMsg('reply-2', 'sender-2', 'bob', 'second', { tmid: 'parent-1' }),
+          makeMsg('reply-1', 'sender-1', 'alice', 'first', { tmid: 'parent-1' }),
+        ],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 4 });
+      await waitFor(() => dispatchedIds().includes('reply-1'));
+      await new Promise((r) => setTimeout(r, 30));
+      expect(dispatchedIds()).toEqual(['reply-1']);
+
+      slow.open();
+      await waitFor(() => dispatchedIds().length === 2);
+      controller.abort();
+      await monitor;
+      expect(dispatchedIds()).toEqual(['reply-1', 'reply-2']);
+    });
+
+    it('keeps one user\'s top-level messages in order', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-1', 'alice', 'second'), makeMsg('msg-1', 'sender-1', 'alice', 'first')],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 4 });
+      await waitFor(() => dispatchedIds().includes('msg-1'));
+      await new Promise((r) => setTimeout(r, 30));
+      expect(dispatchedIds()).toEqual(['msg-1']);
+
+      slow.open();
+      controller.abort();
+      await monitor;
+      expect(dispatchedIds()).toEqual(['msg-1', 'msg-2']);
+    });
+
+    it('runs peers that share one session one at a time, each with its own requester', async () => {
+      const slow = gate();
+      const seen = [];
+      mockDispatch.mockImplementation(async ({ ctx }) => {
+        seen.push([ctx.MessageSid, requesterFor('session-1')?.username]);
+        if (ctx.MessageSid === 'msg-1') await slow.opened;
+        seen.push([ctx.MessageSid, requesterFor('session-1')?.username]);
+      });
+      // Both in one session, as OpenClaw can put all DMs in its main session
+      mockResolveAgentRoute.mockReturnValue({ sessionKey: 'session-1' });
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-2', 'bob'), makeMsg('msg-1', 'sender-1', 'alice')],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 2 });
+      await waitFor(() => seen.length === 1);
+      await new Promise((r) => setTimeout(r, 30));
+      expect(dispatchedIds()).toEqual(['msg-1']);
+
+      slow.open();
+      await waitFor(() => seen.length === 4);
+      controller.abort();
+      await monitor;
+      expect(seen).toEqual([['msg-1', 'alice'], ['msg-1', 'alice'], ['msg-2', 'bob'], ['msg-2', 'bob']]);
+    });
+
+    it('keeps a reply behind the message that started its thread', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [
+          makeMsg('reply-1', 'sender-2', 'bob', 'and?', { tmid: 'msg-1' }),
+          makeMsg('msg-1', 'sender-1', 'alice', 'first'),
+        ],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 4 });
+      await waitFor(() => dispatchedIds().includes('msg-1'));
+      await new Promise((r) => setTimeout(r, 30));
+      expect(dispatchedIds()).toEqual(['msg-1']);
+
+      slow.open();
+      await waitFor(() => dispatchedIds().length === 2);
+      controller.abort();
+      await monitor;
+      expect(dispatchedIds()).toEqual(['msg-1', 'reply-1']);
+    });
+
+    it('keeps polling while work is in flight and reports queue depth', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-2', 'bob'), makeMsg('msg-1', 'sender-1', 'alice')],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 1 });
+      await waitFor(() => mockDispatch.mock.calls.length === 1);
+      const polls = getChannelHistory.mock.calls.length;
+      await waitFor(() => getChannelHistory.mock.calls.length > polls + 2);
+
+      expect(snapshotMetrics('default')).toEqual(expect.objectContaining({ queueDepth: 1, inFlight: 1 }));
+
+      slow.open();
+      controller.abort();
+      await monitor;
+      expect(snapshotMetrics('default')).toEqual(expect.objectContaining({ queueDepth: 0, inFlight: 0 }));
+      resetMetrics('default');
+    });
+
+    it('finishes queued messages before stopping', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-2', 'bob'), makeMsg('msg-1', 'sender-1', 'alice')],
+      });
+
+      const monitor = startMonitor({ maxConcurrency: 1 });
+      await waitFor(() => mockDispatch.mock.calls.length === 1);
+      controller.abort();
+      setTimeout(() => slow.open(), 20);
+      await monitor;
+
+      expect(dispatchedIds()).toEqual(['msg-1', 'msg-2']);
+      expect(log.info).toHaveBeenLastCalledWith('Rocket.Chat monitor stopped');
+    });
+
+    it('answers other users in parallel by default', async () => {
+      const slow = gate();
+      blockDispatchFor(['msg-1'], slow);
+      getChannelHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-2', 'sender-2', 'bob'), makeMsg('msg-1', 'sender-1', 'alice')],
+      });
+
+      const monitor = startMonitor();
+      await waitFor(() => dispatchedIds().includes('msg-2'));
+      expect(snapshotMetrics('default')).toEqual(expect.objectContaining({ inFlight: 1 }));
+
+      slow.open();
+      controller.abort();
+      await monitor;
+      resetMetrics('default');
+    });
+
+    it('falls back to the default on an invalid maxConcurrency', async () => {
+      await runMonitor({ maxConcurrency: 0 }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(log.warn).toHaveBeenCalledWith('Invalid maxConcurrency "0", using 4');
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('login', () => {
+    const passwordAccount = { authToken: undefined, userId: undefined, username: 'claw', password: 'pw' };
+
+    it('logs in with username and password and takes the bot user ID from the session', async () => {
+      login.mockResolvedValueOnce({ status: 'success', data: { authToken: 'session-token', userId: 'bot-id' } });
+
+      await runMonitor(passwordAccount, {
+        historyResponse: { messages: [makeMsg('own', 'bot-id', 'claw', 'my reply'), makeMsg('msg-1')] },
+      });
+
+      expect(getChannelInfo).toHaveBeenCalledWith(expect.objectContaining({ authToken: 'session-token' }), 'general');
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.MessageSid).toBe('msg-1');
+    });
+
+    it('logs and throws when the login is rejected', async () => {
+      login.mockRejectedValueOnce(new AuthError('failed (401)', { status: 401, body: 'Unauthorized' }));
+
+      await expect(runMonitor(passwordAccount)).rejects.toThrow('login failed');
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Rocket.Chat login failed'));
+    });
+  });
+
+  describe('API errors', () => {
+    it('pauses polling for the server\'s retry delay when rate limited', async () => {
+      let polls = 0;
+      getChannelHistory.mockImplementation(async () => {
+        polls++;
+        if (polls === 1) {
+          throw new RateLimitError('Rocket.Chat API GET /api/v1/channels.history failed (429): {}', {
+            status: 429, retryAfterMs: 80,
+          });
+        }
+        controller.abort();
+        return { messages: [] };
+      });
+
+      const started = Date.now();
+      await monitorRocketChat({ account: makeAccount(), cfg: {}, abortSignal: controller.signal, log });
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(75);
+      expect(log.warn).toHaveBeenCalledWith('Rate limited while polling #general; pausing polls for 1s');
+    });
+
+    it('reports rejected credentials while polling', async () => {
+      let polls = 0;
+      getChannelHistory.mockImplementation(async () => {
+        if (++polls > 1) controller.abort();
+        throw new AuthError('Rocket.Chat API GET /api/v1/channels.history failed (401): {}', { status: 401 });
+      });
+
+      await monitorRocketChat({ account: makeAccount(), cfg: {}, abortSignal: controller.signal, log });
+
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('rejected the bot\'s credentials while polling #general'));
+    });
+
+    it('skips failure reactions when the credentials are rejected mid-dispatch', async () => {
+      mockDispatch.mockImplementationOnce(async () => {
+        throw new AuthError('Rocket.Chat API POST /api/v1/chat.postMessage failed (401): {}', { status: 401 });
+      });
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(reactToMessage).not.toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', true);
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('rejected the bot\'s credentials while handling msg-1'));
+    });
+  });
+
+  describe('failure replies', () => {
+    it('replies with a ref that matches the log line', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('Model request timed out'));
+
+      await runMonitor({ failureReplies: true }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      const [, body] = sendMessage.mock.calls[0];
+      expect(body).toMatchObject({ roomId: 'room-1', threadId: 'msg-1' });
+      const ref = /_\(ref ([0-9a-f]{6})\)_$/.exec(body.text)[1];
+      expect(body.text).toBe(`Sorry, that took too long to answer. Please try again. _(ref ${ref})_`);
+      expect(log.error).toHaveBeenCalledWith(`Dispatch error for message msg-1 (ref ${ref}): Model request timed out`);
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', true);
+    });
+
+    it('replies when the agent delivers nothing', async () => {
+      await runMonitor({ failureReplies: { messages: { no_reply: 'No answer.' } } }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(sendMessage.mock.calls[0][1].text).toMatch(/^No answer\. _\(ref [0-9a-f]{6}\)_$/);
+    });
+
+    it('does not repeat itself in one thread', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('a')).mockRejectedValueOnce(new Error('b'));
+
+      await runMonitor({ failureReplies: true }, {
+        historyResponse: {
+          messages: [
+            makeMsg('msg-2', 'sender-1', 'alice', 'again?', { tmid: 'parent-1' }),
+            makeMsg('msg-1', 'sender-1', 'alice', 'hi', { tmid: 'parent-1' }),
+          ],
+        },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('stays quiet when not enabled', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('boom'));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(sendMessage).not.toHaveBeenCalled();
+      expect(log.error).toHaveBeenCalledWith(expect.stringMatching(/^Dispatch error for message msg-1 \(ref [0-9a-f]{6}\): boom$/));
+    });
+  });
+
+  describe('reaction controls', () => {
+    const reacted = (reactions) => ({
+      result: { updated: [makeMsg('msg-1', 'sender-1', 'alice', 'hello', { reactions, _updatedAt: '2026-02-17T00:01:00Z' })] },
+    });
+
+    beforeEach(() => {
+      // The check for unfinished messages at startup
+      syncMessages.mockResolvedValueOnce({ result: { updated: [], deleted: [] } });
+    });
+
+    afterEach(() => {
+      syncMessages.mockReset().mockResolvedValue({ result: { updated: [], deleted: [] } });
+    });
+
+    it('retries a failed message when someone adds 🔁', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('boom')).mockRejectedValueOnce(new Error('boom again'));
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(reacted({ ':x:': { usernames: ['claw'] }, ':repeat:': { usernames: ['alice'] } }));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(syncMessages).toHaveBeenCalledWith(expect.any(Object), 'room-1', Date.parse('2026-02-17T00:00:00Z'));
+      expect(syncMessages).toHaveBeenLastCalledWith(expect.any(Object), 'room-1', Date.parse('2026-02-17T00:01:00Z'));
+      // Once per 🔁, even though the same copy comes back again
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', false);
+      expect(log.error).toHaveBeenCalledWith(expect.stringMatching(/^Dispatch error for message msg-1 \(ref [0-9a-f]{6}\): boom again$/));
+      expect(log.info).toHaveBeenCalledWith('Retrying msg-1 in #general: a user reacted with 🔁');
+    });
+
+    it('answers normally on a successful retry', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('boom'));
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'second time lucky' });
+      });
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(reacted({ ':x:': { usernames: ['claw'] }, ':repeat:': { usernames: ['alice'] } }));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(sendMessage.mock.calls[0][1]).toMatchObject({ text: 'second time lucky', threadId: 'msg-1' });
+      expect(reactToMessage).toHaveBeenLastCalledWith(expect.any(Object), 'msg-1', 'white_check_mark', true);
+      // Nothing left to watch
+      expect(syncMessages).toHaveBeenCalledTimes(3);
+    });
+
+    it('ignores 🔁 on a message that was answered', async () => {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'hi' });
+      });
+      syncMessages.mockResolvedValue(reacted({ ':repeat:': { usernames: ['alice'] } }));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('aborts a running dispatch when someone adds 🛑', async () => {
+      let abortSignal;
+      mockDispatch.mockImplementationOnce(({ replyOptions, dispatcherOptions }) => new Promise((resolve) => {
+        abortSignal = replyOptions.abortSignal;
+        abortSignal.addEventListener('abort', () => {
+          dispatcherOptions.deliver({ text: 'too late' }).then(resolve);
+        });
+      }));
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(reacted({ ':hourglass:': { usernames: ['claw'] }, ':octagonal_sign:': { usernames: ['alice'] } }));
+
+      await runMonitor({ failureReplies: true }, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 2 });
+
+      expect(abortSignal.aborted).toBe(true);
+      expect(sendMessage).not.toHaveBeenCalled();
+      expect(reactToMessage).toHaveBeenLastCalledWith(expect.any(Object), 'msg-1', 'hourglass', false);
+      expect(reactToMessage).not.toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', true);
+      expect(log.info).toHaveBeenCalledWith('Cancelling msg-1 in #general: a user reacted with 🛑');
+      expect(log.info).toHaveBeenCalledWith("Cancelled msg-1 at a user's request");
+    });
+
+    it('only syncs rooms with messages to watch', async () => {
+      await runMonitor({}, { historyResponse: { messages: [] }, pollCount: 2 });
+
+      // Only at startup
+      expect(syncMessages).toHaveBeenCalledTimes(1);
+    });
+
+    it('logs a failed sync and keeps polling', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('boom'));
+      syncMessages.mockRejectedValue(new Error('sync down'));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 2 });
+
+      expect(log.error).toHaveBeenCalledWith('Message sync error in #general: sync down');
+      expect(getChannelHistory).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('edited and deleted messages', () => {
+    const edited = (text, extra = {}) => ({
+      result: {
+        updated: [makeMsg('msg-1', 'sender-1', 'alice', text, {
+          editedAt: '2026-02-17T00:02:00Z', _updatedAt: '2026-02-17T00:02:00Z', ...extra,
+        })],
+      },
+    });
+    const answered = { reactions: { ':white_check_mark:': { usernames: ['claw'] } } };
+
+    function replyWith(text) {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text });
+      });
+    }
+
+    beforeEach(() => {
+      sendMessage.mockImplementation(async () => ({ message: { _id: `reply-${sendMessage.mock.calls.length}` } }));
+      // The check for unfinished messages at startup
+      syncMessages.mockResolvedValueOnce({ result: { updated: [], deleted: [] } });
+    });
+
+    afterEach(() => {
+      syncMessages.mockReset().mockResolvedValue({ result: { updated: [], deleted: [] } });
+      sendMessage.mockReset().mockResolvedValue({});
+    });
+
+    it('answers an edited message again, noting the edit', async () => {
+      replyWith('first answer');
+      replyWith('second answer');
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(edited('hello again', answered));
+
+      await runMonitor({ editedMessages: 'answer' }, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(2);
+      expect(mockDispatch.mock.calls[1][0].ctx).toMatchObject({
+        Body: 'hello again',
+        BodyForAgent: '[The sender edited this message; this is the new version.]\n\nhello again',
+        CommandBody: 'hello again',
+      });
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'white_check_mark', false);
+      expect(sendMessage.mock.calls.map(([, body]) => body.text)).toEqual(['first answer', 'second answer']);
+      expect(log.info).toHaveBeenCalledWith('Answering msg-1 in #general again: the message was edited');
+    });
+
+    it('edits the earlier reply in place with "replace"', async () => {
+      replyWith('first answer');
+      replyWith('second answer');
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(edited('hello again', answered));
+
+      await runMonitor({ editedMessages: 'replace', streamThrottleMs: 0 }, {
+        historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3,
+      });
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+      expect(updateMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'room-1', messageId: 'reply-1', text: 'second answer' });
+    });
+
+    it('keeps an edited message pending for a restart when the edit stops its first run', async () => {
+      const store = createMemoryStore();
+      let atCrash;
+      mockDispatch
+        .mockImplementationOnce(({ replyOptions }) => new Promise((resolve) => {
+          replyOptions.abortSignal.addEventListener('abort', resolve);
+        }))
+        // The gateway dies while the edited message is being answered
+        .mockImplementationOnce(async () => {
+          atCrash = store.toJSON();
+        });
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(edited('hello again'));
+
+      await runMonitor({ editedMessages: 'answer' }, {
+        stateStore: store, historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3,
+      });
+      expect(Object.keys(atCrash.pending)).toEqual(['msg-1']);
+
+      controller = new AbortController();
+      vi.clearAllMocks();
+      syncMessages.mockReset().mockResolvedValue({ result: { updated: [], deleted: [] } });
+      getMessage.mockResolvedValueOnce({
+        message: makeMsg('msg-1', 'sender-1', 'alice', 'hello again', { ts: new Date().toISOString() }),
+      });
+      const restarted = createMemoryStore();
+      restarted.restore(atCrash);
+
+      await runMonitor({ editedMessages: 'answer' }, { stateStore: restarted });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx).toMatchObject({ MessageSid: 'msg-1', Body: 'hello again' });
+      expect(log.info).toHaveBeenCalledWith('Answering msg-1 in #general: it was still queued when the monitor stopped');
+    });
+
+    it('ignores edits by default', async () => {
+      syncMessages.mockResolvedValue(edited('hello again'));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves an edit that no longer addresses the bot', async () => {
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [] } })
+        .mockResolvedValue(edited('never mind', answered));
+
+      await runMonitor({ respondTo: 'mentions', editedMessages: 'answer' }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', '@claw hi')] }, pollCount: 3,
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(log.info).toHaveBeenCalledWith('Not answering edited msg-1 in #general: it no longer addresses the bot');
+    });
+
+    it('stops a running dispatch when the message is deleted', async () => {
+      let abortSignal;
+      mockDispatch.mockImplementationOnce(({ replyOptions }) => new Promise((resolve) => {
+        abortSignal = replyOptions.abortSignal;
+        abortSignal.addEventListener('abort', resolve);
+      }));
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [], deleted: [] } })
+        .mockResolvedValue({ result: { updated: [], deleted: [{ _id: 'msg-1', _deletedAt: '2026-02-17T00:02:00Z' }] } });
+
+      await runMonitor({ deletedMessages: 'cancel' }, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 2 });
+
+      expect(abortSignal.reason).toBe('deleted');
+      // Nothing is said about it, not even with reactions
+      expect(reactToMessage.mock.calls.map(([, , emoji, add]) => [emoji, add])).toEqual([['hourglass', true]]);
+      expect(log.info).toHaveBeenCalledWith('Stopped msg-1: the message was deleted');
+    });
+
+    it('deletes the replies to a deleted message with "retract"', async () => {
+      replyWith('an answer');
+      syncMessages
+        .mockResolvedValueOnce({ result: { updated: [], deleted: [] } })
+        .mockResolvedValue({ result: { updated: [], deleted: [{ _id: 'msg-1', _deletedAt: '2026-02-17T00:02:00Z' }] } });
+
+      await runMonitor({ deletedMessages: 'retract' }, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(deleteMessage).toHaveBeenCalledTimes(1);
+      expect(deleteMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'room-1', messageId: 'reply-1' });
+    });
+
+    it('leaves deletes alone by default', async () => {
+      replyWith('an answer');
+      syncMessages.mockResolvedValue({ result: { updated: [], deleted: [{ _id: 'msg-1' }] } });
+
+      await runMonitor({ editedMessages: 'answer' }, { historyResponse: { messages: [makeMsg('msg-1')] }, pollCount: 3 });
+
+      expect(deleteMessage).not.toHaveBeenCalled();
+      expect(log.info).not.toHaveBeenCalledWith('Message msg-1 was deleted in #general');
+    });
+
+    it('warns about unknown modes', async () => {
+      await runMonitor({ editedMessages: 'redo', deletedMessages: 'purge' });
+
+      expect(log.warn).toHaveBeenCalledWith('Unknown editedMessages "redo", ignoring edits');
+      expect(log.warn).toHaveBeenCalledWith('Unknown deletedMessages "purge", ignoring deletes');
+    });
+  });
+
+  describe('reaction settings', () => {
+    const emojis = () => reactToMessage.mock.calls.map(([, , emoji, add]) => [emoji, add]);
+
+    it('shows the configured stages as the message moves along', async () => {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'hi' });
+      });
+
+      await runMonitor({ reactions: { queued: 'inbox_tray', running: 'robot', delivering: 'speech_balloon', done: 'ok_hand' } }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(emojis()).toEqual([
+        ['inbox_tray', true],
+        ['inbox_tray', false], ['hourglass', true],
+        ['hourglass', false], ['robot', true],
+        ['robot', false], ['speech_balloon', true],
+        ['speech_balloon', false], ['ok_hand', true],
+      ]);
+    });
+
+    it('skips messages the bot marked with the configured done emoji', async () => {
+      await runMonitor({ botUsername: 'claw', reactions: { done: 'ok_hand' } }, {
+        historyResponse: {
+          messages: [
+            makeMsg('msg-1', 'sender-1', 'alice', 'hello', { reactions: { ':ok_hand:': { usernames: ['claw'] } } }),
+            makeMsg('msg-2', 'sender-1', 'alice', 'hello', { reactions: { ':white_check_mark:': { usernames: ['claw'] } } }),
+          ],
+        },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.MessageSid).toBe('msg-2');
+    });
+
+    it('answers without reacting when reactions are off', async () => {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'hi' });
+      });
+
+      await runMonitor({ reactions: false }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+      expect(reactToMessage).not.toHaveBeenCalled();
+      // Only to watch the message for 🔁 and 🛑: there is no ⏳ to look for at startup
+      expect(syncMessages).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('unfinished messages', () => {
+    const hourglass = { ':hourglass:': { usernames: ['claw'] } };
+    const recently = () => new Date(Date.now() - 60_000).toISOString();
+    const emojis = () => reactToMessage.mock.calls.map(([, id, emoji, add]) => [id, emoji, add]);
+
+    function unfinished(...messages) {
+      syncMessages.mockResolvedValueOnce({ result: { updated: messages, deleted: [] } });
+    }
+
+    afterEach(() => {
+      syncMessages.mockReset().mockResolvedValue({ result: { updated: [], deleted: [] } });
+      getMessage.mockReset();
+    });
+
+    // State left by a gateway that stopped with these messages still queued
+    function queuedBefore(...ids) {
+      const store = createMemoryStore();
+      for (const id of ids) {
+        store.markProcessed(id);
+        store.markPending(id, 'room-1');
+      }
+      return store;
+    }
+
+    it('answers a recent message the bot left ⏳ on again', async () => {
+      unfinished(makeMsg('msg-1', 'sender-1', 'alice', 'hello', { ts: recently(), reactions: hourglass }));
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'hi' });
+      });
+
+      await runMonitor({});
+
+      expect(syncMessages).toHaveBeenCalledWith(expect.any(Object), 'room-1', expect.any(Number));
+      expect(getMe).toHaveBeenCalled();
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'room-1', text: 'hi', threadId: 'msg-1' });
+      expect(emojis()).toEqual([
+        ['msg-1', 'hourglass', false],
+        ['msg-1', 'hourglass', true],
+        ['msg-1', 'hourglass', false],
+        ['msg-1', 'white_check_mark', true],
+      ]);
+      expect(log.info).toHaveBeenCalledWith('Answering unfinished msg-1 in #general again');
+    });
+
+    it('answers a thread reply in its thread', async () => {
+      unfinished(makeMsg('msg-2', 'sender-1', 'alice', 'and?', { ts: recently(), tmid: 'parent-1', reactions: hourglass }));
+      getThreadMessages.mockResolvedValue({ messages: [makeMsg('parent-1'), makeMsg('msg-2')] });
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'hi' });
+      });
+
+      await runMonitor({});
+
+      expect(mockDispatch.mock.calls[0][0].ctx).toMatchObject({ MessageSid: 'msg-2', MessageThreadId: 'parent-1' });
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'room-1', text: 'hi', threadId: 'parent-1' });
+    });
+
+    it('marks an old one failed', async () => {
+      unfinished(makeMsg('msg-1', 'sender-1', 'alice', 'hello', { reactions: hourglass }));
+
+      await runMonitor({});
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+      expect(emojis()).toEqual([['msg-1', 'hourglass', false], ['msg-1', 'x', true]]);
+      expect(log.info).toHaveBeenCalledWith('Marking unfinished msg-1 in #general as failed: it is too old to answer again');
+    });
+
+    it('retries one marked failed when someone adds 🔁', async () => {
+      unfinished(makeMsg('msg-1', 'sender-1', 'alice', 'hello', { reactions: hourglass }));
+      syncMessages.mockResolvedValue({
+        result: {
+          updated: [makeMsg('msg-1', 'sender-1', 'alice', 'hello', {
+            reactions: { ':x:': { usernames: ['claw'] }, ':repeat:': { usernames: ['alice'] } },
+            _updatedAt: '2026-02-17T00:01:00Z',
+          })],
+        },
+      });
+
+      await runMonitor({}, { pollCount: 2 });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(log.info).toHaveBeenCalledWith('Retrying msg-1 in #general: a user reacted with 🔁');
+    });
+
+    it('answers again only within orphanMaxAge', async () => {
+      unfinished(makeMsg('msg-1', 'sender-1', 'alice', 'hello', { ts: recently(), reactions: hourglass }));
+
+      await runMonitor({ orphanMaxAge: 30 });
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', true);
+    });
+
+    it('leaves messages the bot finished, and ⏳ from anyone else', async () => {
+      unfinished(
+        makeMsg('msg-1', 'sender-1', 'alice', 'hello', {
+          ts: recently(), reactions: { ...hourglass, ':white_check_mark:': { usernames: ['claw'] } },
+        }),
+        makeMsg('msg-2', 'sender-1', 'alice', 'hello', { ts: recently(), reactions: { ':hourglass:': { usernames: ['alice'] } } }),
+        makeMsg('msg-3', 'bot-user', 'claw', 'an answer', { ts: recently(), reactions: hourglass }),
+      );
+
+      await runMonitor({});
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+      expect(reactToMessage).not.toHaveBeenCalled();
+    });
+
+    it('logs a failed check and carries on', async () => {
+      syncMessages.mockRejectedValueOnce(new Error('sync down'));
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(log.warn).toHaveBeenCalledWith('Could not check #general for unfinished messages: sync down');
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a message pending in the state until its run ends', async () => {
+      const store = createMemoryStore();
+      let during;
+      mockDispatch.mockImplementationOnce(async () => {
+        during = store.pendingMessages().map(([id]) => id);
+      });
+
+      await runMonitor({}, { stateStore: store, historyResponse: { messages: [makeMsg('msg-2'), makeMsg('msg-1')] } });
+
+      expect(during).toEqual(['msg-1', 'msg-2']);
+      expect(store.pendingMessages()).toEqual([]);
+    });
+
+    it('answers messages that were still queued when the monitor stopped', async () => {
+      const store = queuedBefore('msg-1');
+      getMessage.mockResolvedValueOnce({ message: makeMsg('msg-1', 'sender-1', 'alice', 'hello', { ts: recently() }) });
+
+      await runMonitor({}, { stateStore: store, historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(getMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1');
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx).toMatchObject({ MessageSid: 'msg-1' });
+      expect(log.info).toHaveBeenCalledWith('Answering msg-1 in #general: it was still queued when the monitor stopped');
+      expect(store.pendingMessages()).toEqual([]);
+    });
+
+    it('drops queued messages that are too old, answered, gone or from rooms no longer monitored', async () => {
+      const store = queuedBefore('msg-1', 'msg-2', 'msg-3');
+      store.markPending('msg-4', 'room-gone');
+      getMessage.mockImplementation(async (_config, id) => {
+        if (id === 'msg-1') return { message: makeMsg('msg-1') };
+        if (id === 'msg-2') return { message: makeMsg('msg-2', 'sender-1', 'alice', 'hi', { ts: recently(), reactions: { ':white_check_mark:': { usernames: ['claw'] } } }) };
+        throw new Error('not found');
+      });
+
+      await runMonitor({}, { stateStore: store });
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+      expect(getMessage).toHaveBeenCalledTimes(3);
+      expect(log.info).toHaveBeenCalledWith('Not answering queued msg-1 in #general: it is too old to answer again');
+      expect(log.warn).toHaveBeenCalledWith('Could not answer queued message msg-3 again: not found');
+      expect(store.pendingMessages()).toEqual([]);
+    });
+
+    it('leaves a queued message that had a ⏳ to the unfinished check', async () => {
+      const store = queuedBefore('msg-1');
+      unfinished(makeMsg('msg-1', 'sender-1', 'alice', 'hello', { ts: recently(), reactions: hourglass }));
+
+      await runMonitor({}, { stateStore: store });
+
+      expect(getMessage).not.toHaveBeenCalled();
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('warns about an invalid orphanMaxAge or shutdownGraceSeconds', async () => {
+      await runMonitor({ orphanMaxAge: 'soon', shutdownGraceSeconds: -1 });
+
+      expect(log.warn).toHaveBeenCalledWith('Invalid orphanMaxAge "soon", using 600');
+      expect(log.warn).toHaveBeenCalledWith('Invalid shutdownGraceSeconds "-1", using 30');
+    });
+
+    it('stops runs still going after shutdownGraceSeconds and marks them ❌', async () => {
+      let abortSignal;
+      mockDispatch.mockImplementationOnce(({ replyOptions }) => new Promise((resolve) => {
+        abortSignal = replyOptions.abortSignal;
+        abortSignal.addEventListener('abort', resolve);
+      }));
+
+      await runMonitor({ shutdownGraceSeconds: 0.02 }, {
+        historyResponse: { messages: [makeMsg('msg-2'), makeMsg('msg-1')] },
+      });
+
+      expect(abortSignal.reason).toBe('shutdown');
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(emojis()).toEqual([
+        ['msg-1', 'hourglass', true],
+        ['msg-1', 'hourglass', false],
+        ['msg-1', 'x', true],
+        // Queued behind it, so never started
+        ['msg-2', 'x', true],
+      ]);
+      expect(log.warn).toHaveBeenCalledWith('Stopping 2 unfinished message(s) after waiting 0.02s to shut down');
+      expect(log.info).toHaveBeenCalledWith('Stopped msg-1: the monitor is shutting down');
+    });
+  });
+
+  describe('streaming replies', () => {
+    function dispatchBlocks(...blocks) {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        for (const text of blocks) await dispatcherOptions.deliver({ text });
+      });
+    }
+
+    it('posts a placeholder and edits the reply into it', async () => {
+      sendMessage.mockResolvedValueOnce({ message: { _id: 'reply-1' } });
+      dispatchBlocks('Hello', 'world');
+
+      await runMonitor({ replyStyle: 'stream', streamThrottleMs: 0 }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'thinking…', threadId: 'msg-1',
+      });
+      expect(updateMessage).toHaveBeenLastCalledWith(expect.any(Object), {
+        roomId: 'room-1', messageId: 'reply-1', text: 'Hello\n\nworld',
+      });
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'white_check_mark', true);
+    });
+
+    it('removes the placeholder when no reply comes', async () => {
+      sendMessage.mockResolvedValueOnce({ message: { _id: 'reply-1' } });
+
+      await runMonitor({ replyStyle: 'stream' }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(deleteMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'room-1', messageId: 'reply-1' });
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'x', true);
+    });
+
+    it('falls back to separate messages when the placeholder cannot be posted', async () => {
+      sendMessage.mockRejectedValueOnce(new Error('RC API 500'));
+      dispatchBlocks('Hello');
+
+      await runMonitor({ replyStyle: 'stream' }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(sendMessage).toHaveBeenLastCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'Hello', threadId: 'msg-1',
+      });
+      expect(updateMessage).not.toHaveBeenCalled();
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('Could not post placeholder for msg-1'));
+    });
+
+    it('warns about an unknown replyStyle and sends messages', async () => {
+      dispatchBlocks('Hello');
+
+      await runMonitor({ replyStyle: 'typewriter' }, {
+        historyResponse: { messages: [makeMsg('msg-1')] },
+      });
+
+      expect(log.warn).toHaveBeenCalledWith('Unknown replyStyle "typewriter", sending replies as separate messages');
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'Hello', threadId: 'msg-1',
+      });
+    });
+  });
+
+  describe('media replies', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'rc-media-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('uploads reply media into the thread with the text as caption', async () => {
+      const chart = join(dir, 'chart.png');
+      const table = join(dir, 'table.csv');
+      await writeFile(chart, 'png');
+      await writeFile(table, 'a,b');
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'Results', mediaUrls: [chart, table] });
+      });
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(uploadFile).toHaveBeenCalledTimes(2);
+      expect(uploadFile).toHaveBeenNthCalledWith(1, expect.any(Object), expect.objectContaining({
+        roomId: 'room-1', threadId: 'msg-1', filename: 'chart.png', contentType: 'image/png', text: 'Results',
+      }));
+      expect(uploadFile).toHaveBeenNthCalledWith(2, expect.any(Object), expect.objectContaining({
+        filename: 'table.csv', contentType: 'text/csv', text: undefined,
+      }));
+      expect(sendMessage).not.toHaveBeenCalled();
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-1', 'white_check_mark', true);
+    });
+
+    it('sends the caption as text when a file is over the size limit', async () => {
+      const big = join(dir, 'big.bin');
+      await writeFile(big, Buffer.alloc(2 * 1024 * 1024));
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'Here you go', mediaUrl: big });
+      });
+
+      await runMonitor({ mediaMaxMb: 1 }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(uploadFile).not.toHaveBeenCalled();
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('over the 1048576-byte upload limit'));
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: 'Here you go', threadId: 'msg-1',
+      });
+    });
+  });
+
+  describe('history catch-up', () => {
+    const cursor = Date.parse('2026-02-17T00:00:00Z');
+
+    function page(from, count) {
+      // newest-first, as channels.history returns it
+      return Array.from({ length: count }, (_, i) => {
+        const n = from + i;
+        return makeMsg(`msg-${n}`, 'sender-1', 'alice', `m${n}`, { ts: new Date(cursor + (n + 1) * 1000).toISOString() });
+      }).reverse();
+    }
+
+    async function runWithPages(stateStore, pages, accountOverrides = {}) {
+      controller = new AbortController();
+      let calls = 0;
+      getChannelHistory.mockImplementation(async () => {
+        const next = pages[calls++];
+        if (!next) {
+          controller.abort();
+          return { messages: [] };
+        }
+        return { messages: next };
+      });
+      await monitorRocketChat({
+        account: makeAccount(accountOverrides),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+        stateStore,
+      });
+    }
+
+    afterEach(() => {
+      resetMetrics('default');
+    });
+
+    it('keeps the latest-window fetch on a cold start', async () => {
+      await runWithPages(createMemoryStore(), [[makeMsg('msg-1')]]);
+
+      expect(getChannelHistory).toHaveBeenNthCalledWith(1, expect.any(Object), 'room-1', 20);
+    });
+
+    it('pages forward from the room cursor until a short page', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', cursor);
+
+      await runWithPages(store, [page(100, 100), page(0, 100), page(200, 5)]);
+
+      expect(getChannelHistory).toHaveBeenNthCalledWith(1, expect.any(Object), 'room-1', 100,
+        { oldest: cursor, offset: 0, inclusive: true });
+      expect(getChannelHistory).toHaveBeenNthCalledWith(2, expect.any(Object), 'room-1', 100,
+        { oldest: cursor, offset: 100, inclusive: true });
+      expect(getChannelHistory).toHaveBeenNthCalledWith(3, expect.any(Object), 'room-1', 100,
+        { oldest: cursor, offset: 200, inclusive: true });
+      expect(mockDispatch).toHaveBeenCalledTimes(205);
+    });
+
+    it('dispatches a drained backlog oldest-first', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', cursor);
+
+      await runWithPages(store, [page(100, 100), page(0, 100), []]);
+
+      const bodies = mockDispatch.mock.calls.map(([arg]) => arg.ctx.Body);
+      expect(bodies[0]).toBe('m0');
+      expect(bodies.at(-1)).toBe('m199');
+    });
+
+    it('logs and records metrics when a backlog was drained', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', cursor);
+
+      await runWithPages(store, [page(0, 100), page(100, 3)]);
+
+      expect(log.info).toHaveBeenCalledWith('Drained backlog of 103 message(s) in #general across 2 pages');
+      expect(snapshotMetrics('default')).toEqual(expect.objectContaining({
+        backlogsDrained: 1,
+        backlogMessages: 103,
+        lastBacklog: expect.objectContaining({ room: 'general', messages: 103, pages: 2 }),
+      }));
+    });
+
+    it('does not count a single page as a backlog', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', cursor);
+
+      await runWithPages(store, [page(0, 3)]);
+
+      expect(log.info).not.toHaveBeenCalledWith(expect.stringContaining('Drained backlog'));
+      expect(snapshotMetrics('default').backlogsDrained).toBe(0);
+    });
+
+    it('backfills from backfillMaxAge on a cold start', async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(cursor + 3600 * 1000);
+      try {
+        await runWithPages(createMemoryStore(), [page(0, 2)], { backfillMaxAge: 600 });
+      } finally {
+        vi.mocked(Date.now).mockRestore();
+      }
+
+      expect(getChannelHistory).toHaveBeenNthCalledWith(1, expect.any(Object), 'room-1', 100,
+        { oldest: cursor + 3000 * 1000, offset: 0, inclusive: true });
+    });
+
+    it('never reaches further back than backfillMaxAge, even with an older cursor', async () => {
+      const store = createMemoryStore();
+      store.setRoomCursor('room-1', cursor);
+      vi.spyOn(Date, 'now').mockReturnValue(cursor + 3600 * 1000);
+      try {
+        await runWithPages(store, [[]], { backfillMaxAge: 60 });
+      } finally {
+        vi.mocked(Date.now).mockRestore();
+      }
+
+      expect(getChannelHistory).toHaveBeenNthCalledWith(1, expect.any(Object), 'room-1', 100,
+        { oldest: cursor + 3540 * 1000, offset: 0, inclusive: true });
+    });
+  });
+
+  describe('markdown conversion', () => {
+    it('gives the agent CommonMark from the md AST, with the mention stripped', async () => {
+      const md = [{
+        type: 'PARAGRAPH',
+        value: [
+          { type: 'MENTION_USER', value: { type: 'PLAIN_TEXT', value: 'claw' } },
+          { type: 'PLAIN_TEXT', value: ' check ' },
+          { type: 'BOLD', value: [{ type: 'PLAIN_TEXT', value: 'this' }] },
+        ],
+      }];
+      await runMonitor({ respondTo: 'mentions', botUsername: 'claw' }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', '@claw check *this*', { md })] },
+      });
+
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.RawBody).toBe('@claw check *this*');
+      expect(ctx.BodyForAgent).toBe('check **this**');
+    });
+
+    it('converts replies to Rocket.Chat markup', async () => {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: '## Summary\n**done**' });
+      });
+
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', text: '*Summary*\n*done*', threadId: 'msg-1',
+      });
+    });
+
+    it('leaves text alone with convertMarkdown: false', async () => {
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: '**done**' });
+      });
+
+      await runMonitor({ convertMarkdown: false }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', '*hi*')] },
+      });
+
+      expect(mockDispatch.mock.calls[0][0].ctx.BodyForAgent).toBe('*hi*');
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ text: '**done**' }));
+    });
+  });
+
+  describe('authorization', () => {
+    const messages = [makeMsg('msg-1', 'alice-id', 'alice', 'hi'), makeMsg('msg-2', 'mallory-id', 'mallory', 'hi')];
+
+    it('authorizes commands for everyone without a policy', async () => {
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(mockDispatch.mock.calls[0][0].ctx.CommandAuthorized).toBe(true);
+      expect(getUserInfo).not.toHaveBeenCalled();
+    });
+
+    it('silently ignores senders the chat policy refuses', async () => {
+      await runMonitor({ authorization: { chat: { denyUsers: ['mallory'] } } }, { historyResponse: { messages } });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.SenderUsername).toBe('alice');
+      expect(reactToMessage).not.toHaveBeenCalledWith(expect.any(Object), 'msg-2', expect.anything(), expect.anything());
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('reacts or replies to refused senders when configured', async () => {
+      await runMonitor({ authorization: { chat: { allowUsers: ['alice'] }, unauthorized: 'react' } }, { historyResponse: { messages } });
+      expect(reactToMessage).toHaveBeenCalledWith(expect.any(Object), 'msg-2', 'no_entry_sign', true);
+      expect(reactToMessage).not.toHaveBeenCalledWith(expect.any(Object), 'msg-2', 'hourglass', true);
+
+      vi.clearAllMocks();
+      controller = new AbortController();
+      await runMonitor({
+        authorization: { chat: { allowUsers: ['alice'] }, unauthorized: 'reply', unauthorizedMessage: 'Ask an admin.' },
+      }, { historyResponse: { messages } });
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), {
+        roomId: 'room-1', threadId: 'msg-2', text: '@mallory Ask an admin.',
+      });
+    });
+
+    it('passes the commands policy as CommandAuthorized', async () => {
+      getUserInfo.mockImplementation(async (_, userId) => ({ user: { roles: userId === 'alice-id' ? ['admin'] : ['user'] } }));
+
+      await runMonitor({ authorization: { commands: { allowRoles: ['admin'] } } }, { historyResponse: { messages } });
+
+      const authorized = Object.fromEntries(mockDispatch.mock.calls.map(([{ ctx }]) => [ctx.SenderUsername, ctx.CommandAuthorized]));
+      expect(authorized).toEqual({ alice: true, mallory: false });
+    });
+
+    it('warns about an unknown unauthorized response and ignores instead', async () => {
+      await runMonitor({ authorization: { chat: { denyUsers: ['mallory'] }, unauthorized: 'shout' } }, { historyResponse: { messages } });
+
+      expect(log.warn).toHaveBeenCalledWith('Unknown authorization.unauthorized "shout", ignoring unauthorized senders');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('respondTo modes', () => {
+    it('answers everything by default without looking up the bot username', async () => {
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', 'hello')] } });
+
+      expect(getMe).not.toHaveBeenCalled();
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.WasMentioned).toBe(false);
+      expect(ctx.BodyForAgent).toBe('hello');
+    });
+
+    it('mentions: skips unaddressed messages without reacting', async () => {
+      await runMonitor({ respondTo: 'mentions', botUsername: 'claw' }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', 'just chatting')] },
+      });
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+      expect(reactToMessage).not.toHaveBeenCalled();
+    });
+
+    it('mentions: answers mentions and strips them from the agent body', async () => {
+      await runMonitor({ respondTo: 'mentions', botUsername: 'claw' }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', '@claw: what is up?')] },
+      });
+
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.WasMentioned).toBe(true);
+      expect(ctx.Body).toBe('@claw: what is up?');
+      expect(ctx.RawBody).toBe('@claw: what is up?');
+      expect(ctx.BodyForAgent).toBe('what is up?');
+      expect(ctx.CommandBody).toBe('what is up?');
+    });
+
+    it('looks up the bot username via getMe when not configured', async () => {
+      await runMonitor({ respondTo: 'mentions' }, {
+        historyResponse: { messages: [makeMsg('msg-1', 'sender-1', 'alice', 'hey @claw')] },
+      });
+
+      expect(getMe).toHaveBeenCalledTimes(1);
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('prefix: answers prefixed messages only', async () => {
+      await runMonitor({ respondTo: 'prefix', prefix: '!ai' }, {
+        historyResponse: {
+          messages: [
+            makeMsg('msg-2', 'sender-1', 'alice', 'no prefix here'),
+            makeMsg('msg-1', 'sender-1', 'alice', '!ai /status'),
+          ],
+        },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.CommandBody).toBe('/status');
+    });
+
+    it('threads-only-after-mention: follows up in a thread the bot was mentioned in', async () => {
+      const history = {
+        messages: [
+          makeMsg('msg-3', 'sender-3', 'carol', 'unrelated top-level'),
+          makeMsg('msg-2', 'sender-2', 'bob', 'and another thing', { tmid: 'msg-1' }),
+          makeMsg('msg-1', 'sender-1', 'alice', '@claw can you help?'),
+        ],
+      };
+
+      await runMonitor({ respondTo: 'threads-only-after-mention', botUsername: 'claw' }, { historyResponse: history });
+
+      const ids = mockDispatch.mock.calls.map(([arg]) => arg.ctx.MessageSid);
+      expect(ids).toEqual(['msg-1', 'msg-2']);
+    });
+
+    it('threads-only-after-mention: picks up engagement from thread history', async () => {
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [
+          makeMsg('parent-1', 'sender-1', 'alice', 'question'),
+          makeMsg('bot-1', 'bot-user', 'claw', 'an answer'),
+        ],
+      });
+
+      await runMonitor({ respondTo: 'threads-only-after-mention', botUsername: 'claw' }, {
+        historyResponse: { messages: [makeMsg('msg-2', 'sender-2', 'bob', 'thanks, one more', { tmid: 'parent-1' })] },
+      });
+
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+      expect(mockDispatch.mock.calls[0][0].ctx.WasMentioned).toBe(true);
+    });
+
+    it('falls back to answering all on an unknown mode', async () => {
+      await runMonitor({ respondTo: 'sometimes' }, { historyResponse: { messages: [makeMsg('msg-1')] } });
+
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('sometimes'));
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('private groups and direct messages', () => {
+    // channels.history drives the abort; other room types are polled alongside it
+    async function runWithRooms(channels) {
+      await runMonitor({ channel: undefined, channels: ['general', ...channels] }, {
+        historyResponse: { messages: [] },
+      });
+    }
+
+    it('polls private groups via groups.history', async () => {
+      listJoinedRooms.mockResolvedValueOnce({ update: [{ _id: 'grp-1', name: 'secret-ops', t: 'p' }] });
+      getGroupHistory.mockResolvedValueOnce({ messages: [makeMsg('msg-p', 'sender-1', 'alice', 'private hello')] });
+
+      await runWithRooms(['secret-*']);
+
+      expect(getGroupHistory).toHaveBeenCalledWith(expect.any(Object), 'grp-1', 20);
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.ChatType).toBe('group');
+      expect(ctx.To).toBe('channel:secret-ops');
+    });
+
+    it('routes DMs as direct chats and replies without a thread', async () => {
+      createDirectMessage.mockResolvedValueOnce({ room: { _id: 'dm-1', t: 'd' } });
+      getDirectHistory.mockResolvedValueOnce({ messages: [makeMsg('msg-d', 'sender-1', 'alice', 'dm hello')] });
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'dm reply' });
+      });
+
+      await runWithRooms(['@alice']);
+
+      expect(getDirectHistory).toHaveBeenCalledWith(expect.any(Object), 'dm-1', 20);
+      expect(mockResolveAgentRoute).toHaveBeenCalledWith(expect.objectContaining({
+        peer: { kind: 'direct', id: 'sender-1' },
+      }));
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.ChatType).toBe('direct');
+      expect(ctx.To).toBe('user:alice');
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), { roomId: 'dm-1', text: 'dm reply', threadId: null });
+    });
+
+    it('keeps thread replies threaded inside DMs', async () => {
+      createDirectMessage.mockResolvedValueOnce({ room: { _id: 'dm-1', t: 'd' } });
+      getDirectHistory.mockResolvedValueOnce({
+        messages: [makeMsg('msg-d2', 'sender-1', 'alice', 'in thread', { tmid: 'dm-parent' })],
+      });
+      mockDispatch.mockImplementationOnce(async ({ dispatcherOptions }) => {
+        await dispatcherOptions.deliver({ text: 'threaded' });
+      });
+
+      await runWithRooms(['@alice']);
+
+      expect(sendMessage).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ roomId: 'dm-1', threadId: 'dm-parent' }));
+    });
+
+    it('keeps group peer routing for channels', async () => {
+      await runMonitor({}, { historyResponse: { messages: [makeMsg('msg-c')] } });
+
+      expect(mockResolveAgentRoute).toHaveBeenCalledWith(expect.objectContaining({
+        peer: { kind: 'group', id: 'sender-1' },
+      }));
+      expect(mockDispatch.mock.calls[0][0].ctx.ChatType).toBe('group');
+    });
+  });
+
+  describe('realtime transport', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startDdpServer({ authToken: 'token' });
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    function startRealtimeMonitor(overrides = {}) {
+      return monitorRocketChat({
+        account: makeAccount({ url: server.url, transport: 'realtime', ...overrides }),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+      });
+    }
+
+    it('logs in over the websocket with the session token', async () => {
+      login.mockResolvedValueOnce({ status: 'success', data: { authToken: 'token', userId: 'bot-user' } });
+
+      const monitor = startRealtimeMonitor({ authToken: undefined, userId: undefined, username: 'claw', password: 'pw' });
+      await waitFor(() => server.state.subscriptions.length === 1);
+      controller.abort();
+      await monitor;
+
+      expect(server.state.logins).toBe(1);
+    });
+
+    it('dispatches messages pushed over the websocket', async () => {
+      const monitor = startRealtimeMonitor();
+      await waitFor(() => server.state.subscriptions.length === 1);
+
+      expect(server.state.subscriptions[0].params).toEqual(['room-1', false]);
+
+      server.emitMessage('room-1', {
+        ...makeMsg('rt-1', 'sender-1', 'alice', 'realtime hello'),
+        rid: 'room-1',
+        ts: { $date: Date.UTC(2026, 1, 17) },
+      });
+
+      await waitFor(() => mockDispatch.mock.calls.length === 1);
+      controller.abort();
+      await monitor;
+
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.Body).toBe('realtime hello');
+      expect(ctx.Timestamp).toBe(Date.UTC(2026, 1, 17));
+    });
+
+    it('stops polling once connected, after one catch-up poll', async () => {
+      const monitor = startRealtimeMonitor();
+      await waitFor(() => server.state.subscriptions.length === 1);
+      await new Promise((r) => setTimeout(r, 100));
+
+      const pollsWhileConnected = getChannelHistory.mock.calls.length;
+      await new Promise((r) => setTimeout(r, 100));
+
+      // 10ms poll interval: polling would have run many more times by now
+      expect(getChannelHistory.mock.calls.length).toBe(pollsWhileConnected);
+      expect(pollsWhileConnected).toBeLessThanOrEqual(3);
+
+      controller.abort();
+      await monitor;
+    });
+
+    it('keeps polling rooms whose subscription was rejected', async () => {
+      await server.close();
+      server = await startDdpServer({ authToken: 'token', rejectRooms: ['room-2'] });
+      getChannelInfo.mockImplementation(async (_config, name) => ({ channel: { _id: name === 'support' ? 'room-2' : 'room-1', name } }));
+
+      const monitor = startRealtimeMonitor({ channel: undefined, channels: ['general', 'support'] });
+      await waitFor(() => server.state.subscriptions.length === 2);
+      await new Promise((r) => setTimeout(r, 100));
+      const polls = (roomId) => getChannelHistory.mock.calls.filter(([, id]) => id === roomId).length;
+      const [general, support] = [polls('room-1'), polls('room-2')];
+      await new Promise((r) => setTimeout(r, 100));
+      controller.abort();
+      await monitor;
+
+      expect(polls('room-1')).toBe(general);
+      expect(polls('room-2')).toBeGreaterThan(support);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('subscription for room room-2 rejected, polling it instead'));
+    });
+
+    it('fetches thread context for realtime thread replies', async () => {
+      getThreadMessages.mockResolvedValueOnce({
+        messages: [makeMsg('rt-2', 'sender-2', 'bob', 'reply'), makeMsg('parent-1', 'sender-1', 'alice', 'parent')],
+      });
+
+      const monitor = startRealtimeMonitor();
+      await waitFor(() => server.state.subscriptions.length === 1);
+
+      server.emitMessage('room-1', { ...makeMsg('rt-2', 'sender-2', 'bob', 'reply', { tmid: 'parent-1' }), rid: 'room-1' });
+
+      await waitFor(() => mockDispatch.mock.calls.length === 1);
+      controller.abort();
+      await monitor;
+
+      const ctx = mockDispatch.mock.calls[0][0].ctx;
+      expect(ctx.MessageThreadId).toBe('parent-1');
+      expect(ctx.ThreadStarterBody).toBe('parent');
+    });
+
+    it('ignores messages for other rooms', async () => {
+      const monitor = startRealtimeMonitor();
+      await waitFor(() => server.state.subscriptions.length === 1);
+
+      server.emitMessage('room-1', { ...makeMsg('rt-3'), rid: 'room-other' });
+      await new Promise((r) => setTimeout(r, 50));
+      controller.abort();
+      await monitor;
+
+      expect(mockDispatch).not.toHaveBeenCalled();
+    });
+
+    it('retries when 🔁 arrives as a realtime update', async () => {
+      mockDispatch.mockRejectedValueOnce(new Error('boom'));
+      const monitor = startRealtimeMonitor();
+      await waitFor(() => server.state.subscriptions.length === 1);
+
+      server.emitMessage('room-1', { ...makeMsg('rt-4'), rid: 'room-1' });
+      await waitFor(() => reactToMessage.mock.calls.some(([, , emoji]) => emoji === 'x'));
+      server.emitMessage('room-1', { ...makeMsg('rt-4', 'sender-1', 'alice', 'hello', { reactions: { ':repeat:': { usernames: ['alice'] } } }), rid: 'room-1' });
+
+      await waitFor(() => mockDispatch.mock.calls.length === 2);
+      controller.abort();
+      await monitor;
+    });
+
+    it('stops a run when the message is deleted', async () => {
+      let abortSignal;
+      mockDispatch.mockImplementationOnce(({ replyOptions }) => new Promise((resolve) => {
+        abortSignal = replyOptions.abortSignal;
+        abortSignal.addEventListener('abort', resolve);
+      }));
+      const monitor = startRealtimeMonitor({ deletedMessages: 'cancel' });
+      await waitFor(() => server.state.subscriptions.length === 2);
+
+      server.emitMessage('room-1', { ...makeMsg('rt-5'), rid: 'room-1' });
+      await waitFor(() => abortSignal);
+      server.emitDelete('room-1', 'rt-5');
+
+      await waitFor(() => abortSignal.aborted);
+      controller.abort();
+      await monitor;
+      expect(abortSignal.reason).toBe('deleted');
+    });
+
+    it('falls back to polling when the websocket is unavailable', async () => {
+      const url = server.url;
+      await server.close();
+      server = await startDdpServer(); // afterEach needs something to close
+
+      getChannelHistory.mockImplementation(async () => {
+        if (getChannelHistory.mock.calls.length >= 3) controller.abort();
+        return { messages: [makeMsg('msg-poll')] };
+      });
+
+      await monitorRocketChat({
+        account: makeAccount({ url, transport: 'realtime' }),
+        cfg: {},
+        abortSignal: controller.signal,
+        log,
+      });
+
+      expect(getChannelHistory.mock.calls.length).toBeGreaterThanOrEqual(3);
+      expect(mockDispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('buildInboundHistory', () => {
     it('excludes the current message from history', () => {
       const messages = [
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parsePermalink, permalinkFor, messageIdFrom } from '../src/permalinks.js';
+
+const server = 'https://chat.example.com';
+
+describe('permalinks', () => {
+  describe('parsePermalink', () => {
+    it('reads channel, group and DM permalinks', () => {
+      expect(parsePermalink('https://chat.example.com/channel/general?msg=aBc123', server))
+        .toEqual({ messageId: 'aBc123', roomType: 'c', room: 'general' });
+      expect(parsePermalink('https://chat.example.com/group/secret%20plans?msg=m-1', server))
+        .toEqual({ messageId: 'm-1', roomType: 'p', room: 'secret plans' });
+      expect(parsePermalink('https://chat.example.com/direct/dm-1?msg=m-2', server))
+        .toEqual({ messageId: 'm-2', roomType: 'd', room: 'dm-1' });
+    });
+
+    it('respects the path the server is served under', () => {
+      const sub = 'https://example.com/chat/';
+
+      expect(parsePermalink('https://example.com/chat/channel/general?msg=m-1', sub))
+        .toMatchObject({ messageId: 'm-1', room: 'general' });
+      expect(parsePermalink('https://example.com/channel/general?msg=m-1', sub)).toBeNull();
+    });
+
+    it('rejects other servers and links that are not to a message', () => {
+      expect(parsePermalink('https://evil.example.com/channel/general?msg=m-1', server)).toBeNull();
+      expect(parsePermalink('https://chat.example.com/channel/general', server)).toBeNull();
+      expect(parsePermalink('https://chat.example.com/home?msg=m-1', server)).toBeNull();
+      expect(parsePermalink('https://chat.example.com/channel/general?msg=a%20b', server)).toBeNull();
+      expect(parsePermalink('not a url', server)).toBeNull();
+    });
+  });
+
+  describe('permalinkFor', () => {
+    it('links by room name, or by room ID for DMs', () => {
+      expect(permalinkFor(`${server}/`, { id: 'room-1', name: 'general', type: 'c' }, 'm-1'))
+        .toBe('https://chat.example.com/channel/general?msg=m-1');
+      expect(permalinkFor(server, { id: 'grp-1', name: 'secret', type: 'p' }, 'm-1'))
+        .toBe('https://chat.example.com/group/secret?msg=m-1');
+      expect(permalinkFor(server, { id: 'dm-1', name: 'alice', type: 'd' }, 'm-1'))
+        .toBe('https://chat.example.com/direct/dm-1?msg=m-1');
+    });
+
+    it('round-trips through parsePermalink', () => {
+      const link = permalinkFor(server, { id: 'grp-1', name: 'ops team', type: 'p' }, 'm-1');
+
+      expect(parsePermalink(link, server)).toEqual({ messageId: 'm-1', roomType: 'p', room: 'ops team' });
+    });
+  });
+
+  describe('messageIdFrom', () => {
+    it('takes a bare ID or a permalink on the server', () => {
+      expect(messageIdFrom(' m-1 ', server)).toBe('m-1');
+      expect(messageIdFrom('https://chat.example.com/channel/general?msg=m-2', server)).toBe('m-2');
+      expect(messageIdFrom('https://other.example.com/channel/general?msg=m-2', server)).toBeNull();
+      expect(messageIdFrom('', server)).toBeNull();
+      expect(messageIdFrom(undefined, server)).toBeNull();
+    });
+  });
+});
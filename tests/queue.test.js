@@ -0,0 +1,125 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWorkQueue, DEFAULT_MAX_CONCURRENCY } from '../src/queue.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('queue', () => {
+  it('runs different keys at the same time by default', async () => {
+    const queue = createWorkQueue();
+    const gate = deferred();
+    const started = [];
+
+    queue.push('a', async () => { started.push('a'); await gate.promise; });
+    queue.push('b', async () => { started.push('b'); await gate.promise; });
+
+    expect(started).toEqual(['a', 'b']);
+    expect(queue.active).toBe(2);
+    expect(DEFAULT_MAX_CONCURRENCY).toBeGreaterThan(1);
+
+    gate.resolve();
+    await queue.idle();
+  });
+
+  it('runs one task at a time with a maxConcurrency of 1', async () => {
+    const queue = createWorkQueue({ maxConcurrency: 1 });
+    const first = deferred();
+    const started = [];
+
+    queue.push('a', async () => { started.push('a'); await first.promise; });
+    queue.push('b', async () => { started.push('b'); });
+
+    expect(started).toEqual(['a']);
+    expect(queue.depth).toBe(1);
+
+    first.resolve();
+    await queue.idle();
+    expect(started).toEqual(['a', 'b']);
+  });
+
+  it('runs different keys in parallel up to maxConcurrency', async () => {
+    const queue = createWorkQueue({ maxConcurrency: 2 });
+    const gate = deferred();
+    const started = [];
+
+    for (const key of ['a', 'b', 'c']) {
+      queue.push(key, async () => { started.push(key); await gate.promise; });
+    }
+
+    expect(started).toEqual(['a', 'b']);
+    expect(queue.active).toBe(2);
+    expect(queue.depth).toBe(1);
+
+    gate.resolve();
+    await queue.idle();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  it('keeps tasks with the same key in order, letting other keys overtake', async () => {
+    const queue = createWorkQueue({ maxConcurrency: 4 });
+    const gate = deferred();
+    const order = [];
+
+    queue.push('thread', async () => { await gate.promise; order.push('thread-1'); });
+    queue.push('thread', async () => { order.push('thread-2'); });
+    queue.push('other', async () => { order.push('other'); });
+
+    await Promise.resolve();
+    expect(order).toEqual(['other']);
+
+    gate.resolve();
+    await queue.idle();
+    expect(order).toEqual(['other', 'thread-1', 'thread-2']);
+  });
+
+  it('waits for earlier tasks sharing any of a task\'s keys', async () => {
+    const queue = createWorkQueue({ maxConcurrency: 4 });
+    const gate = deferred();
+    const order = [];
+
+    queue.push('session', async () => { await gate.promise; order.push('session-1'); });
+    queue.push(['thread', 'session'], async () => { order.push('both'); });
+    queue.push('thread', async () => { order.push('thread'); });
+    queue.push(['other', 'another'], async () => { order.push('other'); });
+
+    await Promise.resolve();
+    expect(order).toEqual(['other']);
+    expect(queue.depth).toBe(2);
+
+    gate.resolve();
+    await queue.idle();
+    expect(order).toEqual(['other', 'session-1', 'both', 'thread']);
+  });
+
+  it('reports failures and keeps going', async () => {
+    const onError = vi.fn();
+    const queue = createWorkQueue({ onError });
+    const ran = vi.fn();
+
+    queue.push('a', async () => { throw new Error('boom'); });
+    queue.push('a', ran);
+    await queue.idle();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }), 'a');
+    expect(ran).toHaveBeenCalled();
+  });
+
+  it('reports pending and active counts on every change', async () => {
+    const onChange = vi.fn();
+    const queue = createWorkQueue({ maxConcurrency: 1, onChange });
+
+    queue.push('a', async () => {});
+    queue.push('b', async () => {});
+    await queue.idle();
+
+    expect(onChange).toHaveBeenCalledWith({ pending: 1, active: 1 });
+    expect(onChange).toHaveBeenLastCalledWith({ pending: 0, active: 0 });
+  });
+
+  it('idle resolves immediately when empty', async () => {
+    await expect(createWorkQueue().idle()).resolves.toBeUndefined();
+  });
+});
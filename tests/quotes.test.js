@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { quotedRefs, resolveQuotes, budgetQuotes, MAX_QUOTES } from '../src/quotes.js';
+
+vi.mock('../src/api.js', () => ({
+  getMessage: vi.fn(),
+  getRoomInfo: vi.fn(),
+  getGroupMembers: vi.fn(),
+}));
+
+import { getMessage, getRoomInfo, getGroupMembers } from '../src/api.js';
+
+const server = 'https://chat.example.com';
+const config = { url: server, authToken: 'token', userId: 'bot-user' };
+const room = { id: 'room-1', name: 'general', type: 'c' };
+const link = (id, path = 'channel/general') => `${server}/${path}?msg=${id}`;
+
+function makeMsg(id, text, extra = {}) {
+  return { _id: id, rid: 'room-1', msg: text, u: { _id: 'u-alice', username: 'alice' }, ts: '2026-02-17T00:00:00Z', ...extra };
+}
+
+function quoted(id, rid, text = `text of ${id}`) {
+  return { message: { _id: id, rid, msg: text, u: { username: 'carol' }, ts: '2026-02-17T00:00:00Z' } };
+}
+
+const log = { info: vi.fn(), warn: vi.fn() };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  getMessage.mockReset();
+  getRoomInfo.mockReset();
+  getGroupMembers.mockReset();
+});
+
+describe('quotes', () => {
+  describe('quotedRefs', () => {
+    it('takes quote attachments, then permalinks in the text, once each', () => {
+      const attachment = { message_link: link('q-1'), text: 'quoted' };
+      const msg = makeMsg('msg-1', `[ ](${link('q-1')}) and ${link('q-2', 'group/secret')}, also ${link('q-2')}`, {
+        attachments: [{ type: 'file', title_link: '/file-upload/x' }, attachment],
+      });
+
+      expect(quotedRefs(msg, server)).toEqual([
+        { messageId: 'q-1', attachment },
+        { messageId: 'q-2', attachment: null },
+      ]);
+    });
+
+    it('ignores links to other servers, non-message links and the message itself', () => {
+      const msg = makeMsg('msg-1', `https://other.example.com/channel/general?msg=q-1 ${server}/channel/general ${link('msg-1')}`);
+
+      expect(quotedRefs(msg, server)).toEqual([]);
+    });
+  });
+
+  describe('resolveQuotes', () => {
+    it('quotes messages from the same room', async () => {
+      getMessage.mockResolvedValueOnce(quoted('q-1', 'room-1', '**bold** claim'));
+
+      const quotes = await resolveQuotes(config, makeMsg('msg-1', `see ${link('q-1')}`), room, { serverUrl: server });
+
+      expect(quotes).toEqual([{
+        messageId: 'q-1',
+        sender: 'carol',
+        body: '**bold** claim',
+        timestamp: Date.parse('2026-02-17T00:00:00Z'),
+        room: 'general',
+        permalink: link('q-1'),
+      }]);
+      expect(getRoomInfo).not.toHaveBeenCalled();
+    });
+
+    it('keeps Rocket.Chat markup with convertMarkdown off', async () => {
+      getMessage.mockResolvedValueOnce(quoted('q-1', 'room-1', '*bold* claim'));
+
+      const [quote] = await resolveQuotes(config, makeMsg('msg-1', link('q-1')), room, { serverUrl: server, convertMarkdown: false });
+
+      expect(quote.body).toBe('*bold* claim');
+    });
+
+    it('quotes public channels and DMs the sender is in', async () => {
+      getMessage
+        .mockResolvedValueOnce(quoted('q-1', 'room-2'))
+        .mockResolvedValueOnce(quoted('q-2', 'dm-1'));
+      getRoomInfo
+        .mockResolvedValueOnce({ room: { _id: 'room-2', name: 'random', t: 'c' } })
+        .mockResolvedValueOnce({ room: { _id: 'dm-1', t: 'd', usernames: ['alice', 'claw'] } });
+
+      const quotes = await resolveQuotes(config, makeMsg('msg-1', `${link('q-1', 'channel/random')} ${link('q-2', 'direct/dm-1')}`), room, {
+        serverUrl: server,
+      });
+
+      expect(quotes.map((q) => [q.messageId, q.room, q.permalink])).toEqual([
+        ['q-1', 'random', link('q-1', 'channel/random')],
+        ['q-2', undefined, link('q-2', 'direct/dm-1')],
+      ]);
+    });
+
+    it('checks private group membership page by page', async () => {
+      getMessage.mockResolvedValueOnce(quoted('q-1', 'grp-1'));
+      getRoomInfo.mockResolvedValueOnce({ room: { _id: 'grp-1', name: 'secret', t: 'p' } });
+      const page = (names) => ({ members: names.map((username) => ({ username })), total: 150 });
+      getGroupMembers
+        .mockResolvedValueOnce(page(Array.from({ length: 100 }, (_, i) => `user-${i}`)))
+        .mockResolvedValueOnce(page(['alice']));
+
+      const quotes = await resolveQuotes(config, makeMsg('msg-1', link('q-1', 'group/secret')), room, { serverUrl: server });
+
+      expect(getGroupMembers).toHaveBeenNthCalledWith(2, config, 'grp-1', { count: 100, offset: 100 });
+      expect(quotes).toHaveLength(1);
+      expect(quotes[0].room).toBe('secret');
+    });
+
+    it('leaves out messages from rooms the sender cannot read', async () => {
+      getMessage
+        .mockResolvedValueOnce(quoted('q-1', 'grp-1'))
+        .mockResolvedValueOnce(quoted('q-2', 'dm-2'));
+      getRoomInfo
+        .mockResolvedValueOnce({ room: { _id: 'grp-1', name: 'secret', t: 'p' } })
+        .mockResolvedValueOnce({ room: { _id: 'dm-2', t: 'd', usernames: ['bob', 'claw'] } });
+      getGroupMembers.mockResolvedValueOnce({ members: [{ username: 'bob' }], total: 1 });
+
+      const quotes = await resolveQuotes(config, makeMsg('msg-1', `${link('q-1', 'group/secret')} ${link('q-2', 'direct/dm-2')}`), room, {
+        serverUrl: server,
+        log,
+      });
+
+      expect(quotes).toEqual([]);
+      expect(log.info).toHaveBeenCalledWith('Not quoting q-1 in msg-1: alice cannot read its room');
+      expect(log.info).toHaveBeenCalledWith('Not quoting q-2 in msg-1: alice cannot read its room');
+    });
+
+    it('falls back to the quote attachment when the message cannot be shown', async () => {
+      getMessage
+        .mockRejectedValueOnce(new Error('not allowed'))
+        .mockResolvedValueOnce(quoted('q-2', 'grp-1'));
+      getRoomInfo.mockResolvedValueOnce({ room: { _id: 'grp-1', name: 'secret', t: 'p' } });
+      getGroupMembers.mockResolvedValueOnce({ members: [], total: 0 });
+      const msg = makeMsg('msg-1', 'quoting two', {
+        attachments: [
+          { message_link: link('q-1'), text: 'first quote', author_name: 'carol', ts: '2026-02-16T00:00:00Z' },
+          { message_link: link('q-2', 'group/secret'), text: 'second quote' },
+        ],
+      });
+
+      const quotes = await resolveQuotes(config, msg, room, { serverUrl: server, log });
+
+      expect(quotes).toEqual([
+        { messageId: 'q-1', sender: 'carol', body: 'first quote', timestamp: Date.parse('2026-02-16T00:00:00Z') },
+        { messageId: 'q-2', sender: 'unknown', body: 'second quote', timestamp: undefined },
+      ]);
+      expect(log.warn).toHaveBeenCalledWith('Could not read message q-1 quoted in msg-1: not allowed');
+    });
+
+    it(`resolves at most ${MAX_QUOTES} quotes`, async () => {
+      getMessage.mockImplementation(async (_config, id) => quoted(id, 'room-1'));
+      const links = Array.from({ length: MAX_QUOTES + 2 }, (_, i) => link(`q-${i}`)).join(' ');
+
+      const quotes = await resolveQuotes(config, makeMsg('msg-1', links), room, { serverUrl: server });
+
+      expect(quotes).toHaveLength(MAX_QUOTES);
+      expect(getMessage).toHaveBeenCalledTimes(MAX_QUOTES);
+    });
+  });
+
+  describe('budgetQuotes', () => {
+    const quote = (body) => ({ messageId: body, sender: 'carol', body, timestamp: 0 });
+
+    it('fits quotes into the budget in order and reports what is left', () => {
+      const { entries, remaining } = budgetQuotes([quote('aaaa'), quote('bbbbbb'), quote('cc')], 7);
+
+      expect(entries.map((e) => e.body)).toEqual(['aaaa', 'bbb…']);
+      expect(remaining).toBe(0);
+      expect(budgetQuotes([quote('aaaa')], 10)).toEqual({ entries: [quote('aaaa')], remaining: 6 });
+      expect(budgetQuotes([], 10)).toEqual({ entries: [], remaining: 10 });
+    });
+  });
+});
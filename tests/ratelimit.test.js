@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createTokenBucket, limiterFor, resetRateLimiters } from '../src/ratelimit.js';
+
+beforeEach(() => {
+  resetRateLimiters();
+});
+
+function fakeClock() {
+  let t = 0;
+  const sleeps = [];
+  return {
+    now: () => t,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      t += ms;
+    },
+    sleeps,
+  };
+}
+
+describe('ratelimit', () => {
+  describe('createTokenBucket', () => {
+    it('allows a burst, then spaces requests at the refill rate', async () => {
+      const clock = fakeClock();
+      const bucket = createTokenBucket({ requestsPerSecond: 5, burst: 2, ...clock });
+
+      await bucket.take();
+      await bucket.take();
+      expect(clock.sleeps).toEqual([]);
+
+      await bucket.take();
+      expect(clock.sleeps).toEqual([200]);
+    });
+
+    it('refills over time up to the burst size', async () => {
+      const clock = fakeClock();
+      const bucket = createTokenBucket({ requestsPerSecond: 10, burst: 3, ...clock });
+      for (let i = 0; i < 3; i++) await bucket.take();
+
+      await clock.sleep(10_000);
+      expect(bucket.tokens).toBe(3);
+    });
+  });
+
+  describe('limiterFor', () => {
+    const config = { url: 'https://chat.example.com', userId: 'u1' };
+
+    it('shares one limiter per server and user', () => {
+      expect(limiterFor(config)).toBe(limiterFor({ ...config, authToken: 'other' }));
+      expect(limiterFor(config)).not.toBe(limiterFor({ ...config, userId: 'u2' }));
+    });
+
+    it('can be disabled', () => {
+      expect(limiterFor({ ...config, rateLimit: false })).toBeNull();
+    });
+
+    it('holds a paused endpoint until its reset time', async () => {
+      const limiter = limiterFor(config);
+      limiter.pause('/api/v1/chat.postMessage', Date.now() + 50);
+
+      const started = Date.now();
+      await limiter.acquire('/api/v1/me');
+      expect(Date.now() - started).toBeLessThan(40);
+
+      await limiter.acquire('/api/v1/chat.postMessage');
+      expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { markProcessing, markComplete, markFailed } from '../src/reactions.js';
+import { createReactions, reactionNames, markProcessing, markComplete, markFailed } from '../src/reactions.js';
 
 // Mock the api module
 vi.mock('../src/api.js', () => ({
@@ -14,64 +14,205 @@ const config = {
   userId: 'user-1',
 };
 
+const by = (...usernames) => ({ usernames });
+const calls = () => reactToMessage.mock.calls.map(([, , emoji, add]) => [emoji, add]);
+
 beforeEach(() => {
   vi.clearAllMocks();
 });
 
 describe('reactions', () => {
-  describe('markProcessing', () => {
+  describe('progress', () => {
     it('adds hourglass reaction', async () => {
-      await markProcessing(config, 'msg-1');
+      await createReactions().progress(config, 'msg-1').stage('processing');
 
       expect(reactToMessage).toHaveBeenCalledWith(config, 'msg-1', 'hourglass', true);
       expect(reactToMessage).toHaveBeenCalledTimes(1);
     });
-  });
 
-  describe('markComplete', () => {
     it('removes hourglass and adds checkmark', async () => {
-      await markComplete(config, 'msg-1');
+      const progress = createReactions().progress(config, 'msg-1');
+      await progress.stage('processing');
+      await progress.done();
 
-      expect(reactToMessage).toHaveBeenCalledTimes(2);
-      expect(reactToMessage).toHaveBeenNthCalledWith(1, config, 'msg-1', 'hourglass', false);
-      expect(reactToMessage).toHaveBeenNthCalledWith(2, config, 'msg-1', 'white_check_mark', true);
+      expect(calls()).toEqual([['hourglass', true], ['hourglass', false], ['white_check_mark', true]]);
     });
-  });
 
-  describe('markFailed', () => {
     it('removes hourglass and adds x', async () => {
-      await markFailed(config, 'msg-1');
+      const progress = createReactions().progress(config, 'msg-1');
+      await progress.stage('processing');
+      await progress.failed();
 
-      expect(reactToMessage).toHaveBeenCalledTimes(2);
-      expect(reactToMessage).toHaveBeenNthCalledWith(1, config, 'msg-1', 'hourglass', false);
-      expect(reactToMessage).toHaveBeenNthCalledWith(2, config, 'msg-1', 'x', true);
+      expect(calls()).toEqual([['hourglass', true], ['hourglass', false], ['x', true]]);
+    });
+
+    it('only adds x to a message that was never marked processing', async () => {
+      await createReactions().progress(config, 'msg-1').failed();
+
+      expect(calls()).toEqual([['x', true]]);
+    });
+
+    it('only removes the hourglass when cancelled', async () => {
+      const progress = createReactions().progress(config, 'msg-1');
+      await progress.stage('processing');
+      await progress.cancelled();
+
+      expect(calls()).toEqual([['hourglass', true], ['hourglass', false]]);
+    });
+
+    it('skips stages without an emoji, keeping the current one', async () => {
+      const progress = createReactions().progress(config, 'msg-1');
+      for (const stage of ['queued', 'processing', 'downloading', 'running', 'delivering']) await progress.stage(stage);
+
+      expect(calls()).toEqual([['hourglass', true]]);
+    });
+
+    it('swaps one progress reaction for the next through the extra stages', async () => {
+      const reactions = createReactions({ queued: 'inbox_tray', running: ':robot:', delivering: 'speech_balloon' });
+      const progress = reactions.progress(config, 'msg-1');
+      for (const stage of ['queued', 'processing', 'downloading', 'running', 'delivering']) await progress.stage(stage);
+      await progress.done();
+
+      expect(calls()).toEqual([
+        ['inbox_tray', true],
+        ['inbox_tray', false], ['hourglass', true],
+        ['hourglass', false], ['robot', true],
+        ['robot', false], ['speech_balloon', true],
+        ['speech_balloon', false], ['white_check_mark', true],
+      ]);
+    });
+
+    it('clears reactions it was told are already there', async () => {
+      await createReactions().progress(config, 'msg-1', { shown: ['hourglass'] }).failed();
+
+      expect(calls()).toEqual([['hourglass', false], ['x', true]]);
+    });
+
+    it('uses configured emoji, and none where turned off', async () => {
+      const progress = createReactions({ processing: 'eyes', done: false }).progress(config, 'msg-1');
+      await progress.stage('processing');
+      await progress.done();
+
+      expect(calls()).toEqual([['eyes', true], ['eyes', false]]);
+    });
+
+    it('does nothing with reactions off', async () => {
+      const reactions = createReactions(false);
+      const progress = reactions.progress(config, 'msg-1');
+      await progress.stage('processing');
+      await progress.failed();
+
+      expect(reactions.enabled).toBe(false);
+      expect(reactToMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reactionNames', () => {
+    it('defaults to hourglass, checkmark and x', () => {
+      expect(reactionNames()).toEqual({
+        queued: null, processing: 'hourglass', downloading: null, running: null, delivering: null,
+        done: 'white_check_mark', failed: 'x',
+      });
+    });
+
+    it('warns about unknown stages and invalid values', () => {
+      const log = { warn: vi.fn() };
+
+      const names = reactionNames({ thinking: 'brain', failed: 42 }, log);
+
+      expect(names.failed).toBe('x');
+      expect(log.warn).toHaveBeenCalledWith('Unknown reaction "thinking", ignoring it');
+      expect(log.warn).toHaveBeenCalledWith('Invalid emoji for reaction "failed", keeping x');
+      expect(reactionNames('yes', log)).toEqual(reactionNames());
+      expect(log.warn).toHaveBeenCalledWith('Invalid reactions "yes", using the defaults');
+    });
+  });
+
+  describe('reading reactions', () => {
+    const reactions = createReactions({ running: 'robot' });
+
+    it('trusts only the given username for done', () => {
+      const msg = { reactions: { ':white_check_mark:': by('alice') } };
+
+      expect(reactions.isDone(msg, 'claw')).toBe(false);
+      expect(reactions.isDone(msg)).toBe(true);
+      expect(reactions.isDone({ reactions: { ':white_check_mark:': by('alice', 'claw') } }, 'claw')).toBe(true);
+      expect(createReactions({ done: 'ok_hand' }).isDone(msg)).toBe(false);
+    });
+
+    it('lists the bot\'s verdicts and progress reactions', () => {
+      const msg = { reactions: { ':x:': by('claw'), ':white_check_mark:': by('alice'), ':robot:': by('claw') } };
+
+      expect(reactions.verdictsOn(msg, 'claw')).toEqual(['x']);
+      expect(reactions.stagesOn(msg, 'claw')).toEqual(['robot']);
+      expect(reactions.stagesOn(msg, 'alice')).toEqual([]);
+    });
+
+    it('is unfinished with the bot\'s progress reaction and no verdict from it', () => {
+      expect(reactions.isUnfinished({ reactions: { ':hourglass:': by('claw') } }, 'claw')).toBe(true);
+      expect(reactions.isUnfinished({ reactions: { ':robot:': by('claw'), ':white_check_mark:': by('alice') } }, 'claw')).toBe(true);
+    });
+
+    it('is not unfinished once the bot finished, or for someone else\'s hourglass', () => {
+      expect(reactions.isUnfinished({ reactions: { ':hourglass:': by('claw'), ':white_check_mark:': by('claw') } }, 'claw')).toBe(false);
+      expect(reactions.isUnfinished({ reactions: { ':hourglass:': by('claw'), ':x:': by('claw') } }, 'claw')).toBe(false);
+      expect(reactions.isUnfinished({ reactions: { ':hourglass:': by('alice') } }, 'claw')).toBe(false);
+      expect(reactions.isUnfinished({}, 'claw')).toBe(false);
+    });
+  });
+
+  describe('markProcessing, markComplete and markFailed', () => {
+    it('still add and replace the default reactions', async () => {
+      await markProcessing(config, 'msg-1');
+      await markComplete(config, 'msg-1');
+      await markFailed(config, 'msg-2');
+
+      expect(reactToMessage.mock.calls.map(([, id, emoji, add]) => [id, emoji, add])).toEqual([
+        ['msg-1', 'hourglass', true],
+        ['msg-1', 'hourglass', false],
+        ['msg-1', 'white_check_mark', true],
+        ['msg-2', 'hourglass', false],
+        ['msg-2', 'x', true],
+      ]);
+    });
+
+    it('log failures instead of throwing', async () => {
+      const log = { warn: vi.fn() };
+      reactToMessage.mockRejectedValueOnce(new Error('network error'));
+
+      await expect(markProcessing(config, 'msg-1', log)).resolves.toBeUndefined();
+      expect(log.warn).toHaveBeenCalledWith('Failed to add hourglass reaction to msg-1: network error');
     });
   });
 
   describe('error resilience', () => {
-    it('markProcessing does not throw on reaction failure', async () => {
+    it('does not throw on reaction failure', async () => {
       reactToMessage.mockRejectedValueOnce(new Error('network error'));
+      const log = { warn: vi.fn() };
 
-      await expect(markProcessing(config, 'msg-1')).resolves.toBeUndefined();
+      await expect(createReactions({}, { log }).progress(config, 'msg-1').stage('processing')).resolves.toBeUndefined();
+      expect(log.warn).toHaveBeenCalledWith('Failed to add hourglass reaction to msg-1: network error');
     });
 
-    it('markComplete continues to add checkmark even if hourglass removal fails', async () => {
+    it('continues to add checkmark even if hourglass removal fails', async () => {
+      const progress = createReactions().progress(config, 'msg-1', { shown: ['hourglass'] });
       reactToMessage
         .mockRejectedValueOnce(new Error('network error'))
         .mockResolvedValueOnce({ success: true });
 
-      await markComplete(config, 'msg-1');
+      await progress.done();
 
       expect(reactToMessage).toHaveBeenCalledTimes(2);
       expect(reactToMessage).toHaveBeenNthCalledWith(2, config, 'msg-1', 'white_check_mark', true);
     });
 
-    it('markFailed continues to add x even if hourglass removal fails', async () => {
+    it('continues to add x even if hourglass removal fails', async () => {
+      const progress = createReactions().progress(config, 'msg-1', { shown: ['hourglass'] });
       reactToMessage
         .mockRejectedValueOnce(new Error('network error'))
         .mockResolvedValueOnce({ success: true });
 
-      await markFailed(config, 'msg-1');
+      await progress.failed();
 
       expect(reactToMessage).toHaveBeenCalledTimes(2);
       expect(reactToMessage).toHaveBeenNthCalledWith(2, config, 'msg-1', 'x', true);
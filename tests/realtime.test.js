@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRealtimeClient, websocketUrl, normalizeDdpMessage } from '../src/realtime.js';
+import { startDdpServer, waitFor } from './helpers/ddp-server.js';
+
+let server;
+let client;
+let log;
+
+beforeEach(async () => {
+  server = await startDdpServer({ authToken: 'token' });
+  log = { info: vi.fn(), error: vi.fn(), warn: vi.fn() };
+});
+
+afterEach(async () => {
+  client?.close();
+  client = null;
+  await server.close();
+});
+
+function makeClient(overrides = {}) {
+  client = createRealtimeClient({
+    url: server.url,
+    authToken: 'token',
+    roomIds: ['room-1'],
+    onMessage: vi.fn(),
+    onStatus: vi.fn(),
+    log,
+    reconnectDelayMs: 10,
+    ...overrides,
+  });
+  return client;
+}
+
+describe('realtime', () => {
+  describe('websocketUrl', () => {
+    it('maps http and https to ws and wss', () => {
+      expect(websocketUrl('http://chat.local:3000')).toBe('ws://chat.local:3000/websocket');
+      expect(websocketUrl('https://chat.example.com/')).toBe('wss://chat.example.com/websocket');
+    });
+  });
+
+  describe('normalizeDdpMessage', () => {
+    it('converts EJSON dates to ISO strings', () => {
+      const msg = normalizeDdpMessage({
+        _id: 'msg-1',
+        ts: { $date: Date.UTC(2026, 1, 17) },
+        _updatedAt: { $date: Date.UTC(2026, 1, 18) },
+        msg: 'hello',
+      });
+
+      expect(msg.ts).toBe('2026-02-17T00:00:00.000Z');
+      expect(msg._updatedAt).toBe('2026-02-18T00:00:00.000Z');
+      expect(msg.msg).toBe('hello');
+    });
+
+    it('leaves string dates alone', () => {
+      expect(normalizeDdpMessage({ _id: 'm', ts: '2026-02-17T00:00:00Z' }).ts).toBe('2026-02-17T00:00:00Z');
+    });
+  });
+
+  it('logs in with the resume token and subscribes to each room', async () => {
+    const c = makeClient({ roomIds: ['room-1', 'room-2'] });
+    c.start();
+
+    await waitFor(() => c.connected && server.state.subscriptions.length === 2);
+
+    expect(server.state.logins).toBe(1);
+    expect(server.state.subscriptions).toEqual([
+      { name: 'stream-room-messages', params: ['room-1', false] },
+      { name: 'stream-room-messages', params: ['room-2', false] },
+    ]);
+    expect(c.generation).toBe(1);
+  });
+
+  it('delivers normalized stream-room-messages to onMessage', async () => {
+    const onMessage = vi.fn();
+    const c = makeClient({ onMessage });
+    c.start();
+    await waitFor(() => c.connected);
+
+    server.emitMessage('room-1', {
+      _id: 'msg-1', rid: 'room-1', msg: 'hi', ts: { $date: Date.UTC(2026, 1, 17) }, u: { _id: 'u1', username: 'alice' },
+    });
+
+    await waitFor(() => onMessage.mock.calls.length === 1);
+    expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({
+      _id: 'msg-1',
+      msg: 'hi',
+      ts: '2026-02-17T00:00:00.000Z',
+    }));
+  });
+
+  it('subscribes to deletions and reports them to onDelete', async () => {
+    const onDelete = vi.fn();
+    const c = makeClient({ onDelete });
+    c.start();
+    await waitFor(() => c.connected && server.state.subscriptions.length === 2);
+
+    expect(server.state.subscriptions[1]).toEqual({ name: 'stream-notify-room', params: ['room-1/deleteMessage', false] });
+
+    server.emitDelete('room-1', 'msg-1');
+    await waitFor(() => onDelete.mock.calls.length === 1);
+    expect(onDelete).toHaveBeenCalledWith('msg-1', 'room-1');
+  });
+
+  it('answers server pings', async () => {
+    const c = makeClient();
+    c.start();
+    await waitFor(() => c.connected);
+
+    server.broadcast({ msg: 'ping', id: 'p1' });
+
+    await waitFor(() => server.state.received.some((f) => f.msg === 'pong'));
+    expect(server.state.received).toContainEqual({ msg: 'pong', id: 'p1' });
+  });
+
+  it('reconnects and resubscribes after the connection drops', async () => {
+    const onStatus = vi.fn();
+    const c = makeClient({ onStatus });
+    c.start();
+    await waitFor(() => c.connected);
+
+    server.dropConnections();
+    await waitFor(() => !c.connected);
+    await waitFor(() => c.connected && server.state.subscriptions.length === 2);
+
+    expect(server.state.logins).toBe(2);
+    expect(server.state.subscriptions).toHaveLength(2);
+    expect(c.generation).toBe(2);
+    expect(onStatus.mock.calls.map(([s]) => s)).toEqual(['connected', 'disconnected', 'connected']);
+  });
+
+  it('reports connected only once every subscription is ready', async () => {
+    await server.close();
+    server = await startDdpServer({ authToken: 'token', holdSubscriptions: true });
+    const onStatus = vi.fn();
+    const c = makeClient({ onStatus, onDelete: vi.fn() });
+    c.start();
+
+    await waitFor(() => server.state.subscriptions.length === 2);
+    await new Promise((r) => setTimeout(r, 50));
+    expect(c.connected).toBe(false);
+    expect(onStatus).not.toHaveBeenCalled();
+
+    server.readySubscriptions();
+    await waitFor(() => c.connected);
+    expect(c.generation).toBe(1);
+    expect(c.failedRoomIds).toEqual([]);
+  });
+
+  it('lists rooms whose subscription was rejected', async () => {
+    await server.close();
+    server = await startDdpServer({ authToken: 'token', rejectRooms: ['room-2'] });
+    const c = makeClient({ roomIds: ['room-1', 'room-2'] });
+    c.start();
+
+    await waitFor(() => c.connected);
+
+    expect(c.failedRoomIds).toEqual(['room-2']);
+    expect(log.warn).toHaveBeenCalledWith('Rocket.Chat realtime subscription for room room-2 rejected, polling it instead: Not allowed');
+  });
+
+  it('disconnects and reconnects when the server rejects the protocol version', async () => {
+    const onStatus = vi.fn();
+    const c = makeClient({ onStatus });
+    c.start();
+    await waitFor(() => c.connected);
+
+    server.broadcast({ msg: 'failed', version: '1' });
+
+    await waitFor(() => server.state.logins === 2 && c.connected);
+    expect(log.error).toHaveBeenCalledWith('Rocket.Chat realtime protocol version rejected (server wants 1)');
+    expect(onStatus.mock.calls.map(([s]) => s)).toEqual(['connected', 'disconnected', 'connected']);
+  });
+
+  it('logs and keeps retrying when login is rejected', async () => {
+    const c = makeClient({ authToken: 'wrong' });
+    c.start();
+
+    await waitFor(() => server.state.failedLogins >= 2);
+
+    expect(c.connected).toBe(false);
+    expect(server.state.subscriptions).toHaveLength(0);
+    expect(log.error).toHaveBeenCalledWith(expect.stringContaining('realtime login failed'));
+  });
+
+  it('reads a token function at every login and reports rejected tokens', async () => {
+    let token = 'expired';
+    const onLoginFailed = vi.fn(() => { token = 'token'; });
+    const c = makeClient({ authToken: () => token, onLoginFailed });
+    c.start();
+
+    await waitFor(() => c.connected);
+
+    expect(onLoginFailed).toHaveBeenCalledTimes(1);
+    expect(server.state.failedLogins).toBe(1);
+    expect(server.state.logins).toBe(1);
+  });
+
+  it('stops reconnecting after close()', async () => {
+    const c = makeClient();
+    c.start();
+    await waitFor(() => c.connected);
+
+    c.close();
+    await new Promise((r) => setTimeout(r, 50));
+
+    expect(c.connected).toBe(false);
+    expect(server.state.logins).toBe(1);
+    expect(server.connectionCount).toBe(0);
+  });
+});
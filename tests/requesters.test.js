@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { claimSession, requesterFor } from '../src/requesters.js';
+
+describe('requesters', () => {
+  it('records the requester of a session until it is released', async () => {
+    const release = await claimSession('s1', { username: 'alice' });
+
+    expect(requesterFor('s1')).toEqual({ username: 'alice' });
+    expect(requesterFor('s2')).toBeNull();
+    expect(requesterFor(undefined)).toBeNull();
+
+    release();
+    expect(requesterFor('s1')).toBeNull();
+  });
+
+  it('makes runs in one session take turns', async () => {
+    const releaseAlice = await claimSession('s1', { username: 'alice' });
+    let bobsTurn = false;
+    const bob = claimSession('s1', { username: 'bob' }).then((release) => {
+      bobsTurn = true;
+      return release;
+    });
+
+    await new Promise((r) => setTimeout(r, 10));
+    expect(bobsTurn).toBe(false);
+    expect(requesterFor('s1')).toEqual({ username: 'alice' });
+
+    releaseAlice();
+    const releaseBob = await bob;
+    expect(requesterFor('s1')).toEqual({ username: 'bob' });
+    releaseBob();
+    expect(requesterFor('s1')).toBeNull();
+  });
+
+  it('stops waiting when the run is aborted, keeping later runs in line', async () => {
+    const releaseAlice = await claimSession('s1', { username: 'alice' });
+    const controller = new AbortController();
+    const bob = claimSession('s1', { username: 'bob' }, { signal: controller.signal });
+    let carolsTurn = false;
+    const carol = claimSession('s1', { username: 'carol' }).then((release) => {
+      carolsTurn = true;
+      return release;
+    });
+
+    controller.abort();
+    (await bob)();
+    expect(requesterFor('s1')).toEqual({ username: 'alice' });
+    await new Promise((r) => setTimeout(r, 10));
+    expect(carolsTurn).toBe(false);
+
+    releaseAlice();
+    const releaseCarol = await carol;
+    expect(requesterFor('s1')).toEqual({ username: 'carol' });
+    releaseCarol();
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  configuredRooms,
+  isGlob,
+  globToRegExp,
+  resolveRoom,
+  resolveRooms,
+  resolveOutboundRoom,
+  fetchRoomHistory,
+  roomOverrides,
+} from '../src/rooms.js';
+
+vi.mock('../src/api.js', () => ({
+  getChannelInfo: vi.fn(),
+  getGroupInfo: vi.fn(),
+  getRoomInfo: vi.fn(),
+  listJoinedRooms: vi.fn(),
+  createDirectMessage: vi.fn(),
+  getChannelHistory: vi.fn().mockResolvedValue({ messages: [] }),
+  getGroupHistory: vi.fn().mockResolvedValue({ messages: [] }),
+  getDirectHistory: vi.fn().mockResolvedValue({ messages: [] }),
+}));
+
+import {
+  getChannelInfo,
+  getGroupInfo,
+  getRoomInfo,
+  listJoinedRooms,
+  createDirectMessage,
+  getChannelHistory,
+  getGroupHistory,
+  getDirectHistory,
+} from '../src/api.js';
+
+const config = { url: 'https://chat.example.com', authToken: 'token', userId: 'bot-user' };
+
+const channels = {
+  general: { _id: 'room-general', name: 'general' },
+  random: { _id: 'room-random', name: 'random' },
+};
+
+let log;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  log = { info: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+  getChannelInfo.mockImplementation(async (_config, name) => {
+    if (channels[name]) return { channel: channels[name] };
+    throw new Error(`Rocket.Chat API GET channels.info failed (400): no such channel ${name}`);
+  });
+  getGroupInfo.mockImplementation(async (_config, name) => {
+    if (name === 'secret') return { group: { _id: 'room-secret', name: 'secret' } };
+    throw new Error('Rocket.Chat API GET groups.info failed (400)');
+  });
+  createDirectMessage.mockImplementation(async (_config, username) => ({
+    room: { _id: `dm-${username}`, t: 'd', usernames: ['bot', username] },
+  }));
+  getRoomInfo.mockImplementation(async (_config, roomId) => {
+    if (roomId === 'AbCdEfGhIjKlMnOpQ') return { room: { _id: roomId, name: 'ops', t: 'p' } };
+    throw new Error('Rocket.Chat API GET rooms.info failed (400)');
+  });
+  listJoinedRooms.mockResolvedValue({
+    update: [
+      { _id: 'room-s1', name: 'support-eu', t: 'c' },
+      { _id: 'room-s2', name: 'support-us', t: 'p' },
+      { _id: 'room-general', name: 'general', t: 'c' },
+      { _id: 'room-dm', t: 'd' },
+    ],
+  });
+});
+
+describe('rooms', () => {
+  describe('configuredRooms', () => {
+    it('prefers the channels list', () => {
+      expect(configuredRooms({ channel: 'general', channels: ['a', 'b'] })).toEqual(['a', 'b']);
+    });
+
+    it('falls back to the single channel', () => {
+      expect(configuredRooms({ channel: 'general' })).toEqual(['general']);
+      expect(configuredRooms({ channel: 'general', channels: [] })).toEqual(['general']);
+    });
+
+    it('returns empty when nothing is configured', () => {
+      expect(configuredRooms({})).toEqual([]);
+      expect(configuredRooms(null)).toEqual([]);
+    });
+  });
+
+  describe('globs', () => {
+    it('detects glob patterns', () => {
+      expect(isGlob('support-*')).toBe(true);
+      expect(isGlob('team-?')).toBe(true);
+      expect(isGlob('general')).toBe(false);
+    });
+
+    it('matches whole names case-insensitively and escapes regex characters', () => {
+      const re = globToRegExp('support-*');
+      expect(re.test('support-eu')).toBe(true);
+      expect(re.test('Support-US')).toBe(true);
+      expect(re.test('my-support-eu')).toBe(false);
+      expect(globToRegExp('a.b').test('axb')).toBe(false);
+    });
+  });
+
+  describe('roomOverrides', () => {
+    const account = {
+      rooms: {
+        'support-*': { sessionScope: 'thread', agentId: 'helpdesk' },
+        'support-vip': { agentId: 'concierge' },
+        '#ops': { sessionScope: 'room' },
+        '@alice': { sessionScope: 'user' },
+        GRP_ID: { sessionScope: 'user+thread' },
+      },
+    };
+
+    it('merges matching patterns, then exact keys', () => {
+      expect(roomOverrides(account, { id: 'r1', name: 'support-vip', type: 'c' }))
+        .toEqual({ sessionScope: 'thread', agentId: 'concierge' });
+      expect(roomOverrides(account, { id: 'r2', name: 'support-eu', type: 'c' }))
+        .toEqual({ sessionScope: 'thread', agentId: 'helpdesk' });
+    });
+
+    it('matches names with or without #, room IDs and @username DMs', () => {
+      expect(roomOverrides(account, { id: 'r3', name: 'ops', type: 'c' })).toEqual({ sessionScope: 'room' });
+      expect(roomOverrides(account, { id: 'GRP_ID', name: 'secret', type: 'p' })).toEqual({ sessionScope: 'user+thread' });
+      expect(roomOverrides(account, { id: 'dm-1', name: 'alice', type: 'd' })).toEqual({ sessionScope: 'user' });
+    });
+
+    it('returns nothing without a match or config', () => {
+      expect(roomOverrides(account, { id: 'r4', name: 'general', type: 'c' })).toEqual({});
+      expect(roomOverrides({}, { id: 'r4', name: 'general', type: 'c' })).toEqual({});
+    });
+  });
+
+  describe('resolveRoom', () => {
+    it('resolves a channel name', async () => {
+      await expect(resolveRoom(config, 'general')).resolves.toEqual({ id: 'room-general', name: 'general', type: 'c' });
+    });
+
+    it('strips a leading #', async () => {
+      await expect(resolveRoom(config, '#random')).resolves.toEqual({ id: 'room-random', name: 'random', type: 'c' });
+    });
+
+    it('resolves a private group name', async () => {
+      await expect(resolveRoom(config, 'secret')).resolves.toEqual({ id: 'room-secret', name: 'secret', type: 'p' });
+    });
+
+    it('opens a DM for @username', async () => {
+      await expect(resolveRoom(config, '@alice')).resolves.toEqual({ id: 'dm-alice', name: 'alice', type: 'd' });
+      expect(createDirectMessage).toHaveBeenCalledWith(config, 'alice');
+      expect(getChannelInfo).not.toHaveBeenCalled();
+    });
+
+    it('falls back to treating the entry as a room ID', async () => {
+      await expect(resolveRoom(config, 'AbCdEfGhIjKlMnOpQ')).resolves.toEqual({ id: 'AbCdEfGhIjKlMnOpQ', name: 'ops', type: 'p' });
+    });
+
+    it('rethrows the name lookup error when neither works', async () => {
+      await expect(resolveRoom(config, 'nope')).rejects.toThrow('no such channel nope');
+    });
+  });
+
+  describe('resolveRooms', () => {
+    it('resolves names, IDs and globs, deduplicating by room ID', async () => {
+      const rooms = await resolveRooms(config, ['general', 'AbCdEfGhIjKlMnOpQ', 'support-*', 'gen*'], log);
+
+      expect(rooms).toEqual([
+        { id: 'room-general', name: 'general', type: 'c' },
+        { id: 'AbCdEfGhIjKlMnOpQ', name: 'ops', type: 'p' },
+        { id: 'room-s1', name: 'support-eu', type: 'c' },
+        { id: 'room-s2', name: 'support-us', type: 'p' },
+      ]);
+      // Joined rooms are listed once no matter how many globs there are
+      expect(listJoinedRooms).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips entries that fail and logs them', async () => {
+      const rooms = await resolveRooms(config, ['missing', 'general'], log);
+
+      expect(rooms).toEqual([{ id: 'room-general', name: 'general', type: 'c' }]);
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('#missing'));
+    });
+
+    it('warns when a glob matches nothing', async () => {
+      await resolveRooms(config, ['general', 'nothing-*'], log);
+
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('nothing-*'));
+    });
+
+    it('throws when no room resolves', async () => {
+      await expect(resolveRooms(config, ['missing'], log)).rejects.toThrow('no such channel missing');
+      await expect(resolveRooms(config, [], log)).rejects.toThrow('No Rocket.Chat rooms configured');
+    });
+  });
+
+  describe('resolveOutboundRoom', () => {
+    it('uses the OpenClaw target when given', async () => {
+      const room = await resolveOutboundRoom(config, { channels: ['general'] }, 'channel:random');
+      expect(room).toEqual({ id: 'room-random', name: 'random', type: 'c' });
+    });
+
+    it('defaults to the first non-glob configured room', async () => {
+      const room = await resolveOutboundRoom(config, { channels: ['support-*', 'general'] });
+      expect(room).toEqual({ id: 'room-general', name: 'general', type: 'c' });
+    });
+
+    it('opens a DM for user: targets', async () => {
+      const room = await resolveOutboundRoom(config, { channels: ['general'] }, 'user:bob');
+      expect(room).toEqual({ id: 'dm-bob', name: 'bob', type: 'd' });
+    });
+
+    it('throws when there is no default room', async () => {
+      await expect(resolveOutboundRoom(config, { channels: ['support-*'] })).rejects.toThrow('No default Rocket.Chat room');
+    });
+  });
+
+  describe('fetchRoomHistory', () => {
+    it('uses the endpoint family matching the room type', async () => {
+      await fetchRoomHistory(config, { id: 'r-c', type: 'c' }, 20);
+      await fetchRoomHistory(config, { id: 'r-p', type: 'p' }, 20);
+      await fetchRoomHistory(config, { id: 'r-d', type: 'd' }, 20);
+
+      expect(getChannelHistory).toHaveBeenCalledWith(config, 'r-c', 20);
+      expect(getGroupHistory).toHaveBeenCalledWith(config, 'r-p', 20);
+      expect(getDirectHistory).toHaveBeenCalledWith(config, 'r-d', 20);
+    });
+
+    it('defaults to channels.history when the type is unknown', async () => {
+      await fetchRoomHistory(config, { id: 'r-x' }, 10);
+
+      expect(getChannelHistory).toHaveBeenCalledWith(config, 'r-x', 10);
+    });
+  });
+});
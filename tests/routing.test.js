@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { routePeer, compileThreadRules, matchThreadRule, bindAgent } from '../src/routing.js';
+
+const room = { id: 'room-1', name: 'general', type: 'c' };
+const message = { room, senderId: 'alice-id', threadId: 'parent-1' };
+
+describe('routing', () => {
+  describe('routePeer', () => {
+    it('routes per user by default', () => {
+      expect(routePeer(undefined, message)).toEqual({ kind: 'group', id: 'alice-id' });
+      expect(routePeer('user', message)).toEqual({ kind: 'group', id: 'alice-id' });
+    });
+
+    it('routes per room, thread, or user in a thread', () => {
+      expect(routePeer('room', message)).toEqual({ kind: 'group', id: 'room-1' });
+      expect(routePeer('thread', message)).toEqual({ kind: 'group', id: 'room-1:parent-1' });
+      expect(routePeer('user+thread', message)).toEqual({ kind: 'group', id: 'room-1:parent-1:alice-id' });
+    });
+
+    it('falls back to the room without a thread', () => {
+      expect(routePeer('thread', { ...message, threadId: null })).toEqual({ kind: 'group', id: 'room-1' });
+    });
+
+    it('always routes DMs to the user', () => {
+      const dm = { ...message, room: { id: 'dm-1', name: 'alice', type: 'd' } };
+      expect(routePeer('room', dm)).toEqual({ kind: 'direct', id: 'alice-id' });
+      expect(routePeer('thread', dm)).toEqual({ kind: 'direct', id: 'alice-id' });
+    });
+  });
+
+  describe('thread rules', () => {
+    it('compiles case-insensitive patterns and drops invalid rules', () => {
+      const log = { warn: vi.fn() };
+      const rules = compileThreadRules([
+        { match: '^billing:', agentId: 'billing' },
+        { match: '(', agentId: 'broken' },
+        { agentId: 'no-pattern' },
+        { match: 'outage', agentId: 'oncall', persona: { alias: 'On-call' } },
+      ], { roomName: 'support', log });
+
+      expect(rules.map((rule) => rule.agentId)).toEqual(['billing', 'oncall']);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring thread rule "(" for #support'));
+      expect(log.warn).toHaveBeenCalledWith('Ignoring a thread rule without a "match" pattern for #support');
+
+      expect(matchThreadRule(rules, 'BILLING: refund please')?.agentId).toBe('billing');
+      expect(matchThreadRule(rules, 'possible outage in eu')?.persona).toEqual({ alias: 'On-call' });
+      expect(matchThreadRule(rules, 'hello')).toBeNull();
+      expect(matchThreadRule(rules, null)).toBeNull();
+    });
+
+    it('treats missing rules as none', () => {
+      expect(compileThreadRules(undefined)).toEqual([]);
+    });
+  });
+
+  describe('bindAgent', () => {
+    it('adds a binding ahead of the configured ones without touching cfg', () => {
+      const cfg = { agents: {}, bindings: [{ agentId: 'main', match: { channel: 'rocketchat' } }] };
+      const peer = { kind: 'group', id: 'room-1' };
+
+      expect(bindAgent(cfg, { agentId: 'helpdesk', accountId: 'default', peer })).toEqual({
+        agents: {},
+        bindings: [
+          { agentId: 'helpdesk', match: { channel: 'rocketchat', accountId: 'default', peer } },
+          { agentId: 'main', match: { channel: 'rocketchat' } },
+        ],
+      });
+      expect(cfg.bindings).toHaveLength(1);
+      expect(bindAgent(undefined, { agentId: 'a', accountId: 'x', peer }).bindings).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createMemoryStore,
+  createFileStore,
+  createStateStore,
+  defaultStatePath,
+  DEFAULT_MAX_PROCESSED_IDS,
+} from '../src/state.js';
+
+let dir;
+let log;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'rc-state-test-'));
+  log = { info: vi.fn(), error: vi.fn(), warn: vi.fn() };
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('state', () => {
+  describe('memory store', () => {
+    it('tracks processed IDs', () => {
+      const store = createMemoryStore();
+
+      expect(store.hasProcessed('msg-1')).toBe(false);
+      store.markProcessed('msg-1');
+      expect(store.hasProcessed('msg-1')).toBe(true);
+    });
+
+    it('evicts the oldest processed IDs beyond the cap', () => {
+      const store = createMemoryStore({ maxProcessedIds: 3 });
+      for (const id of ['a', 'b', 'c', 'd']) store.markProcessed(id);
+
+      expect(store.processedCount).toBe(3);
+      expect(store.hasProcessed('a')).toBe(false);
+      expect(store.hasProcessed('d')).toBe(true);
+    });
+
+    it('defaults the cap to DEFAULT_MAX_PROCESSED_IDS', () => {
+      const store = createMemoryStore();
+      for (let i = 0; i < DEFAULT_MAX_PROCESSED_IDS + 10; i++) store.markProcessed(`msg-${i}`);
+
+      expect(store.processedCount).toBe(DEFAULT_MAX_PROCESSED_IDS);
+    });
+
+    it('only moves room cursors forward', () => {
+      const store = createMemoryStore();
+
+      expect(store.getRoomCursor('room-1')).toBeNull();
+      store.setRoomCursor('room-1', 2000);
+      store.setRoomCursor('room-1', 1000);
+      store.setRoomCursor('room-1', NaN);
+      expect(store.getRoomCursor('room-1')).toBe(2000);
+    });
+
+    it('stores thread cursors per room', () => {
+      const store = createMemoryStore();
+      store.setThreadCursor('t1', { roomId: 'room-1', offset: 3, lastSeen: Date.now() });
+      store.setThreadCursor('t2', { roomId: 'room-2', offset: 1, lastSeen: Date.now() });
+
+      expect(store.getThreadCursor('t1')).toEqual(expect.objectContaining({ offset: 3 }));
+      expect(store.threadCursors('room-1').map(([id]) => id)).toEqual(['t1']);
+      expect(store.threadCursors()).toHaveLength(2);
+
+      store.deleteThreadCursor('t1');
+      expect(store.getThreadCursor('t1')).toBeNull();
+    });
+
+    it('compacts thread cursors past the TTL', () => {
+      const store = createMemoryStore({ threadTtlMs: 1000 });
+      const now = Date.now();
+      store.setThreadCursor('old', { roomId: 'room-1', offset: 0, lastSeen: now - 5000 });
+      store.setThreadCursor('fresh', { roomId: 'room-1', offset: 0, lastSeen: now });
+
+      expect(store.compact(now)).toBe(1);
+      expect(store.threadCursors().map(([id]) => id)).toEqual(['fresh']);
+    });
+
+    it('tracks messages queued for the agent until cleared', () => {
+      const store = createMemoryStore();
+      store.markPending('msg-1', 'room-1');
+      store.markPending('msg-2', 'room-2');
+      store.clearPending('msg-1');
+
+      expect(store.pendingMessages()).toEqual([['msg-2', { roomId: 'room-2', at: expect.any(Number) }]]);
+    });
+
+    it('compacts pending messages queued longer ago than the TTL', () => {
+      const store = createMemoryStore({ threadTtlMs: 1000 });
+      store.markPending('msg-1', 'room-1');
+
+      store.compact(Date.now() + 5000);
+      expect(store.pendingMessages()).toEqual([]);
+    });
+  });
+
+  describe('file store', () => {
+    it('round-trips state through the file', async () => {
+      const path = join(dir, 'nested', 'state.json');
+      const store = createFileStore(path, { log });
+      await store.load();
+      store.markProcessed('msg-1');
+      store.setRoomCursor('room-1', 1234);
+      store.setThreadCursor('t1', { roomId: 'room-1', offset: 2, lastSeen: Date.now() });
+      store.markPending('msg-2', 'room-1');
+      await store.close();
+
+      const reloaded = createFileStore(path, { log });
+      await reloaded.load();
+
+      expect(reloaded.hasProcessed('msg-1')).toBe(true);
+      expect(reloaded.getRoomCursor('room-1')).toBe(1234);
+      expect(reloaded.getThreadCursor('t1')).toEqual(expect.objectContaining({ roomId: 'room-1', offset: 2 }));
+      expect(reloaded.pendingMessages().map(([id]) => id)).toEqual(['msg-2']);
+    });
+
+    it('debounces writes', async () => {
+      const path = join(dir, 'state.json');
+      const store = createFileStore(path, { flushDelayMs: 20 });
+      store.markProcessed('msg-1');
+
+      await expect(readFile(path, 'utf8')).rejects.toThrow();
+      await new Promise((r) => setTimeout(r, 60));
+
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      expect(Object.keys(data.processed)).toEqual(['msg-1']);
+      await store.close();
+    });
+
+    it('compacts expired threads when writing', async () => {
+      const path = join(dir, 'state.json');
+      const store = createFileStore(path, { threadTtlMs: 1000 });
+      store.setThreadCursor('old', { roomId: 'room-1', offset: 0, lastSeen: Date.now() - 5000 });
+      await store.flush();
+
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      expect(data.threads).toEqual({});
+    });
+
+    it('keeps only the newest processed IDs when loading an oversized file', async () => {
+      const path = join(dir, 'state.json');
+      await writeFile(path, JSON.stringify({
+        version: 1,
+        processed: { a: 1, b: 2, c: 3 },
+        rooms: {},
+        threads: {},
+      }));
+
+      const store = createFileStore(path, { maxProcessedIds: 2 });
+      await store.load();
+
+      expect(store.hasProcessed('a')).toBe(false);
+      expect(store.hasProcessed('c')).toBe(true);
+    });
+
+    it('starts empty when the file is missing', async () => {
+      const store = createFileStore(join(dir, 'missing.json'));
+      await store.load();
+
+      expect(store.processedCount).toBe(0);
+    });
+
+    it('ignores a corrupt file with a warning', async () => {
+      const path = join(dir, 'state.json');
+      await writeFile(path, '{not json');
+
+      const store = createFileStore(path, { log });
+      await store.load();
+
+      expect(store.processedCount).toBe(0);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('unreadable'));
+    });
+
+    it('ignores files from an unknown version', async () => {
+      const path = join(dir, 'state.json');
+      await writeFile(path, JSON.stringify({ version: 99, processed: { a: 1 } }));
+
+      const store = createFileStore(path, { log });
+      await store.load();
+
+      expect(store.hasProcessed('a')).toBe(false);
+      expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('unknown version'));
+    });
+
+    it('logs write failures instead of throwing', async () => {
+      // A directory where the file should be makes rename fail
+      const path = join(dir, 'blocked');
+      await mkdir(path);
+
+      const store = createFileStore(path, { log });
+      store.markProcessed('msg-1');
+      await store.flush();
+
+      expect(log.error).toHaveBeenCalledWith(expect.stringContaining('Failed to write'));
+    });
+  });
+
+  describe('createStateStore', () => {
+    it('uses memory when stateFile is false', async () => {
+      const store = createStateStore({ stateFile: false });
+      expect(store.path).toBeUndefined();
+    });
+
+    it('uses the configured path', () => {
+      const store = createStateStore({ stateFile: join(dir, 'custom.json') });
+      expect(store.path).toBe(join(dir, 'custom.json'));
+    });
+
+    it('defaults to a per-account file under the OpenClaw state dir', () => {
+      const prev = process.env.OPENCLAW_STATE_DIR;
+      process.env.OPENCLAW_STATE_DIR = dir;
+      try {
+        expect(defaultStatePath('work')).toBe(join(dir, 'rocketchat', 'work.state.json'));
+        expect(createStateStore({ accountId: 'work' }).path).toBe(join(dir, 'rocketchat', 'work.state.json'));
+      } finally {
+        if (prev === undefined) delete process.env.OPENCLAW_STATE_DIR;
+        else process.env.OPENCLAW_STATE_DIR = prev;
+      }
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createStreamingReply } from '../src/stream.js';
+
+vi.mock('../src/api.js', () => ({
+  sendMessage: vi.fn(),
+  updateMessage: vi.fn().mockResolvedValue({}),
+  deleteMessage: vi.fn().mockResolvedValue({}),
+}));
+
+import { sendMessage, updateMessage, deleteMessage } from '../src/api.js';
+
+const config = { url: 'https://chat.example.com' };
+
+function startReply(options = {}) {
+  return createStreamingReply({ config, roomId: 'room-1', threadId: 'thread-1', ...options });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  let posted = 0;
+  sendMessage.mockImplementation(async () => ({ message: { _id: `reply-${++posted}` } }));
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('stream', () => {
+  it('posts the placeholder in the thread', async () => {
+    const reply = startReply({ placeholder: '…' });
+    await reply.start();
+
+    expect(sendMessage).toHaveBeenCalledWith(config, { roomId: 'room-1', text: '…', threadId: 'thread-1' });
+  });
+
+  it('posts under the persona', async () => {
+    const reply = startReply({ placeholder: '…', persona: { alias: 'Helpdesk', avatar: 'https://x.example/h.png' } });
+    await reply.start();
+
+    expect(sendMessage).toHaveBeenCalledWith(config, {
+      roomId: 'room-1', text: '…', threadId: 'thread-1', alias: 'Helpdesk', avatar: 'https://x.example/h.png',
+    });
+  });
+
+  it('replaces the placeholder with the first block right away', async () => {
+    const reply = startReply();
+    await reply.start();
+    await reply.append('Hello');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(updateMessage).toHaveBeenCalledWith(config, { roomId: 'room-1', messageId: 'reply-1', text: 'Hello' });
+  });
+
+  it('throttles edits and sends the latest text', async () => {
+    const reply = startReply({ throttleMs: 1000 });
+    await reply.start();
+    await reply.append('one');
+    await vi.advanceTimersByTimeAsync(0);
+    await reply.append('two');
+    await reply.append('three');
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(updateMessage).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(updateMessage).toHaveBeenCalledTimes(2);
+    expect(updateMessage).toHaveBeenLastCalledWith(config, {
+      roomId: 'room-1', messageId: 'reply-1', text: 'one\n\ntwo\n\nthree',
+    });
+  });
+
+  it('flushes a pending edit on finish', async () => {
+    const reply = startReply({ throttleMs: 1000 });
+    await reply.start();
+    await reply.append('one');
+    await vi.advanceTimersByTimeAsync(0);
+    await reply.append('two');
+
+    await expect(reply.finish()).resolves.toBe(true);
+    expect(updateMessage).toHaveBeenLastCalledWith(config, {
+      roomId: 'room-1', messageId: 'reply-1', text: 'one\n\ntwo',
+    });
+
+    // The cancelled throttle timer must not edit again
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(updateMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('spills into a new message at the size limit', async () => {
+    const reply = startReply({ maxLength: 20, throttleMs: 0 });
+    await reply.start();
+    await reply.append('first paragraph');
+    await reply.append('second one');
+    await reply.finish();
+
+    expect(updateMessage).toHaveBeenLastCalledWith(config, {
+      roomId: 'room-1', messageId: 'reply-1', text: 'first paragraph',
+    });
+    expect(sendMessage).toHaveBeenLastCalledWith(config, {
+      roomId: 'room-1', text: 'second one', threadId: 'thread-1',
+    });
+  });
+
+  it('splits a block longer than several messages', async () => {
+    const reply = startReply({ maxLength: 10, throttleMs: 0 });
+    await reply.start();
+    await reply.append('a'.repeat(25));
+    await reply.finish();
+
+    expect(updateMessage).toHaveBeenCalledWith(config, { roomId: 'room-1', messageId: 'reply-1', text: 'a'.repeat(10) });
+    expect(sendMessage.mock.calls.slice(1).map(([, body]) => body.text)).toEqual(['a'.repeat(10), 'a'.repeat(5)]);
+  });
+
+  it('keeps code fences balanced across spilled messages', async () => {
+    const reply = startReply({ maxLength: 35, throttleMs: 0 });
+    await reply.start();
+    await reply.append('```js\nconst a = 1;\nconst b = 2;\nconst c = 3;\n```');
+    await reply.finish();
+
+    expect(updateMessage).toHaveBeenCalledWith(config, {
+      roomId: 'room-1', messageId: 'reply-1', text: '```js\nconst a = 1;\nconst b = 2;\n```',
+    });
+    expect(sendMessage).toHaveBeenLastCalledWith(config, {
+      roomId: 'room-1', text: '```js\nconst c = 3;\n```', threadId: 'thread-1',
+    });
+  });
+
+  it('deletes the placeholder when nothing was appended', async () => {
+    const reply = startReply();
+    await reply.start();
+
+    await expect(reply.finish()).resolves.toBe(false);
+    expect(deleteMessage).toHaveBeenCalledWith(config, { roomId: 'room-1', messageId: 'reply-1' });
+    expect(updateMessage).not.toHaveBeenCalled();
+    expect(reply.messageIds).toEqual([]);
+  });
+
+  it('lists every message the reply spilled into', async () => {
+    const reply = startReply({ maxLength: 10, throttleMs: 0 });
+    await reply.start();
+    await reply.append('one two three four');
+    await reply.finish();
+
+    expect(reply.messageIds).toEqual(['reply-1', 'reply-2']);
+  });
+
+  it('edits the reply into an existing message', async () => {
+    const reply = startReply({ messageId: 'old-reply', placeholder: '…', throttleMs: 0 });
+    await reply.start();
+    await reply.append('New answer');
+    await reply.finish();
+
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(updateMessage.mock.calls.map(([, body]) => body)).toEqual([
+      { roomId: 'room-1', messageId: 'old-reply', text: '…' },
+      { roomId: 'room-1', messageId: 'old-reply', text: 'New answer' },
+    ]);
+    expect(reply.messageIds).toEqual(['old-reply']);
+  });
+
+  it('reports a failed throttled edit from finish', async () => {
+    updateMessage.mockRejectedValueOnce(new Error('RC API 500'));
+    const reply = startReply();
+    await reply.start();
+    await reply.append('Hello');
+    await vi.advanceTimersByTimeAsync(0);
+
+    await expect(reply.finish()).rejects.toThrow('RC API 500');
+  });
+});
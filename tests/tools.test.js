@@ -0,0 +1,350 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { TOOLS, TOOL_NAMES, toolName, enabledTools, toolAccount, createAgentTools } from '../src/tools.js';
+
+vi.mock('../src/api.js', () => ({
+  getChannelInfo: vi.fn(),
+  getGroupInfo: vi.fn().mockRejectedValue(new Error('not a group')),
+  getRoomInfo: vi.fn(),
+  createDirectMessage: vi.fn().mockResolvedValue({ room: { _id: 'dm-1', t: 'd', usernames: ['claw', 'alice'] } }),
+  getMessage: vi.fn(),
+  getUserByName: vi.fn(),
+  getChannelMembers: vi.fn(),
+  getGroupMembers: vi.fn(),
+  inviteToChannel: vi.fn().mockResolvedValue({ success: true }),
+  inviteToGroup: vi.fn().mockResolvedValue({ success: true }),
+  searchMessages: vi.fn(),
+  pinMessage: vi.fn().mockResolvedValue({ success: true }),
+  starMessage: vi.fn().mockResolvedValue({ success: true }),
+  createDiscussion: vi.fn(),
+  sendMessage: vi.fn().mockResolvedValue({ message: { _id: 'sent-1' } }),
+  getPublicSettings: vi.fn().mockResolvedValue({ settings: [] }),
+}));
+
+vi.mock('../src/monitor.js', () => ({
+  monitorRocketChat: vi.fn(),
+}));
+
+import {
+  getChannelInfo,
+  getGroupInfo,
+  getRoomInfo,
+  getMessage,
+  getUserByName,
+  getChannelMembers,
+  getGroupMembers,
+  inviteToChannel,
+  inviteToGroup,
+  searchMessages,
+  pinMessage,
+  starMessage,
+  createDiscussion,
+  sendMessage,
+} from '../src/api.js';
+import { resetMessageLimits } from '../src/chunking.js';
+import { claimSession } from '../src/requesters.js';
+
+const account = {
+  accountId: 'default',
+  url: 'https://chat.example.com',
+  authToken: 'token',
+  userId: 'bot-user',
+  channels: ['general'],
+  tools: TOOL_NAMES,
+};
+
+const config = { url: 'https://chat.example.com', authToken: 'token', userId: 'bot-user' };
+
+const channels = {
+  general: { _id: 'room-general', name: 'general' },
+  ops: { _id: 'room-ops', name: 'ops' },
+};
+
+const roomsById = {
+  'room-general': { _id: 'room-general', name: 'general', t: 'c' },
+  'room-ops': { _id: 'room-ops', name: 'ops', t: 'c' },
+  'grp-1': { _id: 'grp-1', name: 'secret', t: 'p' },
+  'dm-1': { _id: 'dm-1', t: 'd', usernames: ['claw', 'bob'] },
+};
+
+// The user the run answers: alice, talking in #general, allowed to run commands
+const alice = { userId: 'u-alice', username: 'alice', room: { id: 'room-general', name: 'general', type: 'c' }, commands: true };
+let untrack = () => {};
+
+function tool(name, overrides = {}) {
+  return createAgentTools({ ...account, ...overrides }, { sessionKey: 'session-1' }).find((t) => t.name === toolName(name));
+}
+
+async function answering(requester) {
+  untrack();
+  untrack = requester ? await claimSession('session-1', requester) : () => {};
+}
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  resetMessageLimits();
+  await answering(alice);
+  getChannelInfo.mockImplementation(async (_config, name) => {
+    if (!channels[name]) throw new Error(`no channel ${name}`);
+    return { channel: channels[name] };
+  });
+  getRoomInfo.mockReset().mockImplementation(async (_config, id) => {
+    if (!roomsById[id]) throw new Error(`no room ${id}`);
+    return { room: roomsById[id] };
+  });
+  getGroupMembers.mockReset().mockResolvedValue({ members: [{ username: 'alice' }], total: 1 });
+});
+
+describe('tools', () => {
+  describe('enabledTools', () => {
+    it('enables nothing unless listed', () => {
+      expect(enabledTools({})).toEqual([]);
+      expect(createAgentTools({ ...account, tools: undefined })).toEqual([]);
+    });
+
+    it('warns about unknown tools', () => {
+      const log = { warn: vi.fn() };
+
+      expect(enabledTools({ tools: ['pin_message', 'delete_room'] }, log)).toEqual(['pin_message']);
+      expect(log.warn).toHaveBeenCalledWith('Unknown Rocket.Chat tool "delete_room", ignoring it');
+    });
+  });
+
+  describe('createAgentTools', () => {
+    it('registers prefixed tools with a JSON schema', () => {
+      const tools = createAgentTools({ ...account, tools: ['search_messages', 'pin_message'] });
+
+      expect(tools.map((t) => t.name)).toEqual(['rocketchat_search_messages', 'rocketchat_pin_message']);
+      expect(tools[0]).toMatchObject({ label: TOOLS.search_messages.label, parameters: { type: 'object', required: ['query'] } });
+    });
+
+    it('returns the result as JSON text and as details', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 'msg-1', rid: 'room-general' } });
+
+      const result = await tool('pin_message').execute('call-1', { message: 'msg-1' });
+
+      expect(pinMessage).toHaveBeenCalledWith(config, 'msg-1');
+      expect(result.details).toEqual({ pinned: 'msg-1' });
+      expect(JSON.parse(result.content[0].text)).toEqual({ pinned: 'msg-1' });
+    });
+  });
+
+  describe('toolAccount', () => {
+    const cfg = { channels: { rocketchat: { accounts: { main: { url: 'https://a.example.com' }, ops: { url: 'https://b.example.com' } } } } };
+
+    it('uses the account a Rocket.Chat conversation came in through', () => {
+      expect(toolAccount({ config: cfg, messageChannel: 'rocketchat', agentAccountId: 'ops' }))
+        .toMatchObject({ accountId: 'ops', url: 'https://b.example.com' });
+      expect(toolAccount({ config: cfg, messageChannel: 'rocketchat', agentAccountId: 'gone' })).toBeNull();
+    });
+
+    it('uses the only account from other channels, and none when it is ambiguous', () => {
+      const single = { channels: { rocketchat: { url: 'https://a.example.com' } } };
+
+      expect(toolAccount({ config: single, messageChannel: 'telegram' })).toMatchObject({ accountId: 'default' });
+      expect(toolAccount({ config: cfg, messageChannel: 'telegram' })).toBeNull();
+      expect(toolAccount({ config: {} })).toBeNull();
+    });
+  });
+
+  describe('write tools', () => {
+    it('need a requester allowed to run commands', async () => {
+      await answering({ ...alice, commands: false });
+
+      for (const name of ['post_message', 'invite_user', 'create_discussion', 'pin_message']) {
+        await expect(tool(name).execute('call-1', { room: '#ops', text: 'x', username: 'bob', name: 'x', message: 'm-1' }))
+          .rejects.toThrow(`rocketchat_${name} is only available when answering a Rocket.Chat user allowed to run commands`);
+      }
+      await answering(null);
+      await expect(tool('post_message').execute('call-1', { text: 'x' })).rejects.toThrow('is only available');
+      expect(sendMessage).not.toHaveBeenCalled();
+      expect(pinMessage).not.toHaveBeenCalled();
+    });
+
+    it('only act in rooms the requester can read', async () => {
+      getChannelInfo.mockRejectedValueOnce(new Error('not a channel'));
+      getGroupInfo.mockResolvedValueOnce({ group: { _id: 'grp-1', name: 'secret' } });
+      getGroupMembers.mockResolvedValueOnce({ members: [{ username: 'bob' }], total: 1 });
+
+      await expect(tool('post_message').execute('call-1', { room: 'secret', text: 'x' })).rejects.toThrow('alice cannot read that room');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search_messages', () => {
+    it('searches the given room and links each result', async () => {
+      searchMessages.mockResolvedValueOnce({
+        messages: [{ _id: 'm-1', msg: 'deploy **done**', u: { username: 'alice' }, ts: '2026-02-17T00:00:00Z', tmid: 't-1' }],
+      });
+
+      const { details } = await tool('search_messages').execute('call-1', { room: '#ops', query: 'deploy', limit: 500 });
+
+      expect(searchMessages).toHaveBeenCalledWith(config, 'room-ops', 'deploy', { count: 100 });
+      expect(details).toEqual({
+        room: 'ops',
+        messages: [{
+          id: 'm-1',
+          author: 'alice',
+          text: 'deploy **done**',
+          ts: '2026-02-17T00:00:00Z',
+          threadId: 't-1',
+          permalink: 'https://chat.example.com/channel/ops?msg=m-1',
+        }],
+      });
+    });
+
+    it('defaults to the first configured room', async () => {
+      searchMessages.mockResolvedValueOnce({ messages: [] });
+
+      await tool('search_messages').execute('call-1', { query: 'deploy' });
+
+      expect(searchMessages).toHaveBeenCalledWith(config, 'room-general', 'deploy', { count: 20 });
+    });
+  });
+
+  describe('get_message', () => {
+    it('reads a message from a permalink', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 'm-1', rid: 'room-ops', msg: 'hi', u: { username: 'bob' }, ts: 'ts' } });
+      getRoomInfo.mockResolvedValueOnce({ room: { _id: 'room-ops', name: 'ops', t: 'c' } });
+
+      const { details } = await tool('get_message').execute('call-1', { message: 'https://chat.example.com/channel/ops?msg=m-1' });
+
+      expect(getMessage).toHaveBeenCalledWith(config, 'm-1');
+      expect(details).toEqual({
+        room: 'ops',
+        message: { id: 'm-1', author: 'bob', text: 'hi', ts: 'ts', permalink: 'https://chat.example.com/channel/ops?msg=m-1' },
+      });
+    });
+
+    it('rejects links to other servers', async () => {
+      await expect(tool('get_message').execute('call-1', { message: 'https://other.example.com/channel/ops?msg=m-1' }))
+        .rejects.toThrow('Not a message ID or a permalink on https://chat.example.com: https://other.example.com/channel/ops?msg=m-1');
+      expect(getMessage).not.toHaveBeenCalled();
+    });
+
+    it('refuses messages from rooms the requester cannot read', async () => {
+      getMessage.mockResolvedValue({ message: { _id: 'm-1', rid: 'dm-1', msg: 'secret', u: { username: 'bob' }, ts: 'ts' } });
+
+      await expect(tool('get_message').execute('call-1', { message: 'm-1' })).rejects.toThrow('alice cannot read that room');
+
+      getMessage.mockResolvedValue({ message: { _id: 'm-1', rid: 'grp-1', msg: 'secret', u: { username: 'bob' }, ts: 'ts' } });
+      getGroupMembers.mockResolvedValueOnce({ members: [{ username: 'bob' }], total: 1 });
+      await expect(tool('get_message').execute('call-1', { message: 'm-1' })).rejects.toThrow('alice cannot read that room');
+      getMessage.mockReset();
+    });
+
+    it('reads only public channels when not answering a Rocket.Chat user', async () => {
+      await answering(null);
+      getMessage.mockResolvedValue({ message: { _id: 'm-1', rid: 'grp-1', msg: 'secret', u: { username: 'bob' }, ts: 'ts' } });
+
+      await expect(tool('get_message').execute('call-1', { message: 'm-1' })).rejects.toThrow('This conversation cannot read that room');
+      expect(getGroupMembers).not.toHaveBeenCalled();
+
+      getMessage.mockResolvedValue({ message: { _id: 'm-1', rid: 'room-ops', msg: 'hi', u: { username: 'bob' }, ts: 'ts' } });
+      const { details } = await tool('get_message').execute('call-1', { message: 'm-1' });
+      expect(details.room).toBe('ops');
+      getMessage.mockReset();
+    });
+  });
+
+  describe('room_info and room_members', () => {
+    it('describes a room', async () => {
+      roomsById['room-ops'] = { ...roomsById['room-ops'], topic: 'Deploys', usersCount: 3, ro: false };
+
+      const { details } = await tool('room_info').execute('call-1', { room: 'ops' });
+
+      expect(details).toMatchObject({ id: 'room-ops', name: 'ops', type: 'c', topic: 'Deploys', members: 3, readOnly: false });
+    });
+
+    it('lists members with the endpoint for the room type', async () => {
+      getChannelInfo.mockRejectedValueOnce(new Error('not a channel'));
+      getGroupInfo.mockResolvedValueOnce({ group: { _id: 'grp-1', name: 'secret' } });
+      getGroupMembers
+        .mockResolvedValueOnce({ members: [{ username: 'alice' }], total: 7 })
+        .mockResolvedValueOnce({ members: [{ username: 'alice', name: 'Alice', status: 'online' }], total: 7 });
+
+      const { details } = await tool('room_members').execute('call-1', { room: 'secret', limit: 5 });
+
+      expect(getGroupMembers).toHaveBeenLastCalledWith(config, 'grp-1', { count: 5 });
+      expect(getChannelMembers).not.toHaveBeenCalled();
+      expect(details).toEqual({ room: 'secret', total: 7, members: [{ username: 'alice', name: 'Alice', status: 'online' }] });
+    });
+  });
+
+  describe('star_message', () => {
+    it('stars a message by permalink', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 'm-9', rid: 'room-general' } });
+
+      const { details } = await tool('star_message').execute('call-1', { message: 'https://chat.example.com/channel/general?msg=m-9' });
+
+      expect(starMessage).toHaveBeenCalledWith(config, 'm-9');
+      expect(details).toEqual({ starred: 'm-9' });
+    });
+  });
+
+  describe('create_discussion', () => {
+    it('starts a discussion about a message', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 'm-1', rid: 'room-ops' } });
+      createDiscussion.mockResolvedValueOnce({ discussion: { _id: 'disc-1', fname: 'Outage' } });
+
+      const { details } = await tool('create_discussion').execute('call-1', {
+        room: '#ops', name: 'Outage', message: 'm-1', text: 'Let us dig in', users: ['@alice'],
+      });
+
+      expect(createDiscussion).toHaveBeenCalledWith(config, {
+        parentRoomId: 'room-ops', parentMessageId: 'm-1', name: 'Outage', reply: 'Let us dig in', users: ['alice'],
+      });
+      expect(details).toEqual({ id: 'disc-1', name: 'Outage', parent: 'ops' });
+    });
+
+    it('refuses a message from another room', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 'm-1', rid: 'grp-1' } });
+
+      await expect(tool('create_discussion').execute('call-1', { room: '#ops', name: 'Outage', message: 'm-1' }))
+        .rejects.toThrow('Message m-1 is not in ops');
+      expect(createDiscussion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invite_user', () => {
+    it('invites a user by name', async () => {
+      getUserByName.mockResolvedValueOnce({ user: { _id: 'u-alice' } });
+
+      const { details } = await tool('invite_user').execute('call-1', { room: '#ops', username: '@alice' });
+
+      expect(getUserByName).toHaveBeenCalledWith(config, 'alice');
+      expect(inviteToChannel).toHaveBeenCalledWith(config, 'room-ops', 'u-alice');
+      expect(inviteToGroup).not.toHaveBeenCalled();
+      expect(details).toEqual({ invited: 'alice', room: 'ops' });
+    });
+
+    it('refuses to invite to a direct message', async () => {
+      roomsById['dm-1'] = { ...roomsById['dm-1'], usernames: ['claw', 'alice'] };
+
+      await expect(tool('invite_user').execute('call-1', { room: '@bob', username: 'alice' }))
+        .rejects.toThrow('Users cannot be invited to a direct message');
+      roomsById['dm-1'] = { ...roomsById['dm-1'], usernames: ['claw', 'bob'] };
+    });
+  });
+
+  describe('post_message', () => {
+    it('posts to another room, in a thread if given', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 't-1', rid: 'room-ops' } });
+
+      const { details } = await tool('post_message', { persona: { alias: 'Claw' } })
+        .execute('call-1', { room: '#ops', text: 'Deploy finished', threadId: 't-1' });
+
+      expect(sendMessage).toHaveBeenCalledWith(config, expect.objectContaining({
+        roomId: 'room-ops', threadId: 't-1', text: 'Deploy finished', alias: 'Claw',
+      }));
+      expect(details).toEqual({ room: 'ops', messageIds: ['sent-1'], permalink: 'https://chat.example.com/channel/ops?msg=sent-1' });
+    });
+
+    it('refuses a thread from another room', async () => {
+      getMessage.mockResolvedValueOnce({ message: { _id: 't-1', rid: 'dm-1' } });
+
+      await expect(tool('post_message').execute('call-1', { room: '#ops', text: 'hi', threadId: 't-1' }))
+        .rejects.toThrow('Message t-1 is not in ops');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
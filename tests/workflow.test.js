@@ -14,10 +14,24 @@ import { monitorRocketChat } from '../src/monitor.js';
 
 // Mock api module — track every call in order
 vi.mock('../src/api.js', () => ({
+  getMe: vi.fn().mockResolvedValue({ _id: 'bot-user', username: 'bot' }),
   getChannelInfo: vi.fn(),
+  getGroupInfo: vi.fn(),
+  getRoomInfo: vi.fn(),
+  listJoinedRooms: vi.fn().mockResolvedValue({ update: [] }),
+  createDirectMessage: vi.fn(),
   getChannelHistory: vi.fn(),
+  getGroupHistory: vi.fn().mockResolvedValue({ messages: [] }),
+  getDirectHistory: vi.fn().mockResolvedValue({ messages: [] }),
   getThreadMessages: vi.fn().mockResolvedValue({ messages: [] }),
+  getThreadsList: vi.fn().mockResolvedValue({ threads: [] }),
+  syncMessages: vi.fn().mockResolvedValue({ result: { updated: [], deleted: [] } }),
+  login: vi.fn(),
+  getPublicSettings: vi.fn().mockResolvedValue({ settings: [] }),
   sendMessage: vi.fn().mockResolvedValue({}),
+  updateMessage: vi.fn().mockResolvedValue({}),
+  deleteMessage: vi.fn().mockResolvedValue({}),
+  uploadFile: vi.fn().mockResolvedValue({}),
   reactToMessage: vi.fn().mockResolvedValue({}),
   downloadFile: vi.fn().mockResolvedValue(undefined),
 }));
@@ -35,7 +49,15 @@ vi.mock('../src/runtime.js', () => ({
   setRuntime: vi.fn(),
 }));
 
-import { getChannelInfo, getChannelHistory, getThreadMessages, sendMessage, reactToMessage, downloadFile } from '../src/api.js';
+import {
+  getChannelInfo,
+  getChannelHistory,
+  getThreadMessages,
+  getThreadsList,
+  sendMessage,
+  reactToMessage,
+  downloadFile,
+} from '../src/api.js';
 
 function makeMsg(id, userId = 'sender-1', username = 'alice', text = 'hello', extra = {}) {
   return { _id: id, msg: text, u: { _id: userId, username }, ts: '2026-02-17T00:00:00Z', ...extra };
@@ -47,6 +69,7 @@ function makeAccount(overrides = {}) {
     authToken: 'token',
     userId: 'bot-user',
     channel: 'general',
+    stateFile: false,
     pollInterval: 0.01,
     ...overrides,
   };
@@ -215,7 +238,7 @@ describe('workflow: error path — delivery error via onError callback', () => {
     // 1. Hourglass added
     expect(reactions[0]).toEqual(['msg-delerr-1', 'hourglass', true]);
 
-    // 2. Hourglass removed (markFailed)
+    // 2. Hourglass removed
     expect(reactions[1]).toEqual(['msg-delerr-1', 'hourglass', false]);
 
     // 3. ❌ added (delivery error overrides delivered=true)
@@ -276,17 +299,23 @@ describe('workflow: multiple messages in one poll', () => {
       },
     });
 
+    // The two users are answered in parallel, so only each message's own order is fixed
     const reactions = reactionCalls();
+    const reactionsOn = (id) => reactions.filter(([messageId]) => messageId === id);
 
     // msg-a: hourglass → hourglass removed → checkmark (success)
-    expect(reactions[0]).toEqual(['msg-a', 'hourglass', true]);
-    expect(reactions[1]).toEqual(['msg-a', 'hourglass', false]);
-    expect(reactions[2]).toEqual(['msg-a', 'white_check_mark', true]);
+    expect(reactionsOn('msg-a')).toEqual([
+      ['msg-a', 'hourglass', true],
+      ['msg-a', 'hourglass', false],
+      ['msg-a', 'white_check_mark', true],
+    ]);
 
     // msg-b: hourglass → hourglass removed → ❌ (no reply)
-    expect(reactions[3]).toEqual(['msg-b', 'hourglass', true]);
-    expect(reactions[4]).toEqual(['msg-b', 'hourglass', false]);
-    expect(reactions[5]).toEqual(['msg-b', 'x', true]);
+    expect(reactionsOn('msg-b')).toEqual([
+      ['msg-b', 'hourglass', true],
+      ['msg-b', 'hourglass', false],
+      ['msg-b', 'x', true],
+    ]);
 
     expect(reactions).toHaveLength(6);
 
@@ -305,20 +334,20 @@ describe('workflow: thread-only reply — hourglass → deliver → checkmark',
     };
 
     // Thread-only reply (not in channel history, only in thread poll)
-    const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'thread question', { tmid: 'parent-1' });
+    const threadReply = makeMsg('reply-1', 'sender-2', 'bob', 'thread question', {
+      tmid: 'parent-1',
+      ts: '2026-02-17T00:05:00Z',
+    });
 
-    // Full thread history for context
-    const threadHistory = [
-      makeMsg('parent-1', 'sender-1', 'alice', 'start thread'),
+    // Thread messages, newest-first: the new reply plus context
+    const threadMessages = [
+      threadReply,
       makeMsg('bot-resp-1', 'bot-user', 'bot', 'bot response'),
-      makeMsg('reply-1', 'sender-2', 'bob', 'thread question'),
+      parentMsg,
     ];
 
-    // First call: offset-based poll returns the new reply
-    // Second call: context fetch returns full thread history
-    getThreadMessages
-      .mockResolvedValueOnce({ messages: [threadReply], total: 3 })
-      .mockResolvedValueOnce({ messages: threadHistory });
+    getThreadsList.mockResolvedValueOnce({ threads: [{ ...parentMsg, tlm: '2026-02-17T00:05:00Z' }] });
+    getThreadMessages.mockResolvedValueOnce({ messages: threadMessages });
 
     // Agent responds to the thread reply
     mockDispatch.mockImplementationOnce(async ({ ctx, dispatcherOptions }) => {